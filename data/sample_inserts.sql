@@ -1,8 +1,8 @@
 -- Sample US zipcode inserts (replace with your actual data)
-INSERT INTO us_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES 
-('01001', 'Agawam', 'Massachusetts', 'MA', 42.0706, -72.6227),
-('01002', 'Cushman', 'Massachusetts', 'MA', 42.3773, -72.5194);
+INSERT INTO us_zipcodes (zipcode, place, state, state_code, county, latitude, longitude, place_normalized) VALUES 
+('01001', 'Agawam', 'Massachusetts', 'MA', 'Hampden', 42.0706, -72.6227, 'agawam'),
+('01002', 'Cushman', 'Massachusetts', 'MA', 'Hampshire', 42.3773, -72.5194, 'cushman');
 
 -- Sample Canada postal code inserts (replace with your actual data)
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES 
-('A0A', 'Newfoundland and Labrador', 'Newfoundland and Labrador', 'NL', 47.5675, -52.7072);
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES 
+('A0A', 'Newfoundland and Labrador', 'Newfoundland and Labrador', 'NL', 47.5675, -52.7072, 'newfoundland and labrador');
@@ -1,1655 +1,1655 @@
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0A', 'Eastern Alberta (St. Paul)', 'Alberta', 'AB', '54.766', '-111.7174');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0B', 'Wainwright Region (Tofield)', 'Alberta', 'AB', '53.0727', '-111.5816');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0C', 'Central Alberta (Stettler)', 'Alberta', 'AB', '52.1431', '-111.6941');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0E', 'Western Alberta (Jasper)', 'Alberta', 'AB', '53.6758', '-115.0948');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0G', 'North Central Alberta (Slave Lake)', 'Alberta', 'AB', '55.6993', '-114.4529');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0H', 'Northwestern Alberta (High Level)', 'Alberta', 'AB', '57.5403', '-116.9153');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0J', 'Southeastern Alberta (Drumheller)', 'Alberta', 'AB', '50.9944', '-111.4632');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0K', 'International Border Region (Cardston)', 'Alberta', 'AB', '49.4721', '-112.2408');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0L', 'Kananaskis Country (Claresholm)', 'Alberta', 'AB', '50.6314', '-114.4089');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0M', 'Central Foothills (Sundre)', 'Alberta', 'AB', '51.9552', '-114.8691');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0P', 'Northeastern Alberta (Fort Chipewyan)', 'Alberta', 'AB', '58.2626', '-110.7467');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T0V', 'Remote Northeast (Fitzgerald)', 'Alberta', 'AB', '59.9049', '-111.6717');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1A', 'Medicine Hat Central', 'Alberta', 'AB', '50.0816', '-110.5788');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1B', 'Medicine Hat South', 'Alberta', 'AB', '49.835', '-110.5203');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1C', 'Medicine Hat North', 'Alberta', 'AB', '50.0774', '-110.6911');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1G', 'Taber', 'Alberta', 'AB', '49.787', '-112.146');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1H', 'Lethbridge North', 'Alberta', 'AB', '49.7', '-112.8186');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1J', 'Lethbridge West and Central', 'Alberta', 'AB', '49.6581', '-112.7484');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1K', 'Lethbridge Southeast', 'Alberta', 'AB', '49.6511', '-112.8351');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1L', 'Banff', 'Alberta', 'AB', '51.1762', '-115.5698');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1M', 'Coaldale', 'Alberta', 'AB', '49.7167', '-112.6185');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1P', 'Strathmore', 'Alberta', 'AB', '51.0501', '-113.3852');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1R', 'Brooks', 'Alberta', 'AB', '50.5834', '-111.8851');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1S', 'Okotoks', 'Alberta', 'AB', '50.7362', '-113.9695');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1V', 'High River', 'Alberta', 'AB', '50.5834', '-113.8687');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1W', 'Canmore', 'Alberta', 'AB', '51.0876', '-115.3461');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1X', 'Chestermere', 'Alberta', 'AB', '51.0334', '-113.8187');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1Y', 'Calgary (Rundle / Whitehorn / Monterey Park)', 'Alberta', 'AB', '51.0823', '-113.9578');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T1Z', 'Rocky View', 'Alberta', 'AB', '51.1834', '-113.9353');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2A', 'Calgary (Penbrooke Meadows / Marlborough)', 'Alberta', 'AB', '51.0494', '-113.9564');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2B', 'Calgary (Forest Lawn / Dover / Erin Woods)', 'Alberta', 'AB', '51.0209', '-113.981');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2C', 'Calgary (Lynnwood Ridge / Ogden / Foothills Industrial / Great Plains)', 'Alberta', 'AB', '50.987', '-113.9634');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2E', 'Calgary (Bridgeland / Greenview / Zoo / YYC)', 'Alberta', 'AB', '51.0876', '-114.0214');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2G', 'Calgary (Inglewood / Burnsland / Chinatown / East Victoria Park / Saddledome)', 'Alberta', 'AB', '51.0272', '-114.0349');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2H', 'Calgary (Highfield / Burns Industrial)', 'Alberta', 'AB', '50.9894', '-114.052');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2J', 'Calgary (Queensland Downs / Lake Bonavista / Willow Park / Acadia)', 'Alberta', 'AB', '50.8476', '-114.1958');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2K', 'Calgary (Thornecliffe / Tuxedo)', 'Alberta', 'AB', '51.1111', '-114.0477');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2L', 'Calgary (Brentwood / Collingwood / Nose Hill)', 'Alberta', 'AB', '51.1047', '-114.1148');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2M', 'Calgary (Mount Pleasant / Capitol Hill / Banff Trail)', 'Alberta', 'AB', '51.133', '-113.856');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2N', 'Calgary (Kensington / Westmont / Parkdale / University)', 'Alberta', 'AB', '51.0621', '-114.1159');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2P', 'Calgary (City Centre / Calgary Tower)', 'Alberta', 'AB', '51.0708', '-113.6931');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2R', 'Calgary (Connaught / West Victoria Park)', 'Alberta', 'AB', '51.0412', '-114.0762');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2S', 'Calgary (Elbow Park / Britannia / Parkhill / Mission)', 'Alberta', 'AB', '51.0233', '-114.071');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2T', 'Calgary South (Altadore / Bankview / Richmond)', 'Alberta', 'AB', '51.0242', '-114.1004');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2V', 'Calgary (Oak Ridge / Haysboro / Kingsland / Windsor Park)', 'Alberta', 'AB', '50.9819', '-114.1004');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2W', 'Calgary (Braeside / Woodbine)', 'Alberta', 'AB', '50.9514', '-114.3591');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2X', 'Calgary (Midnapore / Sundance)', 'Alberta', 'AB', '50.8837', '-114.0326');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2Y', 'Calgary (Millrise / Somerset / Bridlewood / Evergreen)', 'Alberta', 'AB', '50.9093', '-114.1028');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T2Z', 'Calgary (Douglas Glen / McKenzie Lake / Copperfield / East Shepard)', 'Alberta', 'AB', '50.9278', '-113.9682');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3A', 'Calgary (Dalhousie / Edgemont / Hamptons / Hidden Valley)', 'Alberta', 'AB', '51.1264', '-114.1419');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3B', 'Calgary (Montgomery / Bowness / Silver Springs / Greenwood)', 'Alberta', 'AB', '51.0915', '-114.2073');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3C', 'Calgary (Rosscarrock / Wildwood / Shaganappi / Sunalta)', 'Alberta', 'AB', '51.0497', '-114.1394');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3E', 'Calgary (Lakeview / Glendale / Killarney / Glamorgan)', 'Alberta', 'AB', '50.9899', '-114.1574');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3G', 'Calgary (Hawkwood / Arbour Lake / Royal Oak / Rocky Ridge)', 'Alberta', 'AB', '51.1387', '-114.2015');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3H', 'Calgary (Discovery Ridge / Signal Hill / Aspen Woods / Patterson / Cougar Ridge)', 'Alberta', 'AB', '51.0419', '-114.2');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3J', 'Calgary (Martindale / Taradale / Falconridge / Saddle Ridge)', 'Alberta', 'AB', '51.1188', '-113.9471');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3K', 'Calgary (Sandstone / Harvest Hills / Coventry Hills / Panorama Hills / Beddington)', 'Alberta', 'AB', '51.1563', '-114.0572');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3L', 'Calgary (Tuscany / Scenic Acres)', 'Alberta', 'AB', '51.1467', '-114.3133');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3M', 'Calgary (Cranston)', 'Alberta', 'AB', '50.8796', '-113.9555');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3N', 'Calgary Northeast', 'Alberta', 'AB', '51.1626', '-113.9537');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3P', 'Calgary (Symons Valley)', 'Alberta', 'AB', '51.2074', '-114.1348');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3R', 'Calgary Northwest', 'Alberta', 'AB', '51.2021', '-114.2453');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3S', 'Calgary', 'Alberta', 'AB', '50.9153', '-113.8932');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T3Z', 'Redwood Meadows', 'Alberta', 'AB', '51.0691', '-114.4727');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4A', 'Airdrie East', 'Alberta', 'AB', '51.2799', '-113.988');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4B', 'Airdrie West', 'Alberta', 'AB', '51.3082', '-114.0398');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4C', 'Cochrane', 'Alberta', 'AB', '51.1834', '-114.4687');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4E', 'Red Deer County', 'Alberta', 'AB', '52.2765', '-113.7063');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4G', 'Innisfail', 'Alberta', 'AB', '52.0269', '-113.9507');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4H', 'Olds', 'Alberta', 'AB', '51.7834', '-114.102');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4J', 'Ponoka', 'Alberta', 'AB', '52.6768', '-113.5815');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4L', 'Lacombe', 'Alberta', 'AB', '52.4668', '-113.7353');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4M', 'Blackfalds', 'Alberta', 'AB', '52.3834', '-113.7853');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4N', 'Red Deer Central', 'Alberta', 'AB', '52.2316', '-113.8358');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4P', 'Red Deer North', 'Alberta', 'AB', '52.2954', '-113.8073');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4R', 'Red Deer South', 'Alberta', 'AB', '52.2424', '-113.7784');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4S', 'Sylvan Lake', 'Alberta', 'AB', '52.3168', '-114.0853');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4T', 'Rocky Mountain House', 'Alberta', 'AB', '52.3668', '-114.9188');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4V', 'Camrose', 'Alberta', 'AB', '53.0168', '-112.8353');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T4X', 'Beaumont', 'Alberta', 'AB', '53.3501', '-113.4187');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5A', 'Edmonton (West Clareview / East Londonderry)', 'Alberta', 'AB', '53.5931', '-113.4077');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5B', 'Edmonton (East North Central / West Beverly)', 'Alberta', 'AB', '53.7353', '-113.3369');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5C', 'Edmonton (Central Londonderry)', 'Alberta', 'AB', '53.5996', '-113.4549');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5E', 'Edmonton (West Londonderry / East Calder)', 'Alberta', 'AB', '53.7454', '-113.4465');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5G', 'Edmonton (North Central / Queen Mary Park / YXD)', 'Alberta', 'AB', '53.5705', '-113.5051');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5H', 'Edmonton (North and East Downtown Fringe)', 'Alberta', 'AB', '53.5514', '-113.4916');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5J', 'Edmonton (North Downtown)', 'Alberta', 'AB', '53.5428', '-113.4974');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5K', 'Edmonton (South Downtown / South Downtown Fringe)', 'Alberta', 'AB', '53.5366', '-113.5103');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5L', 'Edmonton (North Westmount / West Calder / East Mistatim)', 'Alberta', 'AB', '53.585', '-113.5526');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5M', 'Edmonton (South Westmount / Groat Estate / East Northwest Industrial)', 'Alberta', 'AB', '53.563', '-113.5662');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5N', 'Edmonton (Glenora / SW Downtown Fringe)', 'Alberta', 'AB', '53.5436', '-113.5574');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5P', 'Edmonton (North Jasper Place)', 'Alberta', 'AB', '53.5463', '-113.5957');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5R', 'Edmonton (Central Jasper Place / Buena Vista)', 'Alberta', 'AB', '53.5181', '-113.5797');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5S', 'Edmonton (West Northwest Industrial / Winterburn)', 'Alberta', 'AB', '53.5634', '-113.6697');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5T', 'Edmonton West (West Jasper Place / West Edmonton Mall)', 'Alberta', 'AB', '53.5185', '-113.6579');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5V', 'Edmonton (Central Mistatim)', 'Alberta', 'AB', '53.5848', '-113.6224');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5W', 'Edmonton (Central Beverly)', 'Alberta', 'AB', '53.5645', '-113.4022');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5X', 'Edmonton (East Castledowns)', 'Alberta', 'AB', '53.6313', '-113.5245');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5Y', 'Edmonton (Landbank / Oliver / East Lake District)', 'Alberta', 'AB', '53.6585', '-113.3614');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T5Z', 'Edmonton (West Lake District)', 'Alberta', 'AB', '53.6365', '-113.4673');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6A', 'Edmonton (North Capilano)', 'Alberta', 'AB', '53.5482', '-113.4318');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6B', 'Edmonton (SE Capilano / West Southeast Industrial / East Bonnie Doon)', 'Alberta', 'AB', '53.5128', '-113.4194');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6C', 'Edmonton (Central Bonnie Doon)', 'Alberta', 'AB', '53.522', '-113.459');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6E', 'Edmonton (South Bonnie Doon / East University)', 'Alberta', 'AB', '53.4914', '-113.4802');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6G', 'Edmonton (West University / Strathcona Place)', 'Alberta', 'AB', '53.521', '-113.5324');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6H', 'Edmonton (Southgate / North Riverbend)', 'Alberta', 'AB', '53.3753', '-113.4585');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6J', 'Edmonton (Kaskitayo)', 'Alberta', 'AB', '53.4564', '-113.521');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6K', 'Edmonton (West Mill Woods)', 'Alberta', 'AB', '53.4609', '-113.4519');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6L', 'Edmonton (East Mill Woods)', 'Alberta', 'AB', '53.4593', '-113.4145');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6M', 'Edmonton Southwest', 'Alberta', 'AB', '53.4593', '-113.6546');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6N', 'Edmonton (South Industrial)', 'Alberta', 'AB', '53.465', '-113.4776');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6P', 'Edmonton (East Southeast Industrial / South Clover Bar)', 'Alberta', 'AB', '53.5078', '-113.3723');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6R', 'Edmonton (Riverbend)', 'Alberta', 'AB', '53.4567', '-113.5801');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6S', 'Edmonton (North Clover Bar)', 'Alberta', 'AB', '53.5806', '-113.3374');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6T', 'Edmonton (Meadows)', 'Alberta', 'AB', '53.4617', '-113.371');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6V', 'Edmonton (West Castledowns)', 'Alberta', 'AB', '53.6112', '-113.5746');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6W', 'Edmonton (Heritage Valley)', 'Alberta', 'AB', '53.4179', '-113.5785');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T6X', 'Edmonton (Ellerslie)', 'Alberta', 'AB', '53.4154', '-113.4178');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T7A', 'Drayton Valley', 'Alberta', 'AB', '53.2168', '-114.9854');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T7E', 'Edson', 'Alberta', 'AB', '53.5834', '-116.4356');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T7N', 'Barrhead', 'Alberta', 'AB', '54.1334', '-114.4021');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T7P', 'Westlock', 'Alberta', 'AB', '54.1502', '-113.8688');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T7S', 'Whitecourt', 'Alberta', 'AB', '54.1501', '-115.6855');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T7V', 'Hinton', 'Alberta', 'AB', '53.4001', '-117.5857');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T7X', 'Spruce Grove North', 'Alberta', 'AB', '53.5334', '-113.9187');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T7Y', 'Spruce Grove South', 'Alberta', 'AB', '53.4184', '-113.8097');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T7Z', 'Stony Plain', 'Alberta', 'AB', '53.5334', '-114.0021');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8A', 'Sherwood Park West', 'Alberta', 'AB', '53.528', '-113.2512');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8B', 'Sherwood Park Outer Southwest', 'Alberta', 'AB', '53.4397', '-113.2952');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8C', 'Sherwood Park Inner Southwest', 'Alberta', 'AB', '53.4391', '-113.1903');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8E', 'Sherwood Park Central', 'Alberta', 'AB', '53.5225', '-113.1022');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8G', 'Sherwood Park East', 'Alberta', 'AB', '53.5052', '-112.9529');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8H', 'Sherwood Park Northwest', 'Alberta', 'AB', '53.556', '-113.2952');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8L', 'Fort Saskatchewan', 'Alberta', 'AB', '53.7168', '-113.2187');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8N', 'St. Albert', 'Alberta', 'AB', '53.6334', '-113.6353');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8R', 'Morinville', 'Alberta', 'AB', '53.8001', '-113.652');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8S', 'Peace River', 'Alberta', 'AB', '56.2501', '-117.286');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8T', 'St. Albert', 'Alberta', 'AB', '53.6867', '-113.7102');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8V', 'Grande Prairie Central', 'Alberta', 'AB', '55.1808', '-118.9103');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8W', 'Grande Prairie South', 'Alberta', 'AB', '55.1303', '-118.7946');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T8X', 'Grande Prairie East', 'Alberta', 'AB', '55.1834', '-118.7457');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9A', 'Wetaskiwin', 'Alberta', 'AB', '52.9668', '-113.3687');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9C', 'Vegreville', 'Alberta', 'AB', '53.5001', '-112.0518');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9E', 'Leduc', 'Alberta', 'AB', '53.2668', '-113.552');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9G', 'Devon', 'Alberta', 'AB', '53.3668', '-113.7353');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9H', 'Fort McMurray Outer Central', 'Alberta', 'AB', '56.664', '-111.1357');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9J', 'Fort McMurray Inner Central', 'Alberta', 'AB', '56.707', '-111.3771');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9K', 'Fort McMurray Northwest', 'Alberta', 'AB', '56.7538', '-111.435');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9M', 'Cold Lake', 'Alberta', 'AB', '54.4502', '-110.2017');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9N', 'Bonnyville', 'Alberta', 'AB', '54.2668', '-110.7351');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9S', 'Athabasca', 'Alberta', 'AB', '54.7169', '-113.2854');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9V', 'Lloydminster', 'Alberta', 'AB', '53.2717', '-110.0853');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9W', 'Wainwright', 'Alberta', 'AB', '52.839', '-110.8572');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('T9X', 'Vermilion', 'Alberta', 'AB', '53.3669', '-110.8517');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5K', 'Vancouver (North Hastings-Sunrise)', 'British Columbia', 'BC', '49.2807', '-123.0397');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5L', 'Vancouver (North Grandview-Woodlands)', 'British Columbia', 'BC', '49.2795', '-123.0667');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5M', 'Vancouver (South Hastings-Sunrise / North Renfrew-Collingwood)', 'British Columbia', 'BC', '49.26', '-123.0398');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5N', 'Vancouver (South Grandview-Woodlands / NE Kensington)', 'British Columbia', 'BC', '49.2551', '-123.0667');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5P', 'Vancouver (SE Kensington / Victoria-Fraserview)', 'British Columbia', 'BC', '49.222', '-123.0683');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5R', 'Vancouver (South Renfrew-Collingwood)', 'British Columbia', 'BC', '49.2397', '-123.0407');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5S', 'Vancouver (Killarney)', 'British Columbia', 'BC', '49.2175', '-123.038');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5T', 'Vancouver (East Mount Pleasant)', 'British Columbia', 'BC', '49.262', '-123.0923');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5V', 'Vancouver (West Kensington / NE Riley Park-Little Mountain)', 'British Columbia', 'BC', '49.248', '-123.0913');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5W', 'Vancouver (SE Riley Park-Little Mountain / SW Kensington / NE Oakridge / North Sunset)', 'British Columbia', 'BC', '49.2327', '-123.0917');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5X', 'Vancouver (SE Oakridge / East Marpole / South Sunset)', 'British Columbia', 'BC', '49.2156', '-123.0979');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5Y', 'Vancouver (West Mount Pleasant / West Riley Park-Little Mountain)', 'British Columbia', 'BC', '49.2492', '-123.1104');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5Z', 'Vancouver (East Fairview / South Cambie)', 'British Columbia', 'BC', '49.2475', '-123.121');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6A', 'Vancouver (Strathcona / Chinatown / Downtown Eastside)', 'British Columbia', 'BC', '49.2779', '-123.0908');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6B', 'Vancouver (NE Downtown / Harbour Centre / Gastown / Yaletown)', 'British Columbia', 'BC', '49.2788', '-123.1139');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6C', 'Vancouver (Waterfront / Coal Harbour / Canada Place)', 'British Columbia', 'BC', '49.2866', '-123.1158');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6E', 'Vancouver (South West End)', 'British Columbia', 'BC', '49.2833', '-123.1298');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6G', 'Vancouver (North West End / Stanley Park)', 'British Columbia', 'BC', '49.299', '-123.1408');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6H', 'Vancouver (West Fairview / Granville Island / NE Shaughnessy)', 'British Columbia', 'BC', '49.2559', '-123.1322');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6J', 'Vancouver (NW Shaughnessy / East Kitsilano / Quilchena)', 'British Columbia', 'BC', '49.2603', '-123.146');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6K', 'Vancouver (Central Kitsilano)', 'British Columbia', 'BC', '49.2646', '-123.1648');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6L', 'Vancouver (NW Arbutus Ridge)', 'British Columbia', 'BC', '49.2497', '-123.166');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6M', 'Vancouver (South Shaughnessy / NW Oakridge / NE Kerrisdale / SE Arbutus Ridge)', 'British Columbia', 'BC', '49.2344', '-123.1451');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6N', 'Vancouver (Dunbar-Southlands / Musqueam)', 'British Columbia', 'BC', '49.2302', '-123.189');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6P', 'Vancouver (SE Kerrisdale / SW Oakridge / West Marpole)', 'British Columbia', 'BC', '49.2151', '-123.1396');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6R', 'Vancouver (West Kitsilano / Jericho)', 'British Columbia', 'BC', '49.2666', '-123.1976');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6S', 'Vancouver (Chaldecutt / South University Endowment Lands)', 'British Columbia', 'BC', '49.2491', '-123.2088');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6T', 'Vancouver (UBC)', 'British Columbia', 'BC', '49.4635', '-122.822');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6Z', 'Vancouver (SW Downtown)', 'British Columbia', 'BC', '49.2767', '-123.13');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7G', 'North Vancouver Outer East', 'British Columbia', 'BC', '49.3678', '-122.9278');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7H', 'North Vancouver Inner East', 'British Columbia', 'BC', '49.3551', '-122.9802');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7J', 'North Vancouver East Central', 'British Columbia', 'BC', '49.3622', '-123.0178');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7K', 'North Vancouver North Central', 'British Columbia', 'BC', '49.3597', '-123.0377');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7L', 'North Vancouver South Central', 'British Columbia', 'BC', '49.316', '-123.0576');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7M', 'North Vancouver Southwest Central', 'British Columbia', 'BC', '49.3222', '-123.0834');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7N', 'North Vancouver Northwest Central', 'British Columbia', 'BC', '49.35', '-123.0679');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7P', 'North Vancouver Southwest', 'British Columbia', 'BC', '49.322', '-123.1149');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7R', 'North Vancouver Northwest', 'British Columbia', 'BC', '49.3775', '-123.0862');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7S', 'West Vancouver North', 'British Columbia', 'BC', '49.3745', '-123.1864');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7T', 'West Vancouver Southeast', 'British Columbia', 'BC', '49.3322', '-123.1417');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7V', 'West Vancouver South', 'British Columbia', 'BC', '49.3397', '-123.1912');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7W', 'West Vancouver West', 'British Columbia', 'BC', '49.3615', '-123.2627');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7X', 'Vancouver (Bentall Centre)', 'British Columbia', 'BC', '49.2935', '-123.1162');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7Y', 'Vancouver (Pacific Centre)', 'British Columbia', 'BC', '49.2819', '-123.119');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0A', 'Upper Columbia Region (Golden)', 'British Columbia', 'BC', '51.2994', '-116.939');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0B', 'East Kootenays (Fernie)', 'British Columbia', 'BC', '49.6775', '-115.5636');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0C', 'Northern British Columbia (Fort Nelson)', 'British Columbia', 'BC', '58.3874', '-125.7167');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0E', 'Central Okanagan and High Country (Revelstoke)', 'British Columbia', 'BC', '51.505', '-119.2034');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0G', 'West Kootenays (Rossland)', 'British Columbia', 'BC', '50.053', '-117.4291');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0H', 'South Okanagan (Summerland)', 'British Columbia', 'BC', '49.4089', '-119.0054');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0J', 'Omineca and Yellowhead (Smithers)', 'British Columbia', 'BC', '55.9964', '-126.8574');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0K', 'Cariboo and West Okanagan (100 Mile House)', 'British Columbia', 'BC', '51.4367', '-121.6384');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0L', 'Chilcotin (Alexis Creek)', 'British Columbia', 'BC', '52.0993', '-123.6526');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0M', 'Harrison Lake Region (Agassiz)', 'British Columbia', 'BC', '49.6346', '-122.038');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0N', 'North Island, Sunshine Coast, and Southern Gulf Islands (Whistler)', 'British Columbia', 'BC', '51.2944', '-126.0745');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0P', 'North Central Island and Bute Inlet Region (Gold River)', 'British Columbia', 'BC', '49.8866', '-126.2673');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0R', 'Central Island (Chemainus)', 'British Columbia', 'BC', '49.027', '-124.8461');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0S', 'Juan de Fuca Shore (Sooke)', 'British Columbia', 'BC', '48.5432', '-123.672');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0T', 'Inside Passage and the Queen Charlottes (Queen Charlotte City)', 'British Columbia', 'BC', '52.2338', '-126.2134');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0V', 'Lower Skeena (Port Edward)', 'British Columbia', 'BC', '53.9725', '-129.8986');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0W', 'Atlin Region (Atlin)', 'British Columbia', 'BC', '59.6378', '-133.5433');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V0X', 'Similkameen (Hope)', 'British Columbia', 'BC', '49.3688', '-120.6569');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1A', 'Kimberley', 'British Columbia', 'BC', '49.6832', '-115.9855');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1B', 'Vernon East', 'British Columbia', 'BC', '50.084', '-118.938');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1C', 'Cranbrook', 'British Columbia', 'BC', '49.4999', '-115.7688');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1E', 'Salmon Arm', 'British Columbia', 'BC', '50.6998', '-119.2691');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1G', 'Dawson Creek', 'British Columbia', 'BC', '55.7666', '-120.2362');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1H', 'Vernon West', 'British Columbia', 'BC', '50.2868', '-119.4975');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1J', 'Fort St. John', 'British Columbia', 'BC', '56.2499', '-120.8529');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1K', 'Merritt', 'British Columbia', 'BC', '50.1122', '-120.7942');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1L', 'Nelson', 'British Columbia', 'BC', '49.4999', '-117.2855');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1M', 'Langley Township North', 'British Columbia', 'BC', '49.1661', '-122.5792');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1N', 'Castlegar', 'British Columbia', 'BC', '49.2998', '-117.6689');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1P', 'Kelowna East', 'British Columbia', 'BC', '49.8959', '-119.1724');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1R', 'Trail', 'British Columbia', 'BC', '49.0998', '-117.7022');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1S', 'Kamloops Southwest', 'British Columbia', 'BC', '50.5583', '-120.5477');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1T', 'Vernon Central', 'British Columbia', 'BC', '50.2604', '-119.2774');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1V', 'Kelowna North', 'British Columbia', 'BC', '49.9497', '-119.4339');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1W', 'Kelowna Southwest', 'British Columbia', 'BC', '49.812', '-119.5076');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1X', 'Kelowna East Central', 'British Columbia', 'BC', '50.0528', '-119.2858');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1Y', 'Kelowna Central', 'British Columbia', 'BC', '49.8928', '-119.4852');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V1Z', 'Kelowna West', 'British Columbia', 'BC', '49.8625', '-119.5833');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2A', 'Penticton', 'British Columbia', 'BC', '49.4806', '-119.5858');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2B', 'Kamloops Northwest', 'British Columbia', 'BC', '50.8869', '-120.7357');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2C', 'Kamloops Central and Southeast', 'British Columbia', 'BC', '50.5437', '-120.0937');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2E', 'Kamloops South and West', 'British Columbia', 'BC', '50.6736', '-120.4212');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2G', 'Williams Lake', 'British Columbia', 'BC', '52.1415', '-122.1445');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2H', 'Kamloops North', 'British Columbia', 'BC', '50.7262', '-120.1659');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2J', 'Quesnel', 'British Columbia', 'BC', '52.9784', '-122.4931');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2K', 'Prince George North', 'British Columbia', 'BC', '54.0508', '-122.9221');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2L', 'Prince George East Central', 'British Columbia', 'BC', '53.9078', '-122.7473');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2M', 'Prince George West Central', 'British Columbia', 'BC', '53.9127', '-122.8708');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2N', 'Prince George South', 'British Columbia', 'BC', '53.6408', '-122.954');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2P', 'Chilliwack Central', 'British Columbia', 'BC', '49.1838', '-121.9046');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2R', 'Chilliwack West', 'British Columbia', 'BC', '49.076', '-121.9883');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2S', 'Abbotsford Southeast', 'British Columbia', 'BC', '49.0423', '-122.2835');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2T', 'Abbotsford Southwest', 'British Columbia', 'BC', '49.0384', '-122.3485');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2V', 'Mission East', 'British Columbia', 'BC', '49.6463', '-122.5047');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2W', 'Maple Ridge East', 'British Columbia', 'BC', '49.2068', '-122.4851');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2X', 'Maple Ridge West', 'British Columbia', 'BC', '49.2196', '-122.6164');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2Y', 'Langley Township Northwest', 'British Columbia', 'BC', '49.1285', '-122.6236');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V2Z', 'Langley Township Southwest', 'British Columbia', 'BC', '49.0483', '-122.5997');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3A', 'Langley City', 'British Columbia', 'BC', '49.0997', '-122.6526');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3B', 'Port Coquitlam Central', 'British Columbia', 'BC', '49.274', '-122.7649');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3C', 'Port Coquitlam South', 'British Columbia', 'BC', '49.2436', '-122.7865');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3E', 'Port Coquitlam North', 'British Columbia', 'BC', '49.3167', '-122.7384');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3G', 'Abbotsford East', 'British Columbia', 'BC', '49.0754', '-122.178');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3H', 'Port Moody', 'British Columbia', 'BC', '49.3231', '-122.8626');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3J', 'Coquitlam North', 'British Columbia', 'BC', '49.265', '-122.8716');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3K', 'Coquitlam South', 'British Columbia', 'BC', '49.2366', '-122.8521');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3L', 'New Westminster Northeast', 'British Columbia', 'BC', '49.2201', '-122.8998');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3M', 'New Westminster Southwest (Includes Annacis Island)', 'British Columbia', 'BC', '49.1886', '-122.9384');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3N', 'Burnaby (East Big Bend / Stride Avenue / Edmonds / Cariboo-Armstrong)', 'British Columbia', 'BC', '49.2275', '-122.9301');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3R', 'Surrey North', 'British Columbia', 'BC', '49.1948', '-122.8131');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3S', 'Surrey East', 'British Columbia', 'BC', '49.0791', '-122.7553');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3T', 'Surrey Inner Northwest', 'British Columbia', 'BC', '49.1894', '-122.8454');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3V', 'Surrey Outer Northwest', 'British Columbia', 'BC', '49.1889', '-122.873');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3W', 'Surrey Upper West', 'British Columbia', 'BC', '49.141', '-122.8569');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3X', 'Surrey Lower West', 'British Columbia', 'BC', '49.1067', '-122.8576');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3Y', 'Pitt Meadows', 'British Columbia', 'BC', '49.2212', '-122.6896');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V3Z', 'Surrey', 'British Columbia', 'BC', '49.1064', '-122.8251');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4A', 'Surrey Southwest', 'British Columbia', 'BC', '49.0374', '-122.8299');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4B', 'White Rock', 'British Columbia', 'BC', '49.0259', '-122.8058');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4C', 'Delta Northeast', 'British Columbia', 'BC', '49.1551', '-122.9124');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4E', 'Delta East', 'British Columbia', 'BC', '49.1197', '-122.9056');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4G', 'Delta East Central', 'British Columbia', 'BC', '49.1464', '-123.0137');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4K', 'Delta Central', 'British Columbia', 'BC', '49.0986', '-123.0318');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4L', 'Delta Southeast', 'British Columbia', 'BC', '49.0418', '-123.0591');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4M', 'Delta Southwest', 'British Columbia', 'BC', '49.0331', '-123.0877');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4N', 'Surrey Northeast', 'British Columbia', 'BC', '49.1707', '-122.7326');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4P', 'Surrey South', 'British Columbia', 'BC', '49.0561', '-122.8302');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4R', 'Maple Ridge Northwest', 'British Columbia', 'BC', '49.2903', '-122.5169');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4S', 'Mission West', 'British Columbia', 'BC', '49.2528', '-122.3574');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4T', 'Westbank', 'British Columbia', 'BC', '49.866', '-119.7387');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4V', 'Winfield', 'British Columbia', 'BC', '50.0221', '-119.4054');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4W', 'Langley Township East', 'British Columbia', 'BC', '49.0713', '-122.4977');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4X', 'Abbotsford West', 'British Columbia', 'BC', '49.0861', '-122.4026');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V4Z', 'Chilliwack East', 'British Columbia', 'BC', '49.0787', '-121.6098');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5A', 'Burnaby (Government Road / Lake City / SFU / Burnaby Mountain)', 'British Columbia', 'BC', '49.264', '-122.9369');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5B', 'Burnaby (Parkcrest-Aubrey / Ardingley-Sprott)', 'British Columbia', 'BC', '49.2769', '-122.9761');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5C', 'Burnaby (Burnaby Heights / Willingdon Heights / West Central Valley)', 'British Columbia', 'BC', '49.274', '-123.0074');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5E', 'Burnaby (Lakeview-Mayfield / Richmond Park / Kingsway-Beresford)', 'British Columbia', 'BC', '49.2272', '-122.9574');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5G', 'Burnaby (Cascade-Schou / Douglas-Gilpin)', 'British Columbia', 'BC', '49.2478', '-122.9938');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5H', 'Burnaby (Maywood / Marlborough / Oakalla / Windsor)', 'British Columbia', 'BC', '49.2302', '-122.9952');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V5J', 'Burnaby (Suncrest / Sussex-Nelson / Clinton-Glenwood / West Big Bend)', 'British Columbia', 'BC', '49.2038', '-122.9921');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6V', 'Richmond Northeast', 'British Columbia', 'BC', '49.1853', '-123.0386');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6W', 'Richmond Southeast', 'British Columbia', 'BC', '49.1534', '-123.048');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6X', 'Richmond North', 'British Columbia', 'BC', '49.1836', '-123.1168');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V6Y', 'Richmond Central', 'British Columbia', 'BC', '49.17', '-123.1368');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7A', 'Richmond South', 'British Columbia', 'BC', '49.1205', '-123.1171');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7B', 'Richmond (Sea Island / YVR)', 'British Columbia', 'BC', '49.1988', '-123.1799');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7C', 'Richmond West', 'British Columbia', 'BC', '49.1626', '-123.1721');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V7E', 'Richmond Southwest', 'British Columbia', 'BC', '49.1323', '-123.1705');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8A', 'Powell River', 'British Columbia', 'BC', '50.0163', '-124.3226');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8B', 'Squamish', 'British Columbia', 'BC', '49.7002', '-123.156');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8C', 'Kitimat', 'British Columbia', 'BC', '54.0524', '-128.6534');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8E', 'Whistler', 'British Columbia', 'BC', '50.1182', '-122.954');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8G', 'Terrace', 'British Columbia', 'BC', '54.5163', '-128.6035');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8J', 'Prince Rupert', 'British Columbia', 'BC', '54.3161', '-130.3201');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8K', 'Saltspring Island', 'British Columbia', 'BC', '48.8138', '-123.4973');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8L', 'Sidney', 'British Columbia', 'BC', '48.6496', '-123.4026');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8M', 'Central Saanich', 'British Columbia', 'BC', '48.5663', '-123.4193');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8N', 'Saanich East', 'British Columbia', 'BC', '48.4765', '-123.3145');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8P', 'Saanich Southeast', 'British Columbia', 'BC', '48.4583', '-123.3325');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8R', 'Oak Bay North', 'British Columbia', 'BC', '48.4496', '-123.3026');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8S', 'Oak Bay South', 'British Columbia', 'BC', '48.42', '-123.3047');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8T', 'Victoria North', 'British Columbia', 'BC', '48.4392', '-123.3566');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8V', 'Victoria South', 'British Columbia', 'BC', '48.4167', '-123.365');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8W', 'Victoria Central British Columbia Provincial Government', 'British Columbia', 'BC', '48.4267', '-123.3655');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8X', 'Saanich South', 'British Columbia', 'BC', '48.4777', '-123.3658');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8Y', 'Saanich North', 'British Columbia', 'BC', '48.5247', '-123.3745');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V8Z', 'Saanich Central', 'British Columbia', 'BC', '48.4993', '-123.4003');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9A', 'Esquimalt', 'British Columbia', 'BC', '48.4496', '-123.4193');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9B', 'Highlands', 'British Columbia', 'BC', '48.4793', '-123.5271');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9C', 'Metchosin', 'British Columbia', 'BC', '48.3829', '-123.5359');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9E', 'Saanich West', 'British Columbia', 'BC', '48.5219', '-123.453');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9G', 'Ladysmith', 'British Columbia', 'BC', '48.9829', '-123.8194');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9H', 'Campbell River Outskirts', 'British Columbia', 'BC', '49.9088', '-125.5862');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9J', 'Courtenay Northern Outskirts', 'British Columbia', 'BC', '49.7242', '-125.2604');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9K', 'Qualicum Beach', 'British Columbia', 'BC', '49.3468', '-124.4361');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9L', 'Duncan', 'British Columbia', 'BC', '48.7829', '-123.7027');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9M', 'Comox', 'British Columbia', 'BC', '49.6829', '-124.9361');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9N', 'Courtenay Central', 'British Columbia', 'BC', '49.6585', '-124.9835');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9P', 'Parksville', 'British Columbia', 'BC', '49.3163', '-124.3194');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9R', 'Nanaimo South', 'British Columbia', 'BC', '49.1609', '-123.9825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9S', 'Nanaimo Central', 'British Columbia', 'BC', '49.1886', '-123.963');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9T', 'Nanaimo North', 'British Columbia', 'BC', '49.2146', '-124.02');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9V', 'Nanaimo Northwest', 'British Columbia', 'BC', '49.2391', '-124.0227');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9W', 'Campbell River Central', 'British Columbia', 'BC', '50.0769', '-125.5909');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9X', 'Cedar', 'British Columbia', 'BC', '49.0419', '-123.979');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9Y', 'Port Alberni', 'British Columbia', 'BC', '49.2413', '-124.8028');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('V9Z', 'Sooke', 'British Columbia', 'BC', '48.3746', '-123.7276');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R5K', 'Lorette', 'Manitoba', 'MB', '49.7392', '-96.8723');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0A', 'Southeastern Manitoba (Lorette)', 'Manitoba', 'MB', '49.2911', '-96.2985');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0B', 'Northern Manitoba (Norway House)', 'Manitoba', 'MB', '56.2701', '-96.9118');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0C', 'North Interlake (Stonewall)', 'Manitoba', 'MB', '51.4132', '-97.8525');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0E', 'Eastern Manitoba (Beausejour)', 'Manitoba', 'MB', '50.4751', '-95.961');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0G', 'South Central Manitoba (Altona)', 'Manitoba', 'MB', '49.4394', '-98.0869');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0H', 'South Interlake (MacGregor)', 'Manitoba', 'MB', '50.3458', '-98.5152');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0J', 'Riding Mountain (Neepawa)', 'Manitoba', 'MB', '50.5842', '-100.1345');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0K', 'Brandon Region (Killarney)', 'Manitoba', 'MB', '49.555', '-99.7154');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0L', 'Western Manitoba (Swan River)', 'Manitoba', 'MB', '52.0092', '-100.2901');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R0M', 'Southwestern Manitoba (Virden)', 'Manitoba', 'MB', '49.711', '-100.9263');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R1A', 'Selkirk', 'Manitoba', 'MB', '50.1436', '-96.8845');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R1B', 'Lockport', 'Manitoba', 'MB', '50.084', '-96.9353');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R1C', 'Narol', 'Manitoba', 'MB', '50.055', '-96.9781');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R1N', 'Portage la Prairie', 'Manitoba', 'MB', '49.9728', '-98.2926');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2C', 'Winnipeg (Transcona)', 'Manitoba', 'MB', '49.9247', '-96.9563');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2E', 'East St. Paul', 'Manitoba', 'MB', '49.9791', '-97.0128');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2G', 'Winnipeg (River East North)', 'Manitoba', 'MB', '49.9413', '-97.0571');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2H', 'Winnipeg (St. Boniface NW)', 'Manitoba', 'MB', '49.8846', '-97.1186');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2J', 'Winnipeg (St. Boniface NE)', 'Manitoba', 'MB', '49.8665', '-97.0633');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2K', 'Winnipeg (River East Central)', 'Manitoba', 'MB', '49.9203', '-97.083');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2L', 'Winnipeg (River East South)', 'Manitoba', 'MB', '49.9075', '-97.0996');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2M', 'Winnipeg (St. Vital North)', 'Manitoba', 'MB', '49.8396', '-97.1147');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2N', 'Winnipeg (St. Vital SW)', 'Manitoba', 'MB', '49.7838', '-97.0973');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2P', 'Winnipeg (Seven Oaks West)', 'Manitoba', 'MB', '49.9696', '-97.1554');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2R', 'Winnipeg (Inkster West)', 'Manitoba', 'MB', '49.9377', '-97.2162');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2V', 'Winnipeg (Seven Oaks East)', 'Manitoba', 'MB', '49.9548', '-97.1112');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2W', 'Winnipeg (Point Douglas East)', 'Manitoba', 'MB', '49.9195', '-97.1354');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2X', 'Winnipeg (Point Douglas West / Inkster East)', 'Manitoba', 'MB', '49.9322', '-97.1733');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R2Y', 'Winnipeg (St. James-Assiniboia NW)', 'Manitoba', 'MB', '49.9073', '-97.2945');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3A', 'Winnipeg (Centennial)', 'Manitoba', 'MB', '49.9038', '-97.1489');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3B', 'Winnipeg (Chinatown / Civic Centre / Exchange District)', 'Manitoba', 'MB', '49.898', '-97.1401');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3C', 'Winnipeg (Broadway / The Forks / Portage and Main) Manitoba Provincial Government', 'Manitoba', 'MB', '50.011', '-97.2184');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3E', 'Winnipeg (Sargent Park / Daniel McIntyre / Inkster SE)', 'Manitoba', 'MB', '49.9081', '-97.1779');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3G', 'Winnipeg (Minto / St. Mathews / Wolseley)', 'Manitoba', 'MB', '49.8876', '-97.1807');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3H', 'Winnipeg (St. James-Assiniboia NE / YWG)', 'Manitoba', 'MB', '49.9033', '-97.2074');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3J', 'Winnipeg (St. James-Assiniboia SE)', 'Manitoba', 'MB', '49.8966', '-97.2404');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3K', 'Winnipeg (St. James-Assiniboia SW)', 'Manitoba', 'MB', '49.8734', '-97.307');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3L', 'Winnipeg (River Heights East)', 'Manitoba', 'MB', '49.867', '-97.1356');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3M', 'Winnipeg (River Heights Central)', 'Manitoba', 'MB', '49.8625', '-97.1665');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3N', 'Winnipeg (River Heights West)', 'Manitoba', 'MB', '49.8629', '-97.1959');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3P', 'Winnipeg (Fort Garry NW / Tuxedo)', 'Manitoba', 'MB', '49.8425', '-97.2182');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3R', 'Winnipeg (Assiniboine South / Betsworth)', 'Manitoba', 'MB', '49.8546', '-97.2874');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3S', 'Winnipeg (Wilkes South)', 'Manitoba', 'MB', '49.8255', '-97.2934');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3T', 'Winnipeg (Fort Garry NE / University of Manitoba)', 'Manitoba', 'MB', '49.8143', '-97.1531');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3V', 'Winnipeg (Fort Garry South)', 'Manitoba', 'MB', '49.7462', '-97.1745');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3W', 'Winnipeg (Grassie / Pequis)', 'Manitoba', 'MB', '49.9141', '-97.0401');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3X', 'Winnipeg (St. Boniface South / St. Vital SE)', 'Manitoba', 'MB', '49.8209', '-97.0322');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R3Y', 'Winnipeg (Fort Garry West)', 'Manitoba', 'MB', '49.7885', '-97.2147');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R4A', 'West St. Paul', 'Manitoba', 'MB', '50.0211', '-97.1147');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R4G', 'Oak Bluff', 'Manitoba', 'MB', '49.7736', '-97.3221');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R4H', 'Headingley East', 'Manitoba', 'MB', '49.8761', '-97.3812');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R4J', 'Headingley West', 'Manitoba', 'MB', '49.8467', '-97.4319');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R4K', 'Cartier', 'Manitoba', 'MB', '49.8908', '-97.6004');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R4L', 'St. Francois Xavier', 'Manitoba', 'MB', '49.9372', '-97.5545');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R5A', 'St. Adolphe', 'Manitoba', 'MB', '49.712', '-97.0836');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R5G', 'Steinbach', 'Manitoba', 'MB', '49.5258', '-96.6845');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R5H', 'Ste. Anne', 'Manitoba', 'MB', '49.6697', '-96.65');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R6M', 'Morden', 'Manitoba', 'MB', '49.1919', '-98.1014');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R6W', 'Winkler', 'Manitoba', 'MB', '49.1817', '-97.941');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R7A', 'Brandon Southeast', 'Manitoba', 'MB', '49.8174', '-99.9565');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R7B', 'Brandon Southwest', 'Manitoba', 'MB', '49.842', '-99.9831');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R7C', 'Brandon North', 'Manitoba', 'MB', '49.8817', '-99.965');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R7N', 'Dauphin', 'Manitoba', 'MB', '51.1494', '-100.0502');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R8A', 'Flin Flon', 'Manitoba', 'MB', '54.7682', '-101.865');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R8N', 'Thompson', 'Manitoba', 'MB', '55.7435', '-97.8558');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('R9A', 'The Pas', 'Manitoba', 'MB', '53.704', '-101.2933');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1A', 'Dieppe Moncton East', 'New Brunswick', 'NB', '46.0967', '-64.7087');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1B', 'Riverview', 'New Brunswick', 'NB', '46.0545', '-64.816');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1C', 'Moncton Central', 'New Brunswick', 'NB', '46.0987', '-64.8036');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1E', 'Moncton West', 'New Brunswick', 'NB', '46.0771', '-64.8529');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1G', 'Moncton Northwest', 'New Brunswick', 'NB', '46.1797', '-64.9484');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1H', 'Lakeville, Shediac Bridge', 'New Brunswick', 'NB', '46.1732', '-64.6957');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1J', 'Coverdale', 'New Brunswick', 'NB', '45.9976', '-64.8483');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1N', 'Miramichi South', 'New Brunswick', 'NB', '46.9501', '-65.3239');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1V', 'Miramichi North', 'New Brunswick', 'NB', '47.1942', '-65.9381');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1W', 'Caraquet', 'New Brunswick', 'NB', '47.7941', '-64.9386');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E1X', 'Tracadie-Sheila', 'New Brunswick', 'NB', '47.5144', '-64.9181');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2A', 'Bathurst', 'New Brunswick', 'NB', '47.6181', '-65.6511');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2E', 'Rothesay, Quispamsis', 'New Brunswick', 'NB', '45.4137', '-65.982');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2G', 'Quispamsis', 'New Brunswick', 'NB', '45.4534', '-65.931');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2H', 'Saint John Northeast, Renforth', 'New Brunswick', 'NB', '45.35', '-66.0101');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2J', 'Saint John East', 'New Brunswick', 'NB', '45.2563', '-65.9432');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2K', 'Saint John North', 'New Brunswick', 'NB', '45.3053', '-66.0808');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2L', 'Saint John Central', 'New Brunswick', 'NB', '45.2717', '-66.0584');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2M', 'Saint John West', 'New Brunswick', 'NB', '45.2347', '-66.1749');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2N', 'Saint John Lakewood', 'New Brunswick', 'NB', '45.3176', '-65.9271');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2P', 'Saint John Red Head', 'New Brunswick', 'NB', '45.2426', '-65.9847');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2R', 'Saint John Grandview', 'New Brunswick', 'NB', '46.0368', '-66.0373');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2S', 'Saint John Loch Lomond', 'New Brunswick', 'NB', '45.3371', '-65.8133');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E2V', 'Oromocto', 'New Brunswick', 'NB', '45.8351', '-66.4792');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3A', 'Fredericton North', 'New Brunswick', 'NB', '46.0401', '-66.3862');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3B', 'Fredericton South New Brunswick Provincial Government', 'New Brunswick', 'NB', '45.8119', '-66.6763');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3C', 'Fredericton Southwest, New Maryland', 'New Brunswick', 'NB', '45.902', '-66.7057');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3E', 'Kingsclear', 'New Brunswick', 'NB', '45.8834', '-66.9156');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3G', 'Fredericton', 'New Brunswick', 'NB', '46.0546', '-66.7344');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3L', 'St. Stephen', 'New Brunswick', 'NB', '45.1804', '-67.2953');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3N', 'Campbellton', 'New Brunswick', 'NB', '48.0075', '-66.6727');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3V', 'Edmundston', 'New Brunswick', 'NB', '47.3737', '-68.3251');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3Y', 'Grand Falls Northeast', 'New Brunswick', 'NB', '47.1683', '-67.6207');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E3Z', 'Grand Falls Central', 'New Brunswick', 'NB', '46.9266', '-67.7466');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4A', 'Bathurst', 'New Brunswick', 'NB', '46.1599', '-65.8102');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4B', 'Minto', 'New Brunswick', 'NB', '46.0848', '-66.0622');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4C', 'Youngs Cove', 'New Brunswick', 'NB', '45.8693', '-65.9006');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4E', 'Sussex', 'New Brunswick', 'NB', '45.7227', '-65.5066');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4G', 'Smiths Creek', 'New Brunswick', 'NB', '45.8552', '-65.4795');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4H', 'Hillsborough', 'New Brunswick', 'NB', '45.9199', '-64.6552');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4J', 'Salisbury', 'New Brunswick', 'NB', '46.0391', '-65.0463');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4K', 'Dorchester', 'New Brunswick', 'NB', '45.9016', '-64.508');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4L', 'Sackville', 'New Brunswick', 'NB', '45.9188', '-64.3845');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4M', 'Bayfield', 'New Brunswick', 'NB', '46.0919', '-64.0173');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4N', 'Cap-Pelé', 'New Brunswick', 'NB', '46.2129', '-64.2784');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4P', 'Shediac', 'New Brunswick', 'NB', '46.2198', '-64.5411');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4R', 'Cocagne', 'New Brunswick', 'NB', '46.3324', '-64.6187');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4S', 'Bouctouche', 'New Brunswick', 'NB', '46.4684', '-64.739');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4T', 'Bass River', 'New Brunswick', 'NB', '46.3042', '-64.972');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4V', 'Saint-Antoine', 'New Brunswick', 'NB', '46.3629', '-64.7499');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4W', 'Richibucto', 'New Brunswick', 'NB', '46.6807', '-64.8804');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4X', 'St-Louis-de-Kent', 'New Brunswick', 'NB', '46.7401', '-64.9698');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4Y', 'Rogersville', 'New Brunswick', 'NB', '46.7345', '-65.427');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E4Z', 'Petitcodiac', 'New Brunswick', 'NB', '45.9394', '-65.1802');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5A', 'Moores Mills', 'New Brunswick', 'NB', '45.3705', '-67.1737');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5B', 'St. Andrews', 'New Brunswick', 'NB', '45.0845', '-67.0617');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5C', 'St. George', 'New Brunswick', 'NB', '45.1265', '-66.8314');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5E', 'Campobello Island', 'New Brunswick', 'NB', '44.8908', '-66.9318');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5G', 'Grand Manan Island', 'New Brunswick', 'NB', '44.6976', '-66.8065');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5H', 'Pennfield', 'New Brunswick', 'NB', '45.1168', '-66.6822');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5J', 'Lepreau', 'New Brunswick', 'NB', '45.1979', '-66.4308');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5K', 'Grand Bay-Westfield', 'New Brunswick', 'NB', '45.3407', '-66.2528');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5L', 'Fredericton Junction', 'New Brunswick', 'NB', '45.6604', '-66.6139');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5M', 'Gagetown', 'New Brunswick', 'NB', '45.7701', '-66.1617');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5N', 'Hampton', 'New Brunswick', 'NB', '45.5288', '-65.8535');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5P', 'Apohaqui', 'New Brunswick', 'NB', '45.7599', '-65.6704');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5R', 'St. Martins', 'New Brunswick', 'NB', '45.351', '-65.5457');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5S', 'Kingston', 'New Brunswick', 'NB', '45.4098', '-66.0932');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5T', 'Norton', 'New Brunswick', 'NB', '45.6508', '-65.7302');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E5V', 'Deer Island', 'New Brunswick', 'NB', '44.9862', '-66.9694');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E6A', 'Boiestown', 'New Brunswick', 'NB', '46.4558', '-66.4198');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E6B', 'Stanley', 'New Brunswick', 'NB', '46.3381', '-66.9058');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E6C', 'Durham Bridge', 'New Brunswick', 'NB', '46.1168', '-66.5989');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E6E', 'Millville', 'New Brunswick', 'NB', '46.1307', '-67.1962');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E6G', 'Nackawic', 'New Brunswick', 'NB', '45.9967', '-67.2403');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E6H', 'Canterbury', 'New Brunswick', 'NB', '45.8954', '-67.4678');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E6J', 'McAdam', 'New Brunswick', 'NB', '45.5923', '-67.307');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E6K', 'Harvey', 'New Brunswick', 'NB', '45.729', '-67.0064');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E6L', 'Burtts Corner', 'New Brunswick', 'NB', '45.9881', '-67.0338');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7A', 'Baker Brook', 'New Brunswick', 'NB', '47.3', '-68.7487');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7B', 'Saint-Jacques', 'New Brunswick', 'NB', '47.5655', '-68.3127');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7C', 'Saint-Basile', 'New Brunswick', 'NB', '47.6583', '-68.0684');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7E', 'Saint-Leonard', 'New Brunswick', 'NB', '47.173', '-67.9247');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7G', 'Plaster Rock', 'New Brunswick', 'NB', '46.9065', '-67.39');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7H', 'Perth-Andover', 'New Brunswick', 'NB', '46.7355', '-67.7039');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7J', 'Bath', 'New Brunswick', 'NB', '46.5807', '-67.5911');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7K', 'Centreville', 'New Brunswick', 'NB', '46.3982', '-67.7174');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7L', 'Florenceville', 'New Brunswick', 'NB', '46.5528', '-67.305');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7M', 'Woodstock', 'New Brunswick', 'NB', '46.158', '-67.5838');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7N', 'Debec', 'New Brunswick', 'NB', '46.0555', '-67.5839');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E7P', 'Hartland', 'New Brunswick', 'NB', '46.2999', '-67.5167');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8A', 'Saint-Quentin', 'New Brunswick', 'NB', '47.5133', '-67.3929');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8B', 'Kedgwick', 'New Brunswick', 'NB', '47.6446', '-67.3434');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8C', 'Dalhousie', 'New Brunswick', 'NB', '48.055', '-66.3847');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8E', 'Balmoral', 'New Brunswick', 'NB', '47.679', '-66.4342');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8G', 'Belledune', 'New Brunswick', 'NB', '47.8023', '-66.1243');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8J', 'Petit-Rocher', 'New Brunswick', 'NB', '47.7941', '-65.8219');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8K', 'Beresford', 'New Brunswick', 'NB', '47.6913', '-65.6989');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8L', 'Allardville', 'New Brunswick', 'NB', '47.475', '-65.495');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8M', 'Saint-Isidore', 'New Brunswick', 'NB', '47.5765', '-65.1379');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8N', 'Grande-Anse', 'New Brunswick', 'NB', '47.8078', '-65.1945');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8P', 'Inkerman', 'New Brunswick', 'NB', '47.6672', '-64.8248');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8R', 'Paquetville', 'New Brunswick', 'NB', '47.6383', '-65.1709');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8S', 'Shippagan', 'New Brunswick', 'NB', '47.7287', '-64.7247');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E8T', 'Lamèque', 'New Brunswick', 'NB', '47.7936', '-64.6475');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E9A', 'Baie-Sainte-Anne', 'New Brunswick', 'NB', '47.0188', '-64.92');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E9B', 'Blackville', 'New Brunswick', 'NB', '46.7398', '-65.8319');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E9C', 'Doaktown', 'New Brunswick', 'NB', '46.557', '-66.1257');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E9E', 'Red Bank', 'New Brunswick', 'NB', '46.8486', '-65.6772');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E9G', 'Neguac', 'New Brunswick', 'NB', '47.2489', '-65.0741');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('E9H', 'Brantville', 'New Brunswick', 'NB', '47.3528', '-65.0538');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0A', 'Southeastern Avalon Peninsula (Ferryland)', 'Newfoundland and Labrador', 'NL', '47.2195', '-53.1448');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0B', 'Western Avalon Peninsula (Argentia)', 'Newfoundland and Labrador', 'NL', '47.327', '-53.6609');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0C', 'Bonavista Peninsula (Bonavista)', 'Newfoundland and Labrador', 'NL', '48.3843', '-53.9081');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0E', 'Burin Peninsula (Marystown)', 'Newfoundland and Labrador', 'NL', '47.5607', '-54.7801');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0G', 'Northeast Newfoundland (Lewisporte)', 'Newfoundland and Labrador', 'NL', '48.8657', '-54.7296');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0H', 'Central Newfoundland (Bishops Falls)', 'Newfoundland and Labrador', 'NL', '48.4311', '-56.1758');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0J', 'Northern Newfoundland (Springdale)', 'Newfoundland and Labrador', 'NL', '49.5067', '-56.2616');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0K', 'Northwest Newfoundland/Eastern Labrador (Mary''s Harbour)', 'Newfoundland and Labrador', 'NL', '52.7359', '-57.9825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0L', 'Western Newfoundland (Lark Harbour)', 'Newfoundland and Labrador', 'NL', '48.9445', '-58.0645');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0M', 'Southwestern Newfoundland (Channel-Port aux Basques)', 'Newfoundland and Labrador', 'NL', '47.8037', '-58.3869');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0N', 'Port au Port Peninsula region (St. George''s)', 'Newfoundland and Labrador', 'NL', '48.0868', '-57.8231');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0P', 'Central Labrador (Happy Valley-Goose Bay)', 'Newfoundland and Labrador', 'NL', '54.9549', '-61.6024');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A0R', 'North/Western Labrador (Churchill Falls)', 'Newfoundland and Labrador', 'NL', '53.54', '-65.112');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1A', 'St. John''s North', 'Newfoundland and Labrador', 'NL', '47.5986', '-52.6926');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1B', 'St. John''s Northwest Newfoundland & Labrador Provincial Government', 'Newfoundland and Labrador', 'NL', '47.5698', '-52.7796');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1C', 'St. John''s North Central', 'Newfoundland and Labrador', 'NL', '47.5124', '-52.6729');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1E', 'St. John''s Central', 'Newfoundland and Labrador', 'NL', '47.5334', '-52.7595');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1G', 'St. John''s South', 'Newfoundland and Labrador', 'NL', '47.506', '-52.7603');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1H', 'St. John''s Southwest', 'Newfoundland and Labrador', 'NL', '47.483', '-52.8415');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1K', 'Torbay', 'Newfoundland and Labrador', 'NL', '47.6666', '-52.7313');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1L', 'Paradise', 'Newfoundland and Labrador', 'NL', '47.5291', '-52.8814');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1M', 'Portugal Cove-St. Philips', 'Newfoundland and Labrador', 'NL', '47.6207', '-52.8318');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1N', 'Mount Pearl', 'Newfoundland and Labrador', 'NL', '47.5194', '-52.8122');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1S', 'Goulds', 'Newfoundland and Labrador', 'NL', '47.4212', '-52.8077');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1V', 'Gander', 'Newfoundland and Labrador', 'NL', '48.9682', '-54.5906');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1W', 'Manuels', 'Newfoundland and Labrador', 'NL', '47.5096', '-52.9447');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1X', 'Conception Bay', 'Newfoundland and Labrador', 'NL', '47.4999', '-52.9981');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A1Y', 'Carbonear', 'Newfoundland and Labrador', 'NL', '47.7113', '-53.2953');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A2A', 'Grand Falls', 'Newfoundland and Labrador', 'NL', '48.9332', '-55.6649');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A2B', 'Windsor', 'Newfoundland and Labrador', 'NL', '48.9499', '-55.6649');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A2H', 'Corner Brook', 'Newfoundland and Labrador', 'NL', '48.9156', '-57.797');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A2N', 'Stephenville', 'Newfoundland and Labrador', 'NL', '48.55', '-58.5818');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A2V', 'Labrador City', 'Newfoundland and Labrador', 'NL', '52.9517', '-66.9328');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A5A', 'Clarenville', 'Newfoundland and Labrador', 'NL', '48.1666', '-53.9648');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('A8A', 'Deer Lake', 'Newfoundland and Labrador', 'NL', '49.1667', '-57.4316');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0C', 'North Victoria County (Dingwall)', 'Nova Scotia', 'NS', '46.6482', '-60.5396');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0E', 'West Cape Breton Island (Baddeck)', 'Nova Scotia', 'NS', '46.1133', '-61.0251');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0H', 'Canso region (Havre Boucher)', 'Nova Scotia', 'NS', '45.3335', '-61.8333');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0J', 'Mainland east shore (Lunenburg)', 'Nova Scotia', 'NS', '44.9419', '-62.6471');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0K', 'Southern Northumberland Strait (Pictou)', 'Nova Scotia', 'NS', '45.6138', '-62.9506');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0L', 'Isthmus of Chignecto (River Hébert)', 'Nova Scotia', 'NS', '45.6908', '-64.3641');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0M', 'Cobequid Bay north shore (Springhill)', 'Nova Scotia', 'NS', '45.5354', '-64.0393');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0N', 'Hants County (Shubenacadie)', 'Nova Scotia', 'NS', '45.0963', '-63.4701');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0P', 'Kings County (Kingston)', 'Nova Scotia', 'NS', '45.0328', '-64.6566');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0R', 'West Lunenburg County (New Germany)', 'Nova Scotia', 'NS', '44.6003', '-64.7443');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0S', 'West Annapolis County (Middleton)', 'Nova Scotia', 'NS', '44.6861', '-65.3002');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0T', 'Queens County (Shelburne)', 'Nova Scotia', 'NS', '44.0802', '-65.1175');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0V', 'Digby Neck (Digby)', 'Nova Scotia', 'NS', '44.5342', '-65.7783');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B0W', 'Southwest Mainland (Weymouth)', 'Nova Scotia', 'NS', '44.0486', '-65.7547');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1A', 'Glace Bay', 'Nova Scotia', 'NS', '46.197', '-59.957');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1B', 'Port Morien', 'Nova Scotia', 'NS', '46.1174', '-59.9144');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1C', 'Louisbourg', 'Nova Scotia', 'NS', '45.9485', '-59.9737');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1E', 'Reserve Mines', 'Nova Scotia', 'NS', '46.1845', '-60.0166');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1G', 'Dominion', 'Nova Scotia', 'NS', '46.2168', '-60.0151');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1H', 'New Waterford', 'Nova Scotia', 'NS', '46.2501', '-60.0817');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1J', 'East Bay', 'Nova Scotia', 'NS', '45.9834', '-60.3652');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1K', 'Marion Bridge', 'Nova Scotia', 'NS', '45.9668', '-60.2318');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1L', 'Sydney Southwest', 'Nova Scotia', 'NS', '46.0627', '-60.2045');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1M', 'Sydney East', 'Nova Scotia', 'NS', '46.127', '-60.0696');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1N', 'Sydney North', 'Nova Scotia', 'NS', '46.1975', '-60.1559');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1P', 'Sydney North Central', 'Nova Scotia', 'NS', '46.1341', '-60.1749');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1R', 'Sydney West', 'Nova Scotia', 'NS', '46.1284', '-60.2915');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1S', 'Sydney Central', 'Nova Scotia', 'NS', '46.1109', '-60.2092');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1T', 'Christmas Island', 'Nova Scotia', 'NS', '45.9668', '-60.7152');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1V', 'North Sydney North', 'Nova Scotia', 'NS', '46.2437', '-60.2313');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1W', 'Eskasoni', 'Nova Scotia', 'NS', '45.9328', '-60.6438');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1X', 'Big Bras d''Or', 'Nova Scotia', 'NS', '46.2904', '-60.47');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B1Y', 'Alder Point', 'Nova Scotia', 'NS', '46.2538', '-60.3566');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2A', 'North Sydney South Central', 'Nova Scotia', 'NS', '46.1169', '-60.3769');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2C', 'Iona', 'Nova Scotia', 'NS', '45.9948', '-60.8421');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2E', 'Loch Lomond', 'Nova Scotia', 'NS', '45.7501', '-60.6152');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2G', 'Antigonish', 'Nova Scotia', 'NS', '45.6168', '-61.9986');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2H', 'New Glasgow', 'Nova Scotia', 'NS', '45.5834', '-62.6486');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2J', 'Fourchu', 'Nova Scotia', 'NS', '45.707', '-60.4665');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2N', 'Truro', 'Nova Scotia', 'NS', '45.3668', '-63.2654');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2R', 'Waverley', 'Nova Scotia', 'NS', '44.7599', '-63.5525');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2S', 'Lantz', 'Nova Scotia', 'NS', '45.0209', '-63.5344');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2T', 'Enfield', 'Nova Scotia', 'NS', '44.8749', '-63.4689');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2V', 'Dartmouth Morris Lake', 'Nova Scotia', 'NS', '44.6529', '-63.4777');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2W', 'Dartmouth East Central', 'Nova Scotia', 'NS', '44.6752', '-63.5077');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2X', 'Dartmouth North Central', 'Nova Scotia', 'NS', '44.702', '-63.533');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2Y', 'Dartmouth South Central', 'Nova Scotia', 'NS', '44.6645', '-63.5453');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B2Z', 'Dartmouth East', 'Nova Scotia', 'NS', '44.7227', '-63.4223');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3A', 'Dartmouth Southwest', 'Nova Scotia', 'NS', '44.6819', '-63.5768');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3B', 'Dartmouth Northwest', 'Nova Scotia', 'NS', '44.7091', '-63.5869');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3E', 'Porters Lake', 'Nova Scotia', 'NS', '44.7722', '-63.3361');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3G', 'Eastern Passage', 'Nova Scotia', 'NS', '44.6169', '-63.482');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3H', 'Halifax Lower Harbour', 'Nova Scotia', 'NS', '44.6344', '-63.5822');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3J', 'Halifax Mid-Harbour Nova Scotia Provincial Government', 'Nova Scotia', 'NS', '44.6451', '-63.5762');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3K', 'Halifax Upper Harbour', 'Nova Scotia', 'NS', '44.662', '-63.6017');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3L', 'Halifax Central', 'Nova Scotia', 'NS', '44.6508', '-63.6146');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3M', 'Halifax Bedford Basin', 'Nova Scotia', 'NS', '44.6784', '-63.6582');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3N', 'Halifax South Central', 'Nova Scotia', 'NS', '44.631', '-63.6405');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3P', 'Halifax North West Arm', 'Nova Scotia', 'NS', '44.6139', '-63.5946');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3R', 'Halifax South', 'Nova Scotia', 'NS', '44.5939', '-63.6031');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3S', 'Halifax West', 'Nova Scotia', 'NS', '44.6533', '-63.6675');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3T', 'Lakeside', 'Nova Scotia', 'NS', '44.5683', '-63.7306');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3V', 'Harrietsfield', 'Nova Scotia', 'NS', '44.5199', '-63.6064');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B3Z', 'Tantallon', 'Nova Scotia', 'NS', '44.6386', '-63.8687');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4A', 'Bedford Southeast', 'Nova Scotia', 'NS', '44.7232', '-63.656');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4B', 'Bedford Northwest', 'Nova Scotia', 'NS', '44.7509', '-63.7711');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4C', 'Lower Sackville South', 'Nova Scotia', 'NS', '44.7607', '-63.637');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4E', 'Lower Sackville West', 'Nova Scotia', 'NS', '44.8163', '-63.7387');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4G', 'Lower Sackville North', 'Nova Scotia', 'NS', '44.8814', '-63.6798');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4H', 'Amherst', 'Nova Scotia', 'NS', '45.8335', '-64.1987');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4N', 'Kentville', 'Nova Scotia', 'NS', '45.0834', '-64.4988');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4P', 'Wolfville', 'Nova Scotia', 'NS', '45.0834', '-64.3655');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4R', 'Coldbrook', 'Nova Scotia', 'NS', '45.0668', '-64.5821');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B4V', 'Bridgewater', 'Nova Scotia', 'NS', '44.3835', '-64.5155');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B5A', 'Yarmouth', 'Nova Scotia', 'NS', '43.8335', '-66.1156');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B6L', 'Truro', 'Nova Scotia', 'NS', '45.4093', '-63.2114');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('B9A', 'Port Hawkesbury', 'Nova Scotia', 'NS', '45.6168', '-61.3485');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('X0E', 'Central Northwest Territories (Inuvik)', 'Northwest Territory', 'NT', '66.8714', '-120.225');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('X0G', 'Southwestern Northwest Territories (Fort Liard)', 'Northwest Territory', 'NT', '60.2563', '-123.3826');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('X1A', 'Yellowknife', 'Northwest Territory', 'NT', '62.456', '-114.3525');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('X0A', 'Outer Nunavut (Iqaluit)', 'Nunavut Territory', 'NU', '79.6218', '-76.7765');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('X0B', 'Central Nunavut (Cambridge Bay)', 'Nunavut Territory', 'NU', '70.9072', '-106.9604');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('X0C', 'Inner Nunavut (Rankin Inlet)', 'Nunavut Territory', 'NU', '64.1647', '-94.7724');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0R', 'Algoma Southwest (Blind River)', 'Ontario', 'ON', '46.5984', '-83.0385');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3P', 'Brantford Northeast', 'Ontario', 'ON', '43.1818', '-80.2367');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3R', 'Brantford Central', 'Ontario', 'ON', '43.1692', '-80.2684');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3S', 'Brantford Southeast', 'Ontario', 'ON', '43.1394', '-80.2357');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3T', 'Brantford Southwest', 'Ontario', 'ON', '43.131', '-80.3254');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3V', 'Brantford Northwest', 'Ontario', 'ON', '43.1734', '-80.298');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0N', 'Dufferin County (Shelburne)', 'Ontario', 'ON', '44.0317', '-80.2068');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0H', 'Frontenac County, Addington County, Loyalist Shores and Southwest Leeds (Inverary)', 'Ontario', 'ON', '44.7208', '-76.8334');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0P', 'Halton Regional Municipality (Campbellville)', 'Ontario', 'ON', '43.4906', '-79.9998');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9E', 'Milton', 'Ontario', 'ON', '43.5168', '-79.8829');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8E', 'Hamilton (Confederation Park / Nashdale / East Kentley / Riverdale / Lakely / Grayside / North Stoney Creek)', 'Ontario', 'ON', '43.2245', '-79.6988');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8G', 'Hamilton (Greenford / North Gershome / West Stoney Creek)', 'Ontario', 'ON', '43.2164', '-79.7423');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8H', 'Hamilton (West Kentley / McQuesten / Parkview / Hamilton Beach / East Industrial Sector / Normanhurst / Homeside / East Crown Point)', 'Ontario', 'ON', '43.2596', '-79.7925');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8J', 'Hamilton (East Albion Falls / South Stoney Creek)', 'Ontario', 'ON', '43.1836', '-79.721');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8K', 'Hamilton (East Delta / Bartonville / Glenview / Rosedale / Lower King''s Forest / Red Hill / Corman / Vincent / South Gershome)', 'Ontario', 'ON', '43.2211', '-79.7994');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8L', 'Hamilton (West Industrial Sector / West Crown Point / North Stipley / North Gibson / Landsdale / Keith / North End / Beasley)', 'Ontario', 'ON', '43.2783', '-79.8344');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8M', 'Hamilton (West Delta / Blakeley / South Stipley / South Gibson / St. Clair)', 'Ontario', 'ON', '43.2441', '-79.8359');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8N', 'Hamilton (Stinson / Corktown)', 'Ontario', 'ON', '43.4017', '-80.017');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8P', 'Hamilton (Durand / Kirkendall / Chedoke Park)', 'Ontario', 'ON', '43.2514', '-79.8925');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8R', 'Hamilton (Central / Strathcona / South Dundurn)', 'Ontario', 'ON', '43.2726', '-79.8792');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8S', 'Hamilton (Westdale / Cootes Paradise / Ainslie Wood)', 'Ontario', 'ON', '43.2606', '-79.9161');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8T', 'Hamilton (Sherwood / Huntington / Upper King''s Forest / Lisgar / Berrisfield / Hampton Heights / Sunninghill)', 'Ontario', 'ON', '43.2199', '-79.8286');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8V', 'Hamilton (Raleigh / Macassa / Lawfield / Thorner / Burkholme / Eastmount)', 'Ontario', 'ON', '43.2266', '-79.8499');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8W', 'Hamilton (West Albion Falls / Hannon / Rymal / Trenholme / Quinndale / Templemead / Broughton / Eleanor / Randall / Rushdale / Butler / East Chappel)', 'Ontario', 'ON', '43.1958', '-79.8458');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9A', 'Hamilton (Crerar / Bruleville / Hill Park / Inch Park / Centremount / Balfour / Greeningdon / Jerome)', 'Ontario', 'ON', '43.2271', '-79.871');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9B', 'Hamilton (Barnstown / West Chappel / Allison / Ryckmans / Mewburn / Sheldon / Falkirk / Carpenter / Kennedy / Southwest Outskirts)', 'Ontario', 'ON', '43.2055', '-79.9004');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9C', 'Hamilton (Southam / Bonnington / Yeoville / Kernighan / Gourley / Rolston / Buchanan / Mohawk / Westcliffe / Gilbert / Gilkson / Gurnett / Fessenden / Mountview)', 'Ontario', 'ON', '43.2313', '-79.9049');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0L', 'Peterborough County and North Hastings County (Lakefield)', 'Ontario', 'ON', '44.7767', '-77.9687');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0J', 'Renfrew County and Lanark Highlands Township (Deep River)', 'Ontario', 'ON', '45.6606', '-77.5886');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M3K', 'Downsview East (CFB Toronto)', 'Ontario', 'ON', '43.739', '-79.4692');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4E', 'East Toronto (The Beaches)', 'Ontario', 'ON', '43.6784', '-79.2941');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4J', 'East Toronto (The Danforth East)', 'Ontario', 'ON', '43.6872', '-79.3368');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4K', 'East Toronto (The Danforth West / Riverdale)', 'Ontario', 'ON', '43.6803', '-79.3538');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4L', 'East Toronto (India Bazaar / The Beaches West)', 'Ontario', 'ON', '43.6693', '-79.3155');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4M', 'East Toronto (Studio District)', 'Ontario', 'ON', '43.6561', '-79.3406');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4N', 'Central Toronto (Lawrence Park East)', 'Ontario', 'ON', '43.7301', '-79.3935');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4P', 'Central Toronto (Davisville North)', 'Ontario', 'ON', '43.7135', '-79.3887');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4R', 'Central Toronto (North Toronto West)', 'Ontario', 'ON', '43.7143', '-79.4065');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4S', 'Central Toronto (Davisville)', 'Ontario', 'ON', '43.702', '-79.3853');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4T', 'Central Toronto (Moore Park / Summerhill East)', 'Ontario', 'ON', '43.6899', '-79.3853');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4V', 'Central Toronto (Summerhill West / Rathnelly / South Hill / Forest Hill SE / Deer Park)', 'Ontario', 'ON', '43.6861', '-79.4025');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4W', 'Downtown Toronto (Rosedale)', 'Ontario', 'ON', '43.6827', '-79.373');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4X', 'Downtown Toronto (St. James Town / Cabbagetown)', 'Ontario', 'ON', '43.6684', '-79.3689');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4Y', 'Downtown Toronto (Church and Wellesley)', 'Ontario', 'ON', '43.6656', '-79.383');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5A', 'Toronto', 'Ontario', 'ON', '43.6555', '-79.3626');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5B', 'Downtown Toronto (Ryerson)', 'Ontario', 'ON', '43.6572', '-79.3783');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5C', 'Downtown Toronto (St. James Park)', 'Ontario', 'ON', '43.6513', '-79.3756');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5E', 'Downtown Toronto (Berczy Park)', 'Ontario', 'ON', '43.6456', '-79.3754');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5G', 'Downtown Toronto (Central Bay Street)', 'Ontario', 'ON', '43.6564', '-79.386');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5H', 'Downtown Toronto (Richmond / Adelaide / King)', 'Ontario', 'ON', '43.6496', '-79.3833');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5J', 'Downtown Toronto (Harbourfront East / Union Station / Toronto Island)', 'Ontario', 'ON', '43.623', '-79.3936');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5K', 'Downtown Toronto (Toronto Dominion Centre / Design Exchange)', 'Ontario', 'ON', '43.6469', '-79.3823');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5L', 'Downtown Toronto (Commerce Court / Victoria Hotel)', 'Ontario', 'ON', '43.6492', '-79.3823');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5N', 'Central Toronto (Roselawn)', 'Ontario', 'ON', '43.7113', '-79.4195');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5P', 'Central Toronto (Forest Hill North & West)', 'Ontario', 'ON', '43.6966', '-79.412');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5R', 'Central Toronto (The Annex / North Midtown / Yorkville)', 'Ontario', 'ON', '43.6736', '-79.4035');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5S', 'Downtown Toronto (University of Toronto / Harbord)', 'Ontario', 'ON', '43.6629', '-79.3987');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5T', 'Downtown Toronto (Kensington Market / Chinatown / Grange Park)', 'Ontario', 'ON', '43.6541', '-79.3978');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5V', 'Downtown Toronto (CN Tower / King and Spadina / Railway Lands / Harbourfront West / Bathurst Quay / South Niagara / YTZ)', 'Ontario', 'ON', '43.6404', '-79.3995');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5W', 'Downtown Toronto Stn A PO Boxes 25 The Esplanade (Enclave of M5E)', 'Ontario', 'ON', '43.6437', '-79.3787');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5X', 'Downtown Toronto (Underground city)', 'Ontario', 'ON', '43.6492', '-79.3823');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6G', 'Downtown Toronto (Christie)', 'Ontario', 'ON', '43.6683', '-79.4205');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6H', 'West Toronto (Dufferin / Dovercourt Village)', 'Ontario', 'ON', '43.6655', '-79.4378');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6J', 'West Toronto (Rua Aþores / Trinity)', 'Ontario', 'ON', '43.648', '-79.4177');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6K', 'West Toronto (Brockton / Parkdale Village / Exhibition Place)', 'Ontario', 'ON', '43.6383', '-79.4301');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6P', 'West Toronto (High Park / The Junction South)', 'Ontario', 'ON', '43.6605', '-79.4633');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6R', 'West Toronto (Parkdale / Roncesvalles Village)', 'Ontario', 'ON', '43.6469', '-79.4521');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6S', 'West Toronto (Bloor West Village / Swansea)', 'Ontario', 'ON', '43.6512', '-79.4828');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M7Y', 'East Toronto Business Reply Mail Processing Centre 969 Eastern (Enclave of M4L)', 'Ontario', 'ON', '43.7804', '-79.2505');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M8V', 'Etobicoke (New Toronto / Mimico South / Humber Bay Shores)', 'Ontario', 'ON', '43.6075', '-79.5013');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1A', 'Government of Canada Ottawa and Gatineau offices', 'Ontario', 'ON', '45.4207', '-75.7023');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1G', 'Ottawa (Riverview / Hawthorne)', 'Ontario', 'ON', '45.3548', '-75.5773');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1H', 'Ottawa (Alta Vista)', 'Ontario', 'ON', '45.3876', '-75.6593');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1K', 'Ottawa (Overbrook)', 'Ontario', 'ON', '45.4448', '-75.6431');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1L', 'Ottawa (Vanier)', 'Ontario', 'ON', '45.44', '-75.663');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1M', 'Ottawa (Rockcliffe Park / New Edinburgh)', 'Ontario', 'ON', '45.4491', '-75.6818');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1N', 'Ottawa (Lower Town / Sandy Hill / University of Ottawa)', 'Ontario', 'ON', '45.4289', '-75.6844');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1P', 'Ottawa (Parliament Hill)', 'Ontario', 'ON', '45.4225', '-75.7026');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1R', 'Ottawa (West Downtown area)', 'Ontario', 'ON', '45.4123', '-75.7108');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1S', 'Ottawa (The Glebe / Ottawa South / Ottawa East)', 'Ontario', 'ON', '45.399', '-75.6871');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1V', 'Ottawa (Riverside Park / Hunt Club West / Riverside South / YOW)', 'Ontario', 'ON', '45.3281', '-75.6719');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1Y', 'Ottawa West', 'Ontario', 'ON', '45.4023', '-75.7329');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1Z', 'Ottawa (Westboro)', 'Ontario', 'ON', '45.3867', '-75.7405');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2A', 'Ottawa (Highland Park / Carlingwood)', 'Ontario', 'ON', '45.3805', '-75.7636');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2B', 'Ottawa (Britannia / Pinecrest)', 'Ontario', 'ON', '45.3645', '-75.7934');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2C', 'Ottawa (Queensway / Copeland / Carlington / Carleton Heights)', 'Ontario', 'ON', '45.3679', '-75.7381');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2P', 'Ottawa (Centre Town)', 'Ontario', 'ON', '45.4166', '-75.6904');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0A', 'National Capital Region (Almonte)', 'Ontario', 'ON', '45.2557', '-76.2754');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0B', 'Prescott and Russell United Counties (Alfred)', 'Ontario', 'ON', '45.5029', '-74.7479');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0C', 'Stormont, Dundas and Glengarry United Counties (Alexandria)', 'Ontario', 'ON', '45.1686', '-74.8966');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0E', 'South Leeds and Grenville United Counties (Prescott)', 'Ontario', 'ON', '44.8734', '-75.4416');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0G', 'Rideau Lakes area (Kemptville)', 'Ontario', 'ON', '45.0466', '-76.4757');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0K', 'Quinte Shores, East Northumberland County & Prince Edward County (Picton)', 'Ontario', 'ON', '44.3261', '-77.4318');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K0M', 'Kawartha lakes and Haliburton County (Bobcaygeon)', 'Ontario', 'ON', '44.8645', '-78.6553');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1B', 'Gloucester (Blackburn Hamlet / Pine View)', 'Ontario', 'ON', '45.4284', '-75.5875');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1C', 'Gloucester (West Orleans)', 'Ontario', 'ON', '45.4677', '-75.5399');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1E', 'Orleans (Queenswood)', 'Ontario', 'ON', '45.4771', '-75.5046');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1J', 'Gloucester (Beacon Hill / Cyrville)', 'Ontario', 'ON', '45.4519', '-75.6036');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1T', 'Gloucester (Blossom Park / Hunt Club East / Leitrim)', 'Ontario', 'ON', '45.3295', '-75.6156');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1W', 'Gloucester (South Orleans)', 'Ontario', 'ON', '45.4365', '-75.5158');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K1X', 'Gloucester South', 'Ontario', 'ON', '45.2756', '-75.6283');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2E', 'Nepean East', 'Ontario', 'ON', '45.3438', '-75.7157');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2G', 'Nepean (Davidson Heights)', 'Ontario', 'ON', '45.3211', '-75.7391');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2H', 'Nepean (Bells Corners)', 'Ontario', 'ON', '45.3433', '-75.8265');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2J', 'Nepean (Barrhaven)', 'Ontario', 'ON', '45.2691', '-75.7518');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2K', 'Kanata (Beaverbrook / South March)', 'Ontario', 'ON', '45.3704', '-75.9198');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2L', 'Kanata (Katimavik-Hazeldean / Glen Cairn)', 'Ontario', 'ON', '45.3001', '-75.9244');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2M', 'Kanata (Bridlewood)', 'Ontario', 'ON', '45.2861', '-75.8562');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2R', 'Nepean (Fallowfield Village / Cedarhill Estates / Orchard Estates)', 'Ontario', 'ON', '45.2899', '-75.8126');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2S', 'Stittsville', 'Ontario', 'ON', '45.2501', '-75.9161');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2T', 'Kanata (Marchwood)', 'Ontario', 'ON', '45.317', '-75.9367');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2V', 'Kanata (Terry Fox / Palladium)', 'Ontario', 'ON', '45.2854', '-75.8928');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K2W', 'Kanata (North March)', 'Ontario', 'ON', '45.3699', '-75.9887');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K4A', 'Orleans (Fallingbrook)', 'Ontario', 'ON', '45.4697', '-75.4715');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K4B', 'Cumberland Township', 'Ontario', 'ON', '45.4101', '-75.3638');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K4C', 'Cumberland', 'Ontario', 'ON', '45.498', '-75.3916');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K4K', 'Rockland', 'Ontario', 'ON', '45.5501', '-75.291');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K4M', 'Manotick', 'Ontario', 'ON', '45.2154', '-75.6528');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K4P', 'Greely', 'Ontario', 'ON', '45.2434', '-75.5674');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K4R', 'Russell', 'Ontario', 'ON', '45.2388', '-75.3527');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K6A', 'Hawkesbury', 'Ontario', 'ON', '45.6001', '-74.616');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K6H', 'Cornwall East', 'Ontario', 'ON', '45.0565', '-74.6852');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K6J', 'Cornwall West', 'Ontario', 'ON', '45.0223', '-74.7569');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K6K', 'Cornwall North', 'Ontario', 'ON', '45.061', '-74.7774');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K6T', 'Elizabethtown', 'Ontario', 'ON', '44.6301', '-75.7448');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K6V', 'Brockville', 'Ontario', 'ON', '44.6573', '-75.7146');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7A', 'Smiths Falls', 'Ontario', 'ON', '44.9001', '-76.0161');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7C', 'Carleton Place', 'Ontario', 'ON', '45.1334', '-76.1494');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7G', 'Gananoque', 'Ontario', 'ON', '44.3334', '-76.1661');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7H', 'Perth', 'Ontario', 'ON', '44.9001', '-76.2494');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7K', 'Kingston (SW Pittsburgh Township)', 'Ontario', 'ON', '44.2569', '-76.4717');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7L', 'Kingston (Downtown)', 'Ontario', 'ON', '44.2955', '-76.428');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7M', 'Kingston (Reddendale / Cataraqui / Collins Bay)', 'Ontario', 'ON', '44.2411', '-76.5788');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7N', 'Amherstview', 'Ontario', 'ON', '44.2224', '-76.65');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7P', 'Kingston (Westbrook / Cataraqui Woods / Cedarwood)', 'Ontario', 'ON', '44.2814', '-76.6111');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7R', 'Napanee', 'Ontario', 'ON', '44.2501', '-76.9494');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7S', 'Arnprior', 'Ontario', 'ON', '45.4334', '-76.3494');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K7V', 'Renfrew', 'Ontario', 'ON', '45.4668', '-76.6827');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K8A', 'Pembroke Central and northern subdivisions', 'Ontario', 'ON', '45.7466', '-77.2047');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K8B', 'Pembroke (Pleasant View / Fairview)', 'Ontario', 'ON', '45.808', '-77.0806');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K8H', 'Petawawa', 'Ontario', 'ON', '45.8945', '-77.2801');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K8N', 'Belleville East', 'Ontario', 'ON', '44.1735', '-77.3684');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K8P', 'Belleville West', 'Ontario', 'ON', '44.1665', '-77.4037');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K8R', 'Belleville (SE Sidney Township / Avondale)', 'Ontario', 'ON', '44.1399', '-77.4683');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K8V', 'Trenton', 'Ontario', 'ON', '44.0992', '-77.5776');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K9A', 'Cobourg', 'Ontario', 'ON', '43.9598', '-78.1651');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K9H', 'Peterborough North', 'Ontario', 'ON', '44.3245', '-78.3184');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K9J', 'Peterborough South', 'Ontario', 'ON', '44.3104', '-78.2396');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K9K', 'Peterborough (Fairbairn Meadows / Jackson Heights)', 'Ontario', 'ON', '44.3138', '-78.3606');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K9L', 'Peterborough (Terra View Heights / Woodland Acres / Donwood)', 'Ontario', 'ON', '44.3552', '-78.3199');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('K9V', 'Lindsay', 'Ontario', 'ON', '44.3501', '-78.7329');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0A', 'West Northumberland County (Millbrook)', 'Ontario', 'ON', '44.1263', '-78.5193');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0B', 'East Durham Regional Municipality (Orono)', 'Ontario', 'ON', '44.0773', '-78.7465');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0C', 'West Durham Regional Municipality (Sunderland)', 'Ontario', 'ON', '44.2094', '-79.0725');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0E', 'Lake Simcoe Southeast Shore (Sutton West)', 'Ontario', 'ON', '44.3199', '-79.2778');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0G', 'Ontario Centre (Queensville)', 'Ontario', 'ON', '44.0586', '-79.6235');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0H', 'Whitby Region (Gormley)', 'Ontario', 'ON', '43.9023', '-79.1554');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0J', 'North Peel Regional Municipality (Kleinburg)', 'Ontario', 'ON', '43.8566', '-79.6485');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0K', 'Lake Simcoe North Shore (Coldwater)', 'Ontario', 'ON', '44.6233', '-79.1235');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0L', 'Lake Simcoe West Shore (Oro)', 'Ontario', 'ON', '44.4548', '-79.7352');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0M', 'Georgian Bay South Shore (Angus)', 'Ontario', 'ON', '44.3269', '-80.0333');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0R', 'East Haldimand County (Waterdown)', 'Ontario', 'ON', '43.1607', '-79.7463');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L0S', 'Niagara Regional Municipality (Fonthill)', 'Ontario', 'ON', '42.9071', '-79.0832');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1A', 'Port Hope', 'Ontario', 'ON', '44.0168', '-78.3995');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1B', 'Bowmanville East', 'Ontario', 'ON', '43.9235', '-78.5457');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1C', 'Bowmanville West', 'Ontario', 'ON', '43.9714', '-78.7095');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1E', 'Courtice', 'Ontario', 'ON', '43.8969', '-78.7683');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1G', 'Oshawa Central', 'Ontario', 'ON', '43.9233', '-78.8684');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1H', 'Oshawa Southeast', 'Ontario', 'ON', '43.9721', '-78.8837');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1J', 'Oshawa Southwest', 'Ontario', 'ON', '43.8852', '-78.8771');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1K', 'Oshawa East', 'Ontario', 'ON', '43.9251', '-78.8287');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1L', 'Oshawa North', 'Ontario', 'ON', '43.9581', '-78.8972');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1M', 'Whitby North', 'Ontario', 'ON', '43.9566', '-78.9779');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1N', 'Whitby Southeast', 'Ontario', 'ON', '43.8721', '-78.9273');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1P', 'Whitby Southwest', 'Ontario', 'ON', '43.8866', '-78.975');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1R', 'Whitby Central', 'Ontario', 'ON', '43.9215', '-78.9412');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1S', 'Ajax Southwest', 'Ontario', 'ON', '43.8404', '-79.0251');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1T', 'Ajax Northwest', 'Ontario', 'ON', '43.8843', '-79.0534');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1V', 'Pickering Southwest', 'Ontario', 'ON', '43.8605', '-79.1618');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1W', 'Pickering South', 'Ontario', 'ON', '43.8197', '-79.0803');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1X', 'Pickering Central', 'Ontario', 'ON', '43.8558', '-79.0972');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1Y', 'Pickering North', 'Ontario', 'ON', '43.9555', '-79.1194');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L1Z', 'Ajax East', 'Ontario', 'ON', '43.8773', '-79.0055');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2A', 'Fort Erie', 'Ontario', 'ON', '42.9001', '-78.9329');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2E', 'Niagara Falls Central', 'Ontario', 'ON', '43.0537', '-79.1018');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2G', 'Niagara Falls Southeast', 'Ontario', 'ON', '43.0696', '-79.0818');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2H', 'Niagara Falls West', 'Ontario', 'ON', '43.1009', '-79.1379');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2J', 'Niagara Falls North', 'Ontario', 'ON', '43.1296', '-79.1034');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2M', 'St. Catharines Northeast', 'Ontario', 'ON', '43.196', '-79.2161');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2N', 'St. Catharines Northwest', 'Ontario', 'ON', '43.1923', '-79.2559');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2P', 'St. Catharines East', 'Ontario', 'ON', '43.1527', '-79.2091');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2R', 'St. Catharines Central', 'Ontario', 'ON', '43.1419', '-79.2966');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2S', 'St. Catharines Southwest', 'Ontario', 'ON', '43.1447', '-79.2634');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2T', 'St. Catharines South', 'Ontario', 'ON', '43.1313', '-79.2317');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2V', 'St. Catharines Southeast', 'Ontario', 'ON', '43.1142', '-79.2035');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L2W', 'St. Catharines West', 'Ontario', 'ON', '43.1688', '-79.2794');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3B', 'Welland East', 'Ontario', 'ON', '42.9878', '-79.2219');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3C', 'Welland West', 'Ontario', 'ON', '42.9998', '-79.2656');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3K', 'Port Colborne', 'Ontario', 'ON', '42.9001', '-79.2329');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3M', 'Grimsby', 'Ontario', 'ON', '43.2001', '-79.5663');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3P', 'Markham Central', 'Ontario', 'ON', '43.8769', '-79.2686');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3R', 'Markham Outer Southwest', 'Ontario', 'ON', '43.8479', '-79.3288');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3S', 'Markham Southeast', 'Ontario', 'ON', '43.8486', '-79.2617');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3T', 'Thornhill East', 'Ontario', 'ON', '43.8227', '-79.3946');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3V', 'Orillia', 'Ontario', 'ON', '44.6087', '-79.4207');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3X', 'Newmarket Southwest', 'Ontario', 'ON', '44.0433', '-79.4912');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3Y', 'Newmarket Northeast', 'Ontario', 'ON', '44.0565', '-79.4555');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L3Z', 'Bradford', 'Ontario', 'ON', '44.1168', '-79.5663');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4A', 'Stouffville', 'Ontario', 'ON', '43.9668', '-79.2496');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4B', 'Richmond Hill Southeast', 'Ontario', 'ON', '43.8582', '-79.3985');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4C', 'Richmond Hill Southwest', 'Ontario', 'ON', '43.8669', '-79.4414');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4E', 'Richmond Hill North', 'Ontario', 'ON', '43.9394', '-79.4349');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4G', 'Aurora', 'Ontario', 'ON', '44.0001', '-79.4663');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4H', 'Woodbridge North', 'Ontario', 'ON', '43.8432', '-79.5644');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4J', 'Thornhill West', 'Ontario', 'ON', '43.8156', '-79.4534');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4K', 'Concord', 'Ontario', 'ON', '43.8001', '-79.4829');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4L', 'Woodbridge South', 'Ontario', 'ON', '43.8064', '-79.5995');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4M', 'Barrie North', 'Ontario', 'ON', '44.4001', '-79.6663');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4N', 'Barrie South', 'Ontario', 'ON', '44.3572', '-79.6929');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4P', 'Keswick', 'Ontario', 'ON', '44.2501', '-79.4663');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4R', 'Midland', 'Ontario', 'ON', '44.7501', '-79.883');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4S', 'Richmond Hill Central', 'Ontario', 'ON', '43.8985', '-79.4143');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4T', 'Mississauga (Malton)', 'Ontario', 'ON', '43.7139', '-79.6434');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4V', 'Mississauga (Wildwood)', 'Ontario', 'ON', '43.6935', '-79.6069');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4W', 'Mississauga (Matheson / East Rathwood)', 'Ontario', 'ON', '43.6413', '-79.6296');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4X', 'Mississauga (East Applewood / East Dixie / NE Lakeview)', 'Ontario', 'ON', '43.6178', '-79.5786');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4Y', 'Mississauga (West Applewood / West Dixie / NW Lakeview)', 'Ontario', 'ON', '43.6028', '-79.5929');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L4Z', 'Mississauga (West Rathwood / East Hurontario / SE Gateway)', 'Ontario', 'ON', '43.6192', '-79.6538');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5A', 'Mississauga (Mississauga Valleys / East Cooksville)', 'Ontario', 'ON', '43.5883', '-79.6091');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5B', 'Mississauga (West Cooksville / Fairview / City Centre / East Creditview)', 'Ontario', 'ON', '43.5771', '-79.6306');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5C', 'Mississauga (West Creditview / Mavis / Erindale)', 'Ontario', 'ON', '43.5624', '-79.6504');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5E', 'Mississauga (Central Lakeview)', 'Ontario', 'ON', '43.5836', '-79.561');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5G', 'Mississauga (SW Lakeview / Mineola / East Port Credit)', 'Ontario', 'ON', '43.5647', '-79.5852');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5H', 'Mississauga (West Port Credit / Lorne Park / East Sheridan)', 'Ontario', 'ON', '43.5419', '-79.6164');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5J', 'Mississauga (Clarkson / Southdown)', 'Ontario', 'ON', '43.5102', '-79.6296');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5K', 'Mississauga (West Sheridan)', 'Ontario', 'ON', '43.5272', '-79.6617');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5L', 'Mississauga (Erin Mills / Western Business Park)', 'Ontario', 'ON', '43.5373', '-79.6903');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5M', 'Mississauga (Churchill Meadows / Central Erin Mills / South Streetsville)', 'Ontario', 'ON', '43.5637', '-79.7202');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5N', 'Mississauga (Lisgar / Meadowvale)', 'Ontario', 'ON', '43.5924', '-79.7611');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5P', 'Mississauga (YYZ)', 'Ontario', 'ON', '43.6904', '-79.6238');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5R', 'Mississauga (West Hurontario / SW Gateway)', 'Ontario', 'ON', '43.606', '-79.6708');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5S', 'Mississauga (Cardiff / NE Gateway)', 'Ontario', 'ON', '43.6801', '-79.6783');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5T', 'Mississauga (Courtney Park / East Gateway)', 'Ontario', 'ON', '43.6683', '-79.6182');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5V', 'Mississauga (East Credit)', 'Ontario', 'ON', '43.5972', '-79.6931');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L5W', 'Mississauga (Meadowvale Village / West Gateway)', 'Ontario', 'ON', '43.6313', '-79.7148');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6A', 'Maple', 'Ontario', 'ON', '43.8501', '-79.5163');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6B', 'Markham East', 'Ontario', 'ON', '43.9007', '-79.2175');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6C', 'Markham Northwest', 'Ontario', 'ON', '43.9045', '-79.3392');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6E', 'Markham Northeast', 'Ontario', 'ON', '43.9002', '-79.2676');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6G', 'Markham Inner Southwest', 'Ontario', 'ON', '43.8485', '-79.3346');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6H', 'Oakville North', 'Ontario', 'ON', '43.4881', '-79.7098');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6J', 'Oakville Northeast', 'Ontario', 'ON', '43.4757', '-79.6591');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6K', 'Oakville East', 'Ontario', 'ON', '43.4396', '-79.6878');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6L', 'Oakville South', 'Ontario', 'ON', '43.4032', '-79.7186');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6M', 'Oakville West', 'Ontario', 'ON', '43.4464', '-79.7593');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6P', 'Brampton North', 'Ontario', 'ON', '43.7942', '-79.7021');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6R', 'Brampton Northwest', 'Ontario', 'ON', '43.7592', '-79.7605');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6S', 'Brampton North Central', 'Ontario', 'ON', '43.7379', '-79.726');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6T', 'Brampton East', 'Ontario', 'ON', '43.7196', '-79.6854');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6V', 'Brampton Central', 'Ontario', 'ON', '43.7059', '-79.7626');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6W', 'Brampton Southeast', 'Ontario', 'ON', '43.68', '-79.7273');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6X', 'Brampton Southwest', 'Ontario', 'ON', '43.6665', '-79.8054');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6Y', 'Brampton South', 'Ontario', 'ON', '43.6249', '-79.7876');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L6Z', 'Brampton West Central', 'Ontario', 'ON', '43.7328', '-79.7953');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7A', 'Brampton West', 'Ontario', 'ON', '43.6909', '-79.8377');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7B', 'King City', 'Ontario', 'ON', '43.9286', '-79.5269');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7C', 'Caledon', 'Ontario', 'ON', '43.8753', '-79.8558');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7E', 'Bolton', 'Ontario', 'ON', '43.8795', '-79.7379');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7G', 'Georgetown', 'Ontario', 'ON', '43.6501', '-79.9163');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7J', 'Acton', 'Ontario', 'ON', '43.6297', '-80.0415');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7K', 'Caledon Village', 'Ontario', 'ON', '43.8602', '-79.996');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7L', 'Burlington Northeast', 'Ontario', 'ON', '43.3799', '-79.7668');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7M', 'Burlington North', 'Ontario', 'ON', '43.4342', '-79.8701');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7N', 'Burlington East', 'Ontario', 'ON', '43.3512', '-79.784');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7P', 'Burlington West', 'Ontario', 'ON', '43.3806', '-79.886');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7R', 'Burlington Southeast', 'Ontario', 'ON', '43.375', '-79.8434');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7S', 'Burlington South', 'Ontario', 'ON', '43.323', '-79.8092');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L7T', 'Burlington Southwest', 'Ontario', 'ON', '43.3081', '-79.8507');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L8B', 'Waterdown', 'Ontario', 'ON', '43.3334', '-79.8829');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9G', 'Ancaster West', 'Ontario', 'ON', '43.1836', '-79.9902');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9H', 'Dundas', 'Ontario', 'ON', '43.2638', '-79.9524');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9J', 'Barrie', 'Ontario', 'ON', '44.3186', '-79.6761');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9K', 'Ancaster East', 'Ontario', 'ON', '43.225', '-79.9427');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9L', 'Port Perry', 'Ontario', 'ON', '44.1068', '-78.9444');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9M', 'Penetanguishene', 'Ontario', 'ON', '44.7834', '-79.9164');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9N', 'Holland Landing', 'Ontario', 'ON', '44.1149', '-79.5014');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9P', 'Uxbridge', 'Ontario', 'ON', '44.1001', '-79.1163');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9R', 'Alliston', 'Ontario', 'ON', '44.1501', '-79.8663');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9S', 'Innisfil', 'Ontario', 'ON', '44.3001', '-79.6496');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9T', 'Milton', 'Ontario', 'ON', '43.5148', '-79.884');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9V', 'Orangeville North', 'Ontario', 'ON', '43.9597', '-80.1079');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9W', 'Orangeville South', 'Ontario', 'ON', '43.9702', '-80.016');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9X', 'Barrie', 'Ontario', 'ON', '44.4001', '-79.6663');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9X', 'Minesing', 'Ontario', 'ON', '44.4334', '-79.833');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9X', 'Midhurst', 'Ontario', 'ON', '44.4438', '-79.7318');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9X', 'Springwater', 'Ontario', 'ON', '44.4954', '-79.8503');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9Y', 'Collingwood', 'Ontario', 'ON', '44.4834', '-80.2164');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('L9Z', 'Wasaga Beach', 'Ontario', 'ON', '44.5168', '-80.0164');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1B', 'Scarborough (Malvern / Rouge River)', 'Ontario', 'ON', '43.8113', '-79.193');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1C', 'Scarborough (Rouge Hill / Port Union / Highland Creek)', 'Ontario', 'ON', '43.7878', '-79.1564');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1E', 'Scarborough (Guildwood / Morningside / Ellesmere)', 'Ontario', 'ON', '43.7678', '-79.1866');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1G', 'Scarborough (Woburn)', 'Ontario', 'ON', '43.7712', '-79.2144');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1H', 'Scarborough (Cedarbrae)', 'Ontario', 'ON', '43.7686', '-79.2389');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1J', 'Scarborough (Eglinton)', 'Ontario', 'ON', '43.7464', '-79.2323');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1K', 'Scarborough (Kennedy Park / Ionview / East Birchmount Park)', 'Ontario', 'ON', '43.7298', '-79.2639');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1L', 'Scarborough (The Golden Mile / Clairlea / Oakridge / Birchmount Park East)', 'Ontario', 'ON', '43.7122', '-79.2843');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1M', 'Scarborough (Cliffside / Cliffcrest / Scarborough Village West)', 'Ontario', 'ON', '43.7247', '-79.2312');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1N', 'Scarborough (Birch Cliff / Cliffside West)', 'Ontario', 'ON', '43.6952', '-79.2646');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1P', 'Scarborough (Dorset Park / Wexford Heights / Scarborough Town Centre)', 'Ontario', 'ON', '43.7612', '-79.2707');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1R', 'Scarborough (Wexford / Maryvale)', 'Ontario', 'ON', '43.7507', '-79.3003');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1S', 'Scarborough (Agincourt)', 'Ontario', 'ON', '43.7946', '-79.2644');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1T', 'Scarborough (Clarks Corners / Tam O''Shanter / Sullivan)', 'Ontario', 'ON', '43.7812', '-79.3036');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1V', 'Scarborough (Milliken / Agincourt North / Steeles East / L''Amoreaux East)', 'Ontario', 'ON', '43.8177', '-79.2819');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1W', 'Scarborough (Steeles West / L''Amoreaux West)', 'Ontario', 'ON', '43.8016', '-79.3216');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M1X', 'Scarborough (Upper Rouge)', 'Ontario', 'ON', '43.834', '-79.2069');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M2H', 'North York (Hillcrest Village)', 'Ontario', 'ON', '43.8015', '-79.3577');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M2J', 'North York (Fairview / Henry Farm / Oriole)', 'Ontario', 'ON', '43.7801', '-79.3479');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M2K', 'North York (Bayview Village)', 'Ontario', 'ON', '43.7797', '-79.3813');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M2L', 'North York (York Mills / Silver Hills)', 'Ontario', 'ON', '43.7547', '-79.3764');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M2M', 'Willowdale East (Newtonbrook)', 'Ontario', 'ON', '43.7915', '-79.4103');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M2N', 'Willowdale South', 'Ontario', 'ON', '43.7673', '-79.4111');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M2P', 'North York (York Mills West)', 'Ontario', 'ON', '43.75', '-79.3978');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M2R', 'Willowdale West', 'Ontario', 'ON', '43.7786', '-79.445');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M3A', 'North York (York Heights / Victoria Village / Parkway East)', 'Ontario', 'ON', '43.7545', '-79.33');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M3B', 'Don Mills North', 'Ontario', 'ON', '43.745', '-79.359');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M3C', 'Don Mills South (Flemingdon Park)', 'Ontario', 'ON', '43.7334', '-79.3329');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M3H', 'North York (Armour Heights / Wilson Heights / Downsview North)', 'Ontario', 'ON', '43.7535', '-79.4472');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M3J', 'North York (Northwood Park / York University)', 'Ontario', 'ON', '43.7694', '-79.4921');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M3L', 'Downsview West', 'Ontario', 'ON', '43.7334', '-79.5116');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M3M', 'Downsview Central', 'Ontario', 'ON', '43.7319', '-79.4928');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M3N', 'North York (Jane and Finch)', 'Ontario', 'ON', '43.7568', '-79.521');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4A', 'North York (Sweeney Park / Wigmore Park)', 'Ontario', 'ON', '43.7276', '-79.3148');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4B', 'East York (Parkview Hill / Woodbine Gardens)', 'Ontario', 'ON', '43.7063', '-79.3094');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4C', 'East York (Woodbine Heights)', 'Ontario', 'ON', '43.6913', '-79.3116');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4G', 'East York (Leaside)', 'Ontario', 'ON', '43.7124', '-79.3644');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M4H', 'East York (Thorncliffe Park)', 'Ontario', 'ON', '43.7059', '-79.3464');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M5M', 'North York (Bedford Park / Lawrence Park West / Lawrence Manor East)', 'Ontario', 'ON', '43.7335', '-79.4177');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6A', 'North York (Lawrence Manor / Lawrence Heights)', 'Ontario', 'ON', '43.7223', '-79.4504');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6B', 'North York (Glencairn)', 'Ontario', 'ON', '43.7081', '-79.4479');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6C', 'York (Cedarvale)', 'Ontario', 'ON', '43.6915', '-79.4307');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6E', 'York (Fairbank / Oakwood)', 'Ontario', 'ON', '43.6889', '-79.4507');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6L', 'North York (North Park / Maple Leaf Park / Upwood Park)', 'Ontario', 'ON', '43.7137', '-79.4869');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6M', 'York (Del Ray / Keelsdale / Mount Dennis / Silverthorne)', 'Ontario', 'ON', '43.6934', '-79.4857');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M6N', 'York (Runnymede / The Junction North)', 'Ontario', 'ON', '43.6748', '-79.4839');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M7A', 'Queen''s Park Ontario Provincial Government', 'Ontario', 'ON', '43.6641', '-79.3889');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M8W', 'Etobicoke (Alderwood / Long Branch)', 'Ontario', 'ON', '43.6021', '-79.5402');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M8X', 'Etobicoke (The Kingsway / Montgomery Road / Old Mill North)', 'Ontario', 'ON', '43.6518', '-79.5076');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M8Y', 'Etobicoke (Old Mill South / King''s Mill Park / Sunnylea / Humber Bay / Mimico NE / The Queensway East / Royal York South East / Kingsway Park South East)', 'Ontario', 'ON', '43.6325', '-79.4939');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M8Z', 'Etobicoke (Mimico NW / The Queensway West / South of Bloor / Kingsway Park South West / Royal York South West)', 'Ontario', 'ON', '43.6256', '-79.5231');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9A', 'Etobicoke (Islington Avenue)', 'Ontario', 'ON', '43.6662', '-79.5282');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9B', 'Etobicoke (West Deane Park / Princess Gardens / Martin Grove / Islington / Cloverdale)', 'Ontario', 'ON', '43.6505', '-79.5517');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9C', 'Etobicoke (Eringate / Bloordale Gardens / Old Burnhamthorpe / Markland Woods)', 'Ontario', 'ON', '43.6437', '-79.5767');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9L', 'North York (Humber Summit)', 'Ontario', 'ON', '43.7598', '-79.5565');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9M', 'North York (Humberlea / Emery)', 'Ontario', 'ON', '43.7366', '-79.5401');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9N', 'Weston', 'Ontario', 'ON', '43.7068', '-79.517');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9P', 'Etobicoke (Westmount)', 'Ontario', 'ON', '43.6949', '-79.5323');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9R', 'Etobicoke (Kingsview Village / St. Phillips / Martin Grove Gardens / Richview Gardens)', 'Ontario', 'ON', '43.6898', '-79.5582');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9V', 'Etobicoke (South Steeles / Silverstone / Humbergate / Jamestown / Mount Olive / Beaumond Heights / Thistletown / Albion Gardens)', 'Ontario', 'ON', '43.7432', '-79.5876');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('M9W', 'Etobicoke Northwest (Clairville / Humberwood / Woodbine Downs / West Humber / Kipling Heights / Rexdale / Elms / Tandridge / Old Rexdale)', 'Ontario', 'ON', '43.7144', '-79.5909');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0A', 'West Haldimand (Port Dover)', 'Ontario', 'ON', '42.9403', '-79.945');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0B', 'Wellington (Elora)', 'Ontario', 'ON', '43.5569', '-80.4414');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0C', 'Georgian Bay Southwest Shore (Dundalk)', 'Ontario', 'ON', '44.2561', '-80.5029');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0E', 'Brant and Norfolk (Waterford)', 'Ontario', 'ON', '42.6618', '-80.5572');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0G', 'Huron (Wingham)', 'Ontario', 'ON', '44.0024', '-81.0676');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0H', 'Bruce Peninsula (Wiarton)', 'Ontario', 'ON', '44.6941', '-81.0962');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0J', 'Oxford (Norwich)', 'Ontario', 'ON', '42.9775', '-80.7057');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0K', 'Perth (Mitchell)', 'Ontario', 'ON', '43.5067', '-81.1582');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0L', 'Elgin (Dorchester)', 'Ontario', 'ON', '42.7557', '-81.4533');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0M', 'Middlesex (Clinton)', 'Ontario', 'ON', '43.2788', '-81.5442');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0N', 'Lambton (Forest)', 'Ontario', 'ON', '42.9062', '-82.11');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0P', 'Kent (Blenheim)', 'Ontario', 'ON', '42.4045', '-81.9107');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N0R', 'Essex (Belle River)', 'Ontario', 'ON', '42.1783', '-82.7715');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1A', 'Dunnville', 'Ontario', 'ON', '42.9001', '-79.6163');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1C', 'Guelph South', 'Ontario', 'ON', '43.4921', '-80.2267');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1E', 'Guelph North', 'Ontario', 'ON', '43.5677', '-80.2418');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1G', 'Guelph Central', 'Ontario', 'ON', '43.5184', '-80.2257');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1H', 'Guelph Northwest', 'Ontario', 'ON', '43.5588', '-80.3004');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1K', 'Guelph West', 'Ontario', 'ON', '43.526', '-80.3051');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1L', 'Guelph East', 'Ontario', 'ON', '43.516', '-80.19');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1M', 'Fergus', 'Ontario', 'ON', '43.7001', '-80.3664');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1P', 'Cambridge South', 'Ontario', 'ON', '43.3398', '-80.2955');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1R', 'Cambridge Central', 'Ontario', 'ON', '43.3666', '-80.2239');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1S', 'Cambridge Southwest', 'Ontario', 'ON', '43.3592', '-80.3347');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N1T', 'Cambridge East', 'Ontario', 'ON', '43.3849', '-80.2833');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2A', 'Kitchener East', 'Ontario', 'ON', '43.4413', '-80.4246');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2B', 'Kitchener Northeast', 'Ontario', 'ON', '43.4646', '-80.4467');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2C', 'Kitchener South Central', 'Ontario', 'ON', '43.4182', '-80.4451');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2E', 'Kitchener Southwest', 'Ontario', 'ON', '43.4106', '-80.5011');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2G', 'Kitchener Central', 'Ontario', 'ON', '43.4443', '-80.4891');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2H', 'Kitchener North Central', 'Ontario', 'ON', '43.4581', '-80.4818');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2J', 'Waterloo Southeast', 'Ontario', 'ON', '43.504', '-80.5366');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2K', 'Kitchener North', 'Ontario', 'ON', '43.4961', '-80.4936');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2L', 'Waterloo South', 'Ontario', 'ON', '43.4715', '-80.5454');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2M', 'Kitchener Northwest', 'Ontario', 'ON', '43.4363', '-80.5093');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2N', 'Kitchener West', 'Ontario', 'ON', '43.426', '-80.5438');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2P', 'Kitchener Southeast', 'Ontario', 'ON', '43.3878', '-80.4296');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2R', 'Kitchener South', 'Ontario', 'ON', '43.3849', '-80.487');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2T', 'Waterloo Southwest', 'Ontario', 'ON', '43.453', '-80.5692');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2V', 'Waterloo Northwest', 'Ontario', 'ON', '43.4764', '-80.5842');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N2Z', 'Kincardine', 'Ontario', 'ON', '44.1664', '-81.601');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3A', 'Baden', 'Ontario', 'ON', '43.4001', '-80.6497');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3B', 'Elmira', 'Ontario', 'ON', '43.6001', '-80.5497');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3C', 'Cambridge Northeast', 'Ontario', 'ON', '43.4389', '-80.2649');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3E', 'Cambridge Northwest', 'Ontario', 'ON', '43.4193', '-80.3505');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3H', 'Cambridge West', 'Ontario', 'ON', '43.4267', '-80.3699');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3L', 'Paris', 'Ontario', 'ON', '43.2', '-80.3833');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3W', 'Caledonia', 'Ontario', 'ON', '43.0668', '-79.9329');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N3Y', 'Simcoe', 'Ontario', 'ON', '42.8334', '-80.2997');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4B', 'Delhi', 'Ontario', 'ON', '42.8501', '-80.4997');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4G', 'Tillsonburg', 'Ontario', 'ON', '42.8599', '-80.7262');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4K', 'Owen Sound', 'Ontario', 'ON', '44.5672', '-80.9435');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4L', 'Meaford', 'Ontario', 'ON', '44.6001', '-80.583');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4N', 'Hanover', 'Ontario', 'ON', '44.1501', '-81.033');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4S', 'Woodstock Central', 'Ontario', 'ON', '43.1432', '-80.7338');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4T', 'Woodstock North', 'Ontario', 'ON', '43.1485', '-80.7319');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4V', 'Woodstock South', 'Ontario', 'ON', '43.115', '-80.743');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4W', 'Listowel', 'Ontario', 'ON', '43.7334', '-80.9497');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4X', 'St. Mary''s', 'Ontario', 'ON', '43.2655', '-81.1687');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N4Z', 'Stratford South', 'Ontario', 'ON', '43.3634', '-81.0069');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5A', 'Stratford North', 'Ontario', 'ON', '43.3668', '-80.9497');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5C', 'Ingersoll', 'Ontario', 'ON', '43.0334', '-80.883');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5H', 'Aylmer', 'Ontario', 'ON', '42.7668', '-80.983');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5L', 'Port Stanley', 'Ontario', 'ON', '42.6668', '-81.2164');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5P', 'St. Thomas North', 'Ontario', 'ON', '42.7779', '-81.1769');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5R', 'St. Thomas South', 'Ontario', 'ON', '42.7597', '-81.1762');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5V', 'London (YXU / North and East Argyle / East Huron Heights)', 'Ontario', 'ON', '43.0233', '-81.1643');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5W', 'London East (SW Argyle / Hamilton Road)', 'Ontario', 'ON', '42.9856', '-81.1821');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5X', 'London (Fanshawe / Stoneybrook / Stoney Creek / Uplands / East Masonville)', 'Ontario', 'ON', '43.0443', '-81.2391');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5Y', 'London (West Huron Heights / Carling)', 'Ontario', 'ON', '43.0123', '-81.2307');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N5Z', 'London (Glen Cairn)', 'Ontario', 'ON', '42.966', '-81.2053');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6A', 'London North (UWO)', 'Ontario', 'ON', '42.9976', '-81.2563');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6B', 'London Central', 'Ontario', 'ON', '42.9835', '-81.2386');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6C', 'London South (East Highland / North White Oaks / North Westminster)', 'Ontario', 'ON', '42.9582', '-81.238');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6E', 'London (South White Oaks / Central Westminster / East Longwoods / West Brockley)', 'Ontario', 'ON', '42.9185', '-81.2244');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6G', 'London (Sunningdale / West Masonville / Medway / NE Hyde Park / East Fox Hollow)', 'Ontario', 'ON', '43.0147', '-81.3049');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6H', 'London West (Central Hyde Park / Oakridge)', 'Ontario', 'ON', '42.9915', '-81.3402');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6J', 'London (Southcrest / East Westmount / West Highland)', 'Ontario', 'ON', '42.9546', '-81.2735');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6K', 'London (Riverbend / Woodhull / North Sharon Creek / Byron / West Westmount)', 'Ontario', 'ON', '42.9536', '-81.3418');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6L', 'London (East Tempo)', 'Ontario', 'ON', '42.8719', '-81.2472');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6M', 'London (Jackson / Old Victoria / Bradley / North Highbury)', 'Ontario', 'ON', '42.9632', '-81.1392');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6N', 'London (South Highbury / Glanworth / East Brockley / SE Westminster)', 'Ontario', 'ON', '42.8997', '-81.1592');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N6P', 'London (Talbot / Lambeth / West Tempo / South Sharon Creek)', 'Ontario', 'ON', '42.8909', '-81.3236');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N7A', 'Goderich', 'Ontario', 'ON', '43.7501', '-81.7165');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N7G', 'Strathroy', 'Ontario', 'ON', '42.9551', '-81.6223');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N7L', 'Chatham Northwest', 'Ontario', 'ON', '42.4209', '-82.1993');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N7M', 'Chatham Southeast', 'Ontario', 'ON', '42.4238', '-82.1183');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N7S', 'Sarnia Central', 'Ontario', 'ON', '42.9888', '-82.3592');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N7T', 'Sarnia Southwest', 'Ontario', 'ON', '42.9578', '-82.2777');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N7V', 'Sarnia Northwest', 'Ontario', 'ON', '42.9998', '-82.3926');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N7W', 'Sarnia Southeast', 'Ontario', 'ON', '42.9644', '-82.3259');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N7X', 'Sarnia Northeast', 'Ontario', 'ON', '43.0214', '-82.3212');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8A', 'Wallaceburg', 'Ontario', 'ON', '42.593', '-82.3885');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8H', 'Leamington', 'Ontario', 'ON', '42.0549', '-82.6062');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8M', 'Essex', 'Ontario', 'ON', '42.1751', '-82.8248');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8N', 'Tecumseh Outskirts', 'Ontario', 'ON', '42.2946', '-82.8667');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8P', 'Windsor (East Riverside)', 'Ontario', 'ON', '42.3276', '-82.9104');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8R', 'Windsor (East Forest Glade)', 'Ontario', 'ON', '42.3067', '-82.915');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8S', 'Windsor (Riverside)', 'Ontario', 'ON', '42.3283', '-82.9472');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8T', 'Windsor (West Forest Glade / East Fontainbleu)', 'Ontario', 'ON', '42.3037', '-82.9459');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8V', 'Tecumseh (YQG)', 'Ontario', 'ON', '42.2773', '-82.9447');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8W', 'Windsor (South Walkerville / West Fontainbleu / Walker Farm / Devonshire)', 'Ontario', 'ON', '42.2836', '-82.9771');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8X', 'Windsor South Central (West Walkerville / Remington Park)', 'Ontario', 'ON', '42.2926', '-83.0186');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N8Y', 'Windsor East (East Walkerville)', 'Ontario', 'ON', '42.3176', '-82.9929');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9A', 'Windsor (City Centre / NW Walkerville)', 'Ontario', 'ON', '42.2007', '-83.0276');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9B', 'Windsor (University / South Cameron)', 'Ontario', 'ON', '42.2949', '-83.052');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9C', 'Windsor (Sandwich / Ojibway / West Malden)', 'Ontario', 'ON', '42.2767', '-83.0793');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9E', 'Windsor South (East Malden)', 'Ontario', 'ON', '42.2652', '-83.0314');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9G', 'Windsor (Roseland)', 'Ontario', 'ON', '42.2481', '-82.9952');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9H', 'La Salle East', 'Ontario', 'ON', '42.2318', '-83.0281');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9J', 'La Salle West', 'Ontario', 'ON', '42.2187', '-83.0801');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9K', 'Tecumseh Central', 'Ontario', 'ON', '42.2978', '-82.8701');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9V', 'Amherstburg', 'Ontario', 'ON', '42.1168', '-83.0498');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('N9Y', 'Kingsville', 'Ontario', 'ON', '42.0502', '-82.7598');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0A', 'Nipissing Central (Burk''s Falls)', 'Ontario', 'ON', '45.5881', '-79.3546');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0B', 'Nipissing South (Utterson)', 'Ontario', 'ON', '45.1863', '-79.4115');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0C', 'Parry Sound Mid-Shore (Bala)', 'Ontario', 'ON', '45.1275', '-79.786');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0E', 'Parry Sound South Shore (Kilworthy)', 'Ontario', 'ON', '44.8608', '-79.5069');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0G', 'Parry Sound North Shore (Nobel)', 'Ontario', 'ON', '45.6718', '-80.3688');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0H', 'Nipissing North (Callander)', 'Ontario', 'ON', '46.3109', '-79.3617');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0J', 'Timiskaming South (Temiskaming Shores)', 'Ontario', 'ON', '47.5776', '-80.2036');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0K', 'Timiskaming North (Iroquois Falls A)', 'Ontario', 'ON', '48.5234', '-80.3081');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0L', 'Cochrane Region (Hearst)', 'Ontario', 'ON', '51.97', '-83.5369');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0M', 'Algoma, Sudbury District and Greater Sudbury (Chelmsford)', 'Ontario', 'ON', '47.6526', '-82.4753');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0N', 'Timmins Region (South Porcupine)', 'Ontario', 'ON', '48.6027', '-81.0115');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0P', 'Manitoulin (Little Current)', 'Ontario', 'ON', '45.7565', '-82.2151');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0S', 'Lake Superior East Shore (Wawa)', 'Ontario', 'ON', '48.048', '-84.6727');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0T', 'Lake Superior North Shore (Marathon)', 'Ontario', 'ON', '49.2924', '-88.756');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0V', 'Northwestern Ontario (Red Lake)', 'Ontario', 'ON', '52.9648', '-90.1505');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0W', 'Rainy River Region (Emo)', 'Ontario', 'ON', '48.875', '-93.7522');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0X', 'Kenora Region (Keewatin)', 'Ontario', 'ON', '50.9293', '-93.3095');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P0Y', 'Lake of the Woods East Shore (Ingolf)', 'Ontario', 'ON', '49.7603', '-95.1003');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P1A', 'North Bay South', 'Ontario', 'ON', '46.2801', '-79.4502');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P1B', 'North Bay Central', 'Ontario', 'ON', '46.3364', '-79.583');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P1C', 'North Bay North', 'Ontario', 'ON', '46.3397', '-79.4223');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P1H', 'Huntsville', 'Ontario', 'ON', '45.3334', '-79.2163');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P1L', 'Bracebridge', 'Ontario', 'ON', '45.0334', '-79.3163');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P1P', 'Gravenhurst', 'Ontario', 'ON', '44.9168', '-79.3663');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P2A', 'Parry Sound', 'Ontario', 'ON', '45.3501', '-80.033');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P2B', 'Sturgeon Falls', 'Ontario', 'ON', '46.3668', '-79.9164');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P2N', 'Kirkland Lake', 'Ontario', 'ON', '48.1446', '-80.0377');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P3A', 'Greater Sudbury (New Sudbury)', 'Ontario', 'ON', '46.5187', '-80.934');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P3B', 'Greater Sudbury (Downtown / Minnow Lake)', 'Ontario', 'ON', '46.4847', '-80.9304');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P3C', 'Greater Sudbury (Gatchell / West End / Little Britain)', 'Ontario', 'ON', '46.5133', '-81.0225');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P3E', 'Greater Sudbury (Robinson / Lockerby)', 'Ontario', 'ON', '46.2676', '-80.9063');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P3G', 'Greater Sudbury (Lo-Ellen / McFarlane Lake)', 'Ontario', 'ON', '46.4031', '-80.9745');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P3L', 'Greater Sudbury (Garson)', 'Ontario', 'ON', '46.5942', '-80.85');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P3N', 'Greater Sudbury (Val Caron)', 'Ontario', 'ON', '46.5845', '-81.0029');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P3P', 'Greater Sudbury (Hanmer)', 'Ontario', 'ON', '46.7259', '-81.0166');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P3Y', 'Greater Sudbury (Lively)', 'Ontario', 'ON', '46.4431', '-81.127');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P4N', 'Timmins Southeast', 'Ontario', 'ON', '48.4669', '-81.3331');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P4P', 'Timmins North', 'Ontario', 'ON', '48.4985', '-81.3448');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P4R', 'Timmins West', 'Ontario', 'ON', '48.4702', '-81.3997');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P5A', 'Elliot Lake', 'Ontario', 'ON', '46.3834', '-82.6332');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P5E', 'Espanola', 'Ontario', 'ON', '46.2584', '-81.7665');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P5N', 'Kapuskasing', 'Ontario', 'ON', '49.4169', '-82.4331');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P6A', 'Sault Ste. Marie East', 'Ontario', 'ON', '46.5168', '-84.3333');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P6B', 'Sault Ste. Marie Central', 'Ontario', 'ON', '46.5307', '-84.3046');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P6C', 'Sault Ste. Marie North', 'Ontario', 'ON', '46.5353', '-84.3732');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P7A', 'Thunder Bay Northeast', 'Ontario', 'ON', '48.4601', '-89.2035');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P7B', 'Thunder Bay North Central', 'Ontario', 'ON', '48.9475', '-89.4063');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P7C', 'Thunder Bay Central', 'Ontario', 'ON', '48.352', '-89.4649');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P7E', 'Thunder Bay South Central', 'Ontario', 'ON', '48.3684', '-89.284');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P7G', 'Thunder Bay North', 'Ontario', 'ON', '48.4001', '-89.3168');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P7J', 'Thunder Bay South', 'Ontario', 'ON', '48.2834', '-89.3668');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P7K', 'Thunder Bay West', 'Ontario', 'ON', '48.3728', '-89.3484');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P7L', 'Neebing', 'Ontario', 'ON', '48.1668', '-89.4168');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P8N', 'Dryden', 'Ontario', 'ON', '49.7833', '-92.7503');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P8T', 'Sioux Lookout', 'Ontario', 'ON', '50.0668', '-91.9836');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P9A', 'Fort Frances', 'Ontario', 'ON', '48.6393', '-93.4469');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('P9N', 'Kenora', 'Ontario', 'ON', '49.7573', '-94.3427');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('C0B', 'Prince County (Portage)', 'Prince Edward Island', 'PE', '46.6023', '-63.9583');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('C0A', 'Kings and Queens counties (Elmira)', 'Prince Edward Island', 'PE', '46.1668', '-62.6487');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('C0A', 'Montague', 'Prince Edward Island', 'PE', '46.1668', '-62.6487');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('C1A', 'Charlottetown Southeast Prince Edward Island Provincial Government', 'Prince Edward Island', 'PE', '46.2716', '-63.0165');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('C1B', 'Stratford', 'Prince Edward Island', 'PE', '46.2179', '-63.0795');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('C1C', 'Charlottetown North', 'Prince Edward Island', 'PE', '46.2645', '-63.0842');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('C1E', 'Charlottetown West', 'Prince Edward Island', 'PE', '46.3451', '-63.2011');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('C1N', 'Summerside', 'Prince Edward Island', 'PE', '46.3959', '-63.7876');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G4W', 'Matane', 'Quebec', 'QC', '48.8286', '-67.522');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5H', 'Mont-Joli', 'Quebec', 'QC', '48.5839', '-68.1921');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5J', 'Amqui', 'Quebec', 'QC', '48.4638', '-67.4313');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5L', 'Rimouski Central', 'Quebec', 'QC', '48.416', '-68.5979');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5M', 'Rimouski Northeast', 'Quebec', 'QC', '48.4966', '-68.458');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5N', 'Rimouski Southwest', 'Quebec', 'QC', '48.3668', '-68.4659');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5R', 'Rivière-du-Loup', 'Quebec', 'QC', '47.8304', '-69.5342');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7P', 'Saint-Ambroise', 'Quebec', 'QC', '48.5501', '-71.3158');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8B', 'Alma Southeast', 'Quebec', 'QC', '48.5548', '-71.673');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8C', 'Alma Southwest', 'Quebec', 'QC', '48.5278', '-71.6364');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8E', 'Alma North', 'Quebec', 'QC', '48.6377', '-71.6957');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8H', 'Roberval', 'Quebec', 'QC', '48.5168', '-72.2324');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8J', 'Saint-Prime', 'Quebec', 'QC', '48.5834', '-72.3324');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8K', 'Saint-Félicien', 'Quebec', 'QC', '48.6501', '-72.4491');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8L', 'Dolbeau-Mistassini', 'Quebec', 'QC', '48.8763', '-72.212');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8M', 'Albanel', 'Quebec', 'QC', '48.8832', '-72.4487');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8N', 'Hébertville', 'Quebec', 'QC', '48.3473', '-71.6786');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0A', 'Capitale-Nationale (Stoneham)', 'Quebec', 'QC', '47.3507', '-71.202');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1A', 'Quebec Provincial Government', 'Quebec', 'QC', '46.8588', '-71.192');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1J', 'Quebec City Lower Riverbank', 'Quebec', 'QC', '46.838', '-71.2232');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1K', 'Quebec City Mid-Riverbank', 'Quebec', 'QC', '46.814', '-71.2194');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1L', 'Quebec City Northeast', 'Quebec', 'QC', '46.8304', '-71.2455');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1M', 'Quebec City North Central', 'Quebec', 'QC', '46.8183', '-71.2706');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1N', 'Quebec City South Central', 'Quebec', 'QC', '46.8035', '-71.2639');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1P', 'Quebec City West', 'Quebec', 'QC', '46.8097', '-71.3102');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1R', 'Quebec City East', 'Quebec', 'QC', '46.8074', '-71.2181');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1S', 'Quebec City South', 'Quebec', 'QC', '46.7933', '-71.2453');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1T', 'Quebec City Upper Riverbank', 'Quebec', 'QC', '46.7741', '-71.2609');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2C', 'Quebec City Northwest', 'Quebec', 'QC', '46.8287', '-71.334');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2E', 'L''Ancienne-Lorette Northeast', 'Quebec', 'QC', '46.8083', '-71.3605');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2J', 'Quebec City Inner North', 'Quebec', 'QC', '46.8399', '-71.2781');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2K', 'Quebec City Outer North', 'Quebec', 'QC', '46.8545', '-71.3044');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3B', 'Lac-Beauport', 'Quebec', 'QC', '46.9833', '-71.2906');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3C', 'Stoneham-et-Tewkesbury', 'Quebec', 'QC', '47.1691', '-71.4332');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3H', 'Pont-Rouge', 'Quebec', 'QC', '46.7547', '-71.6957');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3M', 'Donnacona', 'Quebec', 'QC', '46.6804', '-71.7239');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3N', 'Sainte-Catherine-de-la-Jacques-Cartier', 'Quebec', 'QC', '46.8524', '-71.6206');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3S', 'Shannon', 'Quebec', 'QC', '46.8803', '-71.5146');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3Z', 'Baie-Saint-Paul', 'Quebec', 'QC', '47.4411', '-70.4986');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G4A', 'Clermont', 'Quebec', 'QC', '47.7184', '-70.2276');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5A', 'La Malbaie', 'Quebec', 'QC', '47.6575', '-70.1559');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0X', 'Mauricie (Parent)', 'Quebec', 'QC', '47.9168', '-74.6159');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G9X', 'La Tuque', 'Quebec', 'QC', '47.4334', '-72.7824');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5V', 'Louiseville', 'Quebec', 'QC', '46.2559', '-72.9415');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0B', 'Estrie-Est (Stanstead)', 'Quebec', 'QC', '45.1001', '-72.0491');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1S', 'Windsor', 'Quebec', 'QC', '45.5668', '-71.9991');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1T', 'Asbestos', 'Quebec', 'QC', '45.7668', '-71.9324');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1X', 'Magog', 'Quebec', 'QC', '45.2668', '-72.1491');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1B', 'Montreal East', 'Quebec', 'QC', '45.632', '-73.5075');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1G', 'Montreal North North', 'Quebec', 'QC', '45.6109', '-73.6211');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1H', 'Montreal North South', 'Quebec', 'QC', '45.5899', '-73.6389');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2Y', 'Old Montreal', 'Quebec', 'QC', '45.5057', '-73.555');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2Z', 'Downtown Montreal Northeast', 'Quebec', 'QC', '45.5052', '-73.5622');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3A', 'Downtown Montreal North', 'Quebec', 'QC', '45.504', '-73.5747');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3B', 'Downtown Montreal East', 'Quebec', 'QC', '45.5005', '-73.5684');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3G', 'Downtown Montreal Southeast', 'Quebec', 'QC', '45.4987', '-73.5793');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3H', 'Downtown Montreal South & West', 'Quebec', 'QC', '45.5009', '-73.5877');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3X', 'Hampstead', 'Quebec', 'QC', '45.4819', '-73.6421');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3Y', 'Westmount West', 'Quebec', 'QC', '45.4876', '-73.6045');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3Z', 'Westmount East', 'Quebec', 'QC', '45.4825', '-73.5933');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4W', 'Côte-Saint-Luc West', 'Quebec', 'QC', '45.47', '-73.6686');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4X', 'Montreal West', 'Quebec', 'QC', '45.4529', '-73.6492');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9J', 'Kirkland', 'Quebec', 'QC', '45.4501', '-73.8659');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9P', 'Dorval Outskirts', 'Quebec', 'QC', '45.4679', '-73.7748');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9R', 'Pointe-Claire', 'Quebec', 'QC', '45.4487', '-73.8167');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9W', 'Beaconsfield', 'Quebec', 'QC', '45.4334', '-73.8659');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0X', 'Outaouais-Sud (Thurso)', 'Quebec', 'QC', '46.307', '-76.7653');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8N', 'Val-des-Monts', 'Quebec', 'QC', '45.6501', '-75.666');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9B', 'Chelsea', 'Quebec', 'QC', '45.5001', '-75.7827');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9E', 'Maniwaki', 'Quebec', 'QC', '46.3834', '-75.966');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0Z', 'Abitibi-Témiscamingue-Ouest (Guigues)', 'Quebec', 'QC', '47.8626', '-78.824');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9P', 'Val-d''Or', 'Quebec', 'QC', '48.1002', '-77.7828');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9T', 'Amos', 'Quebec', 'QC', '48.5669', '-78.1162');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9V', 'Ville-Marie', 'Quebec', 'QC', '47.3334', '-79.433');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9Z', 'La Sarre', 'Quebec', 'QC', '48.8002', '-79.1996');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0G', 'Côte-Nord/Anticosti (Schefferville)', 'Quebec', 'QC', '53.0413', '-68.6884');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G4S', 'Sept-Îles Northwest', 'Quebec', 'QC', '50.2713', '-66.3751');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5B', 'Port-Cartier', 'Quebec', 'QC', '50.0334', '-66.8655');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8P', 'Chibougamau', 'Quebec', 'QC', '49.9168', '-74.3659');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G4X', 'Gaspé', 'Quebec', 'QC', '48.8334', '-64.4819');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5V', 'Montmagny', 'Quebec', 'QC', '46.9804', '-70.5549');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5X', 'Beauceville', 'Quebec', 'QC', '46.2179', '-70.7787');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5Y', 'Saint-Georges Central', 'Quebec', 'QC', '46.1326', '-70.6375');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5Z', 'Saint-Georges Southeast', 'Quebec', 'QC', '46.0642', '-70.7118');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6A', 'Saint-Georges Northwest', 'Quebec', 'QC', '46.1437', '-70.6817');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6E', 'Sainte-Marie', 'Quebec', 'QC', '46.434', '-71.0117');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6G', 'Thetford Mines', 'Quebec', 'QC', '46.0937', '-71.3054');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6V', 'Lévis North', 'Quebec', 'QC', '46.8033', '-71.1779');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6W', 'Lévis South', 'Quebec', 'QC', '46.7546', '-71.22');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6Y', 'Lévis', 'Quebec', 'QC', '46.8033', '-71.1779');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7N', 'Laval-des-Rapides', 'Quebec', 'QC', '45.5501', '-73.6992');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7R', 'Laval-sur-le-Lac', 'Quebec', 'QC', '45.5526', '-73.8507');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0K', 'Lanaudière-Nord (Saint-Esprit)', 'Quebec', 'QC', '46.7966', '-73.8705');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5M', 'Saint-Lin-Laurentides', 'Quebec', 'QC', '45.8501', '-73.7659');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5T', 'Lavaltrie', 'Quebec', 'QC', '45.8834', '-73.2825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5X', 'L''Épiphanie', 'Quebec', 'QC', '45.8501', '-73.4825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5Y', 'Repentigny Northeast', 'Quebec', 'QC', '45.7774', '-73.4252');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5Z', 'Repentigny West', 'Quebec', 'QC', '45.7643', '-73.5036');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6A', 'Repentigny South', 'Quebec', 'QC', '45.7395', '-73.4588');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6V', 'Terrebonne East', 'Quebec', 'QC', '45.714', '-73.5357');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6W', 'Terrebonne Central', 'Quebec', 'QC', '45.7064', '-73.6178');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6X', 'Terrebonne Northwest', 'Quebec', 'QC', '45.7275', '-73.7062');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6Y', 'Terrebonne Southwest', 'Quebec', 'QC', '45.7', '-73.752');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7K', 'Mascouche Extremities', 'Quebec', 'QC', '45.77', '-73.6049');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7L', 'Mascouche Central', 'Quebec', 'QC', '45.7424', '-73.6509');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0T', 'Laurentides-Nord (Montcalm)', 'Quebec', 'QC', '46.3002', '-74.5855');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5K', 'Saint-Colomban', 'Quebec', 'QC', '45.7334', '-74.1325');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5L', 'Saint-Jérôme West', 'Quebec', 'QC', '45.7987', '-74.0727');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7E', 'Sainte-Thérèse-de-Blainville Central', 'Quebec', 'QC', '45.6442', '-73.8448');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7P', 'Saint-Eustache Northeast', 'Quebec', 'QC', '45.5779', '-73.8809');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7R', 'Saint-Eustache Southwest', 'Quebec', 'QC', '45.574', '-73.94');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7Y', 'Saint-Jérôme North', 'Quebec', 'QC', '45.8058', '-74.0165');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7Z', 'Saint-Jérôme Southeast', 'Quebec', 'QC', '45.7788', '-73.9829');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8A', 'Saint-Hippolyte', 'Quebec', 'QC', '45.9334', '-74.0159');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8B', 'Sainte-Adèle', 'Quebec', 'QC', '45.9501', '-74.1325');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8E', 'Mont-Tremblant', 'Quebec', 'QC', '46.1949', '-74.6264');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8H', 'Lachute', 'Quebec', 'QC', '45.6501', '-74.3325');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9L', 'Mont-Laurier', 'Quebec', 'QC', '46.5501', '-75.4993');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0J', 'Montérégie-Est (Bedford)', 'Quebec', 'QC', '45.1529', '-73.1636');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0L', 'Montérégie-Nord (Saint-Antoine-Sur-Richelieu)', 'Quebec', 'QC', '45.1956', '-73.5695');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0S', 'Montérégie-Ouest (Saint-Anicet)', 'Quebec', 'QC', '45.1082', '-74.0451');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2G', 'Granby Central', 'Quebec', 'QC', '45.4046', '-72.7202');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2H', 'Granby East', 'Quebec', 'QC', '45.3938', '-72.7005');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2J', 'Granby West', 'Quebec', 'QC', '45.4005', '-72.7825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2K', 'Cowansville', 'Quebec', 'QC', '45.2001', '-72.7491');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2L', 'Bromont', 'Quebec', 'QC', '45.3168', '-72.6491');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2M', 'Shefford', 'Quebec', 'QC', '45.3501', '-72.5658');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2N', 'Farnham', 'Quebec', 'QC', '45.2834', '-72.9824');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2R', 'Saint-Hyacinthe Northwest', 'Quebec', 'QC', '45.6567', '-72.9237');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2S', 'Saint-Hyacinthe Southwest', 'Quebec', 'QC', '45.6139', '-72.9912');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2T', 'Saint-Hyacinthe East', 'Quebec', 'QC', '45.5971', '-72.9366');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2X', 'Saint-Jean-sur-Richelieu East', 'Quebec', 'QC', '45.309', '-73.219');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2Y', 'Saint-Jean-sur-Richelieu West', 'Quebec', 'QC', '45.3114', '-73.3556');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3A', 'Saint-Jean-sur-Richelieu North', 'Quebec', 'QC', '45.3339', '-73.2744');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3B', 'Saint-Jean-sur-Richelieu Central', 'Quebec', 'QC', '45.2832', '-73.2792');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3E', 'Sainte-Julie', 'Quebec', 'QC', '45.5834', '-73.3325');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3G', 'Beloeil West', 'Quebec', 'QC', '45.5946', '-73.2283');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3L', 'Chambly', 'Quebec', 'QC', '45.4501', '-73.2825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3M', 'Marieville', 'Quebec', 'QC', '45.4334', '-73.1659');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3X', 'Varennes', 'Quebec', 'QC', '45.6834', '-73.4325');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4B', 'Boucherville', 'Quebec', 'QC', '45.591', '-73.4361');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4P', 'Saint-Lambert North', 'Quebec', 'QC', '45.5073', '-73.5082');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4R', 'Saint-Lambert Central', 'Quebec', 'QC', '45.4924', '-73.5009');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4S', 'Saint-Lambert South', 'Quebec', 'QC', '45.481', '-73.497');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4W', 'Brossard Northwest', 'Quebec', 'QC', '45.4674', '-73.4832');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4X', 'Brossard Southwest', 'Quebec', 'QC', '45.4455', '-73.4841');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4Y', 'Brossard South', 'Quebec', 'QC', '45.4414', '-73.4561');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4Z', 'Brossard Northeast', 'Quebec', 'QC', '45.4424', '-73.4231');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5A', 'Saint-Constant', 'Quebec', 'QC', '45.3668', '-73.5659');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5B', 'Delson', 'Quebec', 'QC', '45.3668', '-73.5492');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5C', 'Sainte-Catherine', 'Quebec', 'QC', '45.4001', '-73.5825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5R', 'La Prairie', 'Quebec', 'QC', '45.4168', '-73.4992');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6J', 'Châteauguay North', 'Quebec', 'QC', '45.3691', '-73.7216');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6K', 'Châteauguay South', 'Quebec', 'QC', '45.3526', '-73.7305');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6N', 'Beauharnois', 'Quebec', 'QC', '45.3168', '-73.8659');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6R', 'Mercier', 'Quebec', 'QC', '45.3168', '-73.7492');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6S', 'Salaberry-de-Valleyfield North', 'Quebec', 'QC', '45.2702', '-74.0482');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6T', 'Salaberry-de-Valleyfield South', 'Quebec', 'QC', '45.2409', '-74.1098');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7V', 'Vaudreuil-Dorion', 'Quebec', 'QC', '45.4001', '-74.0325');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0P', 'Centre-du-Québec-Est (Saint-Valère)', 'Quebec', 'QC', '46.0119', '-71.7199');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0Z', 'Centre-du-Québec-Nord (Daveluyville)', 'Quebec', 'QC', '46.179', '-72.1569');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6L', 'Plessisville', 'Quebec', 'QC', '46.2186', '-71.762');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6P', 'Victoriaville Central', 'Quebec', 'QC', '46.0529', '-71.9477');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6T', 'Victoriaville Northwest', 'Quebec', 'QC', '46.0828', '-71.9728');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0A', 'Centre-du-Québec-Sud (Warwick)', 'Quebec', 'QC', '45.8382', '-71.9542');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0C', 'Centre-du-Québec-Ouest (Saint-Bonaventure)', 'Quebec', 'QC', '45.8567', '-72.6966');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2A', 'Drummondville Southeast', 'Quebec', 'QC', '45.8152', '-72.4027');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2C', 'Drummondville Central', 'Quebec', 'QC', '45.8893', '-72.5055');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2E', 'Drummondville Northwest', 'Quebec', 'QC', '45.9099', '-72.5289');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3T', 'Nicolet', 'Quebec', 'QC', '46.2168', '-72.6158');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0B', 'Cap-aux-Meules', 'Quebec', 'QC', '47.4501', '-72.9913');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0C', 'Gaspésie-Sud (New Richmond)', 'Quebec', 'QC', '48.3429', '-65.5961');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0E', 'Gaspésie-Nord (Grande-Vallée)', 'Quebec', 'QC', '48.9182', '-65.3736');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0H', 'Manicouagan (Baie-Trinité)', 'Quebec', 'QC', '49.3795', '-67.8948');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0J', 'Gaspésie-Ouest (Causapscal)', 'Quebec', 'QC', '48.5246', '-67.0565');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0K', 'Bas-St-Laurent-Est (Sainte-Luce)', 'Quebec', 'QC', '48.159', '-68.1951');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0L', 'Bas-St-Laurent-Ouest (Trois-Pistoles)', 'Quebec', 'QC', '47.7136', '-69.1658');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0M', 'Région de Beauce (Saint-Prosper-De-Dorchester)', 'Quebec', 'QC', '45.9718', '-70.6565');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0N', 'Chaudière-Sud (Disraeli)', 'Quebec', 'QC', '46.0988', '-71.1248');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0R', 'Appalaches (La Pocatière)', 'Quebec', 'QC', '46.798', '-70.3288');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0S', 'Chaudière-Nord (Saint-Joseph-De-Beauce)', 'Quebec', 'QC', '46.4526', '-71.4397');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0T', 'Le Fjord (Forestville)', 'Quebec', 'QC', '49.0143', '-69.6231');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0V', 'Saguenay-Lac-St-Jean (Alouette)', 'Quebec', 'QC', '50.1719', '-70.6283');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0W', 'Région de Mistassini (Chambord)', 'Quebec', 'QC', '49.834', '-72.2623');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G0Y', 'L''Erable (Nantes)', 'Quebec', 'QC', '45.6242', '-71.0191');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1B', 'Beauport North', 'Quebec', 'QC', '46.9263', '-71.2258');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1C', 'Beauport Central', 'Quebec', 'QC', '46.8801', '-71.196');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1E', 'Beauport South', 'Quebec', 'QC', '46.8588', '-71.192');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1G', 'Jean-Talon Southeast', 'Quebec', 'QC', '46.8765', '-71.2839');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1H', 'Charlesbourg South', 'Quebec', 'QC', '46.8528', '-71.2573');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1V', 'Sainte-Foy Northeast', 'Quebec', 'QC', '46.7823', '-71.2882');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1W', 'Sainte-Foy Southeast', 'Quebec', 'QC', '46.7589', '-71.298');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1X', 'Sainte-Foy West', 'Quebec', 'QC', '46.7749', '-71.3344');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G1Y', 'Cap-Rouge', 'Quebec', 'QC', '46.7507', '-71.3562');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2A', 'Loretteville North', 'Quebec', 'QC', '46.8751', '-71.392');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2B', 'Loretteville South', 'Quebec', 'QC', '46.8505', '-71.3357');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2G', 'L''Ancienne-Lorette Southwest', 'Quebec', 'QC', '46.7903', '-71.4157');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2L', 'Charlesbourg North', 'Quebec', 'QC', '46.8895', '-71.2545');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2M', 'Jean-Talon Northeast', 'Quebec', 'QC', '46.922', '-71.3056');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G2N', 'Jean-Talon West', 'Quebec', 'QC', '46.9137', '-71.3398');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3A', 'St-Augustin-De-Desmaures', 'Quebec', 'QC', '46.7406', '-71.4513');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3E', 'Saint-Émile', 'Quebec', 'QC', '46.8779', '-71.3408');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3G', 'Lac-Saint-Charles', 'Quebec', 'QC', '46.9242', '-71.3958');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3J', 'Val-Bélair North', 'Quebec', 'QC', '46.8603', '-71.4752');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3K', 'Val-Bélair South', 'Quebec', 'QC', '46.8315', '-71.4429');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G3L', 'Saint-Raymond', 'Quebec', 'QC', '47.2374', '-71.8763');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G4R', 'Sept-Îles Southeast', 'Quebec', 'QC', '50.8558', '-67.0511');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G4T', 'Les Îles-De-La-Madeleine', 'Quebec', 'QC', '47.3999', '-61.7996');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G4V', 'Sainte-Anne-Des-Monts', 'Quebec', 'QC', '48.9711', '-66.3082');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G4Z', 'Baie-Comeau Northeast', 'Quebec', 'QC', '51.0872', '-68.632');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5C', 'Baie-Comeau Southwest', 'Quebec', 'QC', '50.3474', '-69.0411');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G5T', 'Degelis', 'Quebec', 'QC', '47.5473', '-68.6431');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6B', 'Lac-Megantic', 'Quebec', 'QC', '45.5834', '-70.8823');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6C', 'Pintendre', 'Quebec', 'QC', '46.7701', '-71.0906');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6H', 'Black Lake', 'Quebec', 'QC', '46.07', '-71.4393');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6J', 'Saint-Etienne-De-Lauzon', 'Quebec', 'QC', '46.6358', '-71.3098');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6K', 'Saint-Redempteur', 'Quebec', 'QC', '46.688', '-71.3028');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6R', 'Victoriaville South', 'Quebec', 'QC', '46.016', '-71.9561');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6S', 'Victoriaville East', 'Quebec', 'QC', '46.0264', '-71.8719');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6X', 'Charny', 'Quebec', 'QC', '46.7151', '-71.2612');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G6Z', 'Saint-Jean-Chrysostome', 'Quebec', 'QC', '46.6901', '-71.1849');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7A', 'Saint-Nicolas', 'Quebec', 'QC', '46.6842', '-71.3827');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7B', 'La Baie', 'Quebec', 'QC', '48.3398', '-70.8893');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7G', 'Chicoutimi North', 'Quebec', 'QC', '48.445', '-71.1025');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7H', 'Chicoutimi East', 'Quebec', 'QC', '48.4187', '-71.0417');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7J', 'Chicoutimi West', 'Quebec', 'QC', '48.4175', '-71.1031');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7K', 'Chicoutimi Southwest', 'Quebec', 'QC', '48.3689', '-71.1175');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7N', 'Laterrière', 'Quebec', 'QC', '48.2007', '-71.1426');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7S', 'Jonquière Northeast', 'Quebec', 'QC', '48.4294', '-71.1774');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7T', 'Jonquière Southeast', 'Quebec', 'QC', '48.3975', '-71.1527');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7X', 'Jonquière Central', 'Quebec', 'QC', '48.3199', '-71.4149');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7Y', 'Jonquière Southwest', 'Quebec', 'QC', '48.3701', '-71.2358');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G7Z', 'Jonquière Northwest', 'Quebec', 'QC', '48.4381', '-71.2642');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8A', 'Jonquière West', 'Quebec', 'QC', '48.4233', '-71.3629');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8G', 'Métabetchouan-Lac-a-la-Croix', 'Quebec', 'QC', '47.8076', '-71.5907');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8T', 'Cap-de-la-Madeleine Central and southeast', 'Quebec', 'QC', '46.3877', '-72.5357');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8V', 'Cap-de-la-Madeleine Northeast', 'Quebec', 'QC', '46.4098', '-72.4908');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8W', 'Cap-de-la-Madeleine West', 'Quebec', 'QC', '46.4176', '-72.6372');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8Y', 'Trois-Rivières Central', 'Quebec', 'QC', '46.3668', '-72.6168');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G8Z', 'Trois-Rivières Northeast', 'Quebec', 'QC', '46.3458', '-72.5716');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G9A', 'Trois-Rivières East', 'Quebec', 'QC', '46.3695', '-72.6789');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G9B', 'Trois-Rivières South', 'Quebec', 'QC', '46.316', '-72.6833');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G9C', 'Trois-Rivières West', 'Quebec', 'QC', '46.3922', '-72.6725');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G9H', 'Becancour', 'Quebec', 'QC', '46.3334', '-72.4324');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G9N', 'Shawinigan Central', 'Quebec', 'QC', '46.5564', '-72.7198');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G9P', 'Shawinigan Southeast', 'Quebec', 'QC', '46.5068', '-72.7436');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G9R', 'Shawinigan Northwest', 'Quebec', 'QC', '46.6098', '-72.8266');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('G9T', 'Grand-Mère', 'Quebec', 'QC', '46.6315', '-72.737');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H0H', 'Reserved (Santa Claus)', 'Quebec', 'QC', '90', '0');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H0M', 'Akwesasne Region (Akwesasne)', 'Quebec', 'QC', '45.6986', '-73.5025');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1A', 'Pointe-Aux-Trembles', 'Quebec', 'QC', '45.6753', '-73.5016');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1C', 'Rivière-des-Prairies Northeast', 'Quebec', 'QC', '45.6656', '-73.5367');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1E', 'Rivière-Des-Prairies Southwest', 'Quebec', 'QC', '45.6342', '-73.5842');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1J', 'Anjou West', 'Quebec', 'QC', '45.6097', '-73.5794');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1K', 'Anjou East', 'Quebec', 'QC', '45.6097', '-73.5472');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1L', 'Mercier North', 'Quebec', 'QC', '45.6043', '-73.5178');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1M', 'Mercier West', 'Quebec', 'QC', '45.5883', '-73.5572');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1N', 'Mercier Southeast', 'Quebec', 'QC', '45.5779', '-73.5304');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1P', 'Saint-Léonard North', 'Quebec', 'QC', '45.5966', '-73.5928');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1R', 'Saint-Léonard West', 'Quebec', 'QC', '45.5864', '-73.6082');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1S', 'Saint-Léonard Southeast', 'Quebec', 'QC', '45.5808', '-73.5825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1T', 'Rosemont North', 'Quebec', 'QC', '45.573', '-73.5701');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1V', 'Maisonneuve', 'Quebec', 'QC', '45.5585', '-73.5386');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1W', 'Hochelaga', 'Quebec', 'QC', '45.5442', '-73.5468');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1X', 'Rosemont Central', 'Quebec', 'QC', '45.5583', '-73.5701');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1Y', 'Rosemont South', 'Quebec', 'QC', '45.5486', '-73.5788');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H1Z', 'Saint-Michel West', 'Quebec', 'QC', '45.5694', '-73.6221');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2A', 'Saint-Michel East', 'Quebec', 'QC', '45.5618', '-73.599');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2B', 'Ahuntsic North', 'Quebec', 'QC', '45.5741', '-73.6507');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2C', 'Ahuntsic Central', 'Quebec', 'QC', '45.5606', '-73.6584');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2E', 'Villeray Northeast', 'Quebec', 'QC', '45.5514', '-73.6116');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2G', 'Petite-Patrie Northeast', 'Quebec', 'QC', '45.5438', '-73.5927');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2H', 'Plateau Mont-Royal North', 'Quebec', 'QC', '45.5374', '-73.5735');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2J', 'Plateau Mont-Royal North Central', 'Quebec', 'QC', '45.5302', '-73.5831');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2K', 'Centre-Sud North', 'Quebec', 'QC', '45.5307', '-73.5547');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2L', 'Centre-Sud South', 'Quebec', 'QC', '45.5186', '-73.5545');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2M', 'Ahuntsic East', 'Quebec', 'QC', '45.5528', '-73.6411');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2N', 'Ahuntsic Southeast', 'Quebec', 'QC', '45.5394', '-73.6513');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2P', 'Villeray West', 'Quebec', 'QC', '45.5435', '-73.6339');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2R', 'Villeray Southeast', 'Quebec', 'QC', '45.5401', '-73.6225');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2S', 'Petite-Patrie Southwest', 'Quebec', 'QC', '45.5354', '-73.6061');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2T', 'Plateau Mont-Royal West', 'Quebec', 'QC', '45.5247', '-73.5953');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2V', 'Outremont', 'Quebec', 'QC', '45.5168', '-73.6072');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2W', 'Plateau Mont-Royal South Central', 'Quebec', 'QC', '45.5176', '-73.5804');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H2X', 'Plateau Mont-Royal Southeast', 'Quebec', 'QC', '45.5115', '-73.5683');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3C', 'Griffintown (Includes Île Notre-Dame & Île Sainte-Hélène)', 'Quebec', 'QC', '45.498', '-73.5472');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3E', 'L''Île-Des-Soeurs', 'Quebec', 'QC', '45.4594', '-73.5501');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3J', 'Petite-Bourgogne', 'Quebec', 'QC', '45.4861', '-73.5732');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3K', 'Pointe-Saint-Charles', 'Quebec', 'QC', '45.4805', '-73.5554');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3L', 'Ahuntsic Southwest', 'Quebec', 'QC', '45.5467', '-73.6718');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3M', 'Cartierville Northeast', 'Quebec', 'QC', '45.5383', '-73.6932');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3N', 'Parc-Extension', 'Quebec', 'QC', '45.5302', '-73.6327');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3P', 'Mount Royal North', 'Quebec', 'QC', '45.5217', '-73.6393');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3R', 'Mount Royal Central', 'Quebec', 'QC', '45.5101', '-73.6478');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3S', 'Côte-des-Neiges North', 'Quebec', 'QC', '45.5063', '-73.6297');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3T', 'Côte-des-Neiges Northeast', 'Quebec', 'QC', '45.5018', '-73.6191');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3V', 'Côte-des-Neiges East', 'Quebec', 'QC', '45.499', '-73.6089');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H3W', 'Côte-des-Neiges Southwest', 'Quebec', 'QC', '45.4897', '-73.6312');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4A', 'Notre-Dame-de-Grâce Northeast', 'Quebec', 'QC', '45.4717', '-73.6149');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4B', 'Notre-Dame-de-Grâce Southwest', 'Quebec', 'QC', '45.4604', '-73.6303');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4C', 'Saint-Henri', 'Quebec', 'QC', '45.4737', '-73.5882');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4E', 'Ville Émard', 'Quebec', 'QC', '45.4546', '-73.5985');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4G', 'Verdun North', 'Quebec', 'QC', '45.4643', '-73.5698');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4H', 'Verdun South', 'Quebec', 'QC', '45.4459', '-73.5815');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4J', 'Cartierville Central', 'Quebec', 'QC', '45.5313', '-73.7091');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4K', 'Cartierville Southwest', 'Quebec', 'QC', '45.5171', '-73.7363');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4L', 'Saint-Laurent Inner Northeast', 'Quebec', 'QC', '45.517', '-73.6831');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4M', 'Saint-Laurent East', 'Quebec', 'QC', '45.4979', '-73.6886');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4N', 'Saint-Laurent Outer Northeast', 'Quebec', 'QC', '45.5263', '-73.6649');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4P', 'Mount Royal South', 'Quebec', 'QC', '45.4964', '-73.6647');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4R', 'Saint-Laurent Central', 'Quebec', 'QC', '45.5049', '-73.7142');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4S', 'Saint-Laurent Southwest', 'Quebec', 'QC', '45.4858', '-73.7433');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4T', 'Saint-Laurent Southeast', 'Quebec', 'QC', '45.4752', '-73.6961');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4V', 'Côte-Saint-Luc East', 'Quebec', 'QC', '45.4671', '-73.6487');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4Y', 'Dorval Central', 'Quebec', 'QC', '45.8654', '-72.7614');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H4Z', 'Tour de la Bourse', 'Quebec', 'QC', '45.5061', '-73.5573');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H5A', 'Place Bonaventure', 'Quebec', 'QC', '45.4992', '-73.5646');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H5B', 'Place Desjardins', 'Quebec', 'QC', '45.5066', '-73.5623');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7A', 'Duvernay-Est', 'Quebec', 'QC', '45.6739', '-73.5924');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7B', 'Saint-Franþois', 'Quebec', 'QC', '45.6757', '-73.6388');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7C', 'Saint-Vincent-de-Paul', 'Quebec', 'QC', '45.6168', '-73.6492');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7E', 'Duvernay', 'Quebec', 'QC', '45.6225', '-73.6949');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7G', 'Pont-Viau', 'Quebec', 'QC', '45.5771', '-73.6873');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7H', 'Auteuil West', 'Quebec', 'QC', '45.6409', '-73.7542');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7J', 'Auteuil Northeast', 'Quebec', 'QC', '45.6625', '-73.7002');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7K', 'Auteuil South', 'Quebec', 'QC', '45.6213', '-73.7398');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7L', 'Sainte-Rose', 'Quebec', 'QC', '45.6168', '-73.7825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7M', 'Vimont', 'Quebec', 'QC', '45.5984', '-73.7159');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7P', 'Fabreville', 'Quebec', 'QC', '45.578', '-73.8004');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7S', 'Chomedey Northeast', 'Quebec', 'QC', '45.5793', '-73.7367');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7T', 'Chomedey Northwest', 'Quebec', 'QC', '45.5573', '-73.7725');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7V', 'Chomedey East', 'Quebec', 'QC', '45.5478', '-73.7368');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7W', 'Chomedey South', 'Quebec', 'QC', '45.5338', '-73.7652');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7X', 'Sainte-Dorothée', 'Quebec', 'QC', '45.5334', '-73.8159');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H7Y', 'Îles-Laval', 'Quebec', 'QC', '45.5284', '-73.8509');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H8N', 'LaSalle Northwest', 'Quebec', 'QC', '45.438', '-73.6215');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H8P', 'LaSalle Southeast', 'Quebec', 'QC', '45.4011', '-73.619');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H8R', 'Saint-Pierre', 'Quebec', 'QC', '45.3994', '-73.6506');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H8S', 'Lachine East', 'Quebec', 'QC', '45.4402', '-73.6747');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H8T', 'Lachine West', 'Quebec', 'QC', '45.4419', '-73.7057');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H8Y', 'Roxboro', 'Quebec', 'QC', '45.5084', '-73.8075');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H8Z', 'Pierrefonds', 'Quebec', 'QC', '45.5069', '-73.8407');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9A', 'Dollard-Des-Ormeaux Northwest', 'Quebec', 'QC', '45.4948', '-73.8317');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9B', 'Dollard-Des-Ormeaux East', 'Quebec', 'QC', '45.4897', '-73.7958');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9C', 'L''Île Bizard Northeast', 'Quebec', 'QC', '45.5055', '-73.8789');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9E', 'L''Île-Bizard Southwest', 'Quebec', 'QC', '45.4865', '-73.9092');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9G', 'Dollard-Des-Ormeaux Southwest', 'Quebec', 'QC', '45.4756', '-73.8367');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9H', 'Sainte-Geneviève', 'Quebec', 'QC', '45.4683', '-73.8565');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9K', 'Senneville', 'Quebec', 'QC', '45.4577', '-73.9162');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9S', 'L''Île-Dorval', 'Quebec', 'QC', '45.4414', '-73.7749');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('H9X', 'Sainte-Anne-De-Bellevue', 'Quebec', 'QC', '45.4062', '-73.9456');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0E', 'Estrie-Ouest (Fulford)', 'Quebec', 'QC', '45.2831', '-72.5244');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0G', 'Bois-Francs-Nord (Odanak)', 'Quebec', 'QC', '46.021', '-72.8239');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0H', 'Bois-Francs-Sud (Saint-Nazaire-D''Acton)', 'Quebec', 'QC', '45.6609', '-72.77');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0M', 'Nunavik (Kuujjuaq)', 'Quebec', 'QC', '58.3269', '-72.1637');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0N', 'Région d''Oka (Oka)', 'Quebec', 'QC', '45.5135', '-74.0534');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0P', 'Vaudreuil-Soulanges (Coteau-du-Lac)', 'Quebec', 'QC', '45.3655', '-74.312');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0R', 'Lanaudière-Sud (Prévost)', 'Quebec', 'QC', '45.866', '-74.1785');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0V', 'Laurentides-Sud (Chénéville)', 'Quebec', 'QC', '45.8265', '-74.9318');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0W', 'Outaouais-Nord (Ferme-Neuve)', 'Quebec', 'QC', '47.0921', '-75.7967');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J0Y', 'Abitibi-Témiscamingue-Est (Radisson)', 'Quebec', 'QC', '52.1046', '-75.2807');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1A', 'Coaticook', 'Quebec', 'QC', '45.1334', '-71.7991');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1C', 'Bromptonville', 'Quebec', 'QC', '45.4797', '-71.9492');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1E', 'Sherbrooke Northeast', 'Quebec', 'QC', '45.4231', '-71.8723');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1G', 'Sherbrooke East', 'Quebec', 'QC', '45.4024', '-71.8479');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1H', 'Sherbrooke Central', 'Quebec', 'QC', '45.3891', '-71.8986');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1J', 'Sherbrooke North', 'Quebec', 'QC', '45.4131', '-71.9238');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1K', 'Sherbrooke West', 'Quebec', 'QC', '45.3822', '-71.9327');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1L', 'Sherbrooke Northwest', 'Quebec', 'QC', '45.4113', '-71.9586');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1M', 'Sherbrooke Southeast', 'Quebec', 'QC', '45.3656', '-71.842');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1N', 'Rock Forest', 'Quebec', 'QC', '45.3395', '-72.0128');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1R', 'Saint-Élie-d''Orford', 'Quebec', 'QC', '45.3966', '-72.0422');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J1Z', 'Saint-Cyrille-De-Wendover', 'Quebec', 'QC', '45.9334', '-72.4324');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2B', 'Drummondville South', 'Quebec', 'QC', '45.9061', '-72.5929');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J2W', 'Saint-Luc', 'Quebec', 'QC', '45.3694', '-73.3137');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3H', 'Beloeil East', 'Quebec', 'QC', '45.5527', '-73.1755');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3N', 'Saint-Basile-Le-Grand', 'Quebec', 'QC', '45.5334', '-73.2825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3P', 'Sorel Central', 'Quebec', 'QC', '46.0365', '-73.0665');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3R', 'Sorel Southwest', 'Quebec', 'QC', '46.0206', '-73.1439');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3V', 'Saint-Bruno', 'Quebec', 'QC', '45.532', '-73.3437');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3Y', 'Saint-Hubert Central', 'Quebec', 'QC', '45.4906', '-73.3991');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J3Z', 'Saint-Hubert East', 'Quebec', 'QC', '45.4981', '-73.4012');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4G', 'Longueuil North', 'Quebec', 'QC', '45.5679', '-73.4761');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4H', 'Longueuil West', 'Quebec', 'QC', '45.5372', '-73.5056');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4J', 'Longueuil Central', 'Quebec', 'QC', '45.5362', '-73.4721');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4K', 'Longueuil Southwest', 'Quebec', 'QC', '45.5183', '-73.5023');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4L', 'Longueuil Southeast', 'Quebec', 'QC', '45.5181', '-73.4576');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4M', 'Longueuil East', 'Quebec', 'QC', '45.5418', '-73.4382');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4N', 'Longueuil Northeast', 'Quebec', 'QC', '45.5523', '-73.4558');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4T', 'Saint-Hubert West', 'Quebec', 'QC', '45.4973', '-73.4676');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J4V', 'Greenfield Park', 'Quebec', 'QC', '45.4865', '-73.4622');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5J', 'Saint-Sophie', 'Quebec', 'QC', '45.8306', '-73.9191');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J5W', 'L''Assomption', 'Quebec', 'QC', '45.8232', '-73.4294');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6E', 'Joliette', 'Quebec', 'QC', '46.0168', '-73.4492');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J6Z', 'Sainte-Thérèse-de-Blainville Northeast', 'Quebec', 'QC', '45.6694', '-73.7752');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7A', 'Sainte-Thérèse-de-Blainville East', 'Quebec', 'QC', '45.6383', '-73.7975');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7B', 'Sainte-Thérèse-de-Blainville North', 'Quebec', 'QC', '45.6602', '-73.8157');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7C', 'Sainte-Thérèse-de-Blainville Northwest', 'Quebec', 'QC', '45.689', '-73.8671');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7G', 'Sainte-Thérèse-de-Blainville South', 'Quebec', 'QC', '45.6095', '-73.8378');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7H', 'Sainte-Thérèse-de-Blainville Southwest', 'Quebec', 'QC', '45.6209', '-73.8728');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7J', 'Mirabel Northeast', 'Quebec', 'QC', '45.7045', '-73.9472');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7M', 'La Plaine', 'Quebec', 'QC', '45.7888', '-73.7442');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7N', 'Mirabel Southwest', 'Quebec', 'QC', '45.6345', '-74.1005');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7T', 'Vaudreuil-Dorion RCM', 'Quebec', 'QC', '45.3702', '-74.1249');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7W', 'Pincourt', 'Quebec', 'QC', '45.3665', '-73.9736');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J7X', 'Valleyfield', 'Quebec', 'QC', '45.2691', '-74.2339');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8C', 'Sainte-Agathe-Des-Monts', 'Quebec', 'QC', '46.0501', '-74.2825');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8G', 'Chatham', 'Quebec', 'QC', '45.6834', '-74.4159');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8L', 'Buckingham', 'Quebec', 'QC', '45.5856', '-75.4208');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8M', 'Masson-Angers', 'Quebec', 'QC', '45.5435', '-75.4274');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8P', 'Gatineau Southeast', 'Quebec', 'QC', '45.4869', '-75.6157');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8R', 'Gatineau Northeast', 'Quebec', 'QC', '45.5287', '-75.6088');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8T', 'Gatineau Southwest', 'Quebec', 'QC', '45.4776', '-75.7059');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8V', 'Gatineau Northwest', 'Quebec', 'QC', '45.5711', '-75.7615');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8X', 'Hull Southeast', 'Quebec', 'QC', '45.44', '-75.7119');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8Y', 'Hull Central', 'Quebec', 'QC', '45.448', '-75.7434');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J8Z', 'Hull North', 'Quebec', 'QC', '45.4716', '-75.7616');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9A', 'Hull Southwest', 'Quebec', 'QC', '45.4279', '-75.7711');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9H', 'Aylmer South', 'Quebec', 'QC', '45.3932', '-75.8288');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9J', 'Aylmer North', 'Quebec', 'QC', '45.4394', '-75.8465');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9X', 'Rouyn-Noranda South', 'Quebec', 'QC', '48.2855', '-78.8234');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('J9Y', 'Rouyn-Noranda North', 'Quebec', 'QC', '48.1607', '-79.0714');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0A', 'Yorkton Region (Melville)', 'Saskatchewan', 'SK', '51.4818', '-102.9065');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0C', 'Southeastern Saskatchewan (Carlyle)', 'Saskatchewan', 'SK', '49.3961', '-103.2567');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0E', 'Eastern Saskatchewan (Melfort)', 'Saskatchewan', 'SK', '53.1363', '-103.0999');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0G', 'South Central Saskatchewan (Fort Qu''Appelle)', 'Saskatchewan', 'SK', '50.5767', '-104.1');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0H', 'Southern Saskatchewan (Assiniboia)', 'Saskatchewan', 'SK', '49.9841', '-106.249');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0J', 'Northern Saskatchewan (La Ronge)', 'Saskatchewan', 'SK', '57.1992', '-105.8242');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0K', 'Central Saskatchewan (Humboldt)', 'Saskatchewan', 'SK', '52.3003', '-107.9907');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0L', 'Western Saskatchewan (Kindersley)', 'Saskatchewan', 'SK', '51.4827', '-108.4898');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0M', 'Northwestern Saskatchewan (Battleford)', 'Saskatchewan', 'SK', '54.9235', '-108.9572');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0N', 'Southwestern Saskatchewan (Maple Creek)', 'Saskatchewan', 'SK', '49.9116', '-108.7236');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S0P', 'Northeastern Saskatchewan (Creighton)', 'Saskatchewan', 'SK', '55.0162', '-102.7415');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S2V', 'Buena Vista', 'Saskatchewan', 'SK', '50.7834', '-104.9511');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S3N', 'Yorkton', 'Saskatchewan', 'SK', '51.2167', '-102.4677');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4A', 'Estevan', 'Saskatchewan', 'SK', '49.1334', '-102.9842');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4H', 'Weyburn', 'Saskatchewan', 'SK', '49.6668', '-103.8511');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4K', 'Rm Of Sherwood', 'Saskatchewan', 'SK', '50.4501', '-104.6178');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4L', 'Regina East', 'Saskatchewan', 'SK', '50.4132', '-104.2733');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4M', 'Regina', 'Saskatchewan', 'SK', '50.4501', '-104.6178');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4N', 'Regina Northeast and East Central', 'Saskatchewan', 'SK', '50.4671', '-104.541');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4P', 'Regina Central', 'Saskatchewan', 'SK', '50.419', '-104.6774');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4R', 'Regina North Central', 'Saskatchewan', 'SK', '50.4855', '-104.6163');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4S', 'Regina South Saskatchewan Provincial Government', 'Saskatchewan', 'SK', '50.4153', '-104.6103');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4T', 'Regina West', 'Saskatchewan', 'SK', '50.4507', '-104.665');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4V', 'Regina Southeast', 'Saskatchewan', 'SK', '50.4251', '-104.5389');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4W', 'Regina Southwest', 'Saskatchewan', 'SK', '50.4078', '-104.6536');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4X', 'Regina Northwest', 'Saskatchewan', 'SK', '50.5061', '-104.6752');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4Y', 'Regina Outer Northwest', 'Saskatchewan', 'SK', '50.4768', '-104.6986');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S4Z', 'Regina Northeast', 'Saskatchewan', 'SK', '50.4497', '-104.5323');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S6H', 'Moose Jaw Southeast', 'Saskatchewan', 'SK', '50.3895', '-105.5578');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S6J', 'Moose Jaw Northeast', 'Saskatchewan', 'SK', '50.4185', '-105.5393');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S6K', 'Moose Jaw West', 'Saskatchewan', 'SK', '50.454', '-105.6418');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S6V', 'Prince Albert Central', 'Saskatchewan', 'SK', '54.493', '-104.3049');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S6W', 'Prince Albert Southwest', 'Saskatchewan', 'SK', '53.1785', '-105.7741');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S6X', 'Prince Albert East', 'Saskatchewan', 'SK', '53.1936', '-105.7025');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7H', 'Saskatoon East Central', 'Saskatchewan', 'SK', '52.1168', '-106.6345');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7J', 'Saskatoon South Central', 'Saskatchewan', 'SK', '52.0961', '-106.6252');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7K', 'Saskatoon North Central', 'Saskatchewan', 'SK', '52.0111', '-106.7955');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7L', 'Saskatoon West', 'Saskatchewan', 'SK', '52.1564', '-106.6873');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7M', 'Saskatoon Southwest', 'Saskatchewan', 'SK', '52.1133', '-106.7235');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7N', 'Saskatoon Northeast Central', 'Saskatchewan', 'SK', '52.1404', '-106.608');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7P', 'Saskatoon North', 'Saskatchewan', 'SK', '52.2751', '-106.5005');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7R', 'Saskatoon Northwest', 'Saskatchewan', 'SK', '52.1588', '-106.7163');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7S', 'Saskatoon Northeast', 'Saskatchewan', 'SK', '52.1609', '-106.5864');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7T', 'Saskatoon South', 'Saskatchewan', 'SK', '52.0403', '-106.6595');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7V', 'Saskatoon Southeast', 'Saskatchewan', 'SK', '52.0976', '-106.5553');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S7W', 'Saskatoon', 'Saskatchewan', 'SK', '52.157', '-106.5614');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S9A', 'North Battleford', 'Saskatchewan', 'SK', '52.7834', '-108.2847');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S9H', 'Swift Current', 'Saskatchewan', 'SK', '50.2834', '-107.8013');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S9V', 'Lloydminster', 'Saskatchewan', 'SK', '53.2835', '-110.0016');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('S9X', 'Meadow Lake', 'Saskatchewan', 'SK', '54.1335', '-108.4347');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('Y0A', 'Southeastern Yukon (Watson Lake)', 'Yukon', 'YT', '61.5793', '-131.1481');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('Y0B', 'Central Yukon (Dawson City)', 'Yukon', 'YT', '64.645', '-137.536');
-INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude) VALUES ('Y1A', 'Whitehorse', 'Yukon', 'YT', '60.7161', '-135.0537');
\ No newline at end of file
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0A', 'Eastern Alberta (St. Paul)', 'Alberta', 'AB', '54.766', '-111.7174', 'eastern alberta saint paul');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0B', 'Wainwright Region (Tofield)', 'Alberta', 'AB', '53.0727', '-111.5816', 'wainwright region tofield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0C', 'Central Alberta (Stettler)', 'Alberta', 'AB', '52.1431', '-111.6941', 'central alberta stettler');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0E', 'Western Alberta (Jasper)', 'Alberta', 'AB', '53.6758', '-115.0948', 'western alberta jasper');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0G', 'North Central Alberta (Slave Lake)', 'Alberta', 'AB', '55.6993', '-114.4529', 'north central alberta slave lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0H', 'Northwestern Alberta (High Level)', 'Alberta', 'AB', '57.5403', '-116.9153', 'northwestern alberta high level');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0J', 'Southeastern Alberta (Drumheller)', 'Alberta', 'AB', '50.9944', '-111.4632', 'southeastern alberta drumheller');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0K', 'International Border Region (Cardston)', 'Alberta', 'AB', '49.4721', '-112.2408', 'international border region cardston');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0L', 'Kananaskis Country (Claresholm)', 'Alberta', 'AB', '50.6314', '-114.4089', 'kananaskis country claresholm');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0M', 'Central Foothills (Sundre)', 'Alberta', 'AB', '51.9552', '-114.8691', 'central foothills sundre');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0P', 'Northeastern Alberta (Fort Chipewyan)', 'Alberta', 'AB', '58.2626', '-110.7467', 'northeastern alberta fort chipewyan');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T0V', 'Remote Northeast (Fitzgerald)', 'Alberta', 'AB', '59.9049', '-111.6717', 'remote northeast fitzgerald');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1A', 'Medicine Hat Central', 'Alberta', 'AB', '50.0816', '-110.5788', 'medicine hat central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1B', 'Medicine Hat South', 'Alberta', 'AB', '49.835', '-110.5203', 'medicine hat south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1C', 'Medicine Hat North', 'Alberta', 'AB', '50.0774', '-110.6911', 'medicine hat north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1G', 'Taber', 'Alberta', 'AB', '49.787', '-112.146', 'taber');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1H', 'Lethbridge North', 'Alberta', 'AB', '49.7', '-112.8186', 'lethbridge north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1J', 'Lethbridge West and Central', 'Alberta', 'AB', '49.6581', '-112.7484', 'lethbridge west and central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1K', 'Lethbridge Southeast', 'Alberta', 'AB', '49.6511', '-112.8351', 'lethbridge southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1L', 'Banff', 'Alberta', 'AB', '51.1762', '-115.5698', 'banff');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1M', 'Coaldale', 'Alberta', 'AB', '49.7167', '-112.6185', 'coaldale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1P', 'Strathmore', 'Alberta', 'AB', '51.0501', '-113.3852', 'strathmore');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1R', 'Brooks', 'Alberta', 'AB', '50.5834', '-111.8851', 'brooks');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1S', 'Okotoks', 'Alberta', 'AB', '50.7362', '-113.9695', 'okotoks');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1V', 'High River', 'Alberta', 'AB', '50.5834', '-113.8687', 'high river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1W', 'Canmore', 'Alberta', 'AB', '51.0876', '-115.3461', 'canmore');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1X', 'Chestermere', 'Alberta', 'AB', '51.0334', '-113.8187', 'chestermere');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1Y', 'Calgary (Rundle / Whitehorn / Monterey Park)', 'Alberta', 'AB', '51.0823', '-113.9578', 'calgary rundle whitehorn monterey park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T1Z', 'Rocky View', 'Alberta', 'AB', '51.1834', '-113.9353', 'rocky view');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2A', 'Calgary (Penbrooke Meadows / Marlborough)', 'Alberta', 'AB', '51.0494', '-113.9564', 'calgary penbrooke meadows marlborough');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2B', 'Calgary (Forest Lawn / Dover / Erin Woods)', 'Alberta', 'AB', '51.0209', '-113.981', 'calgary forest lawn dover erin woods');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2C', 'Calgary (Lynnwood Ridge / Ogden / Foothills Industrial / Great Plains)', 'Alberta', 'AB', '50.987', '-113.9634', 'calgary lynnwood ridge ogden foothills industrial great plains');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2E', 'Calgary (Bridgeland / Greenview / Zoo / YYC)', 'Alberta', 'AB', '51.0876', '-114.0214', 'calgary bridgeland greenview zoo yyc');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2G', 'Calgary (Inglewood / Burnsland / Chinatown / East Victoria Park / Saddledome)', 'Alberta', 'AB', '51.0272', '-114.0349', 'calgary inglewood burnsland chinatown east victoria park saddledome');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2H', 'Calgary (Highfield / Burns Industrial)', 'Alberta', 'AB', '50.9894', '-114.052', 'calgary highfield burns industrial');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2J', 'Calgary (Queensland Downs / Lake Bonavista / Willow Park / Acadia)', 'Alberta', 'AB', '50.8476', '-114.1958', 'calgary queensland downs lake bonavista willow park acadia');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2K', 'Calgary (Thornecliffe / Tuxedo)', 'Alberta', 'AB', '51.1111', '-114.0477', 'calgary thornecliffe tuxedo');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2L', 'Calgary (Brentwood / Collingwood / Nose Hill)', 'Alberta', 'AB', '51.1047', '-114.1148', 'calgary brentwood collingwood nose hill');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2M', 'Calgary (Mount Pleasant / Capitol Hill / Banff Trail)', 'Alberta', 'AB', '51.133', '-113.856', 'calgary mount pleasant capitol hill banff trail');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2N', 'Calgary (Kensington / Westmont / Parkdale / University)', 'Alberta', 'AB', '51.0621', '-114.1159', 'calgary kensington westmont parkdale university');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2P', 'Calgary (City Centre / Calgary Tower)', 'Alberta', 'AB', '51.0708', '-113.6931', 'calgary city centre calgary tower');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2R', 'Calgary (Connaught / West Victoria Park)', 'Alberta', 'AB', '51.0412', '-114.0762', 'calgary connaught west victoria park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2S', 'Calgary (Elbow Park / Britannia / Parkhill / Mission)', 'Alberta', 'AB', '51.0233', '-114.071', 'calgary elbow park britannia parkhill mission');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2T', 'Calgary South (Altadore / Bankview / Richmond)', 'Alberta', 'AB', '51.0242', '-114.1004', 'calgary south altadore bankview richmond');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2V', 'Calgary (Oak Ridge / Haysboro / Kingsland / Windsor Park)', 'Alberta', 'AB', '50.9819', '-114.1004', 'calgary oak ridge haysboro kingsland windsor park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2W', 'Calgary (Braeside / Woodbine)', 'Alberta', 'AB', '50.9514', '-114.3591', 'calgary braeside woodbine');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2X', 'Calgary (Midnapore / Sundance)', 'Alberta', 'AB', '50.8837', '-114.0326', 'calgary midnapore sundance');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2Y', 'Calgary (Millrise / Somerset / Bridlewood / Evergreen)', 'Alberta', 'AB', '50.9093', '-114.1028', 'calgary millrise somerset bridlewood evergreen');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T2Z', 'Calgary (Douglas Glen / McKenzie Lake / Copperfield / East Shepard)', 'Alberta', 'AB', '50.9278', '-113.9682', 'calgary douglas glen mckenzie lake copperfield east shepard');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3A', 'Calgary (Dalhousie / Edgemont / Hamptons / Hidden Valley)', 'Alberta', 'AB', '51.1264', '-114.1419', 'calgary dalhousie edgemont hamptons hidden valley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3B', 'Calgary (Montgomery / Bowness / Silver Springs / Greenwood)', 'Alberta', 'AB', '51.0915', '-114.2073', 'calgary montgomery bowness silver springs greenwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3C', 'Calgary (Rosscarrock / Wildwood / Shaganappi / Sunalta)', 'Alberta', 'AB', '51.0497', '-114.1394', 'calgary rosscarrock wildwood shaganappi sunalta');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3E', 'Calgary (Lakeview / Glendale / Killarney / Glamorgan)', 'Alberta', 'AB', '50.9899', '-114.1574', 'calgary lakeview glendale killarney glamorgan');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3G', 'Calgary (Hawkwood / Arbour Lake / Royal Oak / Rocky Ridge)', 'Alberta', 'AB', '51.1387', '-114.2015', 'calgary hawkwood arbour lake royal oak rocky ridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3H', 'Calgary (Discovery Ridge / Signal Hill / Aspen Woods / Patterson / Cougar Ridge)', 'Alberta', 'AB', '51.0419', '-114.2', 'calgary discovery ridge signal hill aspen woods patterson cougar ridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3J', 'Calgary (Martindale / Taradale / Falconridge / Saddle Ridge)', 'Alberta', 'AB', '51.1188', '-113.9471', 'calgary martindale taradale falconridge saddle ridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3K', 'Calgary (Sandstone / Harvest Hills / Coventry Hills / Panorama Hills / Beddington)', 'Alberta', 'AB', '51.1563', '-114.0572', 'calgary sandstone harvest hills coventry hills panorama hills beddington');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3L', 'Calgary (Tuscany / Scenic Acres)', 'Alberta', 'AB', '51.1467', '-114.3133', 'calgary tuscany scenic acres');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3M', 'Calgary (Cranston)', 'Alberta', 'AB', '50.8796', '-113.9555', 'calgary cranston');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3N', 'Calgary Northeast', 'Alberta', 'AB', '51.1626', '-113.9537', 'calgary northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3P', 'Calgary (Symons Valley)', 'Alberta', 'AB', '51.2074', '-114.1348', 'calgary symons valley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3R', 'Calgary Northwest', 'Alberta', 'AB', '51.2021', '-114.2453', 'calgary northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3S', 'Calgary', 'Alberta', 'AB', '50.9153', '-113.8932', 'calgary');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T3Z', 'Redwood Meadows', 'Alberta', 'AB', '51.0691', '-114.4727', 'redwood meadows');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4A', 'Airdrie East', 'Alberta', 'AB', '51.2799', '-113.988', 'airdrie east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4B', 'Airdrie West', 'Alberta', 'AB', '51.3082', '-114.0398', 'airdrie west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4C', 'Cochrane', 'Alberta', 'AB', '51.1834', '-114.4687', 'cochrane');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4E', 'Red Deer County', 'Alberta', 'AB', '52.2765', '-113.7063', 'red deer county');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4G', 'Innisfail', 'Alberta', 'AB', '52.0269', '-113.9507', 'innisfail');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4H', 'Olds', 'Alberta', 'AB', '51.7834', '-114.102', 'olds');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4J', 'Ponoka', 'Alberta', 'AB', '52.6768', '-113.5815', 'ponoka');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4L', 'Lacombe', 'Alberta', 'AB', '52.4668', '-113.7353', 'lacombe');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4M', 'Blackfalds', 'Alberta', 'AB', '52.3834', '-113.7853', 'blackfalds');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4N', 'Red Deer Central', 'Alberta', 'AB', '52.2316', '-113.8358', 'red deer central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4P', 'Red Deer North', 'Alberta', 'AB', '52.2954', '-113.8073', 'red deer north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4R', 'Red Deer South', 'Alberta', 'AB', '52.2424', '-113.7784', 'red deer south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4S', 'Sylvan Lake', 'Alberta', 'AB', '52.3168', '-114.0853', 'sylvan lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4T', 'Rocky Mountain House', 'Alberta', 'AB', '52.3668', '-114.9188', 'rocky mountain house');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4V', 'Camrose', 'Alberta', 'AB', '53.0168', '-112.8353', 'camrose');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T4X', 'Beaumont', 'Alberta', 'AB', '53.3501', '-113.4187', 'beaumont');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5A', 'Edmonton (West Clareview / East Londonderry)', 'Alberta', 'AB', '53.5931', '-113.4077', 'edmonton west clareview east londonderry');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5B', 'Edmonton (East North Central / West Beverly)', 'Alberta', 'AB', '53.7353', '-113.3369', 'edmonton east north central west beverly');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5C', 'Edmonton (Central Londonderry)', 'Alberta', 'AB', '53.5996', '-113.4549', 'edmonton central londonderry');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5E', 'Edmonton (West Londonderry / East Calder)', 'Alberta', 'AB', '53.7454', '-113.4465', 'edmonton west londonderry east calder');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5G', 'Edmonton (North Central / Queen Mary Park / YXD)', 'Alberta', 'AB', '53.5705', '-113.5051', 'edmonton north central queen mary park yxd');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5H', 'Edmonton (North and East Downtown Fringe)', 'Alberta', 'AB', '53.5514', '-113.4916', 'edmonton north and east downtown fringe');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5J', 'Edmonton (North Downtown)', 'Alberta', 'AB', '53.5428', '-113.4974', 'edmonton north downtown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5K', 'Edmonton (South Downtown / South Downtown Fringe)', 'Alberta', 'AB', '53.5366', '-113.5103', 'edmonton south downtown south downtown fringe');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5L', 'Edmonton (North Westmount / West Calder / East Mistatim)', 'Alberta', 'AB', '53.585', '-113.5526', 'edmonton north westmount west calder east mistatim');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5M', 'Edmonton (South Westmount / Groat Estate / East Northwest Industrial)', 'Alberta', 'AB', '53.563', '-113.5662', 'edmonton south westmount groat estate east northwest industrial');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5N', 'Edmonton (Glenora / SW Downtown Fringe)', 'Alberta', 'AB', '53.5436', '-113.5574', 'edmonton glenora sw downtown fringe');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5P', 'Edmonton (North Jasper Place)', 'Alberta', 'AB', '53.5463', '-113.5957', 'edmonton north jasper place');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5R', 'Edmonton (Central Jasper Place / Buena Vista)', 'Alberta', 'AB', '53.5181', '-113.5797', 'edmonton central jasper place buena vista');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5S', 'Edmonton (West Northwest Industrial / Winterburn)', 'Alberta', 'AB', '53.5634', '-113.6697', 'edmonton west northwest industrial winterburn');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5T', 'Edmonton West (West Jasper Place / West Edmonton Mall)', 'Alberta', 'AB', '53.5185', '-113.6579', 'edmonton west west jasper place west edmonton mall');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5V', 'Edmonton (Central Mistatim)', 'Alberta', 'AB', '53.5848', '-113.6224', 'edmonton central mistatim');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5W', 'Edmonton (Central Beverly)', 'Alberta', 'AB', '53.5645', '-113.4022', 'edmonton central beverly');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5X', 'Edmonton (East Castledowns)', 'Alberta', 'AB', '53.6313', '-113.5245', 'edmonton east castledowns');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5Y', 'Edmonton (Landbank / Oliver / East Lake District)', 'Alberta', 'AB', '53.6585', '-113.3614', 'edmonton landbank oliver east lake district');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T5Z', 'Edmonton (West Lake District)', 'Alberta', 'AB', '53.6365', '-113.4673', 'edmonton west lake district');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6A', 'Edmonton (North Capilano)', 'Alberta', 'AB', '53.5482', '-113.4318', 'edmonton north capilano');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6B', 'Edmonton (SE Capilano / West Southeast Industrial / East Bonnie Doon)', 'Alberta', 'AB', '53.5128', '-113.4194', 'edmonton se capilano west southeast industrial east bonnie doon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6C', 'Edmonton (Central Bonnie Doon)', 'Alberta', 'AB', '53.522', '-113.459', 'edmonton central bonnie doon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6E', 'Edmonton (South Bonnie Doon / East University)', 'Alberta', 'AB', '53.4914', '-113.4802', 'edmonton south bonnie doon east university');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6G', 'Edmonton (West University / Strathcona Place)', 'Alberta', 'AB', '53.521', '-113.5324', 'edmonton west university strathcona place');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6H', 'Edmonton (Southgate / North Riverbend)', 'Alberta', 'AB', '53.3753', '-113.4585', 'edmonton southgate north riverbend');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6J', 'Edmonton (Kaskitayo)', 'Alberta', 'AB', '53.4564', '-113.521', 'edmonton kaskitayo');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6K', 'Edmonton (West Mill Woods)', 'Alberta', 'AB', '53.4609', '-113.4519', 'edmonton west mill woods');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6L', 'Edmonton (East Mill Woods)', 'Alberta', 'AB', '53.4593', '-113.4145', 'edmonton east mill woods');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6M', 'Edmonton Southwest', 'Alberta', 'AB', '53.4593', '-113.6546', 'edmonton southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6N', 'Edmonton (South Industrial)', 'Alberta', 'AB', '53.465', '-113.4776', 'edmonton south industrial');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6P', 'Edmonton (East Southeast Industrial / South Clover Bar)', 'Alberta', 'AB', '53.5078', '-113.3723', 'edmonton east southeast industrial south clover bar');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6R', 'Edmonton (Riverbend)', 'Alberta', 'AB', '53.4567', '-113.5801', 'edmonton riverbend');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6S', 'Edmonton (North Clover Bar)', 'Alberta', 'AB', '53.5806', '-113.3374', 'edmonton north clover bar');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6T', 'Edmonton (Meadows)', 'Alberta', 'AB', '53.4617', '-113.371', 'edmonton meadows');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6V', 'Edmonton (West Castledowns)', 'Alberta', 'AB', '53.6112', '-113.5746', 'edmonton west castledowns');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6W', 'Edmonton (Heritage Valley)', 'Alberta', 'AB', '53.4179', '-113.5785', 'edmonton heritage valley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T6X', 'Edmonton (Ellerslie)', 'Alberta', 'AB', '53.4154', '-113.4178', 'edmonton ellerslie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T7A', 'Drayton Valley', 'Alberta', 'AB', '53.2168', '-114.9854', 'drayton valley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T7E', 'Edson', 'Alberta', 'AB', '53.5834', '-116.4356', 'edson');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T7N', 'Barrhead', 'Alberta', 'AB', '54.1334', '-114.4021', 'barrhead');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T7P', 'Westlock', 'Alberta', 'AB', '54.1502', '-113.8688', 'westlock');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T7S', 'Whitecourt', 'Alberta', 'AB', '54.1501', '-115.6855', 'whitecourt');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T7V', 'Hinton', 'Alberta', 'AB', '53.4001', '-117.5857', 'hinton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T7X', 'Spruce Grove North', 'Alberta', 'AB', '53.5334', '-113.9187', 'spruce grove north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T7Y', 'Spruce Grove South', 'Alberta', 'AB', '53.4184', '-113.8097', 'spruce grove south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T7Z', 'Stony Plain', 'Alberta', 'AB', '53.5334', '-114.0021', 'stony plain');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8A', 'Sherwood Park West', 'Alberta', 'AB', '53.528', '-113.2512', 'sherwood park west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8B', 'Sherwood Park Outer Southwest', 'Alberta', 'AB', '53.4397', '-113.2952', 'sherwood park outer southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8C', 'Sherwood Park Inner Southwest', 'Alberta', 'AB', '53.4391', '-113.1903', 'sherwood park inner southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8E', 'Sherwood Park Central', 'Alberta', 'AB', '53.5225', '-113.1022', 'sherwood park central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8G', 'Sherwood Park East', 'Alberta', 'AB', '53.5052', '-112.9529', 'sherwood park east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8H', 'Sherwood Park Northwest', 'Alberta', 'AB', '53.556', '-113.2952', 'sherwood park northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8L', 'Fort Saskatchewan', 'Alberta', 'AB', '53.7168', '-113.2187', 'fort saskatchewan');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8N', 'St. Albert', 'Alberta', 'AB', '53.6334', '-113.6353', 'saint albert');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8R', 'Morinville', 'Alberta', 'AB', '53.8001', '-113.652', 'morinville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8S', 'Peace River', 'Alberta', 'AB', '56.2501', '-117.286', 'peace river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8T', 'St. Albert', 'Alberta', 'AB', '53.6867', '-113.7102', 'saint albert');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8V', 'Grande Prairie Central', 'Alberta', 'AB', '55.1808', '-118.9103', 'grande prairie central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8W', 'Grande Prairie South', 'Alberta', 'AB', '55.1303', '-118.7946', 'grande prairie south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T8X', 'Grande Prairie East', 'Alberta', 'AB', '55.1834', '-118.7457', 'grande prairie east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9A', 'Wetaskiwin', 'Alberta', 'AB', '52.9668', '-113.3687', 'wetaskiwin');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9C', 'Vegreville', 'Alberta', 'AB', '53.5001', '-112.0518', 'vegreville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9E', 'Leduc', 'Alberta', 'AB', '53.2668', '-113.552', 'leduc');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9G', 'Devon', 'Alberta', 'AB', '53.3668', '-113.7353', 'devon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9H', 'Fort McMurray Outer Central', 'Alberta', 'AB', '56.664', '-111.1357', 'fort mcmurray outer central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9J', 'Fort McMurray Inner Central', 'Alberta', 'AB', '56.707', '-111.3771', 'fort mcmurray inner central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9K', 'Fort McMurray Northwest', 'Alberta', 'AB', '56.7538', '-111.435', 'fort mcmurray northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9M', 'Cold Lake', 'Alberta', 'AB', '54.4502', '-110.2017', 'cold lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9N', 'Bonnyville', 'Alberta', 'AB', '54.2668', '-110.7351', 'bonnyville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9S', 'Athabasca', 'Alberta', 'AB', '54.7169', '-113.2854', 'athabasca');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9V', 'Lloydminster', 'Alberta', 'AB', '53.2717', '-110.0853', 'lloydminster');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9W', 'Wainwright', 'Alberta', 'AB', '52.839', '-110.8572', 'wainwright');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('T9X', 'Vermilion', 'Alberta', 'AB', '53.3669', '-110.8517', 'vermilion');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5K', 'Vancouver (North Hastings-Sunrise)', 'British Columbia', 'BC', '49.2807', '-123.0397', 'vancouver north hastings sunrise');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5L', 'Vancouver (North Grandview-Woodlands)', 'British Columbia', 'BC', '49.2795', '-123.0667', 'vancouver north grandview woodlands');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5M', 'Vancouver (South Hastings-Sunrise / North Renfrew-Collingwood)', 'British Columbia', 'BC', '49.26', '-123.0398', 'vancouver south hastings sunrise north renfrew collingwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5N', 'Vancouver (South Grandview-Woodlands / NE Kensington)', 'British Columbia', 'BC', '49.2551', '-123.0667', 'vancouver south grandview woodlands ne kensington');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5P', 'Vancouver (SE Kensington / Victoria-Fraserview)', 'British Columbia', 'BC', '49.222', '-123.0683', 'vancouver se kensington victoria fraserview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5R', 'Vancouver (South Renfrew-Collingwood)', 'British Columbia', 'BC', '49.2397', '-123.0407', 'vancouver south renfrew collingwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5S', 'Vancouver (Killarney)', 'British Columbia', 'BC', '49.2175', '-123.038', 'vancouver killarney');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5T', 'Vancouver (East Mount Pleasant)', 'British Columbia', 'BC', '49.262', '-123.0923', 'vancouver east mount pleasant');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5V', 'Vancouver (West Kensington / NE Riley Park-Little Mountain)', 'British Columbia', 'BC', '49.248', '-123.0913', 'vancouver west kensington ne riley park little mountain');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5W', 'Vancouver (SE Riley Park-Little Mountain / SW Kensington / NE Oakridge / North Sunset)', 'British Columbia', 'BC', '49.2327', '-123.0917', 'vancouver se riley park little mountain sw kensington ne oakridge north sunset');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5X', 'Vancouver (SE Oakridge / East Marpole / South Sunset)', 'British Columbia', 'BC', '49.2156', '-123.0979', 'vancouver se oakridge east marpole south sunset');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5Y', 'Vancouver (West Mount Pleasant / West Riley Park-Little Mountain)', 'British Columbia', 'BC', '49.2492', '-123.1104', 'vancouver west mount pleasant west riley park little mountain');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5Z', 'Vancouver (East Fairview / South Cambie)', 'British Columbia', 'BC', '49.2475', '-123.121', 'vancouver east fairview south cambie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6A', 'Vancouver (Strathcona / Chinatown / Downtown Eastside)', 'British Columbia', 'BC', '49.2779', '-123.0908', 'vancouver strathcona chinatown downtown eastside');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6B', 'Vancouver (NE Downtown / Harbour Centre / Gastown / Yaletown)', 'British Columbia', 'BC', '49.2788', '-123.1139', 'vancouver ne downtown harbour centre gastown yaletown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6C', 'Vancouver (Waterfront / Coal Harbour / Canada Place)', 'British Columbia', 'BC', '49.2866', '-123.1158', 'vancouver waterfront coal harbour canada place');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6E', 'Vancouver (South West End)', 'British Columbia', 'BC', '49.2833', '-123.1298', 'vancouver south west end');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6G', 'Vancouver (North West End / Stanley Park)', 'British Columbia', 'BC', '49.299', '-123.1408', 'vancouver north west end stanley park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6H', 'Vancouver (West Fairview / Granville Island / NE Shaughnessy)', 'British Columbia', 'BC', '49.2559', '-123.1322', 'vancouver west fairview granville island ne shaughnessy');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6J', 'Vancouver (NW Shaughnessy / East Kitsilano / Quilchena)', 'British Columbia', 'BC', '49.2603', '-123.146', 'vancouver nw shaughnessy east kitsilano quilchena');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6K', 'Vancouver (Central Kitsilano)', 'British Columbia', 'BC', '49.2646', '-123.1648', 'vancouver central kitsilano');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6L', 'Vancouver (NW Arbutus Ridge)', 'British Columbia', 'BC', '49.2497', '-123.166', 'vancouver nw arbutus ridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6M', 'Vancouver (South Shaughnessy / NW Oakridge / NE Kerrisdale / SE Arbutus Ridge)', 'British Columbia', 'BC', '49.2344', '-123.1451', 'vancouver south shaughnessy nw oakridge ne kerrisdale se arbutus ridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6N', 'Vancouver (Dunbar-Southlands / Musqueam)', 'British Columbia', 'BC', '49.2302', '-123.189', 'vancouver dunbar southlands musqueam');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6P', 'Vancouver (SE Kerrisdale / SW Oakridge / West Marpole)', 'British Columbia', 'BC', '49.2151', '-123.1396', 'vancouver se kerrisdale sw oakridge west marpole');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6R', 'Vancouver (West Kitsilano / Jericho)', 'British Columbia', 'BC', '49.2666', '-123.1976', 'vancouver west kitsilano jericho');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6S', 'Vancouver (Chaldecutt / South University Endowment Lands)', 'British Columbia', 'BC', '49.2491', '-123.2088', 'vancouver chaldecutt south university endowment lands');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6T', 'Vancouver (UBC)', 'British Columbia', 'BC', '49.4635', '-122.822', 'vancouver ubc');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6Z', 'Vancouver (SW Downtown)', 'British Columbia', 'BC', '49.2767', '-123.13', 'vancouver sw downtown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7G', 'North Vancouver Outer East', 'British Columbia', 'BC', '49.3678', '-122.9278', 'north vancouver outer east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7H', 'North Vancouver Inner East', 'British Columbia', 'BC', '49.3551', '-122.9802', 'north vancouver inner east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7J', 'North Vancouver East Central', 'British Columbia', 'BC', '49.3622', '-123.0178', 'north vancouver east central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7K', 'North Vancouver North Central', 'British Columbia', 'BC', '49.3597', '-123.0377', 'north vancouver north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7L', 'North Vancouver South Central', 'British Columbia', 'BC', '49.316', '-123.0576', 'north vancouver south central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7M', 'North Vancouver Southwest Central', 'British Columbia', 'BC', '49.3222', '-123.0834', 'north vancouver southwest central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7N', 'North Vancouver Northwest Central', 'British Columbia', 'BC', '49.35', '-123.0679', 'north vancouver northwest central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7P', 'North Vancouver Southwest', 'British Columbia', 'BC', '49.322', '-123.1149', 'north vancouver southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7R', 'North Vancouver Northwest', 'British Columbia', 'BC', '49.3775', '-123.0862', 'north vancouver northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7S', 'West Vancouver North', 'British Columbia', 'BC', '49.3745', '-123.1864', 'west vancouver north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7T', 'West Vancouver Southeast', 'British Columbia', 'BC', '49.3322', '-123.1417', 'west vancouver southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7V', 'West Vancouver South', 'British Columbia', 'BC', '49.3397', '-123.1912', 'west vancouver south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7W', 'West Vancouver West', 'British Columbia', 'BC', '49.3615', '-123.2627', 'west vancouver west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7X', 'Vancouver (Bentall Centre)', 'British Columbia', 'BC', '49.2935', '-123.1162', 'vancouver bentall centre');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7Y', 'Vancouver (Pacific Centre)', 'British Columbia', 'BC', '49.2819', '-123.119', 'vancouver pacific centre');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0A', 'Upper Columbia Region (Golden)', 'British Columbia', 'BC', '51.2994', '-116.939', 'upper columbia region golden');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0B', 'East Kootenays (Fernie)', 'British Columbia', 'BC', '49.6775', '-115.5636', 'east kootenays fernie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0C', 'Northern British Columbia (Fort Nelson)', 'British Columbia', 'BC', '58.3874', '-125.7167', 'northern british columbia fort nelson');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0E', 'Central Okanagan and High Country (Revelstoke)', 'British Columbia', 'BC', '51.505', '-119.2034', 'central okanagan and high country revelstoke');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0G', 'West Kootenays (Rossland)', 'British Columbia', 'BC', '50.053', '-117.4291', 'west kootenays rossland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0H', 'South Okanagan (Summerland)', 'British Columbia', 'BC', '49.4089', '-119.0054', 'south okanagan summerland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0J', 'Omineca and Yellowhead (Smithers)', 'British Columbia', 'BC', '55.9964', '-126.8574', 'omineca and yellowhead smithers');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0K', 'Cariboo and West Okanagan (100 Mile House)', 'British Columbia', 'BC', '51.4367', '-121.6384', 'cariboo and west okanagan 100 mile house');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0L', 'Chilcotin (Alexis Creek)', 'British Columbia', 'BC', '52.0993', '-123.6526', 'chilcotin alexis creek');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0M', 'Harrison Lake Region (Agassiz)', 'British Columbia', 'BC', '49.6346', '-122.038', 'harrison lake region agassiz');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0N', 'North Island, Sunshine Coast, and Southern Gulf Islands (Whistler)', 'British Columbia', 'BC', '51.2944', '-126.0745', 'north island sunshine coast and southern gulf islands whistler');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0P', 'North Central Island and Bute Inlet Region (Gold River)', 'British Columbia', 'BC', '49.8866', '-126.2673', 'north central island and bute inlet region gold river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0R', 'Central Island (Chemainus)', 'British Columbia', 'BC', '49.027', '-124.8461', 'central island chemainus');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0S', 'Juan de Fuca Shore (Sooke)', 'British Columbia', 'BC', '48.5432', '-123.672', 'juan de fuca shore sooke');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0T', 'Inside Passage and the Queen Charlottes (Queen Charlotte City)', 'British Columbia', 'BC', '52.2338', '-126.2134', 'inside passage and the queen charlottes queen charlotte city');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0V', 'Lower Skeena (Port Edward)', 'British Columbia', 'BC', '53.9725', '-129.8986', 'lower skeena port edward');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0W', 'Atlin Region (Atlin)', 'British Columbia', 'BC', '59.6378', '-133.5433', 'atlin region atlin');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V0X', 'Similkameen (Hope)', 'British Columbia', 'BC', '49.3688', '-120.6569', 'similkameen hope');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1A', 'Kimberley', 'British Columbia', 'BC', '49.6832', '-115.9855', 'kimberley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1B', 'Vernon East', 'British Columbia', 'BC', '50.084', '-118.938', 'vernon east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1C', 'Cranbrook', 'British Columbia', 'BC', '49.4999', '-115.7688', 'cranbrook');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1E', 'Salmon Arm', 'British Columbia', 'BC', '50.6998', '-119.2691', 'salmon arm');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1G', 'Dawson Creek', 'British Columbia', 'BC', '55.7666', '-120.2362', 'dawson creek');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1H', 'Vernon West', 'British Columbia', 'BC', '50.2868', '-119.4975', 'vernon west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1J', 'Fort St. John', 'British Columbia', 'BC', '56.2499', '-120.8529', 'fort saint john');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1K', 'Merritt', 'British Columbia', 'BC', '50.1122', '-120.7942', 'merritt');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1L', 'Nelson', 'British Columbia', 'BC', '49.4999', '-117.2855', 'nelson');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1M', 'Langley Township North', 'British Columbia', 'BC', '49.1661', '-122.5792', 'langley township north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1N', 'Castlegar', 'British Columbia', 'BC', '49.2998', '-117.6689', 'castlegar');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1P', 'Kelowna East', 'British Columbia', 'BC', '49.8959', '-119.1724', 'kelowna east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1R', 'Trail', 'British Columbia', 'BC', '49.0998', '-117.7022', 'trail');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1S', 'Kamloops Southwest', 'British Columbia', 'BC', '50.5583', '-120.5477', 'kamloops southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1T', 'Vernon Central', 'British Columbia', 'BC', '50.2604', '-119.2774', 'vernon central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1V', 'Kelowna North', 'British Columbia', 'BC', '49.9497', '-119.4339', 'kelowna north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1W', 'Kelowna Southwest', 'British Columbia', 'BC', '49.812', '-119.5076', 'kelowna southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1X', 'Kelowna East Central', 'British Columbia', 'BC', '50.0528', '-119.2858', 'kelowna east central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1Y', 'Kelowna Central', 'British Columbia', 'BC', '49.8928', '-119.4852', 'kelowna central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V1Z', 'Kelowna West', 'British Columbia', 'BC', '49.8625', '-119.5833', 'kelowna west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2A', 'Penticton', 'British Columbia', 'BC', '49.4806', '-119.5858', 'penticton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2B', 'Kamloops Northwest', 'British Columbia', 'BC', '50.8869', '-120.7357', 'kamloops northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2C', 'Kamloops Central and Southeast', 'British Columbia', 'BC', '50.5437', '-120.0937', 'kamloops central and southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2E', 'Kamloops South and West', 'British Columbia', 'BC', '50.6736', '-120.4212', 'kamloops south and west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2G', 'Williams Lake', 'British Columbia', 'BC', '52.1415', '-122.1445', 'williams lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2H', 'Kamloops North', 'British Columbia', 'BC', '50.7262', '-120.1659', 'kamloops north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2J', 'Quesnel', 'British Columbia', 'BC', '52.9784', '-122.4931', 'quesnel');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2K', 'Prince George North', 'British Columbia', 'BC', '54.0508', '-122.9221', 'prince george north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2L', 'Prince George East Central', 'British Columbia', 'BC', '53.9078', '-122.7473', 'prince george east central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2M', 'Prince George West Central', 'British Columbia', 'BC', '53.9127', '-122.8708', 'prince george west central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2N', 'Prince George South', 'British Columbia', 'BC', '53.6408', '-122.954', 'prince george south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2P', 'Chilliwack Central', 'British Columbia', 'BC', '49.1838', '-121.9046', 'chilliwack central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2R', 'Chilliwack West', 'British Columbia', 'BC', '49.076', '-121.9883', 'chilliwack west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2S', 'Abbotsford Southeast', 'British Columbia', 'BC', '49.0423', '-122.2835', 'abbotsford southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2T', 'Abbotsford Southwest', 'British Columbia', 'BC', '49.0384', '-122.3485', 'abbotsford southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2V', 'Mission East', 'British Columbia', 'BC', '49.6463', '-122.5047', 'mission east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2W', 'Maple Ridge East', 'British Columbia', 'BC', '49.2068', '-122.4851', 'maple ridge east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2X', 'Maple Ridge West', 'British Columbia', 'BC', '49.2196', '-122.6164', 'maple ridge west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2Y', 'Langley Township Northwest', 'British Columbia', 'BC', '49.1285', '-122.6236', 'langley township northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V2Z', 'Langley Township Southwest', 'British Columbia', 'BC', '49.0483', '-122.5997', 'langley township southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3A', 'Langley City', 'British Columbia', 'BC', '49.0997', '-122.6526', 'langley city');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3B', 'Port Coquitlam Central', 'British Columbia', 'BC', '49.274', '-122.7649', 'port coquitlam central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3C', 'Port Coquitlam South', 'British Columbia', 'BC', '49.2436', '-122.7865', 'port coquitlam south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3E', 'Port Coquitlam North', 'British Columbia', 'BC', '49.3167', '-122.7384', 'port coquitlam north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3G', 'Abbotsford East', 'British Columbia', 'BC', '49.0754', '-122.178', 'abbotsford east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3H', 'Port Moody', 'British Columbia', 'BC', '49.3231', '-122.8626', 'port moody');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3J', 'Coquitlam North', 'British Columbia', 'BC', '49.265', '-122.8716', 'coquitlam north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3K', 'Coquitlam South', 'British Columbia', 'BC', '49.2366', '-122.8521', 'coquitlam south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3L', 'New Westminster Northeast', 'British Columbia', 'BC', '49.2201', '-122.8998', 'new westminster northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3M', 'New Westminster Southwest (Includes Annacis Island)', 'British Columbia', 'BC', '49.1886', '-122.9384', 'new westminster southwest includes annacis island');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3N', 'Burnaby (East Big Bend / Stride Avenue / Edmonds / Cariboo-Armstrong)', 'British Columbia', 'BC', '49.2275', '-122.9301', 'burnaby east big bend stride avenue edmonds cariboo armstrong');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3R', 'Surrey North', 'British Columbia', 'BC', '49.1948', '-122.8131', 'surrey north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3S', 'Surrey East', 'British Columbia', 'BC', '49.0791', '-122.7553', 'surrey east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3T', 'Surrey Inner Northwest', 'British Columbia', 'BC', '49.1894', '-122.8454', 'surrey inner northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3V', 'Surrey Outer Northwest', 'British Columbia', 'BC', '49.1889', '-122.873', 'surrey outer northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3W', 'Surrey Upper West', 'British Columbia', 'BC', '49.141', '-122.8569', 'surrey upper west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3X', 'Surrey Lower West', 'British Columbia', 'BC', '49.1067', '-122.8576', 'surrey lower west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3Y', 'Pitt Meadows', 'British Columbia', 'BC', '49.2212', '-122.6896', 'pitt meadows');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V3Z', 'Surrey', 'British Columbia', 'BC', '49.1064', '-122.8251', 'surrey');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4A', 'Surrey Southwest', 'British Columbia', 'BC', '49.0374', '-122.8299', 'surrey southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4B', 'White Rock', 'British Columbia', 'BC', '49.0259', '-122.8058', 'white rock');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4C', 'Delta Northeast', 'British Columbia', 'BC', '49.1551', '-122.9124', 'delta northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4E', 'Delta East', 'British Columbia', 'BC', '49.1197', '-122.9056', 'delta east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4G', 'Delta East Central', 'British Columbia', 'BC', '49.1464', '-123.0137', 'delta east central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4K', 'Delta Central', 'British Columbia', 'BC', '49.0986', '-123.0318', 'delta central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4L', 'Delta Southeast', 'British Columbia', 'BC', '49.0418', '-123.0591', 'delta southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4M', 'Delta Southwest', 'British Columbia', 'BC', '49.0331', '-123.0877', 'delta southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4N', 'Surrey Northeast', 'British Columbia', 'BC', '49.1707', '-122.7326', 'surrey northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4P', 'Surrey South', 'British Columbia', 'BC', '49.0561', '-122.8302', 'surrey south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4R', 'Maple Ridge Northwest', 'British Columbia', 'BC', '49.2903', '-122.5169', 'maple ridge northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4S', 'Mission West', 'British Columbia', 'BC', '49.2528', '-122.3574', 'mission west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4T', 'Westbank', 'British Columbia', 'BC', '49.866', '-119.7387', 'westbank');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4V', 'Winfield', 'British Columbia', 'BC', '50.0221', '-119.4054', 'winfield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4W', 'Langley Township East', 'British Columbia', 'BC', '49.0713', '-122.4977', 'langley township east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4X', 'Abbotsford West', 'British Columbia', 'BC', '49.0861', '-122.4026', 'abbotsford west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V4Z', 'Chilliwack East', 'British Columbia', 'BC', '49.0787', '-121.6098', 'chilliwack east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5A', 'Burnaby (Government Road / Lake City / SFU / Burnaby Mountain)', 'British Columbia', 'BC', '49.264', '-122.9369', 'burnaby government road lake city sfu burnaby mountain');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5B', 'Burnaby (Parkcrest-Aubrey / Ardingley-Sprott)', 'British Columbia', 'BC', '49.2769', '-122.9761', 'burnaby parkcrest aubrey ardingley sprott');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5C', 'Burnaby (Burnaby Heights / Willingdon Heights / West Central Valley)', 'British Columbia', 'BC', '49.274', '-123.0074', 'burnaby burnaby heights willingdon heights west central valley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5E', 'Burnaby (Lakeview-Mayfield / Richmond Park / Kingsway-Beresford)', 'British Columbia', 'BC', '49.2272', '-122.9574', 'burnaby lakeview mayfield richmond park kingsway beresford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5G', 'Burnaby (Cascade-Schou / Douglas-Gilpin)', 'British Columbia', 'BC', '49.2478', '-122.9938', 'burnaby cascade schou douglas gilpin');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5H', 'Burnaby (Maywood / Marlborough / Oakalla / Windsor)', 'British Columbia', 'BC', '49.2302', '-122.9952', 'burnaby maywood marlborough oakalla windsor');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V5J', 'Burnaby (Suncrest / Sussex-Nelson / Clinton-Glenwood / West Big Bend)', 'British Columbia', 'BC', '49.2038', '-122.9921', 'burnaby suncrest sussex nelson clinton glenwood west big bend');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6V', 'Richmond Northeast', 'British Columbia', 'BC', '49.1853', '-123.0386', 'richmond northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6W', 'Richmond Southeast', 'British Columbia', 'BC', '49.1534', '-123.048', 'richmond southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6X', 'Richmond North', 'British Columbia', 'BC', '49.1836', '-123.1168', 'richmond north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V6Y', 'Richmond Central', 'British Columbia', 'BC', '49.17', '-123.1368', 'richmond central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7A', 'Richmond South', 'British Columbia', 'BC', '49.1205', '-123.1171', 'richmond south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7B', 'Richmond (Sea Island / YVR)', 'British Columbia', 'BC', '49.1988', '-123.1799', 'richmond sea island yvr');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7C', 'Richmond West', 'British Columbia', 'BC', '49.1626', '-123.1721', 'richmond west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V7E', 'Richmond Southwest', 'British Columbia', 'BC', '49.1323', '-123.1705', 'richmond southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8A', 'Powell River', 'British Columbia', 'BC', '50.0163', '-124.3226', 'powell river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8B', 'Squamish', 'British Columbia', 'BC', '49.7002', '-123.156', 'squamish');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8C', 'Kitimat', 'British Columbia', 'BC', '54.0524', '-128.6534', 'kitimat');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8E', 'Whistler', 'British Columbia', 'BC', '50.1182', '-122.954', 'whistler');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8G', 'Terrace', 'British Columbia', 'BC', '54.5163', '-128.6035', 'terrace');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8J', 'Prince Rupert', 'British Columbia', 'BC', '54.3161', '-130.3201', 'prince rupert');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8K', 'Saltspring Island', 'British Columbia', 'BC', '48.8138', '-123.4973', 'saltspring island');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8L', 'Sidney', 'British Columbia', 'BC', '48.6496', '-123.4026', 'sidney');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8M', 'Central Saanich', 'British Columbia', 'BC', '48.5663', '-123.4193', 'central saanich');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8N', 'Saanich East', 'British Columbia', 'BC', '48.4765', '-123.3145', 'saanich east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8P', 'Saanich Southeast', 'British Columbia', 'BC', '48.4583', '-123.3325', 'saanich southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8R', 'Oak Bay North', 'British Columbia', 'BC', '48.4496', '-123.3026', 'oak bay north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8S', 'Oak Bay South', 'British Columbia', 'BC', '48.42', '-123.3047', 'oak bay south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8T', 'Victoria North', 'British Columbia', 'BC', '48.4392', '-123.3566', 'victoria north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8V', 'Victoria South', 'British Columbia', 'BC', '48.4167', '-123.365', 'victoria south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8W', 'Victoria Central British Columbia Provincial Government', 'British Columbia', 'BC', '48.4267', '-123.3655', 'victoria central british columbia provincial government');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8X', 'Saanich South', 'British Columbia', 'BC', '48.4777', '-123.3658', 'saanich south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8Y', 'Saanich North', 'British Columbia', 'BC', '48.5247', '-123.3745', 'saanich north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V8Z', 'Saanich Central', 'British Columbia', 'BC', '48.4993', '-123.4003', 'saanich central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9A', 'Esquimalt', 'British Columbia', 'BC', '48.4496', '-123.4193', 'esquimalt');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9B', 'Highlands', 'British Columbia', 'BC', '48.4793', '-123.5271', 'highlands');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9C', 'Metchosin', 'British Columbia', 'BC', '48.3829', '-123.5359', 'metchosin');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9E', 'Saanich West', 'British Columbia', 'BC', '48.5219', '-123.453', 'saanich west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9G', 'Ladysmith', 'British Columbia', 'BC', '48.9829', '-123.8194', 'ladysmith');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9H', 'Campbell River Outskirts', 'British Columbia', 'BC', '49.9088', '-125.5862', 'campbell river outskirts');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9J', 'Courtenay Northern Outskirts', 'British Columbia', 'BC', '49.7242', '-125.2604', 'courtenay northern outskirts');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9K', 'Qualicum Beach', 'British Columbia', 'BC', '49.3468', '-124.4361', 'qualicum beach');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9L', 'Duncan', 'British Columbia', 'BC', '48.7829', '-123.7027', 'duncan');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9M', 'Comox', 'British Columbia', 'BC', '49.6829', '-124.9361', 'comox');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9N', 'Courtenay Central', 'British Columbia', 'BC', '49.6585', '-124.9835', 'courtenay central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9P', 'Parksville', 'British Columbia', 'BC', '49.3163', '-124.3194', 'parksville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9R', 'Nanaimo South', 'British Columbia', 'BC', '49.1609', '-123.9825', 'nanaimo south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9S', 'Nanaimo Central', 'British Columbia', 'BC', '49.1886', '-123.963', 'nanaimo central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9T', 'Nanaimo North', 'British Columbia', 'BC', '49.2146', '-124.02', 'nanaimo north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9V', 'Nanaimo Northwest', 'British Columbia', 'BC', '49.2391', '-124.0227', 'nanaimo northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9W', 'Campbell River Central', 'British Columbia', 'BC', '50.0769', '-125.5909', 'campbell river central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9X', 'Cedar', 'British Columbia', 'BC', '49.0419', '-123.979', 'cedar');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9Y', 'Port Alberni', 'British Columbia', 'BC', '49.2413', '-124.8028', 'port alberni');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('V9Z', 'Sooke', 'British Columbia', 'BC', '48.3746', '-123.7276', 'sooke');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R5K', 'Lorette', 'Manitoba', 'MB', '49.7392', '-96.8723', 'lorette');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0A', 'Southeastern Manitoba (Lorette)', 'Manitoba', 'MB', '49.2911', '-96.2985', 'southeastern manitoba lorette');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0B', 'Northern Manitoba (Norway House)', 'Manitoba', 'MB', '56.2701', '-96.9118', 'northern manitoba norway house');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0C', 'North Interlake (Stonewall)', 'Manitoba', 'MB', '51.4132', '-97.8525', 'north interlake stonewall');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0E', 'Eastern Manitoba (Beausejour)', 'Manitoba', 'MB', '50.4751', '-95.961', 'eastern manitoba beausejour');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0G', 'South Central Manitoba (Altona)', 'Manitoba', 'MB', '49.4394', '-98.0869', 'south central manitoba altona');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0H', 'South Interlake (MacGregor)', 'Manitoba', 'MB', '50.3458', '-98.5152', 'south interlake macgregor');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0J', 'Riding Mountain (Neepawa)', 'Manitoba', 'MB', '50.5842', '-100.1345', 'riding mountain neepawa');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0K', 'Brandon Region (Killarney)', 'Manitoba', 'MB', '49.555', '-99.7154', 'brandon region killarney');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0L', 'Western Manitoba (Swan River)', 'Manitoba', 'MB', '52.0092', '-100.2901', 'western manitoba swan river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R0M', 'Southwestern Manitoba (Virden)', 'Manitoba', 'MB', '49.711', '-100.9263', 'southwestern manitoba virden');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R1A', 'Selkirk', 'Manitoba', 'MB', '50.1436', '-96.8845', 'selkirk');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R1B', 'Lockport', 'Manitoba', 'MB', '50.084', '-96.9353', 'lockport');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R1C', 'Narol', 'Manitoba', 'MB', '50.055', '-96.9781', 'narol');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R1N', 'Portage la Prairie', 'Manitoba', 'MB', '49.9728', '-98.2926', 'portage la prairie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2C', 'Winnipeg (Transcona)', 'Manitoba', 'MB', '49.9247', '-96.9563', 'winnipeg transcona');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2E', 'East St. Paul', 'Manitoba', 'MB', '49.9791', '-97.0128', 'east saint paul');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2G', 'Winnipeg (River East North)', 'Manitoba', 'MB', '49.9413', '-97.0571', 'winnipeg river east north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2H', 'Winnipeg (St. Boniface NW)', 'Manitoba', 'MB', '49.8846', '-97.1186', 'winnipeg saint boniface nw');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2J', 'Winnipeg (St. Boniface NE)', 'Manitoba', 'MB', '49.8665', '-97.0633', 'winnipeg saint boniface ne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2K', 'Winnipeg (River East Central)', 'Manitoba', 'MB', '49.9203', '-97.083', 'winnipeg river east central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2L', 'Winnipeg (River East South)', 'Manitoba', 'MB', '49.9075', '-97.0996', 'winnipeg river east south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2M', 'Winnipeg (St. Vital North)', 'Manitoba', 'MB', '49.8396', '-97.1147', 'winnipeg saint vital north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2N', 'Winnipeg (St. Vital SW)', 'Manitoba', 'MB', '49.7838', '-97.0973', 'winnipeg saint vital sw');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2P', 'Winnipeg (Seven Oaks West)', 'Manitoba', 'MB', '49.9696', '-97.1554', 'winnipeg seven oaks west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2R', 'Winnipeg (Inkster West)', 'Manitoba', 'MB', '49.9377', '-97.2162', 'winnipeg inkster west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2V', 'Winnipeg (Seven Oaks East)', 'Manitoba', 'MB', '49.9548', '-97.1112', 'winnipeg seven oaks east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2W', 'Winnipeg (Point Douglas East)', 'Manitoba', 'MB', '49.9195', '-97.1354', 'winnipeg point douglas east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2X', 'Winnipeg (Point Douglas West / Inkster East)', 'Manitoba', 'MB', '49.9322', '-97.1733', 'winnipeg point douglas west inkster east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R2Y', 'Winnipeg (St. James-Assiniboia NW)', 'Manitoba', 'MB', '49.9073', '-97.2945', 'winnipeg saint james assiniboia nw');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3A', 'Winnipeg (Centennial)', 'Manitoba', 'MB', '49.9038', '-97.1489', 'winnipeg centennial');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3B', 'Winnipeg (Chinatown / Civic Centre / Exchange District)', 'Manitoba', 'MB', '49.898', '-97.1401', 'winnipeg chinatown civic centre exchange district');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3C', 'Winnipeg (Broadway / The Forks / Portage and Main) Manitoba Provincial Government', 'Manitoba', 'MB', '50.011', '-97.2184', 'winnipeg broadway the forks portage and main manitoba provincial government');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3E', 'Winnipeg (Sargent Park / Daniel McIntyre / Inkster SE)', 'Manitoba', 'MB', '49.9081', '-97.1779', 'winnipeg sargent park daniel mcintyre inkster se');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3G', 'Winnipeg (Minto / St. Mathews / Wolseley)', 'Manitoba', 'MB', '49.8876', '-97.1807', 'winnipeg minto saint mathews wolseley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3H', 'Winnipeg (St. James-Assiniboia NE / YWG)', 'Manitoba', 'MB', '49.9033', '-97.2074', 'winnipeg saint james assiniboia ne ywg');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3J', 'Winnipeg (St. James-Assiniboia SE)', 'Manitoba', 'MB', '49.8966', '-97.2404', 'winnipeg saint james assiniboia se');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3K', 'Winnipeg (St. James-Assiniboia SW)', 'Manitoba', 'MB', '49.8734', '-97.307', 'winnipeg saint james assiniboia sw');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3L', 'Winnipeg (River Heights East)', 'Manitoba', 'MB', '49.867', '-97.1356', 'winnipeg river heights east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3M', 'Winnipeg (River Heights Central)', 'Manitoba', 'MB', '49.8625', '-97.1665', 'winnipeg river heights central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3N', 'Winnipeg (River Heights West)', 'Manitoba', 'MB', '49.8629', '-97.1959', 'winnipeg river heights west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3P', 'Winnipeg (Fort Garry NW / Tuxedo)', 'Manitoba', 'MB', '49.8425', '-97.2182', 'winnipeg fort garry nw tuxedo');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3R', 'Winnipeg (Assiniboine South / Betsworth)', 'Manitoba', 'MB', '49.8546', '-97.2874', 'winnipeg assiniboine south betsworth');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3S', 'Winnipeg (Wilkes South)', 'Manitoba', 'MB', '49.8255', '-97.2934', 'winnipeg wilkes south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3T', 'Winnipeg (Fort Garry NE / University of Manitoba)', 'Manitoba', 'MB', '49.8143', '-97.1531', 'winnipeg fort garry ne university of manitoba');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3V', 'Winnipeg (Fort Garry South)', 'Manitoba', 'MB', '49.7462', '-97.1745', 'winnipeg fort garry south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3W', 'Winnipeg (Grassie / Pequis)', 'Manitoba', 'MB', '49.9141', '-97.0401', 'winnipeg grassie pequis');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3X', 'Winnipeg (St. Boniface South / St. Vital SE)', 'Manitoba', 'MB', '49.8209', '-97.0322', 'winnipeg saint boniface south saint vital se');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R3Y', 'Winnipeg (Fort Garry West)', 'Manitoba', 'MB', '49.7885', '-97.2147', 'winnipeg fort garry west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R4A', 'West St. Paul', 'Manitoba', 'MB', '50.0211', '-97.1147', 'west saint paul');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R4G', 'Oak Bluff', 'Manitoba', 'MB', '49.7736', '-97.3221', 'oak bluff');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R4H', 'Headingley East', 'Manitoba', 'MB', '49.8761', '-97.3812', 'headingley east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R4J', 'Headingley West', 'Manitoba', 'MB', '49.8467', '-97.4319', 'headingley west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R4K', 'Cartier', 'Manitoba', 'MB', '49.8908', '-97.6004', 'cartier');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R4L', 'St. Francois Xavier', 'Manitoba', 'MB', '49.9372', '-97.5545', 'saint francois xavier');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R5A', 'St. Adolphe', 'Manitoba', 'MB', '49.712', '-97.0836', 'saint adolphe');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R5G', 'Steinbach', 'Manitoba', 'MB', '49.5258', '-96.6845', 'steinbach');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R5H', 'Ste. Anne', 'Manitoba', 'MB', '49.6697', '-96.65', 'sainte anne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R6M', 'Morden', 'Manitoba', 'MB', '49.1919', '-98.1014', 'morden');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R6W', 'Winkler', 'Manitoba', 'MB', '49.1817', '-97.941', 'winkler');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R7A', 'Brandon Southeast', 'Manitoba', 'MB', '49.8174', '-99.9565', 'brandon southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R7B', 'Brandon Southwest', 'Manitoba', 'MB', '49.842', '-99.9831', 'brandon southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R7C', 'Brandon North', 'Manitoba', 'MB', '49.8817', '-99.965', 'brandon north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R7N', 'Dauphin', 'Manitoba', 'MB', '51.1494', '-100.0502', 'dauphin');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R8A', 'Flin Flon', 'Manitoba', 'MB', '54.7682', '-101.865', 'flin flon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R8N', 'Thompson', 'Manitoba', 'MB', '55.7435', '-97.8558', 'thompson');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('R9A', 'The Pas', 'Manitoba', 'MB', '53.704', '-101.2933', 'the pas');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1A', 'Dieppe Moncton East', 'New Brunswick', 'NB', '46.0967', '-64.7087', 'dieppe moncton east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1B', 'Riverview', 'New Brunswick', 'NB', '46.0545', '-64.816', 'riverview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1C', 'Moncton Central', 'New Brunswick', 'NB', '46.0987', '-64.8036', 'moncton central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1E', 'Moncton West', 'New Brunswick', 'NB', '46.0771', '-64.8529', 'moncton west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1G', 'Moncton Northwest', 'New Brunswick', 'NB', '46.1797', '-64.9484', 'moncton northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1H', 'Lakeville, Shediac Bridge', 'New Brunswick', 'NB', '46.1732', '-64.6957', 'lakeville shediac bridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1J', 'Coverdale', 'New Brunswick', 'NB', '45.9976', '-64.8483', 'coverdale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1N', 'Miramichi South', 'New Brunswick', 'NB', '46.9501', '-65.3239', 'miramichi south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1V', 'Miramichi North', 'New Brunswick', 'NB', '47.1942', '-65.9381', 'miramichi north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1W', 'Caraquet', 'New Brunswick', 'NB', '47.7941', '-64.9386', 'caraquet');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E1X', 'Tracadie-Sheila', 'New Brunswick', 'NB', '47.5144', '-64.9181', 'tracadie sheila');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2A', 'Bathurst', 'New Brunswick', 'NB', '47.6181', '-65.6511', 'bathurst');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2E', 'Rothesay, Quispamsis', 'New Brunswick', 'NB', '45.4137', '-65.982', 'rothesay quispamsis');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2G', 'Quispamsis', 'New Brunswick', 'NB', '45.4534', '-65.931', 'quispamsis');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2H', 'Saint John Northeast, Renforth', 'New Brunswick', 'NB', '45.35', '-66.0101', 'saint john northeast renforth');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2J', 'Saint John East', 'New Brunswick', 'NB', '45.2563', '-65.9432', 'saint john east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2K', 'Saint John North', 'New Brunswick', 'NB', '45.3053', '-66.0808', 'saint john north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2L', 'Saint John Central', 'New Brunswick', 'NB', '45.2717', '-66.0584', 'saint john central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2M', 'Saint John West', 'New Brunswick', 'NB', '45.2347', '-66.1749', 'saint john west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2N', 'Saint John Lakewood', 'New Brunswick', 'NB', '45.3176', '-65.9271', 'saint john lakewood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2P', 'Saint John Red Head', 'New Brunswick', 'NB', '45.2426', '-65.9847', 'saint john red head');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2R', 'Saint John Grandview', 'New Brunswick', 'NB', '46.0368', '-66.0373', 'saint john grandview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2S', 'Saint John Loch Lomond', 'New Brunswick', 'NB', '45.3371', '-65.8133', 'saint john loch lomond');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E2V', 'Oromocto', 'New Brunswick', 'NB', '45.8351', '-66.4792', 'oromocto');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3A', 'Fredericton North', 'New Brunswick', 'NB', '46.0401', '-66.3862', 'fredericton north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3B', 'Fredericton South New Brunswick Provincial Government', 'New Brunswick', 'NB', '45.8119', '-66.6763', 'fredericton south new brunswick provincial government');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3C', 'Fredericton Southwest, New Maryland', 'New Brunswick', 'NB', '45.902', '-66.7057', 'fredericton southwest new maryland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3E', 'Kingsclear', 'New Brunswick', 'NB', '45.8834', '-66.9156', 'kingsclear');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3G', 'Fredericton', 'New Brunswick', 'NB', '46.0546', '-66.7344', 'fredericton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3L', 'St. Stephen', 'New Brunswick', 'NB', '45.1804', '-67.2953', 'saint stephen');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3N', 'Campbellton', 'New Brunswick', 'NB', '48.0075', '-66.6727', 'campbellton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3V', 'Edmundston', 'New Brunswick', 'NB', '47.3737', '-68.3251', 'edmundston');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3Y', 'Grand Falls Northeast', 'New Brunswick', 'NB', '47.1683', '-67.6207', 'grand falls northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E3Z', 'Grand Falls Central', 'New Brunswick', 'NB', '46.9266', '-67.7466', 'grand falls central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4A', 'Bathurst', 'New Brunswick', 'NB', '46.1599', '-65.8102', 'bathurst');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4B', 'Minto', 'New Brunswick', 'NB', '46.0848', '-66.0622', 'minto');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4C', 'Youngs Cove', 'New Brunswick', 'NB', '45.8693', '-65.9006', 'youngs cove');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4E', 'Sussex', 'New Brunswick', 'NB', '45.7227', '-65.5066', 'sussex');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4G', 'Smiths Creek', 'New Brunswick', 'NB', '45.8552', '-65.4795', 'smiths creek');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4H', 'Hillsborough', 'New Brunswick', 'NB', '45.9199', '-64.6552', 'hillsborough');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4J', 'Salisbury', 'New Brunswick', 'NB', '46.0391', '-65.0463', 'salisbury');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4K', 'Dorchester', 'New Brunswick', 'NB', '45.9016', '-64.508', 'dorchester');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4L', 'Sackville', 'New Brunswick', 'NB', '45.9188', '-64.3845', 'sackville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4M', 'Bayfield', 'New Brunswick', 'NB', '46.0919', '-64.0173', 'bayfield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4N', 'Cap-Pelé', 'New Brunswick', 'NB', '46.2129', '-64.2784', 'cap pele');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4P', 'Shediac', 'New Brunswick', 'NB', '46.2198', '-64.5411', 'shediac');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4R', 'Cocagne', 'New Brunswick', 'NB', '46.3324', '-64.6187', 'cocagne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4S', 'Bouctouche', 'New Brunswick', 'NB', '46.4684', '-64.739', 'bouctouche');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4T', 'Bass River', 'New Brunswick', 'NB', '46.3042', '-64.972', 'bass river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4V', 'Saint-Antoine', 'New Brunswick', 'NB', '46.3629', '-64.7499', 'saint antoine');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4W', 'Richibucto', 'New Brunswick', 'NB', '46.6807', '-64.8804', 'richibucto');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4X', 'St-Louis-de-Kent', 'New Brunswick', 'NB', '46.7401', '-64.9698', 'saint louis de kent');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4Y', 'Rogersville', 'New Brunswick', 'NB', '46.7345', '-65.427', 'rogersville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E4Z', 'Petitcodiac', 'New Brunswick', 'NB', '45.9394', '-65.1802', 'petitcodiac');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5A', 'Moores Mills', 'New Brunswick', 'NB', '45.3705', '-67.1737', 'moores mills');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5B', 'St. Andrews', 'New Brunswick', 'NB', '45.0845', '-67.0617', 'saint andrews');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5C', 'St. George', 'New Brunswick', 'NB', '45.1265', '-66.8314', 'saint george');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5E', 'Campobello Island', 'New Brunswick', 'NB', '44.8908', '-66.9318', 'campobello island');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5G', 'Grand Manan Island', 'New Brunswick', 'NB', '44.6976', '-66.8065', 'grand manan island');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5H', 'Pennfield', 'New Brunswick', 'NB', '45.1168', '-66.6822', 'pennfield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5J', 'Lepreau', 'New Brunswick', 'NB', '45.1979', '-66.4308', 'lepreau');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5K', 'Grand Bay-Westfield', 'New Brunswick', 'NB', '45.3407', '-66.2528', 'grand bay westfield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5L', 'Fredericton Junction', 'New Brunswick', 'NB', '45.6604', '-66.6139', 'fredericton junction');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5M', 'Gagetown', 'New Brunswick', 'NB', '45.7701', '-66.1617', 'gagetown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5N', 'Hampton', 'New Brunswick', 'NB', '45.5288', '-65.8535', 'hampton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5P', 'Apohaqui', 'New Brunswick', 'NB', '45.7599', '-65.6704', 'apohaqui');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5R', 'St. Martins', 'New Brunswick', 'NB', '45.351', '-65.5457', 'saint martins');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5S', 'Kingston', 'New Brunswick', 'NB', '45.4098', '-66.0932', 'kingston');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5T', 'Norton', 'New Brunswick', 'NB', '45.6508', '-65.7302', 'norton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E5V', 'Deer Island', 'New Brunswick', 'NB', '44.9862', '-66.9694', 'deer island');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E6A', 'Boiestown', 'New Brunswick', 'NB', '46.4558', '-66.4198', 'boiestown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E6B', 'Stanley', 'New Brunswick', 'NB', '46.3381', '-66.9058', 'stanley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E6C', 'Durham Bridge', 'New Brunswick', 'NB', '46.1168', '-66.5989', 'durham bridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E6E', 'Millville', 'New Brunswick', 'NB', '46.1307', '-67.1962', 'millville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E6G', 'Nackawic', 'New Brunswick', 'NB', '45.9967', '-67.2403', 'nackawic');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E6H', 'Canterbury', 'New Brunswick', 'NB', '45.8954', '-67.4678', 'canterbury');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E6J', 'McAdam', 'New Brunswick', 'NB', '45.5923', '-67.307', 'mcadam');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E6K', 'Harvey', 'New Brunswick', 'NB', '45.729', '-67.0064', 'harvey');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E6L', 'Burtts Corner', 'New Brunswick', 'NB', '45.9881', '-67.0338', 'burtts corner');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7A', 'Baker Brook', 'New Brunswick', 'NB', '47.3', '-68.7487', 'baker brook');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7B', 'Saint-Jacques', 'New Brunswick', 'NB', '47.5655', '-68.3127', 'saint jacques');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7C', 'Saint-Basile', 'New Brunswick', 'NB', '47.6583', '-68.0684', 'saint basile');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7E', 'Saint-Leonard', 'New Brunswick', 'NB', '47.173', '-67.9247', 'saint leonard');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7G', 'Plaster Rock', 'New Brunswick', 'NB', '46.9065', '-67.39', 'plaster rock');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7H', 'Perth-Andover', 'New Brunswick', 'NB', '46.7355', '-67.7039', 'perth andover');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7J', 'Bath', 'New Brunswick', 'NB', '46.5807', '-67.5911', 'bath');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7K', 'Centreville', 'New Brunswick', 'NB', '46.3982', '-67.7174', 'centreville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7L', 'Florenceville', 'New Brunswick', 'NB', '46.5528', '-67.305', 'florenceville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7M', 'Woodstock', 'New Brunswick', 'NB', '46.158', '-67.5838', 'woodstock');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7N', 'Debec', 'New Brunswick', 'NB', '46.0555', '-67.5839', 'debec');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E7P', 'Hartland', 'New Brunswick', 'NB', '46.2999', '-67.5167', 'hartland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8A', 'Saint-Quentin', 'New Brunswick', 'NB', '47.5133', '-67.3929', 'saint quentin');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8B', 'Kedgwick', 'New Brunswick', 'NB', '47.6446', '-67.3434', 'kedgwick');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8C', 'Dalhousie', 'New Brunswick', 'NB', '48.055', '-66.3847', 'dalhousie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8E', 'Balmoral', 'New Brunswick', 'NB', '47.679', '-66.4342', 'balmoral');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8G', 'Belledune', 'New Brunswick', 'NB', '47.8023', '-66.1243', 'belledune');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8J', 'Petit-Rocher', 'New Brunswick', 'NB', '47.7941', '-65.8219', 'petit rocher');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8K', 'Beresford', 'New Brunswick', 'NB', '47.6913', '-65.6989', 'beresford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8L', 'Allardville', 'New Brunswick', 'NB', '47.475', '-65.495', 'allardville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8M', 'Saint-Isidore', 'New Brunswick', 'NB', '47.5765', '-65.1379', 'saint isidore');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8N', 'Grande-Anse', 'New Brunswick', 'NB', '47.8078', '-65.1945', 'grande anse');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8P', 'Inkerman', 'New Brunswick', 'NB', '47.6672', '-64.8248', 'inkerman');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8R', 'Paquetville', 'New Brunswick', 'NB', '47.6383', '-65.1709', 'paquetville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8S', 'Shippagan', 'New Brunswick', 'NB', '47.7287', '-64.7247', 'shippagan');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E8T', 'Lamèque', 'New Brunswick', 'NB', '47.7936', '-64.6475', 'lameque');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E9A', 'Baie-Sainte-Anne', 'New Brunswick', 'NB', '47.0188', '-64.92', 'baie sainte anne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E9B', 'Blackville', 'New Brunswick', 'NB', '46.7398', '-65.8319', 'blackville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E9C', 'Doaktown', 'New Brunswick', 'NB', '46.557', '-66.1257', 'doaktown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E9E', 'Red Bank', 'New Brunswick', 'NB', '46.8486', '-65.6772', 'red bank');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E9G', 'Neguac', 'New Brunswick', 'NB', '47.2489', '-65.0741', 'neguac');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('E9H', 'Brantville', 'New Brunswick', 'NB', '47.3528', '-65.0538', 'brantville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0A', 'Southeastern Avalon Peninsula (Ferryland)', 'Newfoundland and Labrador', 'NL', '47.2195', '-53.1448', 'southeastern avalon peninsula ferryland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0B', 'Western Avalon Peninsula (Argentia)', 'Newfoundland and Labrador', 'NL', '47.327', '-53.6609', 'western avalon peninsula argentia');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0C', 'Bonavista Peninsula (Bonavista)', 'Newfoundland and Labrador', 'NL', '48.3843', '-53.9081', 'bonavista peninsula bonavista');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0E', 'Burin Peninsula (Marystown)', 'Newfoundland and Labrador', 'NL', '47.5607', '-54.7801', 'burin peninsula marystown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0G', 'Northeast Newfoundland (Lewisporte)', 'Newfoundland and Labrador', 'NL', '48.8657', '-54.7296', 'northeast newfoundland lewisporte');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0H', 'Central Newfoundland (Bishops Falls)', 'Newfoundland and Labrador', 'NL', '48.4311', '-56.1758', 'central newfoundland bishops falls');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0J', 'Northern Newfoundland (Springdale)', 'Newfoundland and Labrador', 'NL', '49.5067', '-56.2616', 'northern newfoundland springdale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0K', 'Northwest Newfoundland/Eastern Labrador (Mary''s Harbour)', 'Newfoundland and Labrador', 'NL', '52.7359', '-57.9825', 'northwest newfoundland eastern labrador marys harbour');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0L', 'Western Newfoundland (Lark Harbour)', 'Newfoundland and Labrador', 'NL', '48.9445', '-58.0645', 'western newfoundland lark harbour');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0M', 'Southwestern Newfoundland (Channel-Port aux Basques)', 'Newfoundland and Labrador', 'NL', '47.8037', '-58.3869', 'southwestern newfoundland channel port aux basques');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0N', 'Port au Port Peninsula region (St. George''s)', 'Newfoundland and Labrador', 'NL', '48.0868', '-57.8231', 'port au port peninsula region saint georges');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0P', 'Central Labrador (Happy Valley-Goose Bay)', 'Newfoundland and Labrador', 'NL', '54.9549', '-61.6024', 'central labrador happy valley goose bay');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A0R', 'North/Western Labrador (Churchill Falls)', 'Newfoundland and Labrador', 'NL', '53.54', '-65.112', 'north western labrador churchill falls');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1A', 'St. John''s North', 'Newfoundland and Labrador', 'NL', '47.5986', '-52.6926', 'saint johns north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1B', 'St. John''s Northwest Newfoundland & Labrador Provincial Government', 'Newfoundland and Labrador', 'NL', '47.5698', '-52.7796', 'saint johns northwest newfoundland labrador provincial government');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1C', 'St. John''s North Central', 'Newfoundland and Labrador', 'NL', '47.5124', '-52.6729', 'saint johns north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1E', 'St. John''s Central', 'Newfoundland and Labrador', 'NL', '47.5334', '-52.7595', 'saint johns central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1G', 'St. John''s South', 'Newfoundland and Labrador', 'NL', '47.506', '-52.7603', 'saint johns south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1H', 'St. John''s Southwest', 'Newfoundland and Labrador', 'NL', '47.483', '-52.8415', 'saint johns southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1K', 'Torbay', 'Newfoundland and Labrador', 'NL', '47.6666', '-52.7313', 'torbay');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1L', 'Paradise', 'Newfoundland and Labrador', 'NL', '47.5291', '-52.8814', 'paradise');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1M', 'Portugal Cove-St. Philips', 'Newfoundland and Labrador', 'NL', '47.6207', '-52.8318', 'portugal cove saint philips');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1N', 'Mount Pearl', 'Newfoundland and Labrador', 'NL', '47.5194', '-52.8122', 'mount pearl');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1S', 'Goulds', 'Newfoundland and Labrador', 'NL', '47.4212', '-52.8077', 'goulds');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1V', 'Gander', 'Newfoundland and Labrador', 'NL', '48.9682', '-54.5906', 'gander');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1W', 'Manuels', 'Newfoundland and Labrador', 'NL', '47.5096', '-52.9447', 'manuels');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1X', 'Conception Bay', 'Newfoundland and Labrador', 'NL', '47.4999', '-52.9981', 'conception bay');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A1Y', 'Carbonear', 'Newfoundland and Labrador', 'NL', '47.7113', '-53.2953', 'carbonear');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A2A', 'Grand Falls', 'Newfoundland and Labrador', 'NL', '48.9332', '-55.6649', 'grand falls');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A2B', 'Windsor', 'Newfoundland and Labrador', 'NL', '48.9499', '-55.6649', 'windsor');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A2H', 'Corner Brook', 'Newfoundland and Labrador', 'NL', '48.9156', '-57.797', 'corner brook');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A2N', 'Stephenville', 'Newfoundland and Labrador', 'NL', '48.55', '-58.5818', 'stephenville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A2V', 'Labrador City', 'Newfoundland and Labrador', 'NL', '52.9517', '-66.9328', 'labrador city');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A5A', 'Clarenville', 'Newfoundland and Labrador', 'NL', '48.1666', '-53.9648', 'clarenville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('A8A', 'Deer Lake', 'Newfoundland and Labrador', 'NL', '49.1667', '-57.4316', 'deer lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0C', 'North Victoria County (Dingwall)', 'Nova Scotia', 'NS', '46.6482', '-60.5396', 'north victoria county dingwall');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0E', 'West Cape Breton Island (Baddeck)', 'Nova Scotia', 'NS', '46.1133', '-61.0251', 'west cape breton island baddeck');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0H', 'Canso region (Havre Boucher)', 'Nova Scotia', 'NS', '45.3335', '-61.8333', 'canso region havre boucher');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0J', 'Mainland east shore (Lunenburg)', 'Nova Scotia', 'NS', '44.9419', '-62.6471', 'mainland east shore lunenburg');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0K', 'Southern Northumberland Strait (Pictou)', 'Nova Scotia', 'NS', '45.6138', '-62.9506', 'southern northumberland strait pictou');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0L', 'Isthmus of Chignecto (River Hébert)', 'Nova Scotia', 'NS', '45.6908', '-64.3641', 'isthmus of chignecto river hebert');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0M', 'Cobequid Bay north shore (Springhill)', 'Nova Scotia', 'NS', '45.5354', '-64.0393', 'cobequid bay north shore springhill');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0N', 'Hants County (Shubenacadie)', 'Nova Scotia', 'NS', '45.0963', '-63.4701', 'hants county shubenacadie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0P', 'Kings County (Kingston)', 'Nova Scotia', 'NS', '45.0328', '-64.6566', 'kings county kingston');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0R', 'West Lunenburg County (New Germany)', 'Nova Scotia', 'NS', '44.6003', '-64.7443', 'west lunenburg county new germany');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0S', 'West Annapolis County (Middleton)', 'Nova Scotia', 'NS', '44.6861', '-65.3002', 'west annapolis county middleton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0T', 'Queens County (Shelburne)', 'Nova Scotia', 'NS', '44.0802', '-65.1175', 'queens county shelburne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0V', 'Digby Neck (Digby)', 'Nova Scotia', 'NS', '44.5342', '-65.7783', 'digby neck digby');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B0W', 'Southwest Mainland (Weymouth)', 'Nova Scotia', 'NS', '44.0486', '-65.7547', 'southwest mainland weymouth');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1A', 'Glace Bay', 'Nova Scotia', 'NS', '46.197', '-59.957', 'glace bay');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1B', 'Port Morien', 'Nova Scotia', 'NS', '46.1174', '-59.9144', 'port morien');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1C', 'Louisbourg', 'Nova Scotia', 'NS', '45.9485', '-59.9737', 'louisbourg');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1E', 'Reserve Mines', 'Nova Scotia', 'NS', '46.1845', '-60.0166', 'reserve mines');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1G', 'Dominion', 'Nova Scotia', 'NS', '46.2168', '-60.0151', 'dominion');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1H', 'New Waterford', 'Nova Scotia', 'NS', '46.2501', '-60.0817', 'new waterford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1J', 'East Bay', 'Nova Scotia', 'NS', '45.9834', '-60.3652', 'east bay');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1K', 'Marion Bridge', 'Nova Scotia', 'NS', '45.9668', '-60.2318', 'marion bridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1L', 'Sydney Southwest', 'Nova Scotia', 'NS', '46.0627', '-60.2045', 'sydney southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1M', 'Sydney East', 'Nova Scotia', 'NS', '46.127', '-60.0696', 'sydney east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1N', 'Sydney North', 'Nova Scotia', 'NS', '46.1975', '-60.1559', 'sydney north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1P', 'Sydney North Central', 'Nova Scotia', 'NS', '46.1341', '-60.1749', 'sydney north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1R', 'Sydney West', 'Nova Scotia', 'NS', '46.1284', '-60.2915', 'sydney west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1S', 'Sydney Central', 'Nova Scotia', 'NS', '46.1109', '-60.2092', 'sydney central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1T', 'Christmas Island', 'Nova Scotia', 'NS', '45.9668', '-60.7152', 'christmas island');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1V', 'North Sydney North', 'Nova Scotia', 'NS', '46.2437', '-60.2313', 'north sydney north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1W', 'Eskasoni', 'Nova Scotia', 'NS', '45.9328', '-60.6438', 'eskasoni');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1X', 'Big Bras d''Or', 'Nova Scotia', 'NS', '46.2904', '-60.47', 'big bras dor');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B1Y', 'Alder Point', 'Nova Scotia', 'NS', '46.2538', '-60.3566', 'alder point');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2A', 'North Sydney South Central', 'Nova Scotia', 'NS', '46.1169', '-60.3769', 'north sydney south central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2C', 'Iona', 'Nova Scotia', 'NS', '45.9948', '-60.8421', 'iona');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2E', 'Loch Lomond', 'Nova Scotia', 'NS', '45.7501', '-60.6152', 'loch lomond');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2G', 'Antigonish', 'Nova Scotia', 'NS', '45.6168', '-61.9986', 'antigonish');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2H', 'New Glasgow', 'Nova Scotia', 'NS', '45.5834', '-62.6486', 'new glasgow');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2J', 'Fourchu', 'Nova Scotia', 'NS', '45.707', '-60.4665', 'fourchu');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2N', 'Truro', 'Nova Scotia', 'NS', '45.3668', '-63.2654', 'truro');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2R', 'Waverley', 'Nova Scotia', 'NS', '44.7599', '-63.5525', 'waverley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2S', 'Lantz', 'Nova Scotia', 'NS', '45.0209', '-63.5344', 'lantz');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2T', 'Enfield', 'Nova Scotia', 'NS', '44.8749', '-63.4689', 'enfield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2V', 'Dartmouth Morris Lake', 'Nova Scotia', 'NS', '44.6529', '-63.4777', 'dartmouth morris lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2W', 'Dartmouth East Central', 'Nova Scotia', 'NS', '44.6752', '-63.5077', 'dartmouth east central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2X', 'Dartmouth North Central', 'Nova Scotia', 'NS', '44.702', '-63.533', 'dartmouth north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2Y', 'Dartmouth South Central', 'Nova Scotia', 'NS', '44.6645', '-63.5453', 'dartmouth south central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B2Z', 'Dartmouth East', 'Nova Scotia', 'NS', '44.7227', '-63.4223', 'dartmouth east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3A', 'Dartmouth Southwest', 'Nova Scotia', 'NS', '44.6819', '-63.5768', 'dartmouth southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3B', 'Dartmouth Northwest', 'Nova Scotia', 'NS', '44.7091', '-63.5869', 'dartmouth northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3E', 'Porters Lake', 'Nova Scotia', 'NS', '44.7722', '-63.3361', 'porters lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3G', 'Eastern Passage', 'Nova Scotia', 'NS', '44.6169', '-63.482', 'eastern passage');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3H', 'Halifax Lower Harbour', 'Nova Scotia', 'NS', '44.6344', '-63.5822', 'halifax lower harbour');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3J', 'Halifax Mid-Harbour Nova Scotia Provincial Government', 'Nova Scotia', 'NS', '44.6451', '-63.5762', 'halifax mid harbour nova scotia provincial government');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3K', 'Halifax Upper Harbour', 'Nova Scotia', 'NS', '44.662', '-63.6017', 'halifax upper harbour');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3L', 'Halifax Central', 'Nova Scotia', 'NS', '44.6508', '-63.6146', 'halifax central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3M', 'Halifax Bedford Basin', 'Nova Scotia', 'NS', '44.6784', '-63.6582', 'halifax bedford basin');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3N', 'Halifax South Central', 'Nova Scotia', 'NS', '44.631', '-63.6405', 'halifax south central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3P', 'Halifax North West Arm', 'Nova Scotia', 'NS', '44.6139', '-63.5946', 'halifax north west arm');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3R', 'Halifax South', 'Nova Scotia', 'NS', '44.5939', '-63.6031', 'halifax south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3S', 'Halifax West', 'Nova Scotia', 'NS', '44.6533', '-63.6675', 'halifax west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3T', 'Lakeside', 'Nova Scotia', 'NS', '44.5683', '-63.7306', 'lakeside');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3V', 'Harrietsfield', 'Nova Scotia', 'NS', '44.5199', '-63.6064', 'harrietsfield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B3Z', 'Tantallon', 'Nova Scotia', 'NS', '44.6386', '-63.8687', 'tantallon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4A', 'Bedford Southeast', 'Nova Scotia', 'NS', '44.7232', '-63.656', 'bedford southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4B', 'Bedford Northwest', 'Nova Scotia', 'NS', '44.7509', '-63.7711', 'bedford northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4C', 'Lower Sackville South', 'Nova Scotia', 'NS', '44.7607', '-63.637', 'lower sackville south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4E', 'Lower Sackville West', 'Nova Scotia', 'NS', '44.8163', '-63.7387', 'lower sackville west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4G', 'Lower Sackville North', 'Nova Scotia', 'NS', '44.8814', '-63.6798', 'lower sackville north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4H', 'Amherst', 'Nova Scotia', 'NS', '45.8335', '-64.1987', 'amherst');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4N', 'Kentville', 'Nova Scotia', 'NS', '45.0834', '-64.4988', 'kentville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4P', 'Wolfville', 'Nova Scotia', 'NS', '45.0834', '-64.3655', 'wolfville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4R', 'Coldbrook', 'Nova Scotia', 'NS', '45.0668', '-64.5821', 'coldbrook');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B4V', 'Bridgewater', 'Nova Scotia', 'NS', '44.3835', '-64.5155', 'bridgewater');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B5A', 'Yarmouth', 'Nova Scotia', 'NS', '43.8335', '-66.1156', 'yarmouth');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B6L', 'Truro', 'Nova Scotia', 'NS', '45.4093', '-63.2114', 'truro');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('B9A', 'Port Hawkesbury', 'Nova Scotia', 'NS', '45.6168', '-61.3485', 'port hawkesbury');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('X0E', 'Central Northwest Territories (Inuvik)', 'Northwest Territory', 'NT', '66.8714', '-120.225', 'central northwest territories inuvik');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('X0G', 'Southwestern Northwest Territories (Fort Liard)', 'Northwest Territory', 'NT', '60.2563', '-123.3826', 'southwestern northwest territories fort liard');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('X1A', 'Yellowknife', 'Northwest Territory', 'NT', '62.456', '-114.3525', 'yellowknife');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('X0A', 'Outer Nunavut (Iqaluit)', 'Nunavut Territory', 'NU', '79.6218', '-76.7765', 'outer nunavut iqaluit');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('X0B', 'Central Nunavut (Cambridge Bay)', 'Nunavut Territory', 'NU', '70.9072', '-106.9604', 'central nunavut cambridge bay');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('X0C', 'Inner Nunavut (Rankin Inlet)', 'Nunavut Territory', 'NU', '64.1647', '-94.7724', 'inner nunavut rankin inlet');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0R', 'Algoma Southwest (Blind River)', 'Ontario', 'ON', '46.5984', '-83.0385', 'algoma southwest blind river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3P', 'Brantford Northeast', 'Ontario', 'ON', '43.1818', '-80.2367', 'brantford northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3R', 'Brantford Central', 'Ontario', 'ON', '43.1692', '-80.2684', 'brantford central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3S', 'Brantford Southeast', 'Ontario', 'ON', '43.1394', '-80.2357', 'brantford southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3T', 'Brantford Southwest', 'Ontario', 'ON', '43.131', '-80.3254', 'brantford southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3V', 'Brantford Northwest', 'Ontario', 'ON', '43.1734', '-80.298', 'brantford northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0N', 'Dufferin County (Shelburne)', 'Ontario', 'ON', '44.0317', '-80.2068', 'dufferin county shelburne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0H', 'Frontenac County, Addington County, Loyalist Shores and Southwest Leeds (Inverary)', 'Ontario', 'ON', '44.7208', '-76.8334', 'frontenac county addington county loyalist shores and southwest leeds inverary');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0P', 'Halton Regional Municipality (Campbellville)', 'Ontario', 'ON', '43.4906', '-79.9998', 'halton regional municipality campbellville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9E', 'Milton', 'Ontario', 'ON', '43.5168', '-79.8829', 'milton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8E', 'Hamilton (Confederation Park / Nashdale / East Kentley / Riverdale / Lakely / Grayside / North Stoney Creek)', 'Ontario', 'ON', '43.2245', '-79.6988', 'hamilton confederation park nashdale east kentley riverdale lakely grayside north stoney creek');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8G', 'Hamilton (Greenford / North Gershome / West Stoney Creek)', 'Ontario', 'ON', '43.2164', '-79.7423', 'hamilton greenford north gershome west stoney creek');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8H', 'Hamilton (West Kentley / McQuesten / Parkview / Hamilton Beach / East Industrial Sector / Normanhurst / Homeside / East Crown Point)', 'Ontario', 'ON', '43.2596', '-79.7925', 'hamilton west kentley mcquesten parkview hamilton beach east industrial sector normanhurst homeside east crown point');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8J', 'Hamilton (East Albion Falls / South Stoney Creek)', 'Ontario', 'ON', '43.1836', '-79.721', 'hamilton east albion falls south stoney creek');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8K', 'Hamilton (East Delta / Bartonville / Glenview / Rosedale / Lower King''s Forest / Red Hill / Corman / Vincent / South Gershome)', 'Ontario', 'ON', '43.2211', '-79.7994', 'hamilton east delta bartonville glenview rosedale lower kings forest red hill corman vincent south gershome');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8L', 'Hamilton (West Industrial Sector / West Crown Point / North Stipley / North Gibson / Landsdale / Keith / North End / Beasley)', 'Ontario', 'ON', '43.2783', '-79.8344', 'hamilton west industrial sector west crown point north stipley north gibson landsdale keith north end beasley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8M', 'Hamilton (West Delta / Blakeley / South Stipley / South Gibson / St. Clair)', 'Ontario', 'ON', '43.2441', '-79.8359', 'hamilton west delta blakeley south stipley south gibson saint clair');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8N', 'Hamilton (Stinson / Corktown)', 'Ontario', 'ON', '43.4017', '-80.017', 'hamilton stinson corktown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8P', 'Hamilton (Durand / Kirkendall / Chedoke Park)', 'Ontario', 'ON', '43.2514', '-79.8925', 'hamilton durand kirkendall chedoke park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8R', 'Hamilton (Central / Strathcona / South Dundurn)', 'Ontario', 'ON', '43.2726', '-79.8792', 'hamilton central strathcona south dundurn');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8S', 'Hamilton (Westdale / Cootes Paradise / Ainslie Wood)', 'Ontario', 'ON', '43.2606', '-79.9161', 'hamilton westdale cootes paradise ainslie wood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8T', 'Hamilton (Sherwood / Huntington / Upper King''s Forest / Lisgar / Berrisfield / Hampton Heights / Sunninghill)', 'Ontario', 'ON', '43.2199', '-79.8286', 'hamilton sherwood huntington upper kings forest lisgar berrisfield hampton heights sunninghill');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8V', 'Hamilton (Raleigh / Macassa / Lawfield / Thorner / Burkholme / Eastmount)', 'Ontario', 'ON', '43.2266', '-79.8499', 'hamilton raleigh macassa lawfield thorner burkholme eastmount');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8W', 'Hamilton (West Albion Falls / Hannon / Rymal / Trenholme / Quinndale / Templemead / Broughton / Eleanor / Randall / Rushdale / Butler / East Chappel)', 'Ontario', 'ON', '43.1958', '-79.8458', 'hamilton west albion falls hannon rymal trenholme quinndale templemead broughton eleanor randall rushdale butler east chappel');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9A', 'Hamilton (Crerar / Bruleville / Hill Park / Inch Park / Centremount / Balfour / Greeningdon / Jerome)', 'Ontario', 'ON', '43.2271', '-79.871', 'hamilton crerar bruleville hill park inch park centremount balfour greeningdon jerome');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9B', 'Hamilton (Barnstown / West Chappel / Allison / Ryckmans / Mewburn / Sheldon / Falkirk / Carpenter / Kennedy / Southwest Outskirts)', 'Ontario', 'ON', '43.2055', '-79.9004', 'hamilton barnstown west chappel allison ryckmans mewburn sheldon falkirk carpenter kennedy southwest outskirts');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9C', 'Hamilton (Southam / Bonnington / Yeoville / Kernighan / Gourley / Rolston / Buchanan / Mohawk / Westcliffe / Gilbert / Gilkson / Gurnett / Fessenden / Mountview)', 'Ontario', 'ON', '43.2313', '-79.9049', 'hamilton southam bonnington yeoville kernighan gourley rolston buchanan mohawk westcliffe gilbert gilkson gurnett fessenden mountview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0L', 'Peterborough County and North Hastings County (Lakefield)', 'Ontario', 'ON', '44.7767', '-77.9687', 'peterborough county and north hastings county lakefield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0J', 'Renfrew County and Lanark Highlands Township (Deep River)', 'Ontario', 'ON', '45.6606', '-77.5886', 'renfrew county and lanark highlands township deep river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M3K', 'Downsview East (CFB Toronto)', 'Ontario', 'ON', '43.739', '-79.4692', 'downsview east cfb toronto');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4E', 'East Toronto (The Beaches)', 'Ontario', 'ON', '43.6784', '-79.2941', 'east toronto the beaches');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4J', 'East Toronto (The Danforth East)', 'Ontario', 'ON', '43.6872', '-79.3368', 'east toronto the danforth east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4K', 'East Toronto (The Danforth West / Riverdale)', 'Ontario', 'ON', '43.6803', '-79.3538', 'east toronto the danforth west riverdale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4L', 'East Toronto (India Bazaar / The Beaches West)', 'Ontario', 'ON', '43.6693', '-79.3155', 'east toronto india bazaar the beaches west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4M', 'East Toronto (Studio District)', 'Ontario', 'ON', '43.6561', '-79.3406', 'east toronto studio district');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4N', 'Central Toronto (Lawrence Park East)', 'Ontario', 'ON', '43.7301', '-79.3935', 'central toronto lawrence park east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4P', 'Central Toronto (Davisville North)', 'Ontario', 'ON', '43.7135', '-79.3887', 'central toronto davisville north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4R', 'Central Toronto (North Toronto West)', 'Ontario', 'ON', '43.7143', '-79.4065', 'central toronto north toronto west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4S', 'Central Toronto (Davisville)', 'Ontario', 'ON', '43.702', '-79.3853', 'central toronto davisville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4T', 'Central Toronto (Moore Park / Summerhill East)', 'Ontario', 'ON', '43.6899', '-79.3853', 'central toronto moore park summerhill east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4V', 'Central Toronto (Summerhill West / Rathnelly / South Hill / Forest Hill SE / Deer Park)', 'Ontario', 'ON', '43.6861', '-79.4025', 'central toronto summerhill west rathnelly south hill forest hill se deer park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4W', 'Downtown Toronto (Rosedale)', 'Ontario', 'ON', '43.6827', '-79.373', 'downtown toronto rosedale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4X', 'Downtown Toronto (St. James Town / Cabbagetown)', 'Ontario', 'ON', '43.6684', '-79.3689', 'downtown toronto saint james town cabbagetown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4Y', 'Downtown Toronto (Church and Wellesley)', 'Ontario', 'ON', '43.6656', '-79.383', 'downtown toronto church and wellesley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5A', 'Toronto', 'Ontario', 'ON', '43.6555', '-79.3626', 'toronto');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5B', 'Downtown Toronto (Ryerson)', 'Ontario', 'ON', '43.6572', '-79.3783', 'downtown toronto ryerson');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5C', 'Downtown Toronto (St. James Park)', 'Ontario', 'ON', '43.6513', '-79.3756', 'downtown toronto saint james park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5E', 'Downtown Toronto (Berczy Park)', 'Ontario', 'ON', '43.6456', '-79.3754', 'downtown toronto berczy park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5G', 'Downtown Toronto (Central Bay Street)', 'Ontario', 'ON', '43.6564', '-79.386', 'downtown toronto central bay street');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5H', 'Downtown Toronto (Richmond / Adelaide / King)', 'Ontario', 'ON', '43.6496', '-79.3833', 'downtown toronto richmond adelaide king');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5J', 'Downtown Toronto (Harbourfront East / Union Station / Toronto Island)', 'Ontario', 'ON', '43.623', '-79.3936', 'downtown toronto harbourfront east union station toronto island');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5K', 'Downtown Toronto (Toronto Dominion Centre / Design Exchange)', 'Ontario', 'ON', '43.6469', '-79.3823', 'downtown toronto toronto dominion centre design exchange');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5L', 'Downtown Toronto (Commerce Court / Victoria Hotel)', 'Ontario', 'ON', '43.6492', '-79.3823', 'downtown toronto commerce court victoria hotel');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5N', 'Central Toronto (Roselawn)', 'Ontario', 'ON', '43.7113', '-79.4195', 'central toronto roselawn');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5P', 'Central Toronto (Forest Hill North & West)', 'Ontario', 'ON', '43.6966', '-79.412', 'central toronto forest hill north west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5R', 'Central Toronto (The Annex / North Midtown / Yorkville)', 'Ontario', 'ON', '43.6736', '-79.4035', 'central toronto the annex north midtown yorkville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5S', 'Downtown Toronto (University of Toronto / Harbord)', 'Ontario', 'ON', '43.6629', '-79.3987', 'downtown toronto university of toronto harbord');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5T', 'Downtown Toronto (Kensington Market / Chinatown / Grange Park)', 'Ontario', 'ON', '43.6541', '-79.3978', 'downtown toronto kensington market chinatown grange park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5V', 'Downtown Toronto (CN Tower / King and Spadina / Railway Lands / Harbourfront West / Bathurst Quay / South Niagara / YTZ)', 'Ontario', 'ON', '43.6404', '-79.3995', 'downtown toronto cn tower king and spadina railway lands harbourfront west bathurst quay south niagara ytz');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5W', 'Downtown Toronto Stn A PO Boxes 25 The Esplanade (Enclave of M5E)', 'Ontario', 'ON', '43.6437', '-79.3787', 'downtown toronto stn a po boxes 25 the esplanade enclave of m5e');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5X', 'Downtown Toronto (Underground city)', 'Ontario', 'ON', '43.6492', '-79.3823', 'downtown toronto underground city');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6G', 'Downtown Toronto (Christie)', 'Ontario', 'ON', '43.6683', '-79.4205', 'downtown toronto christie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6H', 'West Toronto (Dufferin / Dovercourt Village)', 'Ontario', 'ON', '43.6655', '-79.4378', 'west toronto dufferin dovercourt village');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6J', 'West Toronto (Rua Aþores / Trinity)', 'Ontario', 'ON', '43.648', '-79.4177', 'west toronto rua a ores trinity');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6K', 'West Toronto (Brockton / Parkdale Village / Exhibition Place)', 'Ontario', 'ON', '43.6383', '-79.4301', 'west toronto brockton parkdale village exhibition place');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6P', 'West Toronto (High Park / The Junction South)', 'Ontario', 'ON', '43.6605', '-79.4633', 'west toronto high park the junction south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6R', 'West Toronto (Parkdale / Roncesvalles Village)', 'Ontario', 'ON', '43.6469', '-79.4521', 'west toronto parkdale roncesvalles village');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6S', 'West Toronto (Bloor West Village / Swansea)', 'Ontario', 'ON', '43.6512', '-79.4828', 'west toronto bloor west village swansea');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M7Y', 'East Toronto Business Reply Mail Processing Centre 969 Eastern (Enclave of M4L)', 'Ontario', 'ON', '43.7804', '-79.2505', 'east toronto business reply mail processing centre 969 eastern enclave of m4l');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M8V', 'Etobicoke (New Toronto / Mimico South / Humber Bay Shores)', 'Ontario', 'ON', '43.6075', '-79.5013', 'etobicoke new toronto mimico south humber bay shores');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1A', 'Government of Canada Ottawa and Gatineau offices', 'Ontario', 'ON', '45.4207', '-75.7023', 'government of canada ottawa and gatineau offices');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1G', 'Ottawa (Riverview / Hawthorne)', 'Ontario', 'ON', '45.3548', '-75.5773', 'ottawa riverview hawthorne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1H', 'Ottawa (Alta Vista)', 'Ontario', 'ON', '45.3876', '-75.6593', 'ottawa alta vista');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1K', 'Ottawa (Overbrook)', 'Ontario', 'ON', '45.4448', '-75.6431', 'ottawa overbrook');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1L', 'Ottawa (Vanier)', 'Ontario', 'ON', '45.44', '-75.663', 'ottawa vanier');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1M', 'Ottawa (Rockcliffe Park / New Edinburgh)', 'Ontario', 'ON', '45.4491', '-75.6818', 'ottawa rockcliffe park new edinburgh');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1N', 'Ottawa (Lower Town / Sandy Hill / University of Ottawa)', 'Ontario', 'ON', '45.4289', '-75.6844', 'ottawa lower town sandy hill university of ottawa');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1P', 'Ottawa (Parliament Hill)', 'Ontario', 'ON', '45.4225', '-75.7026', 'ottawa parliament hill');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1R', 'Ottawa (West Downtown area)', 'Ontario', 'ON', '45.4123', '-75.7108', 'ottawa west downtown area');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1S', 'Ottawa (The Glebe / Ottawa South / Ottawa East)', 'Ontario', 'ON', '45.399', '-75.6871', 'ottawa the glebe ottawa south ottawa east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1V', 'Ottawa (Riverside Park / Hunt Club West / Riverside South / YOW)', 'Ontario', 'ON', '45.3281', '-75.6719', 'ottawa riverside park hunt club west riverside south yow');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1Y', 'Ottawa West', 'Ontario', 'ON', '45.4023', '-75.7329', 'ottawa west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1Z', 'Ottawa (Westboro)', 'Ontario', 'ON', '45.3867', '-75.7405', 'ottawa westboro');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2A', 'Ottawa (Highland Park / Carlingwood)', 'Ontario', 'ON', '45.3805', '-75.7636', 'ottawa highland park carlingwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2B', 'Ottawa (Britannia / Pinecrest)', 'Ontario', 'ON', '45.3645', '-75.7934', 'ottawa britannia pinecrest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2C', 'Ottawa (Queensway / Copeland / Carlington / Carleton Heights)', 'Ontario', 'ON', '45.3679', '-75.7381', 'ottawa queensway copeland carlington carleton heights');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2P', 'Ottawa (Centre Town)', 'Ontario', 'ON', '45.4166', '-75.6904', 'ottawa centre town');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0A', 'National Capital Region (Almonte)', 'Ontario', 'ON', '45.2557', '-76.2754', 'national capital region almonte');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0B', 'Prescott and Russell United Counties (Alfred)', 'Ontario', 'ON', '45.5029', '-74.7479', 'prescott and russell united counties alfred');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0C', 'Stormont, Dundas and Glengarry United Counties (Alexandria)', 'Ontario', 'ON', '45.1686', '-74.8966', 'stormont dundas and glengarry united counties alexandria');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0E', 'South Leeds and Grenville United Counties (Prescott)', 'Ontario', 'ON', '44.8734', '-75.4416', 'south leeds and grenville united counties prescott');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0G', 'Rideau Lakes area (Kemptville)', 'Ontario', 'ON', '45.0466', '-76.4757', 'rideau lakes area kemptville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0K', 'Quinte Shores, East Northumberland County & Prince Edward County (Picton)', 'Ontario', 'ON', '44.3261', '-77.4318', 'quinte shores east northumberland county prince edward county picton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K0M', 'Kawartha lakes and Haliburton County (Bobcaygeon)', 'Ontario', 'ON', '44.8645', '-78.6553', 'kawartha lakes and haliburton county bobcaygeon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1B', 'Gloucester (Blackburn Hamlet / Pine View)', 'Ontario', 'ON', '45.4284', '-75.5875', 'gloucester blackburn hamlet pine view');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1C', 'Gloucester (West Orleans)', 'Ontario', 'ON', '45.4677', '-75.5399', 'gloucester west orleans');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1E', 'Orleans (Queenswood)', 'Ontario', 'ON', '45.4771', '-75.5046', 'orleans queenswood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1J', 'Gloucester (Beacon Hill / Cyrville)', 'Ontario', 'ON', '45.4519', '-75.6036', 'gloucester beacon hill cyrville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1T', 'Gloucester (Blossom Park / Hunt Club East / Leitrim)', 'Ontario', 'ON', '45.3295', '-75.6156', 'gloucester blossom park hunt club east leitrim');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1W', 'Gloucester (South Orleans)', 'Ontario', 'ON', '45.4365', '-75.5158', 'gloucester south orleans');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K1X', 'Gloucester South', 'Ontario', 'ON', '45.2756', '-75.6283', 'gloucester south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2E', 'Nepean East', 'Ontario', 'ON', '45.3438', '-75.7157', 'nepean east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2G', 'Nepean (Davidson Heights)', 'Ontario', 'ON', '45.3211', '-75.7391', 'nepean davidson heights');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2H', 'Nepean (Bells Corners)', 'Ontario', 'ON', '45.3433', '-75.8265', 'nepean bells corners');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2J', 'Nepean (Barrhaven)', 'Ontario', 'ON', '45.2691', '-75.7518', 'nepean barrhaven');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2K', 'Kanata (Beaverbrook / South March)', 'Ontario', 'ON', '45.3704', '-75.9198', 'kanata beaverbrook south march');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2L', 'Kanata (Katimavik-Hazeldean / Glen Cairn)', 'Ontario', 'ON', '45.3001', '-75.9244', 'kanata katimavik hazeldean glen cairn');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2M', 'Kanata (Bridlewood)', 'Ontario', 'ON', '45.2861', '-75.8562', 'kanata bridlewood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2R', 'Nepean (Fallowfield Village / Cedarhill Estates / Orchard Estates)', 'Ontario', 'ON', '45.2899', '-75.8126', 'nepean fallowfield village cedarhill estates orchard estates');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2S', 'Stittsville', 'Ontario', 'ON', '45.2501', '-75.9161', 'stittsville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2T', 'Kanata (Marchwood)', 'Ontario', 'ON', '45.317', '-75.9367', 'kanata marchwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2V', 'Kanata (Terry Fox / Palladium)', 'Ontario', 'ON', '45.2854', '-75.8928', 'kanata terry fox palladium');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K2W', 'Kanata (North March)', 'Ontario', 'ON', '45.3699', '-75.9887', 'kanata north march');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K4A', 'Orleans (Fallingbrook)', 'Ontario', 'ON', '45.4697', '-75.4715', 'orleans fallingbrook');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K4B', 'Cumberland Township', 'Ontario', 'ON', '45.4101', '-75.3638', 'cumberland township');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K4C', 'Cumberland', 'Ontario', 'ON', '45.498', '-75.3916', 'cumberland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K4K', 'Rockland', 'Ontario', 'ON', '45.5501', '-75.291', 'rockland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K4M', 'Manotick', 'Ontario', 'ON', '45.2154', '-75.6528', 'manotick');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K4P', 'Greely', 'Ontario', 'ON', '45.2434', '-75.5674', 'greely');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K4R', 'Russell', 'Ontario', 'ON', '45.2388', '-75.3527', 'russell');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K6A', 'Hawkesbury', 'Ontario', 'ON', '45.6001', '-74.616', 'hawkesbury');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K6H', 'Cornwall East', 'Ontario', 'ON', '45.0565', '-74.6852', 'cornwall east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K6J', 'Cornwall West', 'Ontario', 'ON', '45.0223', '-74.7569', 'cornwall west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K6K', 'Cornwall North', 'Ontario', 'ON', '45.061', '-74.7774', 'cornwall north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K6T', 'Elizabethtown', 'Ontario', 'ON', '44.6301', '-75.7448', 'elizabethtown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K6V', 'Brockville', 'Ontario', 'ON', '44.6573', '-75.7146', 'brockville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7A', 'Smiths Falls', 'Ontario', 'ON', '44.9001', '-76.0161', 'smiths falls');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7C', 'Carleton Place', 'Ontario', 'ON', '45.1334', '-76.1494', 'carleton place');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7G', 'Gananoque', 'Ontario', 'ON', '44.3334', '-76.1661', 'gananoque');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7H', 'Perth', 'Ontario', 'ON', '44.9001', '-76.2494', 'perth');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7K', 'Kingston (SW Pittsburgh Township)', 'Ontario', 'ON', '44.2569', '-76.4717', 'kingston sw pittsburgh township');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7L', 'Kingston (Downtown)', 'Ontario', 'ON', '44.2955', '-76.428', 'kingston downtown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7M', 'Kingston (Reddendale / Cataraqui / Collins Bay)', 'Ontario', 'ON', '44.2411', '-76.5788', 'kingston reddendale cataraqui collins bay');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7N', 'Amherstview', 'Ontario', 'ON', '44.2224', '-76.65', 'amherstview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7P', 'Kingston (Westbrook / Cataraqui Woods / Cedarwood)', 'Ontario', 'ON', '44.2814', '-76.6111', 'kingston westbrook cataraqui woods cedarwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7R', 'Napanee', 'Ontario', 'ON', '44.2501', '-76.9494', 'napanee');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7S', 'Arnprior', 'Ontario', 'ON', '45.4334', '-76.3494', 'arnprior');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K7V', 'Renfrew', 'Ontario', 'ON', '45.4668', '-76.6827', 'renfrew');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K8A', 'Pembroke Central and northern subdivisions', 'Ontario', 'ON', '45.7466', '-77.2047', 'pembroke central and northern subdivisions');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K8B', 'Pembroke (Pleasant View / Fairview)', 'Ontario', 'ON', '45.808', '-77.0806', 'pembroke pleasant view fairview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K8H', 'Petawawa', 'Ontario', 'ON', '45.8945', '-77.2801', 'petawawa');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K8N', 'Belleville East', 'Ontario', 'ON', '44.1735', '-77.3684', 'belleville east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K8P', 'Belleville West', 'Ontario', 'ON', '44.1665', '-77.4037', 'belleville west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K8R', 'Belleville (SE Sidney Township / Avondale)', 'Ontario', 'ON', '44.1399', '-77.4683', 'belleville se sidney township avondale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K8V', 'Trenton', 'Ontario', 'ON', '44.0992', '-77.5776', 'trenton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K9A', 'Cobourg', 'Ontario', 'ON', '43.9598', '-78.1651', 'cobourg');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K9H', 'Peterborough North', 'Ontario', 'ON', '44.3245', '-78.3184', 'peterborough north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K9J', 'Peterborough South', 'Ontario', 'ON', '44.3104', '-78.2396', 'peterborough south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K9K', 'Peterborough (Fairbairn Meadows / Jackson Heights)', 'Ontario', 'ON', '44.3138', '-78.3606', 'peterborough fairbairn meadows jackson heights');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K9L', 'Peterborough (Terra View Heights / Woodland Acres / Donwood)', 'Ontario', 'ON', '44.3552', '-78.3199', 'peterborough terra view heights woodland acres donwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('K9V', 'Lindsay', 'Ontario', 'ON', '44.3501', '-78.7329', 'lindsay');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0A', 'West Northumberland County (Millbrook)', 'Ontario', 'ON', '44.1263', '-78.5193', 'west northumberland county millbrook');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0B', 'East Durham Regional Municipality (Orono)', 'Ontario', 'ON', '44.0773', '-78.7465', 'east durham regional municipality orono');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0C', 'West Durham Regional Municipality (Sunderland)', 'Ontario', 'ON', '44.2094', '-79.0725', 'west durham regional municipality sunderland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0E', 'Lake Simcoe Southeast Shore (Sutton West)', 'Ontario', 'ON', '44.3199', '-79.2778', 'lake simcoe southeast shore sutton west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0G', 'Ontario Centre (Queensville)', 'Ontario', 'ON', '44.0586', '-79.6235', 'ontario centre queensville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0H', 'Whitby Region (Gormley)', 'Ontario', 'ON', '43.9023', '-79.1554', 'whitby region gormley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0J', 'North Peel Regional Municipality (Kleinburg)', 'Ontario', 'ON', '43.8566', '-79.6485', 'north peel regional municipality kleinburg');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0K', 'Lake Simcoe North Shore (Coldwater)', 'Ontario', 'ON', '44.6233', '-79.1235', 'lake simcoe north shore coldwater');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0L', 'Lake Simcoe West Shore (Oro)', 'Ontario', 'ON', '44.4548', '-79.7352', 'lake simcoe west shore oro');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0M', 'Georgian Bay South Shore (Angus)', 'Ontario', 'ON', '44.3269', '-80.0333', 'georgian bay south shore angus');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0R', 'East Haldimand County (Waterdown)', 'Ontario', 'ON', '43.1607', '-79.7463', 'east haldimand county waterdown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L0S', 'Niagara Regional Municipality (Fonthill)', 'Ontario', 'ON', '42.9071', '-79.0832', 'niagara regional municipality fonthill');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1A', 'Port Hope', 'Ontario', 'ON', '44.0168', '-78.3995', 'port hope');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1B', 'Bowmanville East', 'Ontario', 'ON', '43.9235', '-78.5457', 'bowmanville east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1C', 'Bowmanville West', 'Ontario', 'ON', '43.9714', '-78.7095', 'bowmanville west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1E', 'Courtice', 'Ontario', 'ON', '43.8969', '-78.7683', 'courtice');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1G', 'Oshawa Central', 'Ontario', 'ON', '43.9233', '-78.8684', 'oshawa central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1H', 'Oshawa Southeast', 'Ontario', 'ON', '43.9721', '-78.8837', 'oshawa southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1J', 'Oshawa Southwest', 'Ontario', 'ON', '43.8852', '-78.8771', 'oshawa southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1K', 'Oshawa East', 'Ontario', 'ON', '43.9251', '-78.8287', 'oshawa east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1L', 'Oshawa North', 'Ontario', 'ON', '43.9581', '-78.8972', 'oshawa north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1M', 'Whitby North', 'Ontario', 'ON', '43.9566', '-78.9779', 'whitby north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1N', 'Whitby Southeast', 'Ontario', 'ON', '43.8721', '-78.9273', 'whitby southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1P', 'Whitby Southwest', 'Ontario', 'ON', '43.8866', '-78.975', 'whitby southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1R', 'Whitby Central', 'Ontario', 'ON', '43.9215', '-78.9412', 'whitby central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1S', 'Ajax Southwest', 'Ontario', 'ON', '43.8404', '-79.0251', 'ajax southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1T', 'Ajax Northwest', 'Ontario', 'ON', '43.8843', '-79.0534', 'ajax northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1V', 'Pickering Southwest', 'Ontario', 'ON', '43.8605', '-79.1618', 'pickering southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1W', 'Pickering South', 'Ontario', 'ON', '43.8197', '-79.0803', 'pickering south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1X', 'Pickering Central', 'Ontario', 'ON', '43.8558', '-79.0972', 'pickering central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1Y', 'Pickering North', 'Ontario', 'ON', '43.9555', '-79.1194', 'pickering north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L1Z', 'Ajax East', 'Ontario', 'ON', '43.8773', '-79.0055', 'ajax east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2A', 'Fort Erie', 'Ontario', 'ON', '42.9001', '-78.9329', 'fort erie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2E', 'Niagara Falls Central', 'Ontario', 'ON', '43.0537', '-79.1018', 'niagara falls central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2G', 'Niagara Falls Southeast', 'Ontario', 'ON', '43.0696', '-79.0818', 'niagara falls southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2H', 'Niagara Falls West', 'Ontario', 'ON', '43.1009', '-79.1379', 'niagara falls west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2J', 'Niagara Falls North', 'Ontario', 'ON', '43.1296', '-79.1034', 'niagara falls north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2M', 'St. Catharines Northeast', 'Ontario', 'ON', '43.196', '-79.2161', 'saint catharines northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2N', 'St. Catharines Northwest', 'Ontario', 'ON', '43.1923', '-79.2559', 'saint catharines northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2P', 'St. Catharines East', 'Ontario', 'ON', '43.1527', '-79.2091', 'saint catharines east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2R', 'St. Catharines Central', 'Ontario', 'ON', '43.1419', '-79.2966', 'saint catharines central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2S', 'St. Catharines Southwest', 'Ontario', 'ON', '43.1447', '-79.2634', 'saint catharines southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2T', 'St. Catharines South', 'Ontario', 'ON', '43.1313', '-79.2317', 'saint catharines south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2V', 'St. Catharines Southeast', 'Ontario', 'ON', '43.1142', '-79.2035', 'saint catharines southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L2W', 'St. Catharines West', 'Ontario', 'ON', '43.1688', '-79.2794', 'saint catharines west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3B', 'Welland East', 'Ontario', 'ON', '42.9878', '-79.2219', 'welland east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3C', 'Welland West', 'Ontario', 'ON', '42.9998', '-79.2656', 'welland west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3K', 'Port Colborne', 'Ontario', 'ON', '42.9001', '-79.2329', 'port colborne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3M', 'Grimsby', 'Ontario', 'ON', '43.2001', '-79.5663', 'grimsby');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3P', 'Markham Central', 'Ontario', 'ON', '43.8769', '-79.2686', 'markham central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3R', 'Markham Outer Southwest', 'Ontario', 'ON', '43.8479', '-79.3288', 'markham outer southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3S', 'Markham Southeast', 'Ontario', 'ON', '43.8486', '-79.2617', 'markham southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3T', 'Thornhill East', 'Ontario', 'ON', '43.8227', '-79.3946', 'thornhill east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3V', 'Orillia', 'Ontario', 'ON', '44.6087', '-79.4207', 'orillia');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3X', 'Newmarket Southwest', 'Ontario', 'ON', '44.0433', '-79.4912', 'newmarket southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3Y', 'Newmarket Northeast', 'Ontario', 'ON', '44.0565', '-79.4555', 'newmarket northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L3Z', 'Bradford', 'Ontario', 'ON', '44.1168', '-79.5663', 'bradford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4A', 'Stouffville', 'Ontario', 'ON', '43.9668', '-79.2496', 'stouffville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4B', 'Richmond Hill Southeast', 'Ontario', 'ON', '43.8582', '-79.3985', 'richmond hill southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4C', 'Richmond Hill Southwest', 'Ontario', 'ON', '43.8669', '-79.4414', 'richmond hill southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4E', 'Richmond Hill North', 'Ontario', 'ON', '43.9394', '-79.4349', 'richmond hill north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4G', 'Aurora', 'Ontario', 'ON', '44.0001', '-79.4663', 'aurora');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4H', 'Woodbridge North', 'Ontario', 'ON', '43.8432', '-79.5644', 'woodbridge north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4J', 'Thornhill West', 'Ontario', 'ON', '43.8156', '-79.4534', 'thornhill west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4K', 'Concord', 'Ontario', 'ON', '43.8001', '-79.4829', 'concord');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4L', 'Woodbridge South', 'Ontario', 'ON', '43.8064', '-79.5995', 'woodbridge south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4M', 'Barrie North', 'Ontario', 'ON', '44.4001', '-79.6663', 'barrie north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4N', 'Barrie South', 'Ontario', 'ON', '44.3572', '-79.6929', 'barrie south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4P', 'Keswick', 'Ontario', 'ON', '44.2501', '-79.4663', 'keswick');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4R', 'Midland', 'Ontario', 'ON', '44.7501', '-79.883', 'midland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4S', 'Richmond Hill Central', 'Ontario', 'ON', '43.8985', '-79.4143', 'richmond hill central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4T', 'Mississauga (Malton)', 'Ontario', 'ON', '43.7139', '-79.6434', 'mississauga malton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4V', 'Mississauga (Wildwood)', 'Ontario', 'ON', '43.6935', '-79.6069', 'mississauga wildwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4W', 'Mississauga (Matheson / East Rathwood)', 'Ontario', 'ON', '43.6413', '-79.6296', 'mississauga matheson east rathwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4X', 'Mississauga (East Applewood / East Dixie / NE Lakeview)', 'Ontario', 'ON', '43.6178', '-79.5786', 'mississauga east applewood east dixie ne lakeview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4Y', 'Mississauga (West Applewood / West Dixie / NW Lakeview)', 'Ontario', 'ON', '43.6028', '-79.5929', 'mississauga west applewood west dixie nw lakeview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L4Z', 'Mississauga (West Rathwood / East Hurontario / SE Gateway)', 'Ontario', 'ON', '43.6192', '-79.6538', 'mississauga west rathwood east hurontario se gateway');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5A', 'Mississauga (Mississauga Valleys / East Cooksville)', 'Ontario', 'ON', '43.5883', '-79.6091', 'mississauga mississauga valleys east cooksville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5B', 'Mississauga (West Cooksville / Fairview / City Centre / East Creditview)', 'Ontario', 'ON', '43.5771', '-79.6306', 'mississauga west cooksville fairview city centre east creditview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5C', 'Mississauga (West Creditview / Mavis / Erindale)', 'Ontario', 'ON', '43.5624', '-79.6504', 'mississauga west creditview mavis erindale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5E', 'Mississauga (Central Lakeview)', 'Ontario', 'ON', '43.5836', '-79.561', 'mississauga central lakeview');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5G', 'Mississauga (SW Lakeview / Mineola / East Port Credit)', 'Ontario', 'ON', '43.5647', '-79.5852', 'mississauga sw lakeview mineola east port credit');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5H', 'Mississauga (West Port Credit / Lorne Park / East Sheridan)', 'Ontario', 'ON', '43.5419', '-79.6164', 'mississauga west port credit lorne park east sheridan');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5J', 'Mississauga (Clarkson / Southdown)', 'Ontario', 'ON', '43.5102', '-79.6296', 'mississauga clarkson southdown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5K', 'Mississauga (West Sheridan)', 'Ontario', 'ON', '43.5272', '-79.6617', 'mississauga west sheridan');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5L', 'Mississauga (Erin Mills / Western Business Park)', 'Ontario', 'ON', '43.5373', '-79.6903', 'mississauga erin mills western business park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5M', 'Mississauga (Churchill Meadows / Central Erin Mills / South Streetsville)', 'Ontario', 'ON', '43.5637', '-79.7202', 'mississauga churchill meadows central erin mills south streetsville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5N', 'Mississauga (Lisgar / Meadowvale)', 'Ontario', 'ON', '43.5924', '-79.7611', 'mississauga lisgar meadowvale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5P', 'Mississauga (YYZ)', 'Ontario', 'ON', '43.6904', '-79.6238', 'mississauga yyz');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5R', 'Mississauga (West Hurontario / SW Gateway)', 'Ontario', 'ON', '43.606', '-79.6708', 'mississauga west hurontario sw gateway');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5S', 'Mississauga (Cardiff / NE Gateway)', 'Ontario', 'ON', '43.6801', '-79.6783', 'mississauga cardiff ne gateway');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5T', 'Mississauga (Courtney Park / East Gateway)', 'Ontario', 'ON', '43.6683', '-79.6182', 'mississauga courtney park east gateway');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5V', 'Mississauga (East Credit)', 'Ontario', 'ON', '43.5972', '-79.6931', 'mississauga east credit');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L5W', 'Mississauga (Meadowvale Village / West Gateway)', 'Ontario', 'ON', '43.6313', '-79.7148', 'mississauga meadowvale village west gateway');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6A', 'Maple', 'Ontario', 'ON', '43.8501', '-79.5163', 'maple');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6B', 'Markham East', 'Ontario', 'ON', '43.9007', '-79.2175', 'markham east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6C', 'Markham Northwest', 'Ontario', 'ON', '43.9045', '-79.3392', 'markham northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6E', 'Markham Northeast', 'Ontario', 'ON', '43.9002', '-79.2676', 'markham northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6G', 'Markham Inner Southwest', 'Ontario', 'ON', '43.8485', '-79.3346', 'markham inner southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6H', 'Oakville North', 'Ontario', 'ON', '43.4881', '-79.7098', 'oakville north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6J', 'Oakville Northeast', 'Ontario', 'ON', '43.4757', '-79.6591', 'oakville northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6K', 'Oakville East', 'Ontario', 'ON', '43.4396', '-79.6878', 'oakville east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6L', 'Oakville South', 'Ontario', 'ON', '43.4032', '-79.7186', 'oakville south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6M', 'Oakville West', 'Ontario', 'ON', '43.4464', '-79.7593', 'oakville west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6P', 'Brampton North', 'Ontario', 'ON', '43.7942', '-79.7021', 'brampton north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6R', 'Brampton Northwest', 'Ontario', 'ON', '43.7592', '-79.7605', 'brampton northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6S', 'Brampton North Central', 'Ontario', 'ON', '43.7379', '-79.726', 'brampton north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6T', 'Brampton East', 'Ontario', 'ON', '43.7196', '-79.6854', 'brampton east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6V', 'Brampton Central', 'Ontario', 'ON', '43.7059', '-79.7626', 'brampton central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6W', 'Brampton Southeast', 'Ontario', 'ON', '43.68', '-79.7273', 'brampton southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6X', 'Brampton Southwest', 'Ontario', 'ON', '43.6665', '-79.8054', 'brampton southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6Y', 'Brampton South', 'Ontario', 'ON', '43.6249', '-79.7876', 'brampton south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L6Z', 'Brampton West Central', 'Ontario', 'ON', '43.7328', '-79.7953', 'brampton west central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7A', 'Brampton West', 'Ontario', 'ON', '43.6909', '-79.8377', 'brampton west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7B', 'King City', 'Ontario', 'ON', '43.9286', '-79.5269', 'king city');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7C', 'Caledon', 'Ontario', 'ON', '43.8753', '-79.8558', 'caledon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7E', 'Bolton', 'Ontario', 'ON', '43.8795', '-79.7379', 'bolton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7G', 'Georgetown', 'Ontario', 'ON', '43.6501', '-79.9163', 'georgetown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7J', 'Acton', 'Ontario', 'ON', '43.6297', '-80.0415', 'acton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7K', 'Caledon Village', 'Ontario', 'ON', '43.8602', '-79.996', 'caledon village');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7L', 'Burlington Northeast', 'Ontario', 'ON', '43.3799', '-79.7668', 'burlington northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7M', 'Burlington North', 'Ontario', 'ON', '43.4342', '-79.8701', 'burlington north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7N', 'Burlington East', 'Ontario', 'ON', '43.3512', '-79.784', 'burlington east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7P', 'Burlington West', 'Ontario', 'ON', '43.3806', '-79.886', 'burlington west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7R', 'Burlington Southeast', 'Ontario', 'ON', '43.375', '-79.8434', 'burlington southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7S', 'Burlington South', 'Ontario', 'ON', '43.323', '-79.8092', 'burlington south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L7T', 'Burlington Southwest', 'Ontario', 'ON', '43.3081', '-79.8507', 'burlington southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L8B', 'Waterdown', 'Ontario', 'ON', '43.3334', '-79.8829', 'waterdown');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9G', 'Ancaster West', 'Ontario', 'ON', '43.1836', '-79.9902', 'ancaster west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9H', 'Dundas', 'Ontario', 'ON', '43.2638', '-79.9524', 'dundas');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9J', 'Barrie', 'Ontario', 'ON', '44.3186', '-79.6761', 'barrie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9K', 'Ancaster East', 'Ontario', 'ON', '43.225', '-79.9427', 'ancaster east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9L', 'Port Perry', 'Ontario', 'ON', '44.1068', '-78.9444', 'port perry');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9M', 'Penetanguishene', 'Ontario', 'ON', '44.7834', '-79.9164', 'penetanguishene');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9N', 'Holland Landing', 'Ontario', 'ON', '44.1149', '-79.5014', 'holland landing');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9P', 'Uxbridge', 'Ontario', 'ON', '44.1001', '-79.1163', 'uxbridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9R', 'Alliston', 'Ontario', 'ON', '44.1501', '-79.8663', 'alliston');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9S', 'Innisfil', 'Ontario', 'ON', '44.3001', '-79.6496', 'innisfil');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9T', 'Milton', 'Ontario', 'ON', '43.5148', '-79.884', 'milton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9V', 'Orangeville North', 'Ontario', 'ON', '43.9597', '-80.1079', 'orangeville north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9W', 'Orangeville South', 'Ontario', 'ON', '43.9702', '-80.016', 'orangeville south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9X', 'Barrie', 'Ontario', 'ON', '44.4001', '-79.6663', 'barrie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9X', 'Minesing', 'Ontario', 'ON', '44.4334', '-79.833', 'minesing');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9X', 'Midhurst', 'Ontario', 'ON', '44.4438', '-79.7318', 'midhurst');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9X', 'Springwater', 'Ontario', 'ON', '44.4954', '-79.8503', 'springwater');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9Y', 'Collingwood', 'Ontario', 'ON', '44.4834', '-80.2164', 'collingwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('L9Z', 'Wasaga Beach', 'Ontario', 'ON', '44.5168', '-80.0164', 'wasaga beach');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1B', 'Scarborough (Malvern / Rouge River)', 'Ontario', 'ON', '43.8113', '-79.193', 'scarborough malvern rouge river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1C', 'Scarborough (Rouge Hill / Port Union / Highland Creek)', 'Ontario', 'ON', '43.7878', '-79.1564', 'scarborough rouge hill port union highland creek');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1E', 'Scarborough (Guildwood / Morningside / Ellesmere)', 'Ontario', 'ON', '43.7678', '-79.1866', 'scarborough guildwood morningside ellesmere');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1G', 'Scarborough (Woburn)', 'Ontario', 'ON', '43.7712', '-79.2144', 'scarborough woburn');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1H', 'Scarborough (Cedarbrae)', 'Ontario', 'ON', '43.7686', '-79.2389', 'scarborough cedarbrae');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1J', 'Scarborough (Eglinton)', 'Ontario', 'ON', '43.7464', '-79.2323', 'scarborough eglinton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1K', 'Scarborough (Kennedy Park / Ionview / East Birchmount Park)', 'Ontario', 'ON', '43.7298', '-79.2639', 'scarborough kennedy park ionview east birchmount park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1L', 'Scarborough (The Golden Mile / Clairlea / Oakridge / Birchmount Park East)', 'Ontario', 'ON', '43.7122', '-79.2843', 'scarborough the golden mile clairlea oakridge birchmount park east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1M', 'Scarborough (Cliffside / Cliffcrest / Scarborough Village West)', 'Ontario', 'ON', '43.7247', '-79.2312', 'scarborough cliffside cliffcrest scarborough village west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1N', 'Scarborough (Birch Cliff / Cliffside West)', 'Ontario', 'ON', '43.6952', '-79.2646', 'scarborough birch cliff cliffside west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1P', 'Scarborough (Dorset Park / Wexford Heights / Scarborough Town Centre)', 'Ontario', 'ON', '43.7612', '-79.2707', 'scarborough dorset park wexford heights scarborough town centre');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1R', 'Scarborough (Wexford / Maryvale)', 'Ontario', 'ON', '43.7507', '-79.3003', 'scarborough wexford maryvale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1S', 'Scarborough (Agincourt)', 'Ontario', 'ON', '43.7946', '-79.2644', 'scarborough agincourt');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1T', 'Scarborough (Clarks Corners / Tam O''Shanter / Sullivan)', 'Ontario', 'ON', '43.7812', '-79.3036', 'scarborough clarks corners tam oshanter sullivan');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1V', 'Scarborough (Milliken / Agincourt North / Steeles East / L''Amoreaux East)', 'Ontario', 'ON', '43.8177', '-79.2819', 'scarborough milliken agincourt north steeles east lamoreaux east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1W', 'Scarborough (Steeles West / L''Amoreaux West)', 'Ontario', 'ON', '43.8016', '-79.3216', 'scarborough steeles west lamoreaux west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M1X', 'Scarborough (Upper Rouge)', 'Ontario', 'ON', '43.834', '-79.2069', 'scarborough upper rouge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M2H', 'North York (Hillcrest Village)', 'Ontario', 'ON', '43.8015', '-79.3577', 'north york hillcrest village');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M2J', 'North York (Fairview / Henry Farm / Oriole)', 'Ontario', 'ON', '43.7801', '-79.3479', 'north york fairview henry farm oriole');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M2K', 'North York (Bayview Village)', 'Ontario', 'ON', '43.7797', '-79.3813', 'north york bayview village');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M2L', 'North York (York Mills / Silver Hills)', 'Ontario', 'ON', '43.7547', '-79.3764', 'north york york mills silver hills');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M2M', 'Willowdale East (Newtonbrook)', 'Ontario', 'ON', '43.7915', '-79.4103', 'willowdale east newtonbrook');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M2N', 'Willowdale South', 'Ontario', 'ON', '43.7673', '-79.4111', 'willowdale south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M2P', 'North York (York Mills West)', 'Ontario', 'ON', '43.75', '-79.3978', 'north york york mills west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M2R', 'Willowdale West', 'Ontario', 'ON', '43.7786', '-79.445', 'willowdale west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M3A', 'North York (York Heights / Victoria Village / Parkway East)', 'Ontario', 'ON', '43.7545', '-79.33', 'north york york heights victoria village parkway east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M3B', 'Don Mills North', 'Ontario', 'ON', '43.745', '-79.359', 'don mills north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M3C', 'Don Mills South (Flemingdon Park)', 'Ontario', 'ON', '43.7334', '-79.3329', 'don mills south flemingdon park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M3H', 'North York (Armour Heights / Wilson Heights / Downsview North)', 'Ontario', 'ON', '43.7535', '-79.4472', 'north york armour heights wilson heights downsview north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M3J', 'North York (Northwood Park / York University)', 'Ontario', 'ON', '43.7694', '-79.4921', 'north york northwood park york university');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M3L', 'Downsview West', 'Ontario', 'ON', '43.7334', '-79.5116', 'downsview west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M3M', 'Downsview Central', 'Ontario', 'ON', '43.7319', '-79.4928', 'downsview central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M3N', 'North York (Jane and Finch)', 'Ontario', 'ON', '43.7568', '-79.521', 'north york jane and finch');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4A', 'North York (Sweeney Park / Wigmore Park)', 'Ontario', 'ON', '43.7276', '-79.3148', 'north york sweeney park wigmore park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4B', 'East York (Parkview Hill / Woodbine Gardens)', 'Ontario', 'ON', '43.7063', '-79.3094', 'east york parkview hill woodbine gardens');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4C', 'East York (Woodbine Heights)', 'Ontario', 'ON', '43.6913', '-79.3116', 'east york woodbine heights');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4G', 'East York (Leaside)', 'Ontario', 'ON', '43.7124', '-79.3644', 'east york leaside');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M4H', 'East York (Thorncliffe Park)', 'Ontario', 'ON', '43.7059', '-79.3464', 'east york thorncliffe park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M5M', 'North York (Bedford Park / Lawrence Park West / Lawrence Manor East)', 'Ontario', 'ON', '43.7335', '-79.4177', 'north york bedford park lawrence park west lawrence manor east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6A', 'North York (Lawrence Manor / Lawrence Heights)', 'Ontario', 'ON', '43.7223', '-79.4504', 'north york lawrence manor lawrence heights');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6B', 'North York (Glencairn)', 'Ontario', 'ON', '43.7081', '-79.4479', 'north york glencairn');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6C', 'York (Cedarvale)', 'Ontario', 'ON', '43.6915', '-79.4307', 'york cedarvale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6E', 'York (Fairbank / Oakwood)', 'Ontario', 'ON', '43.6889', '-79.4507', 'york fairbank oakwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6L', 'North York (North Park / Maple Leaf Park / Upwood Park)', 'Ontario', 'ON', '43.7137', '-79.4869', 'north york north park maple leaf park upwood park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6M', 'York (Del Ray / Keelsdale / Mount Dennis / Silverthorne)', 'Ontario', 'ON', '43.6934', '-79.4857', 'york del ray keelsdale mount dennis silverthorne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M6N', 'York (Runnymede / The Junction North)', 'Ontario', 'ON', '43.6748', '-79.4839', 'york runnymede the junction north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M7A', 'Queen''s Park Ontario Provincial Government', 'Ontario', 'ON', '43.6641', '-79.3889', 'queens park ontario provincial government');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M8W', 'Etobicoke (Alderwood / Long Branch)', 'Ontario', 'ON', '43.6021', '-79.5402', 'etobicoke alderwood long branch');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M8X', 'Etobicoke (The Kingsway / Montgomery Road / Old Mill North)', 'Ontario', 'ON', '43.6518', '-79.5076', 'etobicoke the kingsway montgomery road old mill north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M8Y', 'Etobicoke (Old Mill South / King''s Mill Park / Sunnylea / Humber Bay / Mimico NE / The Queensway East / Royal York South East / Kingsway Park South East)', 'Ontario', 'ON', '43.6325', '-79.4939', 'etobicoke old mill south kings mill park sunnylea humber bay mimico ne the queensway east royal york south east kingsway park south east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M8Z', 'Etobicoke (Mimico NW / The Queensway West / South of Bloor / Kingsway Park South West / Royal York South West)', 'Ontario', 'ON', '43.6256', '-79.5231', 'etobicoke mimico nw the queensway west south of bloor kingsway park south west royal york south west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9A', 'Etobicoke (Islington Avenue)', 'Ontario', 'ON', '43.6662', '-79.5282', 'etobicoke islington avenue');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9B', 'Etobicoke (West Deane Park / Princess Gardens / Martin Grove / Islington / Cloverdale)', 'Ontario', 'ON', '43.6505', '-79.5517', 'etobicoke west deane park princess gardens martin grove islington cloverdale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9C', 'Etobicoke (Eringate / Bloordale Gardens / Old Burnhamthorpe / Markland Woods)', 'Ontario', 'ON', '43.6437', '-79.5767', 'etobicoke eringate bloordale gardens old burnhamthorpe markland woods');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9L', 'North York (Humber Summit)', 'Ontario', 'ON', '43.7598', '-79.5565', 'north york humber summit');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9M', 'North York (Humberlea / Emery)', 'Ontario', 'ON', '43.7366', '-79.5401', 'north york humberlea emery');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9N', 'Weston', 'Ontario', 'ON', '43.7068', '-79.517', 'weston');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9P', 'Etobicoke (Westmount)', 'Ontario', 'ON', '43.6949', '-79.5323', 'etobicoke westmount');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9R', 'Etobicoke (Kingsview Village / St. Phillips / Martin Grove Gardens / Richview Gardens)', 'Ontario', 'ON', '43.6898', '-79.5582', 'etobicoke kingsview village saint phillips martin grove gardens richview gardens');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9V', 'Etobicoke (South Steeles / Silverstone / Humbergate / Jamestown / Mount Olive / Beaumond Heights / Thistletown / Albion Gardens)', 'Ontario', 'ON', '43.7432', '-79.5876', 'etobicoke south steeles silverstone humbergate jamestown mount olive beaumond heights thistletown albion gardens');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('M9W', 'Etobicoke Northwest (Clairville / Humberwood / Woodbine Downs / West Humber / Kipling Heights / Rexdale / Elms / Tandridge / Old Rexdale)', 'Ontario', 'ON', '43.7144', '-79.5909', 'etobicoke northwest clairville humberwood woodbine downs west humber kipling heights rexdale elms tandridge old rexdale');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0A', 'West Haldimand (Port Dover)', 'Ontario', 'ON', '42.9403', '-79.945', 'west haldimand port dover');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0B', 'Wellington (Elora)', 'Ontario', 'ON', '43.5569', '-80.4414', 'wellington elora');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0C', 'Georgian Bay Southwest Shore (Dundalk)', 'Ontario', 'ON', '44.2561', '-80.5029', 'georgian bay southwest shore dundalk');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0E', 'Brant and Norfolk (Waterford)', 'Ontario', 'ON', '42.6618', '-80.5572', 'brant and norfolk waterford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0G', 'Huron (Wingham)', 'Ontario', 'ON', '44.0024', '-81.0676', 'huron wingham');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0H', 'Bruce Peninsula (Wiarton)', 'Ontario', 'ON', '44.6941', '-81.0962', 'bruce peninsula wiarton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0J', 'Oxford (Norwich)', 'Ontario', 'ON', '42.9775', '-80.7057', 'oxford norwich');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0K', 'Perth (Mitchell)', 'Ontario', 'ON', '43.5067', '-81.1582', 'perth mitchell');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0L', 'Elgin (Dorchester)', 'Ontario', 'ON', '42.7557', '-81.4533', 'elgin dorchester');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0M', 'Middlesex (Clinton)', 'Ontario', 'ON', '43.2788', '-81.5442', 'middlesex clinton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0N', 'Lambton (Forest)', 'Ontario', 'ON', '42.9062', '-82.11', 'lambton forest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0P', 'Kent (Blenheim)', 'Ontario', 'ON', '42.4045', '-81.9107', 'kent blenheim');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N0R', 'Essex (Belle River)', 'Ontario', 'ON', '42.1783', '-82.7715', 'essex belle river');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1A', 'Dunnville', 'Ontario', 'ON', '42.9001', '-79.6163', 'dunnville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1C', 'Guelph South', 'Ontario', 'ON', '43.4921', '-80.2267', 'guelph south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1E', 'Guelph North', 'Ontario', 'ON', '43.5677', '-80.2418', 'guelph north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1G', 'Guelph Central', 'Ontario', 'ON', '43.5184', '-80.2257', 'guelph central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1H', 'Guelph Northwest', 'Ontario', 'ON', '43.5588', '-80.3004', 'guelph northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1K', 'Guelph West', 'Ontario', 'ON', '43.526', '-80.3051', 'guelph west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1L', 'Guelph East', 'Ontario', 'ON', '43.516', '-80.19', 'guelph east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1M', 'Fergus', 'Ontario', 'ON', '43.7001', '-80.3664', 'fergus');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1P', 'Cambridge South', 'Ontario', 'ON', '43.3398', '-80.2955', 'cambridge south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1R', 'Cambridge Central', 'Ontario', 'ON', '43.3666', '-80.2239', 'cambridge central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1S', 'Cambridge Southwest', 'Ontario', 'ON', '43.3592', '-80.3347', 'cambridge southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N1T', 'Cambridge East', 'Ontario', 'ON', '43.3849', '-80.2833', 'cambridge east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2A', 'Kitchener East', 'Ontario', 'ON', '43.4413', '-80.4246', 'kitchener east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2B', 'Kitchener Northeast', 'Ontario', 'ON', '43.4646', '-80.4467', 'kitchener northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2C', 'Kitchener South Central', 'Ontario', 'ON', '43.4182', '-80.4451', 'kitchener south central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2E', 'Kitchener Southwest', 'Ontario', 'ON', '43.4106', '-80.5011', 'kitchener southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2G', 'Kitchener Central', 'Ontario', 'ON', '43.4443', '-80.4891', 'kitchener central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2H', 'Kitchener North Central', 'Ontario', 'ON', '43.4581', '-80.4818', 'kitchener north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2J', 'Waterloo Southeast', 'Ontario', 'ON', '43.504', '-80.5366', 'waterloo southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2K', 'Kitchener North', 'Ontario', 'ON', '43.4961', '-80.4936', 'kitchener north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2L', 'Waterloo South', 'Ontario', 'ON', '43.4715', '-80.5454', 'waterloo south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2M', 'Kitchener Northwest', 'Ontario', 'ON', '43.4363', '-80.5093', 'kitchener northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2N', 'Kitchener West', 'Ontario', 'ON', '43.426', '-80.5438', 'kitchener west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2P', 'Kitchener Southeast', 'Ontario', 'ON', '43.3878', '-80.4296', 'kitchener southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2R', 'Kitchener South', 'Ontario', 'ON', '43.3849', '-80.487', 'kitchener south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2T', 'Waterloo Southwest', 'Ontario', 'ON', '43.453', '-80.5692', 'waterloo southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2V', 'Waterloo Northwest', 'Ontario', 'ON', '43.4764', '-80.5842', 'waterloo northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N2Z', 'Kincardine', 'Ontario', 'ON', '44.1664', '-81.601', 'kincardine');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3A', 'Baden', 'Ontario', 'ON', '43.4001', '-80.6497', 'baden');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3B', 'Elmira', 'Ontario', 'ON', '43.6001', '-80.5497', 'elmira');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3C', 'Cambridge Northeast', 'Ontario', 'ON', '43.4389', '-80.2649', 'cambridge northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3E', 'Cambridge Northwest', 'Ontario', 'ON', '43.4193', '-80.3505', 'cambridge northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3H', 'Cambridge West', 'Ontario', 'ON', '43.4267', '-80.3699', 'cambridge west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3L', 'Paris', 'Ontario', 'ON', '43.2', '-80.3833', 'paris');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3W', 'Caledonia', 'Ontario', 'ON', '43.0668', '-79.9329', 'caledonia');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N3Y', 'Simcoe', 'Ontario', 'ON', '42.8334', '-80.2997', 'simcoe');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4B', 'Delhi', 'Ontario', 'ON', '42.8501', '-80.4997', 'delhi');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4G', 'Tillsonburg', 'Ontario', 'ON', '42.8599', '-80.7262', 'tillsonburg');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4K', 'Owen Sound', 'Ontario', 'ON', '44.5672', '-80.9435', 'owen sound');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4L', 'Meaford', 'Ontario', 'ON', '44.6001', '-80.583', 'meaford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4N', 'Hanover', 'Ontario', 'ON', '44.1501', '-81.033', 'hanover');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4S', 'Woodstock Central', 'Ontario', 'ON', '43.1432', '-80.7338', 'woodstock central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4T', 'Woodstock North', 'Ontario', 'ON', '43.1485', '-80.7319', 'woodstock north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4V', 'Woodstock South', 'Ontario', 'ON', '43.115', '-80.743', 'woodstock south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4W', 'Listowel', 'Ontario', 'ON', '43.7334', '-80.9497', 'listowel');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4X', 'St. Mary''s', 'Ontario', 'ON', '43.2655', '-81.1687', 'saint marys');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N4Z', 'Stratford South', 'Ontario', 'ON', '43.3634', '-81.0069', 'stratford south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5A', 'Stratford North', 'Ontario', 'ON', '43.3668', '-80.9497', 'stratford north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5C', 'Ingersoll', 'Ontario', 'ON', '43.0334', '-80.883', 'ingersoll');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5H', 'Aylmer', 'Ontario', 'ON', '42.7668', '-80.983', 'aylmer');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5L', 'Port Stanley', 'Ontario', 'ON', '42.6668', '-81.2164', 'port stanley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5P', 'St. Thomas North', 'Ontario', 'ON', '42.7779', '-81.1769', 'saint thomas north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5R', 'St. Thomas South', 'Ontario', 'ON', '42.7597', '-81.1762', 'saint thomas south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5V', 'London (YXU / North and East Argyle / East Huron Heights)', 'Ontario', 'ON', '43.0233', '-81.1643', 'london yxu north and east argyle east huron heights');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5W', 'London East (SW Argyle / Hamilton Road)', 'Ontario', 'ON', '42.9856', '-81.1821', 'london east sw argyle hamilton road');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5X', 'London (Fanshawe / Stoneybrook / Stoney Creek / Uplands / East Masonville)', 'Ontario', 'ON', '43.0443', '-81.2391', 'london fanshawe stoneybrook stoney creek uplands east masonville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5Y', 'London (West Huron Heights / Carling)', 'Ontario', 'ON', '43.0123', '-81.2307', 'london west huron heights carling');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N5Z', 'London (Glen Cairn)', 'Ontario', 'ON', '42.966', '-81.2053', 'london glen cairn');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6A', 'London North (UWO)', 'Ontario', 'ON', '42.9976', '-81.2563', 'london north uwo');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6B', 'London Central', 'Ontario', 'ON', '42.9835', '-81.2386', 'london central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6C', 'London South (East Highland / North White Oaks / North Westminster)', 'Ontario', 'ON', '42.9582', '-81.238', 'london south east highland north white oaks north westminster');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6E', 'London (South White Oaks / Central Westminster / East Longwoods / West Brockley)', 'Ontario', 'ON', '42.9185', '-81.2244', 'london south white oaks central westminster east longwoods west brockley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6G', 'London (Sunningdale / West Masonville / Medway / NE Hyde Park / East Fox Hollow)', 'Ontario', 'ON', '43.0147', '-81.3049', 'london sunningdale west masonville medway ne hyde park east fox hollow');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6H', 'London West (Central Hyde Park / Oakridge)', 'Ontario', 'ON', '42.9915', '-81.3402', 'london west central hyde park oakridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6J', 'London (Southcrest / East Westmount / West Highland)', 'Ontario', 'ON', '42.9546', '-81.2735', 'london southcrest east westmount west highland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6K', 'London (Riverbend / Woodhull / North Sharon Creek / Byron / West Westmount)', 'Ontario', 'ON', '42.9536', '-81.3418', 'london riverbend woodhull north sharon creek byron west westmount');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6L', 'London (East Tempo)', 'Ontario', 'ON', '42.8719', '-81.2472', 'london east tempo');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6M', 'London (Jackson / Old Victoria / Bradley / North Highbury)', 'Ontario', 'ON', '42.9632', '-81.1392', 'london jackson old victoria bradley north highbury');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6N', 'London (South Highbury / Glanworth / East Brockley / SE Westminster)', 'Ontario', 'ON', '42.8997', '-81.1592', 'london south highbury glanworth east brockley se westminster');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N6P', 'London (Talbot / Lambeth / West Tempo / South Sharon Creek)', 'Ontario', 'ON', '42.8909', '-81.3236', 'london talbot lambeth west tempo south sharon creek');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N7A', 'Goderich', 'Ontario', 'ON', '43.7501', '-81.7165', 'goderich');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N7G', 'Strathroy', 'Ontario', 'ON', '42.9551', '-81.6223', 'strathroy');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N7L', 'Chatham Northwest', 'Ontario', 'ON', '42.4209', '-82.1993', 'chatham northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N7M', 'Chatham Southeast', 'Ontario', 'ON', '42.4238', '-82.1183', 'chatham southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N7S', 'Sarnia Central', 'Ontario', 'ON', '42.9888', '-82.3592', 'sarnia central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N7T', 'Sarnia Southwest', 'Ontario', 'ON', '42.9578', '-82.2777', 'sarnia southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N7V', 'Sarnia Northwest', 'Ontario', 'ON', '42.9998', '-82.3926', 'sarnia northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N7W', 'Sarnia Southeast', 'Ontario', 'ON', '42.9644', '-82.3259', 'sarnia southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N7X', 'Sarnia Northeast', 'Ontario', 'ON', '43.0214', '-82.3212', 'sarnia northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8A', 'Wallaceburg', 'Ontario', 'ON', '42.593', '-82.3885', 'wallaceburg');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8H', 'Leamington', 'Ontario', 'ON', '42.0549', '-82.6062', 'leamington');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8M', 'Essex', 'Ontario', 'ON', '42.1751', '-82.8248', 'essex');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8N', 'Tecumseh Outskirts', 'Ontario', 'ON', '42.2946', '-82.8667', 'tecumseh outskirts');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8P', 'Windsor (East Riverside)', 'Ontario', 'ON', '42.3276', '-82.9104', 'windsor east riverside');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8R', 'Windsor (East Forest Glade)', 'Ontario', 'ON', '42.3067', '-82.915', 'windsor east forest glade');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8S', 'Windsor (Riverside)', 'Ontario', 'ON', '42.3283', '-82.9472', 'windsor riverside');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8T', 'Windsor (West Forest Glade / East Fontainbleu)', 'Ontario', 'ON', '42.3037', '-82.9459', 'windsor west forest glade east fontainbleu');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8V', 'Tecumseh (YQG)', 'Ontario', 'ON', '42.2773', '-82.9447', 'tecumseh yqg');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8W', 'Windsor (South Walkerville / West Fontainbleu / Walker Farm / Devonshire)', 'Ontario', 'ON', '42.2836', '-82.9771', 'windsor south walkerville west fontainbleu walker farm devonshire');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8X', 'Windsor South Central (West Walkerville / Remington Park)', 'Ontario', 'ON', '42.2926', '-83.0186', 'windsor south central west walkerville remington park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N8Y', 'Windsor East (East Walkerville)', 'Ontario', 'ON', '42.3176', '-82.9929', 'windsor east east walkerville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9A', 'Windsor (City Centre / NW Walkerville)', 'Ontario', 'ON', '42.2007', '-83.0276', 'windsor city centre nw walkerville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9B', 'Windsor (University / South Cameron)', 'Ontario', 'ON', '42.2949', '-83.052', 'windsor university south cameron');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9C', 'Windsor (Sandwich / Ojibway / West Malden)', 'Ontario', 'ON', '42.2767', '-83.0793', 'windsor sandwich ojibway west malden');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9E', 'Windsor South (East Malden)', 'Ontario', 'ON', '42.2652', '-83.0314', 'windsor south east malden');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9G', 'Windsor (Roseland)', 'Ontario', 'ON', '42.2481', '-82.9952', 'windsor roseland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9H', 'La Salle East', 'Ontario', 'ON', '42.2318', '-83.0281', 'la salle east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9J', 'La Salle West', 'Ontario', 'ON', '42.2187', '-83.0801', 'la salle west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9K', 'Tecumseh Central', 'Ontario', 'ON', '42.2978', '-82.8701', 'tecumseh central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9V', 'Amherstburg', 'Ontario', 'ON', '42.1168', '-83.0498', 'amherstburg');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('N9Y', 'Kingsville', 'Ontario', 'ON', '42.0502', '-82.7598', 'kingsville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0A', 'Nipissing Central (Burk''s Falls)', 'Ontario', 'ON', '45.5881', '-79.3546', 'nipissing central burks falls');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0B', 'Nipissing South (Utterson)', 'Ontario', 'ON', '45.1863', '-79.4115', 'nipissing south utterson');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0C', 'Parry Sound Mid-Shore (Bala)', 'Ontario', 'ON', '45.1275', '-79.786', 'parry sound mid shore bala');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0E', 'Parry Sound South Shore (Kilworthy)', 'Ontario', 'ON', '44.8608', '-79.5069', 'parry sound south shore kilworthy');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0G', 'Parry Sound North Shore (Nobel)', 'Ontario', 'ON', '45.6718', '-80.3688', 'parry sound north shore nobel');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0H', 'Nipissing North (Callander)', 'Ontario', 'ON', '46.3109', '-79.3617', 'nipissing north callander');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0J', 'Timiskaming South (Temiskaming Shores)', 'Ontario', 'ON', '47.5776', '-80.2036', 'timiskaming south temiskaming shores');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0K', 'Timiskaming North (Iroquois Falls A)', 'Ontario', 'ON', '48.5234', '-80.3081', 'timiskaming north iroquois falls a');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0L', 'Cochrane Region (Hearst)', 'Ontario', 'ON', '51.97', '-83.5369', 'cochrane region hearst');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0M', 'Algoma, Sudbury District and Greater Sudbury (Chelmsford)', 'Ontario', 'ON', '47.6526', '-82.4753', 'algoma sudbury district and greater sudbury chelmsford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0N', 'Timmins Region (South Porcupine)', 'Ontario', 'ON', '48.6027', '-81.0115', 'timmins region south porcupine');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0P', 'Manitoulin (Little Current)', 'Ontario', 'ON', '45.7565', '-82.2151', 'manitoulin little current');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0S', 'Lake Superior East Shore (Wawa)', 'Ontario', 'ON', '48.048', '-84.6727', 'lake superior east shore wawa');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0T', 'Lake Superior North Shore (Marathon)', 'Ontario', 'ON', '49.2924', '-88.756', 'lake superior north shore marathon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0V', 'Northwestern Ontario (Red Lake)', 'Ontario', 'ON', '52.9648', '-90.1505', 'northwestern ontario red lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0W', 'Rainy River Region (Emo)', 'Ontario', 'ON', '48.875', '-93.7522', 'rainy river region emo');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0X', 'Kenora Region (Keewatin)', 'Ontario', 'ON', '50.9293', '-93.3095', 'kenora region keewatin');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P0Y', 'Lake of the Woods East Shore (Ingolf)', 'Ontario', 'ON', '49.7603', '-95.1003', 'lake of the woods east shore ingolf');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P1A', 'North Bay South', 'Ontario', 'ON', '46.2801', '-79.4502', 'north bay south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P1B', 'North Bay Central', 'Ontario', 'ON', '46.3364', '-79.583', 'north bay central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P1C', 'North Bay North', 'Ontario', 'ON', '46.3397', '-79.4223', 'north bay north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P1H', 'Huntsville', 'Ontario', 'ON', '45.3334', '-79.2163', 'huntsville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P1L', 'Bracebridge', 'Ontario', 'ON', '45.0334', '-79.3163', 'bracebridge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P1P', 'Gravenhurst', 'Ontario', 'ON', '44.9168', '-79.3663', 'gravenhurst');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P2A', 'Parry Sound', 'Ontario', 'ON', '45.3501', '-80.033', 'parry sound');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P2B', 'Sturgeon Falls', 'Ontario', 'ON', '46.3668', '-79.9164', 'sturgeon falls');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P2N', 'Kirkland Lake', 'Ontario', 'ON', '48.1446', '-80.0377', 'kirkland lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P3A', 'Greater Sudbury (New Sudbury)', 'Ontario', 'ON', '46.5187', '-80.934', 'greater sudbury new sudbury');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P3B', 'Greater Sudbury (Downtown / Minnow Lake)', 'Ontario', 'ON', '46.4847', '-80.9304', 'greater sudbury downtown minnow lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P3C', 'Greater Sudbury (Gatchell / West End / Little Britain)', 'Ontario', 'ON', '46.5133', '-81.0225', 'greater sudbury gatchell west end little britain');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P3E', 'Greater Sudbury (Robinson / Lockerby)', 'Ontario', 'ON', '46.2676', '-80.9063', 'greater sudbury robinson lockerby');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P3G', 'Greater Sudbury (Lo-Ellen / McFarlane Lake)', 'Ontario', 'ON', '46.4031', '-80.9745', 'greater sudbury lo ellen mcfarlane lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P3L', 'Greater Sudbury (Garson)', 'Ontario', 'ON', '46.5942', '-80.85', 'greater sudbury garson');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P3N', 'Greater Sudbury (Val Caron)', 'Ontario', 'ON', '46.5845', '-81.0029', 'greater sudbury val caron');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P3P', 'Greater Sudbury (Hanmer)', 'Ontario', 'ON', '46.7259', '-81.0166', 'greater sudbury hanmer');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P3Y', 'Greater Sudbury (Lively)', 'Ontario', 'ON', '46.4431', '-81.127', 'greater sudbury lively');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P4N', 'Timmins Southeast', 'Ontario', 'ON', '48.4669', '-81.3331', 'timmins southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P4P', 'Timmins North', 'Ontario', 'ON', '48.4985', '-81.3448', 'timmins north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P4R', 'Timmins West', 'Ontario', 'ON', '48.4702', '-81.3997', 'timmins west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P5A', 'Elliot Lake', 'Ontario', 'ON', '46.3834', '-82.6332', 'elliot lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P5E', 'Espanola', 'Ontario', 'ON', '46.2584', '-81.7665', 'espanola');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P5N', 'Kapuskasing', 'Ontario', 'ON', '49.4169', '-82.4331', 'kapuskasing');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P6A', 'Sault Ste. Marie East', 'Ontario', 'ON', '46.5168', '-84.3333', 'sault sainte marie east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P6B', 'Sault Ste. Marie Central', 'Ontario', 'ON', '46.5307', '-84.3046', 'sault sainte marie central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P6C', 'Sault Ste. Marie North', 'Ontario', 'ON', '46.5353', '-84.3732', 'sault sainte marie north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P7A', 'Thunder Bay Northeast', 'Ontario', 'ON', '48.4601', '-89.2035', 'thunder bay northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P7B', 'Thunder Bay North Central', 'Ontario', 'ON', '48.9475', '-89.4063', 'thunder bay north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P7C', 'Thunder Bay Central', 'Ontario', 'ON', '48.352', '-89.4649', 'thunder bay central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P7E', 'Thunder Bay South Central', 'Ontario', 'ON', '48.3684', '-89.284', 'thunder bay south central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P7G', 'Thunder Bay North', 'Ontario', 'ON', '48.4001', '-89.3168', 'thunder bay north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P7J', 'Thunder Bay South', 'Ontario', 'ON', '48.2834', '-89.3668', 'thunder bay south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P7K', 'Thunder Bay West', 'Ontario', 'ON', '48.3728', '-89.3484', 'thunder bay west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P7L', 'Neebing', 'Ontario', 'ON', '48.1668', '-89.4168', 'neebing');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P8N', 'Dryden', 'Ontario', 'ON', '49.7833', '-92.7503', 'dryden');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P8T', 'Sioux Lookout', 'Ontario', 'ON', '50.0668', '-91.9836', 'sioux lookout');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P9A', 'Fort Frances', 'Ontario', 'ON', '48.6393', '-93.4469', 'fort frances');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('P9N', 'Kenora', 'Ontario', 'ON', '49.7573', '-94.3427', 'kenora');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('C0B', 'Prince County (Portage)', 'Prince Edward Island', 'PE', '46.6023', '-63.9583', 'prince county portage');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('C0A', 'Kings and Queens counties (Elmira)', 'Prince Edward Island', 'PE', '46.1668', '-62.6487', 'kings and queens counties elmira');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('C0A', 'Montague', 'Prince Edward Island', 'PE', '46.1668', '-62.6487', 'montague');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('C1A', 'Charlottetown Southeast Prince Edward Island Provincial Government', 'Prince Edward Island', 'PE', '46.2716', '-63.0165', 'charlottetown southeast prince edward island provincial government');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('C1B', 'Stratford', 'Prince Edward Island', 'PE', '46.2179', '-63.0795', 'stratford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('C1C', 'Charlottetown North', 'Prince Edward Island', 'PE', '46.2645', '-63.0842', 'charlottetown north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('C1E', 'Charlottetown West', 'Prince Edward Island', 'PE', '46.3451', '-63.2011', 'charlottetown west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('C1N', 'Summerside', 'Prince Edward Island', 'PE', '46.3959', '-63.7876', 'summerside');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G4W', 'Matane', 'Quebec', 'QC', '48.8286', '-67.522', 'matane');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5H', 'Mont-Joli', 'Quebec', 'QC', '48.5839', '-68.1921', 'mont joli');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5J', 'Amqui', 'Quebec', 'QC', '48.4638', '-67.4313', 'amqui');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5L', 'Rimouski Central', 'Quebec', 'QC', '48.416', '-68.5979', 'rimouski central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5M', 'Rimouski Northeast', 'Quebec', 'QC', '48.4966', '-68.458', 'rimouski northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5N', 'Rimouski Southwest', 'Quebec', 'QC', '48.3668', '-68.4659', 'rimouski southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5R', 'Rivière-du-Loup', 'Quebec', 'QC', '47.8304', '-69.5342', 'riviere du loup');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7P', 'Saint-Ambroise', 'Quebec', 'QC', '48.5501', '-71.3158', 'saint ambroise');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8B', 'Alma Southeast', 'Quebec', 'QC', '48.5548', '-71.673', 'alma southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8C', 'Alma Southwest', 'Quebec', 'QC', '48.5278', '-71.6364', 'alma southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8E', 'Alma North', 'Quebec', 'QC', '48.6377', '-71.6957', 'alma north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8H', 'Roberval', 'Quebec', 'QC', '48.5168', '-72.2324', 'roberval');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8J', 'Saint-Prime', 'Quebec', 'QC', '48.5834', '-72.3324', 'saint prime');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8K', 'Saint-Félicien', 'Quebec', 'QC', '48.6501', '-72.4491', 'saint felicien');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8L', 'Dolbeau-Mistassini', 'Quebec', 'QC', '48.8763', '-72.212', 'dolbeau mistassini');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8M', 'Albanel', 'Quebec', 'QC', '48.8832', '-72.4487', 'albanel');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8N', 'Hébertville', 'Quebec', 'QC', '48.3473', '-71.6786', 'hebertville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0A', 'Capitale-Nationale (Stoneham)', 'Quebec', 'QC', '47.3507', '-71.202', 'capitale nationale stoneham');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1A', 'Quebec Provincial Government', 'Quebec', 'QC', '46.8588', '-71.192', 'quebec provincial government');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1J', 'Quebec City Lower Riverbank', 'Quebec', 'QC', '46.838', '-71.2232', 'quebec city lower riverbank');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1K', 'Quebec City Mid-Riverbank', 'Quebec', 'QC', '46.814', '-71.2194', 'quebec city mid riverbank');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1L', 'Quebec City Northeast', 'Quebec', 'QC', '46.8304', '-71.2455', 'quebec city northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1M', 'Quebec City North Central', 'Quebec', 'QC', '46.8183', '-71.2706', 'quebec city north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1N', 'Quebec City South Central', 'Quebec', 'QC', '46.8035', '-71.2639', 'quebec city south central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1P', 'Quebec City West', 'Quebec', 'QC', '46.8097', '-71.3102', 'quebec city west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1R', 'Quebec City East', 'Quebec', 'QC', '46.8074', '-71.2181', 'quebec city east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1S', 'Quebec City South', 'Quebec', 'QC', '46.7933', '-71.2453', 'quebec city south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1T', 'Quebec City Upper Riverbank', 'Quebec', 'QC', '46.7741', '-71.2609', 'quebec city upper riverbank');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2C', 'Quebec City Northwest', 'Quebec', 'QC', '46.8287', '-71.334', 'quebec city northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2E', 'L''Ancienne-Lorette Northeast', 'Quebec', 'QC', '46.8083', '-71.3605', 'lancienne lorette northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2J', 'Quebec City Inner North', 'Quebec', 'QC', '46.8399', '-71.2781', 'quebec city inner north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2K', 'Quebec City Outer North', 'Quebec', 'QC', '46.8545', '-71.3044', 'quebec city outer north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3B', 'Lac-Beauport', 'Quebec', 'QC', '46.9833', '-71.2906', 'lac beauport');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3C', 'Stoneham-et-Tewkesbury', 'Quebec', 'QC', '47.1691', '-71.4332', 'stoneham et tewkesbury');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3H', 'Pont-Rouge', 'Quebec', 'QC', '46.7547', '-71.6957', 'pont rouge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3M', 'Donnacona', 'Quebec', 'QC', '46.6804', '-71.7239', 'donnacona');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3N', 'Sainte-Catherine-de-la-Jacques-Cartier', 'Quebec', 'QC', '46.8524', '-71.6206', 'sainte catherine de la jacques cartier');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3S', 'Shannon', 'Quebec', 'QC', '46.8803', '-71.5146', 'shannon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3Z', 'Baie-Saint-Paul', 'Quebec', 'QC', '47.4411', '-70.4986', 'baie saint paul');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G4A', 'Clermont', 'Quebec', 'QC', '47.7184', '-70.2276', 'clermont');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5A', 'La Malbaie', 'Quebec', 'QC', '47.6575', '-70.1559', 'la malbaie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0X', 'Mauricie (Parent)', 'Quebec', 'QC', '47.9168', '-74.6159', 'mauricie parent');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G9X', 'La Tuque', 'Quebec', 'QC', '47.4334', '-72.7824', 'la tuque');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5V', 'Louiseville', 'Quebec', 'QC', '46.2559', '-72.9415', 'louiseville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0B', 'Estrie-Est (Stanstead)', 'Quebec', 'QC', '45.1001', '-72.0491', 'estrie est stanstead');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1S', 'Windsor', 'Quebec', 'QC', '45.5668', '-71.9991', 'windsor');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1T', 'Asbestos', 'Quebec', 'QC', '45.7668', '-71.9324', 'asbestos');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1X', 'Magog', 'Quebec', 'QC', '45.2668', '-72.1491', 'magog');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1B', 'Montreal East', 'Quebec', 'QC', '45.632', '-73.5075', 'montreal east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1G', 'Montreal North North', 'Quebec', 'QC', '45.6109', '-73.6211', 'montreal north north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1H', 'Montreal North South', 'Quebec', 'QC', '45.5899', '-73.6389', 'montreal north south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2Y', 'Old Montreal', 'Quebec', 'QC', '45.5057', '-73.555', 'old montreal');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2Z', 'Downtown Montreal Northeast', 'Quebec', 'QC', '45.5052', '-73.5622', 'downtown montreal northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3A', 'Downtown Montreal North', 'Quebec', 'QC', '45.504', '-73.5747', 'downtown montreal north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3B', 'Downtown Montreal East', 'Quebec', 'QC', '45.5005', '-73.5684', 'downtown montreal east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3G', 'Downtown Montreal Southeast', 'Quebec', 'QC', '45.4987', '-73.5793', 'downtown montreal southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3H', 'Downtown Montreal South & West', 'Quebec', 'QC', '45.5009', '-73.5877', 'downtown montreal south west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3X', 'Hampstead', 'Quebec', 'QC', '45.4819', '-73.6421', 'hampstead');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3Y', 'Westmount West', 'Quebec', 'QC', '45.4876', '-73.6045', 'westmount west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3Z', 'Westmount East', 'Quebec', 'QC', '45.4825', '-73.5933', 'westmount east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4W', 'Côte-Saint-Luc West', 'Quebec', 'QC', '45.47', '-73.6686', 'cote saint luc west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4X', 'Montreal West', 'Quebec', 'QC', '45.4529', '-73.6492', 'montreal west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9J', 'Kirkland', 'Quebec', 'QC', '45.4501', '-73.8659', 'kirkland');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9P', 'Dorval Outskirts', 'Quebec', 'QC', '45.4679', '-73.7748', 'dorval outskirts');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9R', 'Pointe-Claire', 'Quebec', 'QC', '45.4487', '-73.8167', 'pointe claire');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9W', 'Beaconsfield', 'Quebec', 'QC', '45.4334', '-73.8659', 'beaconsfield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0X', 'Outaouais-Sud (Thurso)', 'Quebec', 'QC', '46.307', '-76.7653', 'outaouais sud thurso');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8N', 'Val-des-Monts', 'Quebec', 'QC', '45.6501', '-75.666', 'val des monts');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9B', 'Chelsea', 'Quebec', 'QC', '45.5001', '-75.7827', 'chelsea');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9E', 'Maniwaki', 'Quebec', 'QC', '46.3834', '-75.966', 'maniwaki');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0Z', 'Abitibi-Témiscamingue-Ouest (Guigues)', 'Quebec', 'QC', '47.8626', '-78.824', 'abitibi temiscamingue ouest guigues');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9P', 'Val-d''Or', 'Quebec', 'QC', '48.1002', '-77.7828', 'val dor');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9T', 'Amos', 'Quebec', 'QC', '48.5669', '-78.1162', 'amos');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9V', 'Ville-Marie', 'Quebec', 'QC', '47.3334', '-79.433', 'ville marie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9Z', 'La Sarre', 'Quebec', 'QC', '48.8002', '-79.1996', 'la sarre');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0G', 'Côte-Nord/Anticosti (Schefferville)', 'Quebec', 'QC', '53.0413', '-68.6884', 'cote nord anticosti schefferville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G4S', 'Sept-Îles Northwest', 'Quebec', 'QC', '50.2713', '-66.3751', 'sept iles northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5B', 'Port-Cartier', 'Quebec', 'QC', '50.0334', '-66.8655', 'port cartier');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8P', 'Chibougamau', 'Quebec', 'QC', '49.9168', '-74.3659', 'chibougamau');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G4X', 'Gaspé', 'Quebec', 'QC', '48.8334', '-64.4819', 'gaspe');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5V', 'Montmagny', 'Quebec', 'QC', '46.9804', '-70.5549', 'montmagny');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5X', 'Beauceville', 'Quebec', 'QC', '46.2179', '-70.7787', 'beauceville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5Y', 'Saint-Georges Central', 'Quebec', 'QC', '46.1326', '-70.6375', 'saint georges central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5Z', 'Saint-Georges Southeast', 'Quebec', 'QC', '46.0642', '-70.7118', 'saint georges southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6A', 'Saint-Georges Northwest', 'Quebec', 'QC', '46.1437', '-70.6817', 'saint georges northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6E', 'Sainte-Marie', 'Quebec', 'QC', '46.434', '-71.0117', 'sainte marie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6G', 'Thetford Mines', 'Quebec', 'QC', '46.0937', '-71.3054', 'thetford mines');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6V', 'Lévis North', 'Quebec', 'QC', '46.8033', '-71.1779', 'levis north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6W', 'Lévis South', 'Quebec', 'QC', '46.7546', '-71.22', 'levis south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6Y', 'Lévis', 'Quebec', 'QC', '46.8033', '-71.1779', 'levis');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7N', 'Laval-des-Rapides', 'Quebec', 'QC', '45.5501', '-73.6992', 'laval des rapides');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7R', 'Laval-sur-le-Lac', 'Quebec', 'QC', '45.5526', '-73.8507', 'laval sur le lac');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0K', 'Lanaudière-Nord (Saint-Esprit)', 'Quebec', 'QC', '46.7966', '-73.8705', 'lanaudiere nord saint esprit');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5M', 'Saint-Lin-Laurentides', 'Quebec', 'QC', '45.8501', '-73.7659', 'saint lin laurentides');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5T', 'Lavaltrie', 'Quebec', 'QC', '45.8834', '-73.2825', 'lavaltrie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5X', 'L''Épiphanie', 'Quebec', 'QC', '45.8501', '-73.4825', 'lepiphanie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5Y', 'Repentigny Northeast', 'Quebec', 'QC', '45.7774', '-73.4252', 'repentigny northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5Z', 'Repentigny West', 'Quebec', 'QC', '45.7643', '-73.5036', 'repentigny west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6A', 'Repentigny South', 'Quebec', 'QC', '45.7395', '-73.4588', 'repentigny south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6V', 'Terrebonne East', 'Quebec', 'QC', '45.714', '-73.5357', 'terrebonne east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6W', 'Terrebonne Central', 'Quebec', 'QC', '45.7064', '-73.6178', 'terrebonne central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6X', 'Terrebonne Northwest', 'Quebec', 'QC', '45.7275', '-73.7062', 'terrebonne northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6Y', 'Terrebonne Southwest', 'Quebec', 'QC', '45.7', '-73.752', 'terrebonne southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7K', 'Mascouche Extremities', 'Quebec', 'QC', '45.77', '-73.6049', 'mascouche extremities');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7L', 'Mascouche Central', 'Quebec', 'QC', '45.7424', '-73.6509', 'mascouche central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0T', 'Laurentides-Nord (Montcalm)', 'Quebec', 'QC', '46.3002', '-74.5855', 'laurentides nord montcalm');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5K', 'Saint-Colomban', 'Quebec', 'QC', '45.7334', '-74.1325', 'saint colomban');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5L', 'Saint-Jérôme West', 'Quebec', 'QC', '45.7987', '-74.0727', 'saint jerome west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7E', 'Sainte-Thérèse-de-Blainville Central', 'Quebec', 'QC', '45.6442', '-73.8448', 'sainte therese de blainville central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7P', 'Saint-Eustache Northeast', 'Quebec', 'QC', '45.5779', '-73.8809', 'saint eustache northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7R', 'Saint-Eustache Southwest', 'Quebec', 'QC', '45.574', '-73.94', 'saint eustache southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7Y', 'Saint-Jérôme North', 'Quebec', 'QC', '45.8058', '-74.0165', 'saint jerome north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7Z', 'Saint-Jérôme Southeast', 'Quebec', 'QC', '45.7788', '-73.9829', 'saint jerome southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8A', 'Saint-Hippolyte', 'Quebec', 'QC', '45.9334', '-74.0159', 'saint hippolyte');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8B', 'Sainte-Adèle', 'Quebec', 'QC', '45.9501', '-74.1325', 'sainte adele');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8E', 'Mont-Tremblant', 'Quebec', 'QC', '46.1949', '-74.6264', 'mont tremblant');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8H', 'Lachute', 'Quebec', 'QC', '45.6501', '-74.3325', 'lachute');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9L', 'Mont-Laurier', 'Quebec', 'QC', '46.5501', '-75.4993', 'mont laurier');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0J', 'Montérégie-Est (Bedford)', 'Quebec', 'QC', '45.1529', '-73.1636', 'monteregie est bedford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0L', 'Montérégie-Nord (Saint-Antoine-Sur-Richelieu)', 'Quebec', 'QC', '45.1956', '-73.5695', 'monteregie nord saint antoine sur richelieu');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0S', 'Montérégie-Ouest (Saint-Anicet)', 'Quebec', 'QC', '45.1082', '-74.0451', 'monteregie ouest saint anicet');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2G', 'Granby Central', 'Quebec', 'QC', '45.4046', '-72.7202', 'granby central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2H', 'Granby East', 'Quebec', 'QC', '45.3938', '-72.7005', 'granby east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2J', 'Granby West', 'Quebec', 'QC', '45.4005', '-72.7825', 'granby west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2K', 'Cowansville', 'Quebec', 'QC', '45.2001', '-72.7491', 'cowansville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2L', 'Bromont', 'Quebec', 'QC', '45.3168', '-72.6491', 'bromont');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2M', 'Shefford', 'Quebec', 'QC', '45.3501', '-72.5658', 'shefford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2N', 'Farnham', 'Quebec', 'QC', '45.2834', '-72.9824', 'farnham');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2R', 'Saint-Hyacinthe Northwest', 'Quebec', 'QC', '45.6567', '-72.9237', 'saint hyacinthe northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2S', 'Saint-Hyacinthe Southwest', 'Quebec', 'QC', '45.6139', '-72.9912', 'saint hyacinthe southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2T', 'Saint-Hyacinthe East', 'Quebec', 'QC', '45.5971', '-72.9366', 'saint hyacinthe east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2X', 'Saint-Jean-sur-Richelieu East', 'Quebec', 'QC', '45.309', '-73.219', 'saint jean sur richelieu east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2Y', 'Saint-Jean-sur-Richelieu West', 'Quebec', 'QC', '45.3114', '-73.3556', 'saint jean sur richelieu west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3A', 'Saint-Jean-sur-Richelieu North', 'Quebec', 'QC', '45.3339', '-73.2744', 'saint jean sur richelieu north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3B', 'Saint-Jean-sur-Richelieu Central', 'Quebec', 'QC', '45.2832', '-73.2792', 'saint jean sur richelieu central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3E', 'Sainte-Julie', 'Quebec', 'QC', '45.5834', '-73.3325', 'sainte julie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3G', 'Beloeil West', 'Quebec', 'QC', '45.5946', '-73.2283', 'beloeil west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3L', 'Chambly', 'Quebec', 'QC', '45.4501', '-73.2825', 'chambly');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3M', 'Marieville', 'Quebec', 'QC', '45.4334', '-73.1659', 'marieville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3X', 'Varennes', 'Quebec', 'QC', '45.6834', '-73.4325', 'varennes');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4B', 'Boucherville', 'Quebec', 'QC', '45.591', '-73.4361', 'boucherville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4P', 'Saint-Lambert North', 'Quebec', 'QC', '45.5073', '-73.5082', 'saint lambert north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4R', 'Saint-Lambert Central', 'Quebec', 'QC', '45.4924', '-73.5009', 'saint lambert central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4S', 'Saint-Lambert South', 'Quebec', 'QC', '45.481', '-73.497', 'saint lambert south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4W', 'Brossard Northwest', 'Quebec', 'QC', '45.4674', '-73.4832', 'brossard northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4X', 'Brossard Southwest', 'Quebec', 'QC', '45.4455', '-73.4841', 'brossard southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4Y', 'Brossard South', 'Quebec', 'QC', '45.4414', '-73.4561', 'brossard south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4Z', 'Brossard Northeast', 'Quebec', 'QC', '45.4424', '-73.4231', 'brossard northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5A', 'Saint-Constant', 'Quebec', 'QC', '45.3668', '-73.5659', 'saint constant');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5B', 'Delson', 'Quebec', 'QC', '45.3668', '-73.5492', 'delson');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5C', 'Sainte-Catherine', 'Quebec', 'QC', '45.4001', '-73.5825', 'sainte catherine');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5R', 'La Prairie', 'Quebec', 'QC', '45.4168', '-73.4992', 'la prairie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6J', 'Châteauguay North', 'Quebec', 'QC', '45.3691', '-73.7216', 'chateauguay north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6K', 'Châteauguay South', 'Quebec', 'QC', '45.3526', '-73.7305', 'chateauguay south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6N', 'Beauharnois', 'Quebec', 'QC', '45.3168', '-73.8659', 'beauharnois');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6R', 'Mercier', 'Quebec', 'QC', '45.3168', '-73.7492', 'mercier');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6S', 'Salaberry-de-Valleyfield North', 'Quebec', 'QC', '45.2702', '-74.0482', 'salaberry de valleyfield north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6T', 'Salaberry-de-Valleyfield South', 'Quebec', 'QC', '45.2409', '-74.1098', 'salaberry de valleyfield south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7V', 'Vaudreuil-Dorion', 'Quebec', 'QC', '45.4001', '-74.0325', 'vaudreuil dorion');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0P', 'Centre-du-Québec-Est (Saint-Valère)', 'Quebec', 'QC', '46.0119', '-71.7199', 'centre du quebec est saint valere');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0Z', 'Centre-du-Québec-Nord (Daveluyville)', 'Quebec', 'QC', '46.179', '-72.1569', 'centre du quebec nord daveluyville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6L', 'Plessisville', 'Quebec', 'QC', '46.2186', '-71.762', 'plessisville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6P', 'Victoriaville Central', 'Quebec', 'QC', '46.0529', '-71.9477', 'victoriaville central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6T', 'Victoriaville Northwest', 'Quebec', 'QC', '46.0828', '-71.9728', 'victoriaville northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0A', 'Centre-du-Québec-Sud (Warwick)', 'Quebec', 'QC', '45.8382', '-71.9542', 'centre du quebec sud warwick');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0C', 'Centre-du-Québec-Ouest (Saint-Bonaventure)', 'Quebec', 'QC', '45.8567', '-72.6966', 'centre du quebec ouest saint bonaventure');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2A', 'Drummondville Southeast', 'Quebec', 'QC', '45.8152', '-72.4027', 'drummondville southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2C', 'Drummondville Central', 'Quebec', 'QC', '45.8893', '-72.5055', 'drummondville central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2E', 'Drummondville Northwest', 'Quebec', 'QC', '45.9099', '-72.5289', 'drummondville northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3T', 'Nicolet', 'Quebec', 'QC', '46.2168', '-72.6158', 'nicolet');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0B', 'Cap-aux-Meules', 'Quebec', 'QC', '47.4501', '-72.9913', 'cap aux meules');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0C', 'Gaspésie-Sud (New Richmond)', 'Quebec', 'QC', '48.3429', '-65.5961', 'gaspesie sud new richmond');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0E', 'Gaspésie-Nord (Grande-Vallée)', 'Quebec', 'QC', '48.9182', '-65.3736', 'gaspesie nord grande vallee');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0H', 'Manicouagan (Baie-Trinité)', 'Quebec', 'QC', '49.3795', '-67.8948', 'manicouagan baie trinite');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0J', 'Gaspésie-Ouest (Causapscal)', 'Quebec', 'QC', '48.5246', '-67.0565', 'gaspesie ouest causapscal');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0K', 'Bas-St-Laurent-Est (Sainte-Luce)', 'Quebec', 'QC', '48.159', '-68.1951', 'bas saint laurent est sainte luce');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0L', 'Bas-St-Laurent-Ouest (Trois-Pistoles)', 'Quebec', 'QC', '47.7136', '-69.1658', 'bas saint laurent ouest trois pistoles');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0M', 'Région de Beauce (Saint-Prosper-De-Dorchester)', 'Quebec', 'QC', '45.9718', '-70.6565', 'region de beauce saint prosper de dorchester');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0N', 'Chaudière-Sud (Disraeli)', 'Quebec', 'QC', '46.0988', '-71.1248', 'chaudiere sud disraeli');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0R', 'Appalaches (La Pocatière)', 'Quebec', 'QC', '46.798', '-70.3288', 'appalaches la pocatiere');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0S', 'Chaudière-Nord (Saint-Joseph-De-Beauce)', 'Quebec', 'QC', '46.4526', '-71.4397', 'chaudiere nord saint joseph de beauce');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0T', 'Le Fjord (Forestville)', 'Quebec', 'QC', '49.0143', '-69.6231', 'le fjord forestville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0V', 'Saguenay-Lac-St-Jean (Alouette)', 'Quebec', 'QC', '50.1719', '-70.6283', 'saguenay lac saint jean alouette');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0W', 'Région de Mistassini (Chambord)', 'Quebec', 'QC', '49.834', '-72.2623', 'region de mistassini chambord');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G0Y', 'L''Erable (Nantes)', 'Quebec', 'QC', '45.6242', '-71.0191', 'lerable nantes');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1B', 'Beauport North', 'Quebec', 'QC', '46.9263', '-71.2258', 'beauport north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1C', 'Beauport Central', 'Quebec', 'QC', '46.8801', '-71.196', 'beauport central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1E', 'Beauport South', 'Quebec', 'QC', '46.8588', '-71.192', 'beauport south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1G', 'Jean-Talon Southeast', 'Quebec', 'QC', '46.8765', '-71.2839', 'jean talon southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1H', 'Charlesbourg South', 'Quebec', 'QC', '46.8528', '-71.2573', 'charlesbourg south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1V', 'Sainte-Foy Northeast', 'Quebec', 'QC', '46.7823', '-71.2882', 'sainte foy northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1W', 'Sainte-Foy Southeast', 'Quebec', 'QC', '46.7589', '-71.298', 'sainte foy southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1X', 'Sainte-Foy West', 'Quebec', 'QC', '46.7749', '-71.3344', 'sainte foy west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G1Y', 'Cap-Rouge', 'Quebec', 'QC', '46.7507', '-71.3562', 'cap rouge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2A', 'Loretteville North', 'Quebec', 'QC', '46.8751', '-71.392', 'loretteville north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2B', 'Loretteville South', 'Quebec', 'QC', '46.8505', '-71.3357', 'loretteville south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2G', 'L''Ancienne-Lorette Southwest', 'Quebec', 'QC', '46.7903', '-71.4157', 'lancienne lorette southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2L', 'Charlesbourg North', 'Quebec', 'QC', '46.8895', '-71.2545', 'charlesbourg north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2M', 'Jean-Talon Northeast', 'Quebec', 'QC', '46.922', '-71.3056', 'jean talon northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G2N', 'Jean-Talon West', 'Quebec', 'QC', '46.9137', '-71.3398', 'jean talon west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3A', 'St-Augustin-De-Desmaures', 'Quebec', 'QC', '46.7406', '-71.4513', 'saint augustin de desmaures');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3E', 'Saint-Émile', 'Quebec', 'QC', '46.8779', '-71.3408', 'saint emile');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3G', 'Lac-Saint-Charles', 'Quebec', 'QC', '46.9242', '-71.3958', 'lac saint charles');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3J', 'Val-Bélair North', 'Quebec', 'QC', '46.8603', '-71.4752', 'val belair north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3K', 'Val-Bélair South', 'Quebec', 'QC', '46.8315', '-71.4429', 'val belair south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G3L', 'Saint-Raymond', 'Quebec', 'QC', '47.2374', '-71.8763', 'saint raymond');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G4R', 'Sept-Îles Southeast', 'Quebec', 'QC', '50.8558', '-67.0511', 'sept iles southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G4T', 'Les Îles-De-La-Madeleine', 'Quebec', 'QC', '47.3999', '-61.7996', 'les iles de la madeleine');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G4V', 'Sainte-Anne-Des-Monts', 'Quebec', 'QC', '48.9711', '-66.3082', 'sainte anne des monts');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G4Z', 'Baie-Comeau Northeast', 'Quebec', 'QC', '51.0872', '-68.632', 'baie comeau northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5C', 'Baie-Comeau Southwest', 'Quebec', 'QC', '50.3474', '-69.0411', 'baie comeau southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G5T', 'Degelis', 'Quebec', 'QC', '47.5473', '-68.6431', 'degelis');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6B', 'Lac-Megantic', 'Quebec', 'QC', '45.5834', '-70.8823', 'lac megantic');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6C', 'Pintendre', 'Quebec', 'QC', '46.7701', '-71.0906', 'pintendre');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6H', 'Black Lake', 'Quebec', 'QC', '46.07', '-71.4393', 'black lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6J', 'Saint-Etienne-De-Lauzon', 'Quebec', 'QC', '46.6358', '-71.3098', 'saint etienne de lauzon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6K', 'Saint-Redempteur', 'Quebec', 'QC', '46.688', '-71.3028', 'saint redempteur');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6R', 'Victoriaville South', 'Quebec', 'QC', '46.016', '-71.9561', 'victoriaville south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6S', 'Victoriaville East', 'Quebec', 'QC', '46.0264', '-71.8719', 'victoriaville east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6X', 'Charny', 'Quebec', 'QC', '46.7151', '-71.2612', 'charny');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G6Z', 'Saint-Jean-Chrysostome', 'Quebec', 'QC', '46.6901', '-71.1849', 'saint jean chrysostome');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7A', 'Saint-Nicolas', 'Quebec', 'QC', '46.6842', '-71.3827', 'saint nicolas');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7B', 'La Baie', 'Quebec', 'QC', '48.3398', '-70.8893', 'la baie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7G', 'Chicoutimi North', 'Quebec', 'QC', '48.445', '-71.1025', 'chicoutimi north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7H', 'Chicoutimi East', 'Quebec', 'QC', '48.4187', '-71.0417', 'chicoutimi east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7J', 'Chicoutimi West', 'Quebec', 'QC', '48.4175', '-71.1031', 'chicoutimi west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7K', 'Chicoutimi Southwest', 'Quebec', 'QC', '48.3689', '-71.1175', 'chicoutimi southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7N', 'Laterrière', 'Quebec', 'QC', '48.2007', '-71.1426', 'laterriere');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7S', 'Jonquière Northeast', 'Quebec', 'QC', '48.4294', '-71.1774', 'jonquiere northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7T', 'Jonquière Southeast', 'Quebec', 'QC', '48.3975', '-71.1527', 'jonquiere southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7X', 'Jonquière Central', 'Quebec', 'QC', '48.3199', '-71.4149', 'jonquiere central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7Y', 'Jonquière Southwest', 'Quebec', 'QC', '48.3701', '-71.2358', 'jonquiere southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G7Z', 'Jonquière Northwest', 'Quebec', 'QC', '48.4381', '-71.2642', 'jonquiere northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8A', 'Jonquière West', 'Quebec', 'QC', '48.4233', '-71.3629', 'jonquiere west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8G', 'Métabetchouan-Lac-a-la-Croix', 'Quebec', 'QC', '47.8076', '-71.5907', 'metabetchouan lac a la croix');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8T', 'Cap-de-la-Madeleine Central and southeast', 'Quebec', 'QC', '46.3877', '-72.5357', 'cap de la madeleine central and southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8V', 'Cap-de-la-Madeleine Northeast', 'Quebec', 'QC', '46.4098', '-72.4908', 'cap de la madeleine northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8W', 'Cap-de-la-Madeleine West', 'Quebec', 'QC', '46.4176', '-72.6372', 'cap de la madeleine west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8Y', 'Trois-Rivières Central', 'Quebec', 'QC', '46.3668', '-72.6168', 'trois rivieres central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G8Z', 'Trois-Rivières Northeast', 'Quebec', 'QC', '46.3458', '-72.5716', 'trois rivieres northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G9A', 'Trois-Rivières East', 'Quebec', 'QC', '46.3695', '-72.6789', 'trois rivieres east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G9B', 'Trois-Rivières South', 'Quebec', 'QC', '46.316', '-72.6833', 'trois rivieres south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G9C', 'Trois-Rivières West', 'Quebec', 'QC', '46.3922', '-72.6725', 'trois rivieres west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G9H', 'Becancour', 'Quebec', 'QC', '46.3334', '-72.4324', 'becancour');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G9N', 'Shawinigan Central', 'Quebec', 'QC', '46.5564', '-72.7198', 'shawinigan central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G9P', 'Shawinigan Southeast', 'Quebec', 'QC', '46.5068', '-72.7436', 'shawinigan southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G9R', 'Shawinigan Northwest', 'Quebec', 'QC', '46.6098', '-72.8266', 'shawinigan northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('G9T', 'Grand-Mère', 'Quebec', 'QC', '46.6315', '-72.737', 'grand mere');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H0H', 'Reserved (Santa Claus)', 'Quebec', 'QC', '90', '0', 'reserved santa claus');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H0M', 'Akwesasne Region (Akwesasne)', 'Quebec', 'QC', '45.6986', '-73.5025', 'akwesasne region akwesasne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1A', 'Pointe-Aux-Trembles', 'Quebec', 'QC', '45.6753', '-73.5016', 'pointe aux trembles');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1C', 'Rivière-des-Prairies Northeast', 'Quebec', 'QC', '45.6656', '-73.5367', 'riviere des prairies northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1E', 'Rivière-Des-Prairies Southwest', 'Quebec', 'QC', '45.6342', '-73.5842', 'riviere des prairies southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1J', 'Anjou West', 'Quebec', 'QC', '45.6097', '-73.5794', 'anjou west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1K', 'Anjou East', 'Quebec', 'QC', '45.6097', '-73.5472', 'anjou east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1L', 'Mercier North', 'Quebec', 'QC', '45.6043', '-73.5178', 'mercier north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1M', 'Mercier West', 'Quebec', 'QC', '45.5883', '-73.5572', 'mercier west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1N', 'Mercier Southeast', 'Quebec', 'QC', '45.5779', '-73.5304', 'mercier southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1P', 'Saint-Léonard North', 'Quebec', 'QC', '45.5966', '-73.5928', 'saint leonard north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1R', 'Saint-Léonard West', 'Quebec', 'QC', '45.5864', '-73.6082', 'saint leonard west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1S', 'Saint-Léonard Southeast', 'Quebec', 'QC', '45.5808', '-73.5825', 'saint leonard southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1T', 'Rosemont North', 'Quebec', 'QC', '45.573', '-73.5701', 'rosemont north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1V', 'Maisonneuve', 'Quebec', 'QC', '45.5585', '-73.5386', 'maisonneuve');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1W', 'Hochelaga', 'Quebec', 'QC', '45.5442', '-73.5468', 'hochelaga');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1X', 'Rosemont Central', 'Quebec', 'QC', '45.5583', '-73.5701', 'rosemont central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1Y', 'Rosemont South', 'Quebec', 'QC', '45.5486', '-73.5788', 'rosemont south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H1Z', 'Saint-Michel West', 'Quebec', 'QC', '45.5694', '-73.6221', 'saint michel west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2A', 'Saint-Michel East', 'Quebec', 'QC', '45.5618', '-73.599', 'saint michel east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2B', 'Ahuntsic North', 'Quebec', 'QC', '45.5741', '-73.6507', 'ahuntsic north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2C', 'Ahuntsic Central', 'Quebec', 'QC', '45.5606', '-73.6584', 'ahuntsic central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2E', 'Villeray Northeast', 'Quebec', 'QC', '45.5514', '-73.6116', 'villeray northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2G', 'Petite-Patrie Northeast', 'Quebec', 'QC', '45.5438', '-73.5927', 'petite patrie northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2H', 'Plateau Mont-Royal North', 'Quebec', 'QC', '45.5374', '-73.5735', 'plateau mont royal north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2J', 'Plateau Mont-Royal North Central', 'Quebec', 'QC', '45.5302', '-73.5831', 'plateau mont royal north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2K', 'Centre-Sud North', 'Quebec', 'QC', '45.5307', '-73.5547', 'centre sud north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2L', 'Centre-Sud South', 'Quebec', 'QC', '45.5186', '-73.5545', 'centre sud south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2M', 'Ahuntsic East', 'Quebec', 'QC', '45.5528', '-73.6411', 'ahuntsic east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2N', 'Ahuntsic Southeast', 'Quebec', 'QC', '45.5394', '-73.6513', 'ahuntsic southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2P', 'Villeray West', 'Quebec', 'QC', '45.5435', '-73.6339', 'villeray west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2R', 'Villeray Southeast', 'Quebec', 'QC', '45.5401', '-73.6225', 'villeray southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2S', 'Petite-Patrie Southwest', 'Quebec', 'QC', '45.5354', '-73.6061', 'petite patrie southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2T', 'Plateau Mont-Royal West', 'Quebec', 'QC', '45.5247', '-73.5953', 'plateau mont royal west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2V', 'Outremont', 'Quebec', 'QC', '45.5168', '-73.6072', 'outremont');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2W', 'Plateau Mont-Royal South Central', 'Quebec', 'QC', '45.5176', '-73.5804', 'plateau mont royal south central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H2X', 'Plateau Mont-Royal Southeast', 'Quebec', 'QC', '45.5115', '-73.5683', 'plateau mont royal southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3C', 'Griffintown (Includes Île Notre-Dame & Île Sainte-Hélène)', 'Quebec', 'QC', '45.498', '-73.5472', 'griffintown includes ile notre dame ile sainte helene');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3E', 'L''Île-Des-Soeurs', 'Quebec', 'QC', '45.4594', '-73.5501', 'lile des soeurs');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3J', 'Petite-Bourgogne', 'Quebec', 'QC', '45.4861', '-73.5732', 'petite bourgogne');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3K', 'Pointe-Saint-Charles', 'Quebec', 'QC', '45.4805', '-73.5554', 'pointe saint charles');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3L', 'Ahuntsic Southwest', 'Quebec', 'QC', '45.5467', '-73.6718', 'ahuntsic southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3M', 'Cartierville Northeast', 'Quebec', 'QC', '45.5383', '-73.6932', 'cartierville northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3N', 'Parc-Extension', 'Quebec', 'QC', '45.5302', '-73.6327', 'parc extension');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3P', 'Mount Royal North', 'Quebec', 'QC', '45.5217', '-73.6393', 'mount royal north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3R', 'Mount Royal Central', 'Quebec', 'QC', '45.5101', '-73.6478', 'mount royal central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3S', 'Côte-des-Neiges North', 'Quebec', 'QC', '45.5063', '-73.6297', 'cote des neiges north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3T', 'Côte-des-Neiges Northeast', 'Quebec', 'QC', '45.5018', '-73.6191', 'cote des neiges northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3V', 'Côte-des-Neiges East', 'Quebec', 'QC', '45.499', '-73.6089', 'cote des neiges east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H3W', 'Côte-des-Neiges Southwest', 'Quebec', 'QC', '45.4897', '-73.6312', 'cote des neiges southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4A', 'Notre-Dame-de-Grâce Northeast', 'Quebec', 'QC', '45.4717', '-73.6149', 'notre dame de grace northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4B', 'Notre-Dame-de-Grâce Southwest', 'Quebec', 'QC', '45.4604', '-73.6303', 'notre dame de grace southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4C', 'Saint-Henri', 'Quebec', 'QC', '45.4737', '-73.5882', 'saint henri');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4E', 'Ville Émard', 'Quebec', 'QC', '45.4546', '-73.5985', 'ville emard');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4G', 'Verdun North', 'Quebec', 'QC', '45.4643', '-73.5698', 'verdun north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4H', 'Verdun South', 'Quebec', 'QC', '45.4459', '-73.5815', 'verdun south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4J', 'Cartierville Central', 'Quebec', 'QC', '45.5313', '-73.7091', 'cartierville central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4K', 'Cartierville Southwest', 'Quebec', 'QC', '45.5171', '-73.7363', 'cartierville southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4L', 'Saint-Laurent Inner Northeast', 'Quebec', 'QC', '45.517', '-73.6831', 'saint laurent inner northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4M', 'Saint-Laurent East', 'Quebec', 'QC', '45.4979', '-73.6886', 'saint laurent east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4N', 'Saint-Laurent Outer Northeast', 'Quebec', 'QC', '45.5263', '-73.6649', 'saint laurent outer northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4P', 'Mount Royal South', 'Quebec', 'QC', '45.4964', '-73.6647', 'mount royal south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4R', 'Saint-Laurent Central', 'Quebec', 'QC', '45.5049', '-73.7142', 'saint laurent central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4S', 'Saint-Laurent Southwest', 'Quebec', 'QC', '45.4858', '-73.7433', 'saint laurent southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4T', 'Saint-Laurent Southeast', 'Quebec', 'QC', '45.4752', '-73.6961', 'saint laurent southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4V', 'Côte-Saint-Luc East', 'Quebec', 'QC', '45.4671', '-73.6487', 'cote saint luc east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4Y', 'Dorval Central', 'Quebec', 'QC', '45.8654', '-72.7614', 'dorval central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H4Z', 'Tour de la Bourse', 'Quebec', 'QC', '45.5061', '-73.5573', 'tour de la bourse');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H5A', 'Place Bonaventure', 'Quebec', 'QC', '45.4992', '-73.5646', 'place bonaventure');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H5B', 'Place Desjardins', 'Quebec', 'QC', '45.5066', '-73.5623', 'place desjardins');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7A', 'Duvernay-Est', 'Quebec', 'QC', '45.6739', '-73.5924', 'duvernay est');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7B', 'Saint-Franþois', 'Quebec', 'QC', '45.6757', '-73.6388', 'saint fran ois');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7C', 'Saint-Vincent-de-Paul', 'Quebec', 'QC', '45.6168', '-73.6492', 'saint vincent de paul');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7E', 'Duvernay', 'Quebec', 'QC', '45.6225', '-73.6949', 'duvernay');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7G', 'Pont-Viau', 'Quebec', 'QC', '45.5771', '-73.6873', 'pont viau');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7H', 'Auteuil West', 'Quebec', 'QC', '45.6409', '-73.7542', 'auteuil west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7J', 'Auteuil Northeast', 'Quebec', 'QC', '45.6625', '-73.7002', 'auteuil northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7K', 'Auteuil South', 'Quebec', 'QC', '45.6213', '-73.7398', 'auteuil south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7L', 'Sainte-Rose', 'Quebec', 'QC', '45.6168', '-73.7825', 'sainte rose');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7M', 'Vimont', 'Quebec', 'QC', '45.5984', '-73.7159', 'vimont');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7P', 'Fabreville', 'Quebec', 'QC', '45.578', '-73.8004', 'fabreville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7S', 'Chomedey Northeast', 'Quebec', 'QC', '45.5793', '-73.7367', 'chomedey northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7T', 'Chomedey Northwest', 'Quebec', 'QC', '45.5573', '-73.7725', 'chomedey northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7V', 'Chomedey East', 'Quebec', 'QC', '45.5478', '-73.7368', 'chomedey east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7W', 'Chomedey South', 'Quebec', 'QC', '45.5338', '-73.7652', 'chomedey south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7X', 'Sainte-Dorothée', 'Quebec', 'QC', '45.5334', '-73.8159', 'sainte dorothee');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H7Y', 'Îles-Laval', 'Quebec', 'QC', '45.5284', '-73.8509', 'iles laval');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H8N', 'LaSalle Northwest', 'Quebec', 'QC', '45.438', '-73.6215', 'lasalle northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H8P', 'LaSalle Southeast', 'Quebec', 'QC', '45.4011', '-73.619', 'lasalle southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H8R', 'Saint-Pierre', 'Quebec', 'QC', '45.3994', '-73.6506', 'saint pierre');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H8S', 'Lachine East', 'Quebec', 'QC', '45.4402', '-73.6747', 'lachine east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H8T', 'Lachine West', 'Quebec', 'QC', '45.4419', '-73.7057', 'lachine west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H8Y', 'Roxboro', 'Quebec', 'QC', '45.5084', '-73.8075', 'roxboro');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H8Z', 'Pierrefonds', 'Quebec', 'QC', '45.5069', '-73.8407', 'pierrefonds');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9A', 'Dollard-Des-Ormeaux Northwest', 'Quebec', 'QC', '45.4948', '-73.8317', 'dollard des ormeaux northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9B', 'Dollard-Des-Ormeaux East', 'Quebec', 'QC', '45.4897', '-73.7958', 'dollard des ormeaux east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9C', 'L''Île Bizard Northeast', 'Quebec', 'QC', '45.5055', '-73.8789', 'lile bizard northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9E', 'L''Île-Bizard Southwest', 'Quebec', 'QC', '45.4865', '-73.9092', 'lile bizard southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9G', 'Dollard-Des-Ormeaux Southwest', 'Quebec', 'QC', '45.4756', '-73.8367', 'dollard des ormeaux southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9H', 'Sainte-Geneviève', 'Quebec', 'QC', '45.4683', '-73.8565', 'sainte genevieve');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9K', 'Senneville', 'Quebec', 'QC', '45.4577', '-73.9162', 'senneville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9S', 'L''Île-Dorval', 'Quebec', 'QC', '45.4414', '-73.7749', 'lile dorval');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('H9X', 'Sainte-Anne-De-Bellevue', 'Quebec', 'QC', '45.4062', '-73.9456', 'sainte anne de bellevue');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0E', 'Estrie-Ouest (Fulford)', 'Quebec', 'QC', '45.2831', '-72.5244', 'estrie ouest fulford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0G', 'Bois-Francs-Nord (Odanak)', 'Quebec', 'QC', '46.021', '-72.8239', 'bois francs nord odanak');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0H', 'Bois-Francs-Sud (Saint-Nazaire-D''Acton)', 'Quebec', 'QC', '45.6609', '-72.77', 'bois francs sud saint nazaire dacton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0M', 'Nunavik (Kuujjuaq)', 'Quebec', 'QC', '58.3269', '-72.1637', 'nunavik kuujjuaq');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0N', 'Région d''Oka (Oka)', 'Quebec', 'QC', '45.5135', '-74.0534', 'region doka oka');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0P', 'Vaudreuil-Soulanges (Coteau-du-Lac)', 'Quebec', 'QC', '45.3655', '-74.312', 'vaudreuil soulanges coteau du lac');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0R', 'Lanaudière-Sud (Prévost)', 'Quebec', 'QC', '45.866', '-74.1785', 'lanaudiere sud prevost');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0V', 'Laurentides-Sud (Chénéville)', 'Quebec', 'QC', '45.8265', '-74.9318', 'laurentides sud cheneville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0W', 'Outaouais-Nord (Ferme-Neuve)', 'Quebec', 'QC', '47.0921', '-75.7967', 'outaouais nord ferme neuve');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J0Y', 'Abitibi-Témiscamingue-Est (Radisson)', 'Quebec', 'QC', '52.1046', '-75.2807', 'abitibi temiscamingue est radisson');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1A', 'Coaticook', 'Quebec', 'QC', '45.1334', '-71.7991', 'coaticook');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1C', 'Bromptonville', 'Quebec', 'QC', '45.4797', '-71.9492', 'bromptonville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1E', 'Sherbrooke Northeast', 'Quebec', 'QC', '45.4231', '-71.8723', 'sherbrooke northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1G', 'Sherbrooke East', 'Quebec', 'QC', '45.4024', '-71.8479', 'sherbrooke east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1H', 'Sherbrooke Central', 'Quebec', 'QC', '45.3891', '-71.8986', 'sherbrooke central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1J', 'Sherbrooke North', 'Quebec', 'QC', '45.4131', '-71.9238', 'sherbrooke north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1K', 'Sherbrooke West', 'Quebec', 'QC', '45.3822', '-71.9327', 'sherbrooke west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1L', 'Sherbrooke Northwest', 'Quebec', 'QC', '45.4113', '-71.9586', 'sherbrooke northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1M', 'Sherbrooke Southeast', 'Quebec', 'QC', '45.3656', '-71.842', 'sherbrooke southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1N', 'Rock Forest', 'Quebec', 'QC', '45.3395', '-72.0128', 'rock forest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1R', 'Saint-Élie-d''Orford', 'Quebec', 'QC', '45.3966', '-72.0422', 'saint elie dorford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J1Z', 'Saint-Cyrille-De-Wendover', 'Quebec', 'QC', '45.9334', '-72.4324', 'saint cyrille de wendover');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2B', 'Drummondville South', 'Quebec', 'QC', '45.9061', '-72.5929', 'drummondville south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J2W', 'Saint-Luc', 'Quebec', 'QC', '45.3694', '-73.3137', 'saint luc');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3H', 'Beloeil East', 'Quebec', 'QC', '45.5527', '-73.1755', 'beloeil east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3N', 'Saint-Basile-Le-Grand', 'Quebec', 'QC', '45.5334', '-73.2825', 'saint basile le grand');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3P', 'Sorel Central', 'Quebec', 'QC', '46.0365', '-73.0665', 'sorel central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3R', 'Sorel Southwest', 'Quebec', 'QC', '46.0206', '-73.1439', 'sorel southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3V', 'Saint-Bruno', 'Quebec', 'QC', '45.532', '-73.3437', 'saint bruno');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3Y', 'Saint-Hubert Central', 'Quebec', 'QC', '45.4906', '-73.3991', 'saint hubert central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J3Z', 'Saint-Hubert East', 'Quebec', 'QC', '45.4981', '-73.4012', 'saint hubert east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4G', 'Longueuil North', 'Quebec', 'QC', '45.5679', '-73.4761', 'longueuil north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4H', 'Longueuil West', 'Quebec', 'QC', '45.5372', '-73.5056', 'longueuil west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4J', 'Longueuil Central', 'Quebec', 'QC', '45.5362', '-73.4721', 'longueuil central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4K', 'Longueuil Southwest', 'Quebec', 'QC', '45.5183', '-73.5023', 'longueuil southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4L', 'Longueuil Southeast', 'Quebec', 'QC', '45.5181', '-73.4576', 'longueuil southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4M', 'Longueuil East', 'Quebec', 'QC', '45.5418', '-73.4382', 'longueuil east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4N', 'Longueuil Northeast', 'Quebec', 'QC', '45.5523', '-73.4558', 'longueuil northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4T', 'Saint-Hubert West', 'Quebec', 'QC', '45.4973', '-73.4676', 'saint hubert west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J4V', 'Greenfield Park', 'Quebec', 'QC', '45.4865', '-73.4622', 'greenfield park');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5J', 'Saint-Sophie', 'Quebec', 'QC', '45.8306', '-73.9191', 'saint sophie');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J5W', 'L''Assomption', 'Quebec', 'QC', '45.8232', '-73.4294', 'lassomption');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6E', 'Joliette', 'Quebec', 'QC', '46.0168', '-73.4492', 'joliette');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J6Z', 'Sainte-Thérèse-de-Blainville Northeast', 'Quebec', 'QC', '45.6694', '-73.7752', 'sainte therese de blainville northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7A', 'Sainte-Thérèse-de-Blainville East', 'Quebec', 'QC', '45.6383', '-73.7975', 'sainte therese de blainville east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7B', 'Sainte-Thérèse-de-Blainville North', 'Quebec', 'QC', '45.6602', '-73.8157', 'sainte therese de blainville north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7C', 'Sainte-Thérèse-de-Blainville Northwest', 'Quebec', 'QC', '45.689', '-73.8671', 'sainte therese de blainville northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7G', 'Sainte-Thérèse-de-Blainville South', 'Quebec', 'QC', '45.6095', '-73.8378', 'sainte therese de blainville south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7H', 'Sainte-Thérèse-de-Blainville Southwest', 'Quebec', 'QC', '45.6209', '-73.8728', 'sainte therese de blainville southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7J', 'Mirabel Northeast', 'Quebec', 'QC', '45.7045', '-73.9472', 'mirabel northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7M', 'La Plaine', 'Quebec', 'QC', '45.7888', '-73.7442', 'la plaine');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7N', 'Mirabel Southwest', 'Quebec', 'QC', '45.6345', '-74.1005', 'mirabel southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7T', 'Vaudreuil-Dorion RCM', 'Quebec', 'QC', '45.3702', '-74.1249', 'vaudreuil dorion rcm');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7W', 'Pincourt', 'Quebec', 'QC', '45.3665', '-73.9736', 'pincourt');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J7X', 'Valleyfield', 'Quebec', 'QC', '45.2691', '-74.2339', 'valleyfield');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8C', 'Sainte-Agathe-Des-Monts', 'Quebec', 'QC', '46.0501', '-74.2825', 'sainte agathe des monts');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8G', 'Chatham', 'Quebec', 'QC', '45.6834', '-74.4159', 'chatham');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8L', 'Buckingham', 'Quebec', 'QC', '45.5856', '-75.4208', 'buckingham');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8M', 'Masson-Angers', 'Quebec', 'QC', '45.5435', '-75.4274', 'masson angers');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8P', 'Gatineau Southeast', 'Quebec', 'QC', '45.4869', '-75.6157', 'gatineau southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8R', 'Gatineau Northeast', 'Quebec', 'QC', '45.5287', '-75.6088', 'gatineau northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8T', 'Gatineau Southwest', 'Quebec', 'QC', '45.4776', '-75.7059', 'gatineau southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8V', 'Gatineau Northwest', 'Quebec', 'QC', '45.5711', '-75.7615', 'gatineau northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8X', 'Hull Southeast', 'Quebec', 'QC', '45.44', '-75.7119', 'hull southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8Y', 'Hull Central', 'Quebec', 'QC', '45.448', '-75.7434', 'hull central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J8Z', 'Hull North', 'Quebec', 'QC', '45.4716', '-75.7616', 'hull north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9A', 'Hull Southwest', 'Quebec', 'QC', '45.4279', '-75.7711', 'hull southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9H', 'Aylmer South', 'Quebec', 'QC', '45.3932', '-75.8288', 'aylmer south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9J', 'Aylmer North', 'Quebec', 'QC', '45.4394', '-75.8465', 'aylmer north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9X', 'Rouyn-Noranda South', 'Quebec', 'QC', '48.2855', '-78.8234', 'rouyn noranda south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('J9Y', 'Rouyn-Noranda North', 'Quebec', 'QC', '48.1607', '-79.0714', 'rouyn noranda north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0A', 'Yorkton Region (Melville)', 'Saskatchewan', 'SK', '51.4818', '-102.9065', 'yorkton region melville');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0C', 'Southeastern Saskatchewan (Carlyle)', 'Saskatchewan', 'SK', '49.3961', '-103.2567', 'southeastern saskatchewan carlyle');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0E', 'Eastern Saskatchewan (Melfort)', 'Saskatchewan', 'SK', '53.1363', '-103.0999', 'eastern saskatchewan melfort');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0G', 'South Central Saskatchewan (Fort Qu''Appelle)', 'Saskatchewan', 'SK', '50.5767', '-104.1', 'south central saskatchewan fort quappelle');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0H', 'Southern Saskatchewan (Assiniboia)', 'Saskatchewan', 'SK', '49.9841', '-106.249', 'southern saskatchewan assiniboia');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0J', 'Northern Saskatchewan (La Ronge)', 'Saskatchewan', 'SK', '57.1992', '-105.8242', 'northern saskatchewan la ronge');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0K', 'Central Saskatchewan (Humboldt)', 'Saskatchewan', 'SK', '52.3003', '-107.9907', 'central saskatchewan humboldt');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0L', 'Western Saskatchewan (Kindersley)', 'Saskatchewan', 'SK', '51.4827', '-108.4898', 'western saskatchewan kindersley');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0M', 'Northwestern Saskatchewan (Battleford)', 'Saskatchewan', 'SK', '54.9235', '-108.9572', 'northwestern saskatchewan battleford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0N', 'Southwestern Saskatchewan (Maple Creek)', 'Saskatchewan', 'SK', '49.9116', '-108.7236', 'southwestern saskatchewan maple creek');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S0P', 'Northeastern Saskatchewan (Creighton)', 'Saskatchewan', 'SK', '55.0162', '-102.7415', 'northeastern saskatchewan creighton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S2V', 'Buena Vista', 'Saskatchewan', 'SK', '50.7834', '-104.9511', 'buena vista');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S3N', 'Yorkton', 'Saskatchewan', 'SK', '51.2167', '-102.4677', 'yorkton');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4A', 'Estevan', 'Saskatchewan', 'SK', '49.1334', '-102.9842', 'estevan');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4H', 'Weyburn', 'Saskatchewan', 'SK', '49.6668', '-103.8511', 'weyburn');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4K', 'Rm Of Sherwood', 'Saskatchewan', 'SK', '50.4501', '-104.6178', 'rm of sherwood');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4L', 'Regina East', 'Saskatchewan', 'SK', '50.4132', '-104.2733', 'regina east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4M', 'Regina', 'Saskatchewan', 'SK', '50.4501', '-104.6178', 'regina');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4N', 'Regina Northeast and East Central', 'Saskatchewan', 'SK', '50.4671', '-104.541', 'regina northeast and east central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4P', 'Regina Central', 'Saskatchewan', 'SK', '50.419', '-104.6774', 'regina central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4R', 'Regina North Central', 'Saskatchewan', 'SK', '50.4855', '-104.6163', 'regina north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4S', 'Regina South Saskatchewan Provincial Government', 'Saskatchewan', 'SK', '50.4153', '-104.6103', 'regina south saskatchewan provincial government');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4T', 'Regina West', 'Saskatchewan', 'SK', '50.4507', '-104.665', 'regina west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4V', 'Regina Southeast', 'Saskatchewan', 'SK', '50.4251', '-104.5389', 'regina southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4W', 'Regina Southwest', 'Saskatchewan', 'SK', '50.4078', '-104.6536', 'regina southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4X', 'Regina Northwest', 'Saskatchewan', 'SK', '50.5061', '-104.6752', 'regina northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4Y', 'Regina Outer Northwest', 'Saskatchewan', 'SK', '50.4768', '-104.6986', 'regina outer northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S4Z', 'Regina Northeast', 'Saskatchewan', 'SK', '50.4497', '-104.5323', 'regina northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S6H', 'Moose Jaw Southeast', 'Saskatchewan', 'SK', '50.3895', '-105.5578', 'moose jaw southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S6J', 'Moose Jaw Northeast', 'Saskatchewan', 'SK', '50.4185', '-105.5393', 'moose jaw northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S6K', 'Moose Jaw West', 'Saskatchewan', 'SK', '50.454', '-105.6418', 'moose jaw west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S6V', 'Prince Albert Central', 'Saskatchewan', 'SK', '54.493', '-104.3049', 'prince albert central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S6W', 'Prince Albert Southwest', 'Saskatchewan', 'SK', '53.1785', '-105.7741', 'prince albert southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S6X', 'Prince Albert East', 'Saskatchewan', 'SK', '53.1936', '-105.7025', 'prince albert east');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7H', 'Saskatoon East Central', 'Saskatchewan', 'SK', '52.1168', '-106.6345', 'saskatoon east central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7J', 'Saskatoon South Central', 'Saskatchewan', 'SK', '52.0961', '-106.6252', 'saskatoon south central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7K', 'Saskatoon North Central', 'Saskatchewan', 'SK', '52.0111', '-106.7955', 'saskatoon north central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7L', 'Saskatoon West', 'Saskatchewan', 'SK', '52.1564', '-106.6873', 'saskatoon west');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7M', 'Saskatoon Southwest', 'Saskatchewan', 'SK', '52.1133', '-106.7235', 'saskatoon southwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7N', 'Saskatoon Northeast Central', 'Saskatchewan', 'SK', '52.1404', '-106.608', 'saskatoon northeast central');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7P', 'Saskatoon North', 'Saskatchewan', 'SK', '52.2751', '-106.5005', 'saskatoon north');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7R', 'Saskatoon Northwest', 'Saskatchewan', 'SK', '52.1588', '-106.7163', 'saskatoon northwest');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7S', 'Saskatoon Northeast', 'Saskatchewan', 'SK', '52.1609', '-106.5864', 'saskatoon northeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7T', 'Saskatoon South', 'Saskatchewan', 'SK', '52.0403', '-106.6595', 'saskatoon south');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7V', 'Saskatoon Southeast', 'Saskatchewan', 'SK', '52.0976', '-106.5553', 'saskatoon southeast');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S7W', 'Saskatoon', 'Saskatchewan', 'SK', '52.157', '-106.5614', 'saskatoon');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S9A', 'North Battleford', 'Saskatchewan', 'SK', '52.7834', '-108.2847', 'north battleford');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S9H', 'Swift Current', 'Saskatchewan', 'SK', '50.2834', '-107.8013', 'swift current');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S9V', 'Lloydminster', 'Saskatchewan', 'SK', '53.2835', '-110.0016', 'lloydminster');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('S9X', 'Meadow Lake', 'Saskatchewan', 'SK', '54.1335', '-108.4347', 'meadow lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('Y0A', 'Southeastern Yukon (Watson Lake)', 'Yukon', 'YT', '61.5793', '-131.1481', 'southeastern yukon watson lake');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('Y0B', 'Central Yukon (Dawson City)', 'Yukon', 'YT', '64.645', '-137.536', 'central yukon dawson city');
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES ('Y1A', 'Whitehorse', 'Yukon', 'YT', '60.7161', '-135.0537', 'whitehorse');
\ No newline at end of file
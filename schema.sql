@@ -5,8 +5,10 @@ CREATE TABLE IF NOT EXISTS us_zipcodes (
   place TEXT NOT NULL,
   state TEXT,
   state_code TEXT,
+  county TEXT,
   latitude REAL,
-  longitude REAL
+  longitude REAL,
+  place_normalized TEXT
 );
 
 -- Create Canada zipcodes table  
@@ -17,11 +19,74 @@ CREATE TABLE IF NOT EXISTS ca_zipcodes (
   state TEXT,
   state_code TEXT,
   latitude REAL,
-  longitude REAL
+  longitude REAL,
+  place_normalized TEXT
 );
 
+-- Create Mexico zipcodes table
+-- place is the colonia (asentamiento); municipality is the municipio
+CREATE TABLE IF NOT EXISTS mx_zipcodes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  zipcode TEXT NOT NULL,
+  place TEXT NOT NULL,
+  municipality TEXT,
+  state TEXT,
+  state_code TEXT,
+  latitude REAL,
+  longitude REAL,
+  place_normalized TEXT,
+  municipality_normalized TEXT
+);
+
+-- place_normalized / municipality_normalized hold src/normalize.mjs output,
+-- populated at import time by scripts/csv-to-sql.js
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_us_place_state ON us_zipcodes(place, state_code);
 CREATE INDEX IF NOT EXISTS idx_us_zipcode ON us_zipcodes(zipcode);
 CREATE INDEX IF NOT EXISTS idx_ca_place_state ON ca_zipcodes(place, state_code);
-CREATE INDEX IF NOT EXISTS idx_ca_zipcode ON ca_zipcodes(zipcode);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_ca_zipcode ON ca_zipcodes(zipcode);
+CREATE INDEX IF NOT EXISTS idx_mx_place_state ON mx_zipcodes(place, state_code);
+CREATE INDEX IF NOT EXISTS idx_mx_municipality_state ON mx_zipcodes(municipality, state_code);
+CREATE INDEX IF NOT EXISTS idx_mx_state ON mx_zipcodes(state, state_code);
+CREATE INDEX IF NOT EXISTS idx_mx_zipcode ON mx_zipcodes(zipcode);
+CREATE INDEX IF NOT EXISTS idx_us_normalized_state ON us_zipcodes(place_normalized, state_code);
+CREATE INDEX IF NOT EXISTS idx_ca_normalized_state ON ca_zipcodes(place_normalized, state_code);
+CREATE INDEX IF NOT EXISTS idx_mx_normalized_state ON mx_zipcodes(place_normalized, state_code);
+CREATE INDEX IF NOT EXISTS idx_mx_municipality_normalized_state ON mx_zipcodes(municipality_normalized, state_code);
+CREATE INDEX IF NOT EXISTS idx_us_state_county ON us_zipcodes(state_code, county);
+CREATE INDEX IF NOT EXISTS idx_us_lat_lon ON us_zipcodes(latitude, longitude);
+CREATE INDEX IF NOT EXISTS idx_ca_lat_lon ON ca_zipcodes(latitude, longitude);
+
+-- Full-text search index for city autocomplete (mode=fts): one row per city/state,
+-- with the lowest code and the number of codes for ranking.
+-- Populate after importing data with search_index.sql
+CREATE VIRTUAL TABLE IF NOT EXISTS us_zipcodes_fts USING fts5(
+  place_normalized,
+  place UNINDEXED,
+  state_code UNINDEXED,
+  county UNINDEXED,
+  zipcode UNINDEXED,
+  zip_count UNINDEXED
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS ca_zipcodes_fts USING fts5(
+  place_normalized,
+  place UNINDEXED,
+  state_code UNINDEXED,
+  zipcode UNINDEXED,
+  zip_count UNINDEXED
+);
+
+-- API keys (optional): requests without a key are limited as the anonymous tier
+-- key_hash is the hex SHA-256 of the key; rate_limit (per minute) and daily_quota
+-- override the tier defaults in src/index.js when set
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key_hash TEXT NOT NULL UNIQUE,
+  name TEXT,
+  rate_limit INTEGER,
+  daily_quota INTEGER,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
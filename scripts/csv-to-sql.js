@@ -1,7 +1,10 @@
 const fs = require('fs');
 const path = require('path');
 
-function csvToSQL(csvFilePath, tableName, outputPath) {
+// Columns that get a matching *_normalized column for accent/abbreviation-insensitive search
+const NORMALIZED_COLUMNS = ['place', 'municipality'];
+
+function csvToSQL(csvFilePath, tableName, outputPath, normalizePlaceName) {
   // Check if file exists
   if (!fs.existsSync(csvFilePath)) {
     console.log(`Warning: ${csvFilePath} not found. Skipping...`);
@@ -14,11 +17,33 @@ function csvToSQL(csvFilePath, tableName, outputPath) {
   
   console.log(`Processing ${csvFilePath} with headers:`, headers);
   
+  if (tableName === 'us_zipcodes' && !headers.includes('county')) {
+    console.log(`Warning: ${csvFilePath} has no county column; /api/us/county and /api/us/counties will return no results`);
+  }
+  
+  // Append normalized copies of the name columns (see src/normalize.mjs)
+  const normalizedIndexes = NORMALIZED_COLUMNS
+    .map(column => headers.indexOf(column))
+    .filter(index => index !== -1);
+  const columns = headers.concat(normalizedIndexes.map(index => `${headers[index]}_normalized`));
+  
   const sqlStatements = [];
+  let skipped = 0;
   
   for (let i = 1; i < lines.length; i++) {
     // Handle CSV parsing with proper quote handling
-    const values = parseCSVLine(lines[i]);
+    const parsedValues = parseCSVLine(lines[i]);
+    
+    // Skip short or malformed rows rather than inserting shifted or missing columns
+    if (parsedValues.length !== headers.length) {
+      console.log(`Warning: ${csvFilePath} line ${i + 1} has ${parsedValues.length} columns, expected ${headers.length}. Skipping...`);
+      skipped++;
+      continue;
+    }
+    
+    const values = parsedValues.concat(
+      normalizedIndexes.map(index => normalizePlaceName(parsedValues[index].replace(/^"(.*)"$/, '$1')))
+    );
     
     // Escape single quotes in values and handle NULL values
     const escapedValues = values.map(value => {
@@ -28,7 +53,7 @@ function csvToSQL(csvFilePath, tableName, outputPath) {
       return `'${cleanValue}'`;
     });
     
-    const sql = `INSERT INTO ${tableName} (${headers.join(', ')}) VALUES (${escapedValues.join(', ')});`;
+    const sql = `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES (${escapedValues.join(', ')});`;
     sqlStatements.push(sql);
   }
   
@@ -39,7 +64,7 @@ function csvToSQL(csvFilePath, tableName, outputPath) {
   }
   
   fs.writeFileSync(outputPath, sqlStatements.join('\n'));
-  console.log(`Generated ${outputPath} with ${sqlStatements.length} INSERT statements`);
+  console.log(`Generated ${outputPath} with ${sqlStatements.length} INSERT statements${skipped ? ` (${skipped} rows skipped)` : ''}`);
 }
 
 function parseCSVLine(line) {
@@ -64,27 +89,40 @@ function parseCSVLine(line) {
   return values;
 }
 
-// Check if data directory exists
-if (!fs.existsSync('data')) {
-  console.log('Creating data directory...');
-  fs.mkdirSync('data', { recursive: true });
-}
+// The normalizer is shared with the Worker, which is an ES module
+import('../src/normalize.mjs').then(({ normalizePlaceName }) => {
+  // Check if data directory exists
+  if (!fs.existsSync('data')) {
+    console.log('Creating data directory...');
+    fs.mkdirSync('data', { recursive: true });
+  }
 
-// Convert US data if it exists
-if (fs.existsSync('data/zipcodes.us.csv')) {
-  csvToSQL('data/zipcodes.us.csv', 'us_zipcodes', 'data/zipcodes.us.sql');
-} else {
-  console.log('data/zipcodes.us.csv not found. Please create this file first.');
-}
+  // Convert US data if it exists
+  if (fs.existsSync('data/zipcodes.us.csv')) {
+    csvToSQL('data/zipcodes.us.csv', 'us_zipcodes', 'data/zipcodes.us.sql', normalizePlaceName);
+  } else {
+    console.log('data/zipcodes.us.csv not found. Please create this file first.');
+  }
 
-// Convert Canada data if it exists
-if (fs.existsSync('data/zipcodes.ca.csv')) {
-  csvToSQL('data/zipcodes.ca.csv', 'ca_zipcodes', 'data/zipcodes.ca.sql');
-} else {
-  console.log('data/zipcodes.ca.csv not found. Please create this file first.');
-}
+  // Convert Canada data if it exists
+  if (fs.existsSync('data/zipcodes.ca.csv')) {
+    csvToSQL('data/zipcodes.ca.csv', 'ca_zipcodes', 'data/zipcodes.ca.sql', normalizePlaceName);
+  } else {
+    console.log('data/zipcodes.ca.csv not found. Please create this file first.');
+  }
+
+  // Convert Mexico data if it exists
+  if (fs.existsSync('data/zipcodes.mx.csv')) {
+    csvToSQL('data/zipcodes.mx.csv', 'mx_zipcodes', 'data/zipcodes.mx.sql', normalizePlaceName);
+  } else {
+    console.log('data/zipcodes.mx.csv not found. Please create this file first.');
+  }
 
-console.log('\nNext steps:');
-console.log('1. Apply updated schema: wrangler d1 execute zipcity-data --file=schema.sql');
-console.log('2. Import US data: wrangler d1 execute zipcity-data --file=data/zipcodes.us.sql');
-console.log('3. Import CA data: wrangler d1 execute zipcity-data --file=data/zipcodes.ca.sql');
+  console.log('\nNext steps:');
+  console.log('1. Apply updated schema: wrangler d1 execute zipcity-data --file=schema.sql');
+  console.log('2. Import US data: wrangler d1 execute zipcity-data --file=data/zipcodes.us.sql');
+  console.log('3. Import CA data: wrangler d1 execute zipcity-data --file=data/zipcodes.ca.sql');
+  console.log('4. Import MX data: wrangler d1 execute zipcity-data --file=data/zipcodes.mx.sql');
+  console.log('5. Rebuild search index: wrangler d1 execute zipcity-data --file=search_index.sql');
+  console.log('6. Bump DATA_VERSION in wrangler.toml and deploy to invalidate cached responses');
+});
@@ -1,6 +1,29 @@
 const fs = require('fs');
 
-function jsonToCSV(jsonFilePath, csvFilePath) {
+// Column mapping for the US export: us_zipcodes column -> candidate JSON fields
+const US_COLUMNS = {
+  zipcode: ['zipcode', 'zip_code', 'zip'],
+  place: ['place', 'city'],
+  state: ['state'],
+  state_code: ['state_code'],
+  county: ['county', 'county_name'],
+  latitude: ['latitude'],
+  longitude: ['longitude']
+};
+
+// Column mapping for the Mexico export: mx_zipcodes column -> candidate JSON fields
+// The colonia is stored in "place" and the municipio in "municipality"
+const MX_COLUMNS = {
+  zipcode: ['zipcode', 'postal_code'],
+  place: ['place', 'colonia'],
+  municipality: ['municipality', 'municipio', 'county', 'province'],
+  state: ['state'],
+  state_code: ['state_code'],
+  latitude: ['latitude'],
+  longitude: ['longitude']
+};
+
+function jsonToCSV(jsonFilePath, csvFilePath, columns = null) {
   if (!fs.existsSync(jsonFilePath)) {
     console.log(`${jsonFilePath} not found. Skipping...`);
     return;
@@ -13,15 +36,16 @@ function jsonToCSV(jsonFilePath, csvFilePath) {
     return;
   }
   
-  // Get headers from first object
-  const headers = Object.keys(jsonData[0]);
+  // Get headers from the column mapping, or from the first object
+  const headers = columns ? Object.keys(columns) : Object.keys(jsonData[0]);
   
   // Create CSV content
   const csvLines = [headers.join(',')];
   
   jsonData.forEach(item => {
     const values = headers.map(header => {
-      const value = item[header] || '';
+      const field = columns ? columns[header].find(name => item[name] !== undefined) : header;
+      const value = item[field] || '';
       // Escape commas and quotes in CSV
       if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
         return `"${value.replace(/"/g, '""')}"`;
@@ -36,8 +60,11 @@ function jsonToCSV(jsonFilePath, csvFilePath) {
 }
 
 // Convert JSON files to CSV if they exist
-jsonToCSV('../data/zipcodes.us.json', '../data/us_zipcodes.csv');
+// zipcodes.mx.csv is the file csv-to-sql.js reads. The US JSON is only a sample, so it goes to
+// its own file rather than over the full zipcodes.us.csv that csv-to-sql.js imports
+jsonToCSV('../data/zipcodes.us.json', '../data/zipcodes.us.sample.csv', US_COLUMNS);
 jsonToCSV('../data/zipcodes.ca.json', '../data/ca_zipcodes.csv');
+jsonToCSV('../data/zipcodes.mx.json', '../data/zipcodes.mx.csv', MX_COLUMNS);
 
 // Quick debug function - add this at the end
 function debugDataStructure() {
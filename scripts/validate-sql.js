@@ -51,16 +51,19 @@ function validateSQLFile(sqlFilePath, tableName) {
 // Validate both files
 const usValid = validateSQLFile('data/zipcodes.us.sql', 'us_zipcodes');
 const caValid = validateSQLFile('data/zipcodes.ca.sql', 'ca_zipcodes');
+const mxValid = validateSQLFile('data/zipcodes.mx.sql', 'mx_zipcodes');
 
 console.log(`\n📋 Summary:`);
 console.log(`US data: ${usValid ? '✅ Valid' : '❌ Has errors'}`);
 console.log(`Canada data: ${caValid ? '✅ Valid' : '❌ Has errors'}`);
+console.log(`Mexico data: ${mxValid ? '✅ Valid' : '❌ Has errors'}`);
 
-if (usValid && caValid) {
+if (usValid && caValid && mxValid) {
   console.log(`\n🎉 All SQL files are valid! Ready to import.`);
   console.log(`\nNext steps:`);
   console.log(`1. wrangler d1 execute zipcity-data --file=data/zipcodes.us.sql`);
   console.log(`2. wrangler d1 execute zipcity-data --file=data/zipcodes.ca.sql`);
+  console.log(`3. wrangler d1 execute zipcity-data --file=data/zipcodes.mx.sql`);
 } else {
   console.log(`\n⚠️ Fix the errors before importing.`);
 }
@@ -0,0 +1,14 @@
+-- Rebuild the autocomplete full-text search indexes from the imported data
+-- Run after every data import: wrangler d1 execute zipcity-data --file=search_index.sql
+-- county is taken from the MIN(zipcode) row (SQLite bare column rule), i.e. the primary ZIP's county
+DELETE FROM us_zipcodes_fts;
+INSERT INTO us_zipcodes_fts (place_normalized, place, state_code, county, zipcode, zip_count)
+SELECT place_normalized, place, state_code, county, MIN(zipcode), COUNT(*)
+FROM us_zipcodes
+GROUP BY place, state_code;
+
+DELETE FROM ca_zipcodes_fts;
+INSERT INTO ca_zipcodes_fts (place_normalized, place, state_code, zipcode, zip_count)
+SELECT place_normalized, place, state_code, MIN(zipcode), COUNT(*)
+FROM ca_zipcodes
+GROUP BY place, state_code;
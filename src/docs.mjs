@@ -0,0 +1,134 @@
+/**
+ * Interactive API docs page served at /api/docs
+ *
+ * A single self-contained HTML page: it loads the OpenAPI description the Worker
+ * generates from its route table, lists every current operation with a form for its
+ * parameters (and JSON body) and shows the response of each request sent from it.
+ */
+
+/**
+ * Render the docs page
+ * @param {string} specUrl - URL of the OpenAPI description, e.g. /api/openapi.json
+ * @returns {string} HTML document
+ */
+export function renderDocsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Zip-City Lookup API</title>
+<style>
+  body { font: 15px/1.5 system-ui, sans-serif; max-width: 960px; margin: 0 auto; padding: 1rem; color: #222; }
+  details { border: 1px solid #ddd; border-radius: 6px; margin: .5rem 0; padding: .5rem .75rem; }
+  summary { cursor: pointer; }
+  summary b { display: inline-block; min-width: 3.5rem; }
+  form { display: grid; gap: .4rem; margin-top: .75rem; }
+  form label { display: grid; grid-template-columns: 9rem 16rem 1fr; gap: .5rem; align-items: center; }
+  small { color: #666; }
+  textarea { font: 13px monospace; }
+  button { justify-self: start; }
+  pre { background: #f6f8fa; padding: .75rem; overflow: auto; max-height: 24rem; margin: 0; }
+  pre:empty { display: none; }
+</style>
+</head>
+<body>
+<h1>Zip-City Lookup API</h1>
+<p>
+  Operations from <a href="${specUrl}">${specUrl}</a>.
+  <label>API key (optional) <input id="api-key" autocomplete="off"></label>
+</p>
+<main id="operations">Loading&hellip;</main>
+<script>
+  const SPEC_URL = ${JSON.stringify(specUrl)};
+  const operations = document.getElementById('operations');
+
+  function el(tag, props, ...children) {
+    const node = Object.assign(document.createElement(tag), props);
+    node.append(...children);
+    return node;
+  }
+
+  function renderOperation(path, method, operation) {
+    const fields = (operation.parameters || []).map(param => {
+      const schema = param.schema || {};
+      const input = el('input', {
+        name: param.name,
+        required: param.required,
+        placeholder: schema.enum ? schema.enum.join(' | ') : String(schema.default ?? '')
+      });
+      const name = el('code', {}, param.name + (param.required ? ' *' : ''));
+      return { param, input, row: el('label', {}, name, input, el('small', {}, param.description || '')) };
+    });
+    const json = operation.requestBody && operation.requestBody.content['application/json'];
+    const body = json && el('textarea', { rows: 6, value: JSON.stringify(json.example, null, 2) });
+    const output = el('pre');
+    const form = el('form', {}, ...fields.map(field => field.row), ...(body ? [body] : []),
+      el('button', { type: 'submit' }, 'Send'), output);
+
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      let url = path;
+      const query = new URLSearchParams();
+      for (const { param, input } of fields) {
+        if (param.in === 'path') {
+          url = url.replace('{' + param.name + '}', encodeURIComponent(input.value));
+        } else if (input.value) {
+          query.set(param.name, input.value);
+        }
+      }
+      if (query.toString()) {
+        url += '?' + query;
+      }
+
+      const headers = {};
+      const apiKey = document.getElementById('api-key').value.trim();
+      if (apiKey) {
+        headers['X-API-Key'] = apiKey;
+      }
+      if (body) {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      const request = method.toUpperCase() + ' ' + url;
+      output.textContent = request + '\\n...';
+      try {
+        const response = await fetch(url, { method: method.toUpperCase(), headers, body: body ? body.value : undefined });
+        let text = await response.text();
+        try {
+          text = JSON.stringify(JSON.parse(text), null, 2);
+        } catch {
+          // Not JSON, shown as is
+        }
+        output.textContent = request + '\\n' + response.status + ' ' + response.statusText + '\\n\\n' + text;
+      } catch (error) {
+        output.textContent = request + '\\nRequest failed: ' + error.message;
+      }
+    });
+
+    const summary = el('summary', {}, el('b', {}, method.toUpperCase()), el('code', {}, path),
+      operation.summary ? ' \\u2014 ' + operation.summary : '');
+    return el('details', {}, summary, form);
+  }
+
+  fetch(SPEC_URL)
+    .then(response => response.json())
+    .then(spec => {
+      operations.textContent = '';
+      for (const [path, methods] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(methods)) {
+          // Deprecated aliases are in the spec but not worth a form
+          if (!operation.deprecated) {
+            operations.append(renderOperation(path, method, operation));
+          }
+        }
+      }
+    })
+    .catch(error => {
+      operations.textContent = 'Failed to load ' + SPEC_URL + ': ' + error.message;
+    });
+</script>
+</body>
+</html>
+`;
+}
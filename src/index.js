@@ -5,11 +5,42 @@
  * Data is stored in Cloudflare D1 database for fast SQL queries.
  * 
  * Routes:
- * - GET /api/us?city=<city>&state=<state> - US ZIP lookup
- * - GET /api/ca?city=<city>&province=<province> - Canada postal code lookup
- * - GET /api/autocomplete/us?q=<query>&limit=<limit> - US autocomplete for cities/zips
- * - GET /api/autocomplete/ca?q=<query>&limit=<limit> - Canada autocomplete for cities/postal codes
- * - GET /api/autocomplete/mx?q=<query>&limit=<limit> - Mexico autocomplete for states/postal codes
+ * - GET /api/us?city=<city>&state=<state>[&all=true][&fuzzy=true] - US ZIP lookup
+ * - GET /api/ca?city=<city>&province=<province>[&all=true][&fuzzy=true] - Canada postal code lookup
+ * - GET /api/mx?city=<municipio|colonia>&state=<state> - Mexico código postal lookup
+ * - GET /api/us/zip/<zipcode> - US reverse lookup (ZIP -> places)
+ * - GET /api/ca/postal/<code> - Canada reverse lookup (postal code/FSA -> places)
+ * - GET /api/us/states, /api/ca/provinces, /api/mx/states - State/province codes, names and counts
+ * - GET /api/us/states/<code>/cities?page=<page>&limit=<limit> - Cities in a US state, paginated
+ * - GET /api/us/county?state=<state>&county=<county> - Cities and ZIPs in a US county
+ * - GET /api/us/counties?state=<state> - Counties in a US state
+ * - GET /api/radius?zip=<code>&distance=<n>&unit=<mi|km> - US/CA codes within a radius
+ * - GET /api/radius?lat=<lat>&lon=<lon>&distance=<n>&unit=<mi|km> - Same, from a coordinate
+ * - GET /api/distance?from=<code>&to=<code> - Great-circle distance between two US/CA codes
+ * - GET /api/nearest?lat=<lat>&lon=<lon>&limit=<limit> - Nearest US/CA codes to a coordinate
+ * - POST /api/batch - Batch city/state and ZIP/postal code lookups (JSON array body)
+ * - GET /api/validate?country=<us|ca|mx>&code=<code> - Postal code format validation and normalization
+ * - POST /api/verify - City/state/ZIP consistency check with corrections (JSON object body)
+ * - GET /api/autocomplete?q=<query>&countries=<us,ca,mx>&limit=<limit> - Cross-country autocomplete
+ * - GET /api/autocomplete/us?q=<query>&limit=<limit>&mode=<prefix|infix|fts> - US autocomplete for cities/zips
+ * - GET /api/autocomplete/ca?q=<query>&limit=<limit>&mode=<prefix|infix|fts> - Canada autocomplete for cities/postal codes
+ * - GET /api/autocomplete/mx?q=<query>&limit=<limit> - Mexico autocomplete for states/municipios/colonias/postal codes
+ * - GET /api/openapi.json - OpenAPI description generated from the route table
+ * - GET /api/docs - Interactive API docs page
+ * 
+ * Every route is also served under /api/v1 (e.g. /api/v1/us/zip/<zipcode>), with responses in a
+ * {data, meta, error: {code, message}} envelope and country-neutral field names; the unversioned
+ * routes are deprecated aliases (Deprecation and Link headers).
+ * 
+ * Routes are declared in ROUTES: paths match exactly, other methods get a 405 with an
+ * Allow header and unknown paths a 404 listing the available endpoints.
+ * 
+ * Requests are rate limited per API key (X-API-Key header or api_key param) or, without a key,
+ * per client IP at stricter anonymous limits; keys live in D1 (api_keys), counters in one
+ * RateLimiter Durable Object per client (src/rate-limiter.mjs).
+ * 
+ * GET responses are cached at the edge (Cache API) with per-route TTLs, ETag and If-None-Match
+ * support; bump the DATA_VERSION var after a data import to invalidate them.
  * 
  * Custom Domain Setup:
  * 1. Add DNS CNAME: zipcity.iwpi.com -> your-worker.your-subdomain.workers.dev
@@ -18,174 +49,556 @@
  * 4. Uncomment the [[routes]] section in wrangler.toml
  */
 
-// D1 database is now used for US and CA data instead of R2 JSON files
-// Mexico data still uses R2 storage until migrated
+import { normalizePlaceName } from './normalize.mjs';
+import { describeRegion, listRegionKeys, matchRegionCodes, regionKey, resolveRegionCode } from './regions.mjs';
+import { renderDocsPage } from './docs.mjs';
+import { RATE_LIMIT_PERIODS, RateLimiter } from './rate-limiter.mjs';
+
+// Durable Object classes must be exported from the Worker's main module
+export { RateLimiter };
+
+// D1 database is used for US, CA and MX data instead of R2 JSON files
+// Set MX_DATA_SOURCE = "r2" to serve Mexico autocomplete from the legacy R2 JSON
+// until mx_zipcodes has been imported
+
+// D1 tables holding postal codes with coordinates, by country
+const POSTAL_TABLES = [
+  { country: 'US', table: 'us_zipcodes' },
+  { country: 'CA', table: 'ca_zipcodes' }
+];
+
+// State/province listings: response key, column counted as the city, and key for the code count
+// (Mexican cities are municipios; colonias are counted separately)
+const REGION_LISTS = {
+  us: { table: 'us_zipcodes', key: 'states', cityColumn: 'place', codeCountKey: 'zip_count' },
+  ca: { table: 'ca_zipcodes', key: 'provinces', cityColumn: 'place', codeCountKey: 'postal_code_count' },
+  mx: { table: 'mx_zipcodes', key: 'states', cityColumn: 'municipality', codeCountKey: 'postal_code_count' }
+};
+
+// Mean Earth radius per supported distance unit
+const EARTH_RADIUS = { mi: 3958.8, km: 6371.0 };
+
+// Maximum radius accepted by /api/radius, per unit
+const MAX_RADIUS = { mi: 250, km: 400 };
+
+// Postal code formats, matched against the upper-cased code with whitespace removed
+// US: ZIP or ZIP+4 (hyphen optional)
+const US_ZIP_REGEX = /^(\d{5})(?:-?(\d{4}))?$/;
+// Canada: FSA + optional LDU; D, F, I, O, Q, U are never used and W, Z never start a code
+const CA_POSTAL_REGEX = /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])(\d[ABCEGHJ-NPRSTV-Z]\d)?$/;
+// Mexico: 5-digit código postal
+const MX_POSTAL_REGEX = /^\d{5}$/;
+
+// Default and maximum `limit` query param, by route (also published in /api/openapi.json)
+const RESULT_LIMITS = {
+  stateCities: { default: 100, max: 500 },
+  radius: { default: 100, max: 500 },
+  nearest: { default: 5, max: 50 },
+  autocomplete: { default: 10, max: 25 }
+};
+
+// Shortest query the autocomplete routes accept
+const AUTOCOMPLETE_MIN_QUERY_LENGTH = 3;
+
+// Countries searched by /api/autocomplete, in tie-break order
+const AUTOCOMPLETE_COUNTRIES = ['us', 'ca', 'mx'];
+
+// City search modes accepted by the US/CA autocomplete routes
+const AUTOCOMPLETE_MODES = ['prefix', 'infix', 'fts'];
+
+// "Did you mean" suggestions on lookup 404s: how many, and the minimum similarity (0-1)
+const MAX_CITY_SUGGESTIONS = 5;
+const FUZZY_MIN_CONFIDENCE = 0.6;
+
+// Default maximum number of items accepted by POST /api/batch (override with BATCH_MAX_ITEMS)
+const DEFAULT_BATCH_MAX_ITEMS = 1000;
+
+// Number of statements sent to D1 per db.batch() call
+const BATCH_CHUNK_SIZE = 100;
+
+// Recent US/CA lookup results kept in isolate memory (see cachedLookup): entry count and max age
+const LOOKUP_CACHE_SIZE = 500;
+const LOOKUP_CACHE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Isolate-scoped state, shared by the requests one isolate serves
+// lookupCache: LRU of lookup results (Map insertion order = least recently used first)
+// mxIndexPromise: legacy zipcodes.mx.json and its index, loaded once (see loadMXIndex)
+const lookupCache = new Map();
+let mxIndexPromise = null;
+
+// Seconds GET responses are cached at the edge, by route (longest matching prefix wins; 0 disables)
+// Override per route with the CACHE_TTLS var, e.g. CACHE_TTLS = { "/api/autocomplete" = 600 }
+const DEFAULT_CACHE_TTLS = {
+  '/api/': 86400,
+  '/api/autocomplete': 3600,
+  '/api/docs': 3600,
+  '/api/openapi.json': 3600,
+  '/api/radius': 3600,
+  '/api/nearest': 3600
+};
+
+// Requests allowed per minute and per UTC day: anonymous clients (by IP) and API keys
+// Override with the RATE_LIMITS var, e.g. RATE_LIMITS = { anonymous = { per_minute = 10 } };
+// a key's own rate_limit/daily_quota in api_keys take precedence
+const DEFAULT_RATE_LIMITS = {
+  anonymous: { per_minute: 30, per_day: 1000 },
+  key: { per_minute: 300, per_day: 100000 }
+};
+
+// Current API version: /api/v1/... serves every route in the response envelope
+// ({data, meta, error}); the unversioned /api/... routes are deprecated aliases
+const API_VERSION = 'v1';
+
+// Country-specific response fields and their country-neutral /api/v1 names
+// (a state/province given without its *_code becomes both region and region_code, see toV1Fields)
+const V1_FIELD_NAMES = {
+  zip: 'postal_code',
+  zipcode: 'postal_code',
+  zips: 'postal_codes',
+  zip_count: 'postal_code_count',
+  state: 'region',
+  province: 'region',
+  state_code: 'region_code',
+  province_code: 'region_code',
+  states: 'regions',
+  provinces: 'regions'
+};
+
+// Response fields describing the request or result set, moved to meta in /api/v1
+const V1_META_FIELDS = ['query', 'countries', 'mode', 'count', 'total', 'page', 'limit', 'pages', 'succeeded', 'failed'];
+
+// Error responses carry a stable machine-readable code next to the message, e.g.
+// {error: 'Missing required parameters', code: 'missing_parameter'}; /api/v1 returns it as
+// error.code and the unversioned routes drop it. Codes by status are the fallback.
+const V1_ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'invalid_api_key',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  413: 'too_many_items',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+// Codes handlers use where a status covers several errors
+const V1_DETAILED_ERROR_CODES = ['missing_parameter', 'invalid_parameter', 'invalid_postal_code', 'quota_exceeded'];
+
+// Expanding search used by /api/nearest, in miles: start small, double until enough results
+const NEAREST_START_RADIUS = 5;
+const NEAREST_MAX_RADIUS = 640;
 
 /**
  * Main Worker request handler
  */
 export default {
   async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const pathname = url.pathname;
-    
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
       return handleCORS();
     }
     
-    // Autocomplete routes
-    if (pathname.startsWith('/api/autocomplete/us')) {
-      return handleUSAutocomplete(request, env);
-    }
-    
-    if (pathname.startsWith('/api/autocomplete/ca')) {
-      return handleCAAutocomplete(request, env);
-    }
-    
-    if (pathname.startsWith('/api/autocomplete/mx')) {
-      return handleMXAutocomplete(request, env);
-    }
-    
-    // Route handling
-    if (pathname.startsWith('/api/us')) {
-      return handleUSLookup(request, env);
-    }
+    // /api/v1 responses, rate limit errors included, are wrapped in the response envelope
+    const { version } = splitApiVersion(new URL(request.url).pathname);
+    const represent = response => version ? toEnvelopeResponse(response) : withoutErrorCodes(request, response);
     
-    // Canada route - now available with D1 database
-    if (pathname.startsWith('/api/ca')) {
-      return handleCALookup(request, env);
-    }
+    // API key and rate limit check (cached responses count too)
+    const rateLimit = await checkRateLimit(request, env);
     
-    // Default response for unmatched routes
-    return new Response(
-      JSON.stringify({ 
-        error: 'Not found',
-        available_endpoints: [
-          '/api/us?city=<city>&state=<state>',
-          '/api/ca?city=<city>&province=<province>',
-          '/api/autocomplete/us?q=<query>&limit=<limit>',
-          '/api/autocomplete/ca?q=<query>&limit=<limit>',
-          '/api/autocomplete/mx?q=<query>&limit=<limit>'
-        ]
-      }), 
-      {
-        status: 404,
-        headers: {
-          'Content-Type': 'application/json',
-          ...getCORSHeaders()
-        }
-      }
+    // GET responses are served from the edge cache when possible; the cache stores the final
+    // representation, so the ETag of an /api/v1 response is computed from its envelope
+    const result = rateLimit.response ? await represent(rateLimit.response) : withHeaders(
+      await handleCachedRequest(request, env, ctx, async () => represent(await routeRequest(request, env))),
+      rateLimit.headers
     );
+    
+    // HEAD gets the GET response's status and headers only
+    return request.method === 'HEAD' ? new Response(null, result) : result;
   }
 };
 
 /**
- * Handle US ZIP code lookup
- * Expected query params: city, state
- * Example: /api/us?city=Burlington&state=WI
+ * Route table
+ * path: exact path; ":name" segments are path params, passed to the handler as params.name
+ * (a trailing slash is ignored). query: example query string(s) listed in the 404's
+ * available_endpoints. Paths that match with a different method get a 405 and an Allow header.
+ * summary, params and body describe the route in /api/openapi.json (see buildOpenAPISpec);
+ * under /api/v1, query params are also validated against them before the handler runs (see checkQueryParams).
+ * versioned: false routes are not served under /api/v1 and are left out of the spec.
  */
-async function handleUSLookup(request, env) {
-  const url = new URL(request.url);
-  const city = url.searchParams.get('city');
-  const state = url.searchParams.get('state');
+const ROUTES = [
+  // Lookup routes
+  {
+    method: 'GET', path: '/api/us',
+    summary: 'US ZIP code for a city and state',
+    query: 'city=<city>&state=<state>&all=<true|false>&fuzzy=<true|false>',
+    params: [
+      { name: 'city', required: true, description: 'City name' },
+      { name: 'state', required: true, description: 'State code, name or abbreviation (WI, Wisconsin, Wis.)' },
+      { name: 'all', type: 'boolean', description: 'Return every ZIP for the city' },
+      { name: 'fuzzy', type: 'boolean', description: 'Return the closest city name, with a confidence' }
+    ],
+    handler: handleUSLookup
+  },
+  {
+    method: 'GET', path: '/api/ca',
+    summary: 'Canadian postal code (FSA) for a city and province',
+    query: 'city=<city>&province=<province>&all=<true|false>&fuzzy=<true|false>',
+    params: [
+      { name: 'city', required: true, description: 'City name' },
+      { name: 'province', required: true, description: 'Province code, English/French name or abbreviation (ON, Ontario, Ont.)' },
+      { name: 'all', type: 'boolean', description: 'Return every FSA for the city' },
+      { name: 'fuzzy', type: 'boolean', description: 'Return the closest city name, with a confidence' }
+    ],
+    handler: handleCALookup
+  },
+  {
+    method: 'GET', path: '/api/mx',
+    summary: 'Mexican códigos postales for a municipio or colonia',
+    query: 'city=<municipio|colonia>&state=<state>',
+    params: [
+      { name: 'city', required: true, description: 'Municipio or colonia' },
+      { name: 'state', required: true, description: 'State code or name (JAL, Jalisco)' }
+    ],
+    handler: handleMXLookup
+  },
   
-  // Validate required parameters
-  if (!city || !state) {
-    return new Response(
-      JSON.stringify({ 
-        error: 'Missing required parameters', 
-        required: ['city', 'state'],
-        example: '/api/us?city=Burlington&state=WI'
-      }), 
+  // Reverse lookup routes (code -> places)
+  {
+    method: 'GET', path: '/api/us/zip/:zipcode',
+    summary: 'Places for a US ZIP or ZIP+4',
+    params: [{ name: 'zipcode', description: '5-digit ZIP or ZIP+4 (53105, 53105-1234)' }],
+    handler: (request, env, params) => handleUSZipLookup(params.zipcode, env)
+  },
+  {
+    method: 'GET', path: '/api/ca/postal/:postal_code',
+    summary: 'Places for a Canadian FSA or full postal code',
+    params: [{ name: 'postal_code', description: 'FSA or full postal code (M5V, M5V 3L9)' }],
+    handler: (request, env, params) => handleCAPostalLookup(params.postal_code, env)
+  },
+  
+  // State/province listing and browse routes
+  {
+    method: 'GET', path: '/api/us/states',
+    summary: 'US states with city and ZIP counts',
+    handler: (request, env) => handleRegionList(REGION_LISTS.us, env)
+  },
+  {
+    method: 'GET', path: '/api/ca/provinces',
+    summary: 'Canadian provinces with city and postal code counts',
+    handler: (request, env) => handleRegionList(REGION_LISTS.ca, env)
+  },
+  {
+    method: 'GET', path: '/api/mx/states',
+    summary: 'Mexican states with municipio, colonia and código postal counts',
+    handler: (request, env) => handleRegionList(REGION_LISTS.mx, env)
+  },
+  {
+    method: 'GET', path: '/api/us/states/:code/cities',
+    summary: 'Cities in a US state, paginated',
+    query: 'page=<page>&limit=<limit>',
+    params: [
+      { name: 'code', description: 'State code or name' },
+      { name: 'page', type: 'integer', minimum: 1, default: 1, description: 'Page number' },
+      limitParam(RESULT_LIMITS.stateCities)
+    ],
+    handler: (request, env, params) => handleUSStateCities(params.code, request, env)
+  },
+  
+  // County routes
+  {
+    method: 'GET', path: '/api/us/county',
+    summary: 'Cities and ZIPs in a US county',
+    query: 'state=<state>&county=<county>',
+    params: [
+      { name: 'state', required: true, description: 'State code or name' },
+      { name: 'county', required: true, description: 'County name, with or without "County"/"Parish"/"Borough"' }
+    ],
+    handler: handleUSCountyLookup
+  },
+  {
+    method: 'GET', path: '/api/us/counties',
+    summary: 'Counties in a US state',
+    query: 'state=<state>',
+    params: [{ name: 'state', required: true, description: 'State code or name' }],
+    handler: handleUSCounties
+  },
+  
+  // Geographic search routes
+  {
+    method: 'GET', path: '/api/radius',
+    summary: 'US ZIPs and Canadian FSAs within a distance of a code or coordinate',
+    query: [
+      'zip=<code>&distance=<distance>&unit=<mi|km>',
+      'lat=<lat>&lon=<lon>&distance=<distance>&unit=<mi|km>'
+    ],
+    params: [
+      { name: 'zip', description: 'Center US ZIP or Canadian postal code (or use lat and lon)' },
+      { name: 'lat', type: 'number', minimum: -90, maximum: 90, description: 'Center latitude' },
+      { name: 'lon', type: 'number', minimum: -180, maximum: 180, description: 'Center longitude' },
       {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...getCORSHeaders()
-        }
+        name: 'distance', type: 'number', required: true, exclusiveMinimum: 0,
+        description: `Radius, at most ${MAX_RADIUS.mi} mi or ${MAX_RADIUS.km} km`
+      },
+      unitParam(),
+      limitParam(RESULT_LIMITS.radius)
+    ],
+    handler: handleRadiusSearch
+  },
+  {
+    method: 'GET', path: '/api/distance',
+    summary: 'Great-circle distance between two US/Canadian codes',
+    query: 'from=<code>&to=<code>',
+    params: [
+      { name: 'from', required: true, description: 'US ZIP or Canadian postal code' },
+      { name: 'to', required: true, description: 'US ZIP or Canadian postal code' }
+    ],
+    handler: handleDistance
+  },
+  {
+    method: 'GET', path: '/api/nearest',
+    summary: 'Nearest US ZIPs and Canadian FSAs to a coordinate',
+    query: 'lat=<lat>&lon=<lon>&limit=<limit>',
+    params: [
+      { name: 'lat', type: 'number', required: true, minimum: -90, maximum: 90, description: 'Latitude' },
+      { name: 'lon', type: 'number', required: true, minimum: -180, maximum: 180, description: 'Longitude' },
+      unitParam(),
+      limitParam(RESULT_LIMITS.nearest)
+    ],
+    handler: handleNearest
+  },
+  
+  // Batch and validation routes
+  {
+    method: 'POST', path: '/api/batch',
+    summary: 'Many city/state or ZIP/postal code lookups in one request',
+    body: {
+      type: 'array',
+      description: 'Items of {country, city, state} (Canada also accepts province) or {country, zip}',
+      example: [{ country: 'us', city: 'Burlington', state: 'WI' }, { country: 'ca', zip: 'M5V 3L9' }]
+    },
+    handler: handleBatchLookup
+  },
+  {
+    method: 'GET', path: '/api/validate',
+    summary: 'Check, normalize and split a postal code',
+    query: 'country=<us|ca|mx>&code=<code>',
+    params: [
+      { name: 'country', required: true, enum: ['us', 'ca', 'mx'], description: 'Country' },
+      { name: 'code', required: true, description: 'Postal code to validate' }
+    ],
+    handler: handleValidate
+  },
+  {
+    method: 'POST', path: '/api/verify',
+    summary: 'Check that a city, state and ZIP agree, with corrections',
+    body: {
+      type: 'object',
+      description: '{country (us|ca), city, state, zip}',
+      example: { country: 'us', city: 'Burlingtn', state: 'WI', zip: '53105' }
+    },
+    handler: handleVerify
+  },
+  
+  // Autocomplete routes
+  {
+    method: 'GET', path: '/api/autocomplete',
+    summary: 'Autocomplete across countries',
+    query: 'q=<query>&countries=<us,ca,mx>&limit=<limit>',
+    params: [
+      queryParam(),
+      {
+        name: 'countries', default: AUTOCOMPLETE_COUNTRIES.join(','),
+        description: `Comma-separated countries to search (${AUTOCOMPLETE_COUNTRIES.join(', ')})`
+      },
+      limitParam(RESULT_LIMITS.autocomplete),
+      modeParam()
+    ],
+    handler: handleUnifiedAutocomplete
+  },
+  {
+    method: 'GET', path: '/api/autocomplete/us',
+    summary: 'US city and ZIP autocomplete',
+    query: 'q=<query>&limit=<limit>&mode=<prefix|infix|fts>',
+    params: [queryParam(), limitParam(RESULT_LIMITS.autocomplete), modeParam()],
+    handler: handleUSAutocomplete
+  },
+  {
+    method: 'GET', path: '/api/autocomplete/ca',
+    summary: 'Canadian city and postal code autocomplete',
+    query: 'q=<query>&limit=<limit>&mode=<prefix|infix|fts>',
+    params: [queryParam(), limitParam(RESULT_LIMITS.autocomplete), modeParam()],
+    handler: handleCAAutocomplete
+  },
+  {
+    method: 'GET', path: '/api/autocomplete/mx',
+    summary: 'Mexican state, municipio, colonia and código postal autocomplete',
+    query: 'q=<query>&limit=<limit>',
+    params: [queryParam(), limitParam(RESULT_LIMITS.autocomplete)],
+    handler: handleMXAutocomplete
+  },
+  
+  // API description
+  { method: 'GET', path: '/api/openapi.json', versioned: false, handler: handleOpenAPISpec },
+  { method: 'GET', path: '/api/docs', versioned: false, handler: handleDocs }
+];
+
+// Route parameters shared by several routes (see ROUTES)
+function limitParam(limits) {
+  return {
+    name: 'limit', type: 'integer', minimum: 1, default: limits.default,
+    description: `Maximum results; larger values are capped at ${limits.max}`
+  };
+}
+
+function unitParam() {
+  return { name: 'unit', enum: Object.keys(EARTH_RADIUS), default: 'mi', description: 'Distance unit' };
+}
+
+function queryParam() {
+  return {
+    name: 'q', required: true, minLength: AUTOCOMPLETE_MIN_QUERY_LENGTH,
+    description: 'City name, "City, State" or the start of a postal code'
+  };
+}
+
+function modeParam() {
+  return { name: 'mode', enum: AUTOCOMPLETE_MODES, default: 'prefix', description: 'City name matching' };
+}
+
+/**
+ * Match a pathname against a route path
+ * @param {string} routePath - Route path, e.g. /api/us/zip/:zipcode
+ * @param {string} pathname - Request pathname
+ * @returns {Object|null} Path params by name (still URL-encoded), or null if the path doesn't match
+ */
+function matchRoutePath(routePath, pathname) {
+  const routeSegments = routePath.split('/');
+  const segments = (pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname).split('/');
+  
+  if (segments.length !== routeSegments.length) {
+    return null;
+  }
+  
+  const params = {};
+  for (let i = 0; i < routeSegments.length; i++) {
+    if (routeSegments[i].startsWith(':')) {
+      if (!segments[i]) {
+        return null;
       }
-    );
+      params[routeSegments[i].slice(1)] = segments[i];
+    } else if (routeSegments[i] !== segments[i]) {
+      return null;
+    }
   }
+  return params;
+}
 
-  try {
-    // Query D1 database for US zipcode data
-    if (!env.DB) {
-      throw new Error('Database binding not available');
-    }
+/**
+ * List the routes for the 404 response, e.g. "/api/us/zip/<zipcode>" or "POST /api/batch"
+ * @param {string|null} version - API version the paths are listed under (null for the unversioned aliases)
+ * @returns {string[]}
+ */
+function listAvailableEndpoints(version) {
+  return routesFor(version).flatMap(route => {
+    const path = versionPath(route.path, version).replace(/:(\w+)/g, '<$1>');
+    const prefix = route.method === 'GET' ? '' : `${route.method} `;
+    const queries = route.query ? [].concat(route.query) : [''];
+    return queries.map(query => `${prefix}${path}${query ? `?${query}` : ''}`);
+  });
+}
 
-    const stmt = env.DB.prepare(`
-      SELECT place, state_code, zipcode 
-      FROM us_zipcodes 
-      WHERE LOWER(place) = LOWER(?) AND LOWER(state_code) = LOWER(?)
-      LIMIT 1
-    `);
-    
-    const result = await stmt.bind(city, state).first();
-    
-    if (!result) {
-      return new Response(
-        JSON.stringify({ error: 'Not found' }), 
-        {
-          status: 404,
-          headers: {
-            'Content-Type': 'application/json',
-            ...getCORSHeaders()
-          }
-        }
-      );
-    }
-    
-    // Return successful result
+/**
+ * Routes served under an API version (null: every route, at its unversioned path)
+ * @param {string|null} version
+ * @returns {Object[]}
+ */
+function routesFor(version) {
+  return version ? ROUTES.filter(route => route.versioned !== false) : ROUTES;
+}
+
+/**
+ * Dispatch a request to its route handler
+ */
+async function routeRequest(request, env) {
+  const url = new URL(request.url);
+  const { version, path } = splitApiVersion(url.pathname);
+  
+  const matches = routesFor(version)
+    .map(route => ({ route, params: matchRoutePath(route.path, path) }))
+    .filter(match => match.params);
+  
+  // Default response for unmatched routes
+  if (matches.length === 0) {
     return new Response(
-      JSON.stringify({
-        city: result.place,
-        state: result.state_code,
-        zip: result.zipcode
+      JSON.stringify({ 
+        error: 'Not found',
+        code: 'not_found',
+        available_endpoints: listAvailableEndpoints(version)
       }), 
       {
-        status: 200,
+        status: 404,
         headers: {
           'Content-Type': 'application/json',
           ...getCORSHeaders()
         }
       }
     );
-    
-  } catch (error) {
+  }
+  
+  // HEAD is served by the GET route (fetch() drops the body)
+  const method = request.method === 'HEAD' ? 'GET' : request.method;
+  const match = matches.find(({ route }) => route.method === method);
+  if (!match) {
+    const allowed = [...new Set(matches.flatMap(({ route }) => route.method === 'GET' ? ['GET', 'HEAD'] : [route.method]))];
     return new Response(
-      JSON.stringify({ 
-        error: 'Failed to query zipcode data',
-        details: error.message 
-      }), 
+      JSON.stringify({ error: 'Method not allowed', code: 'method_not_allowed', allowed }), 
       {
-        status: 500,
+        status: 405,
         headers: {
           'Content-Type': 'application/json',
+          'Allow': [...allowed, 'OPTIONS'].join(', '),
           ...getCORSHeaders()
         }
       }
     );
   }
+  
+  // /api/v1 checks query parameters against the route's params, the same ones /api/openapi.json
+  // lists; the unversioned aliases keep the handlers' lenient parsing (e.g. limit=abc uses the default)
+  const response = (version && checkQueryParams(match.route, url.searchParams)) ||
+    await match.route.handler(request, env, match.params);
+  
+  // The unversioned routes stay as aliases for existing clients, pointing at their /api/v1 successor
+  if (version || match.route.versioned === false) {
+    return response;
+  }
+  return withHeaders(response, {
+    'Deprecation': 'true',
+    'Link': `<${versionPath(path, API_VERSION)}>; rel="successor-version"`
+  });
 }
 
 /**
- * Handle Canada postal code lookup
- * Expected query params: city, province
- * Example: /api/ca?city=Toronto&province=ON
+ * Check a request's query parameters against a route's params
+ * Required params must be present and non-empty; present values must match the param's type
+ * (integer, number, boolean), enum (matched case-insensitively, as the handlers lowercase unit,
+ * country and mode),
+ * minimum/exclusiveMinimum/maximum and minLength. Path params are left to the handlers.
+ * @param {Object} route - ROUTES entry
+ * @param {URLSearchParams} searchParams
+ * @returns {Response|null} A 400 response, or null when the parameters are valid
  */
-async function handleCALookup(request, env) {
-  const url = new URL(request.url);
-  const city = url.searchParams.get('city');
-  const province = url.searchParams.get('province');
+function checkQueryParams(route, searchParams) {
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => name);
+  const params = (route.params || []).filter(param => !pathParams.includes(param.name));
   
-  // Validate required parameters
-  if (!city || !province) {
+  const missing = params.filter(param => param.required && !searchParams.get(param.name));
+  if (missing.length > 0) {
     return new Response(
       JSON.stringify({ 
         error: 'Missing required parameters', 
-        required: ['city', 'province'],
-        example: '/api/ca?city=Toronto&province=ON'
+        code: 'missing_parameter',
+        required: params.filter(param => param.required).map(param => param.name),
+        missing: missing.map(param => param.name)
       }), 
       {
         status: 400,
@@ -197,26 +610,16 @@ async function handleCALookup(request, env) {
     );
   }
   
-  try {
-    // Query D1 database for Canada postal code data
-    if (!env.DB) {
-      throw new Error('Database binding not available');
-    }
-
-    const stmt = env.DB.prepare(`
-      SELECT place, state_code, zipcode 
-      FROM ca_zipcodes 
-      WHERE LOWER(place) = LOWER(?) AND LOWER(state_code) = LOWER(?)
-      LIMIT 1
-    `);
-    
-    const result = await stmt.bind(city, province).first();
-    
-    if (!result) {
+  for (const param of params) {
+    const value = searchParams.get(param.name);
+    if (value && !isValidParamValue(param, value)) {
       return new Response(
-        JSON.stringify({ error: 'Not found' }), 
+        JSON.stringify({ 
+          error: `Invalid parameter "${param.name}", expected ${describeParamValue(param)}`,
+          code: 'invalid_parameter'
+        }), 
         {
-          status: 404,
+          status: 400,
           headers: {
             'Content-Type': 'application/json',
             ...getCORSHeaders()
@@ -224,88 +627,443 @@ async function handleCALookup(request, env) {
         }
       );
     }
-    
-    // Return successful result
-    return new Response(
-      JSON.stringify({
-        city: result.place,
-        province: result.state_code,
-        postal_code: result.zipcode
-      }), 
-      {
-        status: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          ...getCORSHeaders()
-        }
-      }
-    );
-    
-  } catch (error) {
-    return new Response(
-      JSON.stringify({ 
-        error: 'Failed to query postal code data',
-        details: error.message 
-      }), 
-      {
-        status: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          ...getCORSHeaders()
-        }
-      }
-    );
   }
+  
+  return null;
 }
 
 /**
- * Handle US autocomplete for city names and ZIP codes
- * Expected query params: q, limit
- * Example: /api/autocomplete/us?q=bur&limit=10
- * Example: /api/autocomplete/us?q=Burlington, WI&limit=10
- * Example: /api/autocomplete/us?q=Burlington WI&limit=10
- * Example: /api/autocomplete/us?q=Burlington W&limit=10 (partial state)
- * Supports city name search, city+state search (full/partial), and ZIP code search
+ * Check one query parameter value against its ROUTES param (see checkQueryParams)
  */
-async function handleUSAutocomplete(request, env) {
-  const url = new URL(request.url);
-  const query = url.searchParams.get('q');
-  const limit = parseInt(url.searchParams.get('limit')) || 10;
-  
-  // Validate required parameters
-  if (!query || query.length < 3) {
-    return new Response(
-      JSON.stringify({ 
-        error: 'Query parameter "q" is required and must be at least 3 characters',
-        example: '/api/autocomplete/us?q=Burli&limit=10'
-      }), 
-      {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...getCORSHeaders()
-        }
-      }
-    );
+function isValidParamValue(param, value) {
+  if (param.enum && !param.enum.includes(value.toLowerCase())) {
+    return false;
+  }
+  if (param.minLength !== undefined && value.length < param.minLength) {
+    return false;
+  }
+  if (param.type === 'boolean') {
+    return value === 'true' || value === 'false';
+  }
+  if (param.type !== 'integer' && param.type !== 'number') {
+    return true;
   }
   
-  // Cap limit to prevent excessive processing
-  const cappedLimit = Math.min(limit, 25);
-  
-  try {
-    // Query D1 database for US autocomplete
-    if (!env.DB) {
-      throw new Error('Database binding not available');
-    }
+  const number = Number(value);
+  const isNumber = param.type === 'integer' ? /^-?\d+$/.test(value) : value.trim() !== '' && Number.isFinite(number);
+  return isNumber &&
+    (param.minimum === undefined || number >= param.minimum) &&
+    (param.exclusiveMinimum === undefined || number > param.exclusiveMinimum) &&
+    (param.maximum === undefined || number <= param.maximum);
+}
 
-    const results = await performUSAutocompleteQuery(env.DB, query, cappedLimit);
-    
-    // Return successful result
-    return new Response(
-      JSON.stringify({
-        query: query,
-        results: results,
-        count: results.length
+/**
+ * Describe the values a ROUTES param accepts, for the 400 message
+ * e.g. "an integer of at least 1", "a number from -90 to 90", "one of: mi, km"
+ */
+function describeParamValue(param) {
+  if (param.enum) {
+    return `one of: ${param.enum.join(', ')}`;
+  }
+  if (param.type === 'boolean') {
+    return 'true or false';
+  }
+  if (param.type !== 'integer' && param.type !== 'number') {
+    return `at least ${param.minLength} characters`;
+  }
+  
+  const kind = param.type === 'integer' ? 'an integer' : 'a number';
+  if (param.minimum !== undefined && param.maximum !== undefined) {
+    return `${kind} from ${param.minimum} to ${param.maximum}`;
+  }
+  if (param.minimum !== undefined) {
+    return `${kind} of at least ${param.minimum}`;
+  }
+  if (param.exclusiveMinimum !== undefined) {
+    return `${kind} greater than ${param.exclusiveMinimum}`;
+  }
+  return kind;
+}
+
+/**
+ * Split the API version off a request path
+ * @param {string} pathname - e.g. /api/v1/us/zip/53105
+ * @returns {{version: string|null, path: string}} e.g. {version: 'v1', path: '/api/us/zip/53105'};
+ *   version is null for the unversioned aliases
+ */
+function splitApiVersion(pathname) {
+  const prefix = `/api/${API_VERSION}`;
+  if (pathname === prefix || pathname.startsWith(`${prefix}/`)) {
+    return { version: API_VERSION, path: `/api${pathname.slice(prefix.length)}` };
+  }
+  return { version: null, path: pathname };
+}
+
+/**
+ * Add an API version to an unversioned /api/... path (no version leaves it unchanged)
+ */
+function versionPath(path, version) {
+  return version ? `/api/${version}${path.slice('/api'.length)}` : path;
+}
+
+/**
+ * Wrap a JSON response in the /api/v1 envelope
+ * Success: {data, meta, error: null}; errors: {data: null, meta, error: {code, message}}, where
+ * meta carries the error's context (e.g. suggestions, required) and internal details are dropped.
+ * Field names are made country-neutral (see V1_FIELD_NAMES). Status and headers are kept.
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+async function toEnvelopeResponse(response) {
+  // 204/304 and non-JSON responses pass through
+  if (!(response.headers.get('Content-Type') || '').includes('application/json')) {
+    return response;
+  }
+  
+  const body = await response.json();
+  const meta = { api_version: API_VERSION };
+  let envelope;
+  
+  if (response.ok) {
+    const data = {};
+    for (const [key, value] of Object.entries(body)) {
+      if (V1_META_FIELDS.includes(key)) {
+        meta[key] = value;
+      } else {
+        data[key] = value;
+      }
+    }
+    envelope = { data: toV1Fields(data), meta: toV1Fields(meta), error: null };
+  } else {
+    const { error, code, details, ...context } = body;
+    const message = typeof error === 'string' ? error : 'Request failed';
+    if (typeof context.example === 'string' && context.example.startsWith('/api/')) {
+      context.example = versionPath(context.example, API_VERSION);
+    }
+    envelope = {
+      data: null,
+      meta: toV1Fields({ ...meta, ...context }),
+      error: { code: getV1ErrorCode(response.status, code), message }
+    };
+  }
+  
+  return new Response(JSON.stringify(envelope), {
+    status: response.status,
+    headers: response.headers
+  });
+}
+
+/**
+ * Rename country-specific fields to their /api/v1 names, recursively
+ * The legacy routes return a lone state/province as the code on some routes ("WI") and as the
+ * name on others ("Jalisco"); it is resolved so region is always the name and region_code the code.
+ * Per-item errors ({status, error} objects such as POST /api/batch results) get the
+ * same {code, message} shape as the envelope's error. Any other string error in the data (e.g.
+ * why /api/validate found a code invalid) becomes reason, so error only ever means a failure.
+ * @param {*} value - Response body or part of it
+ * @param {string|null} country - us, ca or mx when known from an enclosing object's country field
+ */
+function toV1Fields(value, country = null) {
+  if (Array.isArray(value)) {
+    return value.map(item => toV1Fields(item, country));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  
+  let item = value;
+  if (typeof value.status === 'number' && typeof value.error === 'string') {
+    const { code, ...rest } = value;
+    item = { ...rest, error: { code: getV1ErrorCode(value.status, code), message: value.error } };
+  }
+  const itemCountry = typeof item.country === 'string' ? item.country.toLowerCase() : country;
+  
+  return Object.fromEntries(Object.entries(item).flatMap(([key, field]) => {
+    if ((key === 'state' || key === 'province') && typeof field === 'string' && !Object.hasOwn(item, `${key}_code`)) {
+      const region = describeRegion(key === 'province' ? 'ca' : itemCountry, field);
+      if (region) {
+        return [['region', region.name], ['region_code', region.code]];
+      }
+    }
+    if (key === 'error' && typeof field === 'string') {
+      return [['reason', field]];
+    }
+    return [[
+      Object.hasOwn(V1_FIELD_NAMES, key) ? V1_FIELD_NAMES[key] : key,
+      toV1Fields(field, itemCountry)
+    ]];
+  }));
+}
+
+/**
+ * Stable error code for an error: the code the handler returned, or one for its HTTP status
+ * @param {number} status - HTTP status of the response or batch item
+ * @param {string|undefined} code - The error's code field
+ * @returns {string} e.g. "not_found", "missing_parameter", "invalid_postal_code"
+ */
+function getV1ErrorCode(status, code) {
+  if (typeof code === 'string') {
+    return code;
+  }
+  return V1_ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+/**
+ * Drop the code field from the errors of an unversioned response, which keeps its original shape
+ * Error responses carry it at the top level; POST /api/batch results carry it per item.
+ * Successful GET responses have no error codes and are passed through without being read.
+ * @param {Request} request
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+async function withoutErrorCodes(request, response) {
+  const isJSON = (response.headers.get('Content-Type') || '').includes('application/json');
+  if (!isJSON || (response.ok && request.method !== 'POST')) {
+    return response;
+  }
+  
+  const strip = value => {
+    if (Array.isArray(value)) {
+      return value.map(strip);
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    const { code, ...rest } = value;
+    const item = typeof value.error === 'string' ? rest : value;
+    return Object.fromEntries(Object.entries(item).map(([key, field]) => [key, strip(field)]));
+  };
+  
+  const body = strip(await response.json());
+  return new Response(JSON.stringify(body), {
+    status: response.status,
+    headers: response.headers
+  });
+}
+
+/**
+ * Handle the OpenAPI description of the API
+ * Example: /api/openapi.json
+ * Generated from ROUTES, so it always lists the routes, parameters and limits the Worker serves
+ */
+async function handleOpenAPISpec(request) {
+  const spec = buildOpenAPISpec(new URL(request.url).origin);
+  
+  return new Response(JSON.stringify(spec, null, 2), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      ...getCORSHeaders()
+    }
+  });
+}
+
+/**
+ * Handle the interactive API docs page (lists the OpenAPI operations with a form to try each one)
+ * Example: /api/docs (under /api/, the only path routed to the Worker on the custom domain)
+ */
+async function handleDocs() {
+  return new Response(renderDocsPage('/api/openapi.json'), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8'
+    }
+  });
+}
+
+/**
+ * Build the OpenAPI 3.1 description from ROUTES
+ * Each route is listed under /api/v1 (envelope responses) and at its deprecated unversioned path.
+ * @param {string} origin - Server URL, e.g. https://zipcity.iwpi.com
+ * @returns {Object}
+ */
+function buildOpenAPISpec(origin) {
+  const paths = {};
+  for (const version of [API_VERSION, null]) {
+    for (const route of routesFor(API_VERSION)) {
+      const path = versionPath(route.path, version).replace(/:(\w+)/g, '{$1}');
+      paths[path] = { ...paths[path], [route.method.toLowerCase()]: toOpenAPIOperation(route, version) };
+    }
+  }
+  
+  const errorCodes = [...new Set([
+    ...Object.values(V1_ERROR_CODES),
+    ...V1_DETAILED_ERROR_CODES
+  ])];
+  const meta = {
+    type: 'object',
+    properties: { api_version: { type: 'string', const: API_VERSION } },
+    additionalProperties: true
+  };
+  
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Zip-City Lookup API',
+      version: API_VERSION,
+      description: 'ZIP and postal code lookups for the United States, Canada and Mexico. ' +
+        'An API key is optional; requests without one get the anonymous rate limits.'
+    },
+    servers: [{ url: origin }],
+    security: [{}, { apiKeyHeader: [] }, { apiKeyQuery: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+      },
+      schemas: {
+        Envelope: {
+          type: 'object',
+          required: ['data', 'meta', 'error'],
+          properties: { data: { type: 'object' }, meta, error: { type: 'null' } }
+        },
+        ErrorEnvelope: {
+          type: 'object',
+          required: ['data', 'meta', 'error'],
+          properties: {
+            data: { type: 'null' },
+            meta,
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: { code: { type: 'string', enum: errorCodes }, message: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Describe one route as an OpenAPI operation
+ * @param {Object} route - ROUTES entry
+ * @param {string|null} version - API version, or null for the deprecated unversioned alias
+ * @returns {Object}
+ */
+function toOpenAPIOperation(route, version) {
+  const path = versionPath(route.path, version);
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => name);
+  const json = schema => ({ content: { 'application/json': { schema } } });
+  
+  const operation = {
+    operationId: `${route.method.toLowerCase()}${path.replace(/[^a-z0-9]+/gi, '_').replace(/_$/, '')}`,
+    summary: route.summary,
+    tags: [version || 'legacy'],
+    parameters: (route.params || []).map(({ name, description, required, type = 'string', ...schema }) => ({
+      name,
+      in: pathParams.includes(name) ? 'path' : 'query',
+      required: pathParams.includes(name) || Boolean(required),
+      description,
+      schema: { type, ...schema }
+    })),
+    responses: version
+      ? {
+        200: { description: 'Success', ...json({ $ref: '#/components/schemas/Envelope' }) },
+        default: { description: 'Error', ...json({ $ref: '#/components/schemas/ErrorEnvelope' }) }
+      }
+      : {
+        200: { description: 'Success (unversioned response shape)', ...json({ type: 'object' }) },
+        default: { description: 'Error', ...json({ type: 'object', properties: { error: { type: 'string' } } }) }
+      }
+  };
+  
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      description: route.body.description,
+      content: { 'application/json': { schema: { type: route.body.type }, example: route.body.example } }
+    };
+  }
+  if (!version) {
+    operation.deprecated = true;
+    operation.description = `Use ${versionPath(route.path, API_VERSION).replace(/:(\w+)/g, '{$1}')} instead.`;
+  }
+  
+  return operation;
+}
+
+/**
+ * Handle US ZIP code lookup
+ * Expected query params: city, state, all (optional), fuzzy (optional)
+ * Example: /api/us?city=Burlington&state=WI
+ * Example: /api/us?city=Burlington&state=Wisconsin (also "Wis.", "wisc")
+ * Example: /api/us?city=Chicago&state=IL&all=true (every ZIP for the city)
+ * Example: /api/us?city=Burlingtn&state=WI&fuzzy=true (closest city name, with confidence)
+ * The single-result form returns the lowest ZIP, which is also the "primary" in all=true mode
+ * A 404 lists the closest city/state pairs as "suggestions"
+ */
+async function handleUSLookup(request, env) {
+  const url = new URL(request.url);
+  const city = url.searchParams.get('city');
+  const state = resolveRegionCode('us', url.searchParams.get('state'));
+  const all = url.searchParams.get('all') === 'true';
+  const fuzzy = url.searchParams.get('fuzzy') === 'true';
+  
+  // Validate required parameters
+  if (!city || !state) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Missing required parameters', 
+        code: 'missing_parameter',
+        required: ['city', 'state'],
+        example: '/api/us?city=Burlington&state=WI'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+
+  try {
+    // Query D1 database for US zipcode data
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    // With fuzzy=true, fall back to the closest city name when there is no exact match
+    let match = { city, state };
+    if (fuzzy) {
+      match = await resolveFuzzyCity(env.DB, 'us_zipcodes', city, state);
+      if (!match) {
+        return await cityNotFoundResponse(env.DB, 'us_zipcodes', city, state);
+      }
+    }
+
+    if (all) {
+      return await handleUSLookupAll(env.DB, match, city, state);
+    }
+
+    const stmt = env.DB.prepare(`
+      SELECT place, state_code, county, zipcode 
+      FROM us_zipcodes 
+      WHERE place_normalized = ? AND LOWER(state_code) = LOWER(?)
+      ORDER BY zipcode
+      LIMIT 1
+    `);
+    
+    const result = await cachedLookup(
+      `us:city:${normalizePlaceName(match.city)}:${String(match.state).toUpperCase()}`,
+      () => stmt.bind(normalizePlaceName(match.city), match.state).first()
+    );
+    
+    if (!result) {
+      return await cityNotFoundResponse(env.DB, 'us_zipcodes', city, state);
+    }
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        city: result.place,
+        state: result.state_code,
+        county: result.county,
+        zip: result.zipcode,
+        ...(fuzzy && { confidence: match.confidence })
       }), 
       {
         status: 200,
@@ -320,7 +1078,8 @@ async function handleUSAutocomplete(request, env) {
     return new Response(
       JSON.stringify({ 
         error: 'Failed to query zipcode data',
-        details: error.message
+        code: 'internal_error',
+        details: error.message 
       }), 
       {
         status: 500,
@@ -334,25 +1093,30 @@ async function handleUSAutocomplete(request, env) {
 }
 
 /**
- * Handle Canada autocomplete for city names and postal codes
- * Expected query params: q, limit
- * Example: /api/autocomplete/ca?q=tor&limit=10
- * Example: /api/autocomplete/ca?q=Toronto, ON&limit=10
- * Example: /api/autocomplete/ca?q=Toronto ON&limit=10
- * Example: /api/autocomplete/ca?q=Toronto O&limit=10 (partial province)
- * Supports city name search, city+province search (full/partial), and postal code search
+ * Handle Canada postal code lookup
+ * Expected query params: city, province, all (optional), fuzzy (optional)
+ * Example: /api/ca?city=Toronto&province=ON
+ * Example: /api/ca?city=Montreal&province=Québec (also "Quebec", "Que.", "P.Q.")
+ * Example: /api/ca?city=Barrie&province=ON&all=true (every FSA for the city)
+ * Example: /api/ca?city=Bari&province=ON&fuzzy=true (closest city name, with confidence)
+ * The single-result form returns the lowest FSA, which is also the "primary" in all=true mode
+ * A 404 lists the closest city/province pairs as "suggestions"
  */
-async function handleCAAutocomplete(request, env) {
+async function handleCALookup(request, env) {
   const url = new URL(request.url);
-  const query = url.searchParams.get('q');
-  const limit = parseInt(url.searchParams.get('limit')) || 10;
+  const city = url.searchParams.get('city');
+  const province = resolveRegionCode('ca', url.searchParams.get('province'));
+  const all = url.searchParams.get('all') === 'true';
+  const fuzzy = url.searchParams.get('fuzzy') === 'true';
   
   // Validate required parameters
-  if (!query || query.length < 3) {
+  if (!city || !province) {
     return new Response(
       JSON.stringify({ 
-        error: 'Query parameter "q" is required and must be at least 3 characters',
-        example: '/api/autocomplete/ca?q=Toro&limit=10'
+        error: 'Missing required parameters', 
+        code: 'missing_parameter',
+        required: ['city', 'province'],
+        example: '/api/ca?city=Toronto&province=ON'
       }), 
       {
         status: 400,
@@ -364,23 +1128,49 @@ async function handleCAAutocomplete(request, env) {
     );
   }
   
-  // Cap limit to prevent excessive processing
-  const cappedLimit = Math.min(limit, 25);
-  
   try {
-    // Query D1 database for Canada autocomplete
+    // Query D1 database for Canada postal code data
     if (!env.DB) {
       throw new Error('Database binding not available');
     }
 
-    const results = await performCAAutocompleteQuery(env.DB, query, cappedLimit);
+    // With fuzzy=true, fall back to the closest city name when there is no exact match
+    let match = { city, state: province };
+    if (fuzzy) {
+      match = await resolveFuzzyCity(env.DB, 'ca_zipcodes', city, province);
+      if (!match) {
+        return await cityNotFoundResponse(env.DB, 'ca_zipcodes', city, province);
+      }
+    }
+
+    if (all) {
+      return await handleCALookupAll(env.DB, match, city, province);
+    }
+
+    const stmt = env.DB.prepare(`
+      SELECT place, state_code, zipcode 
+      FROM ca_zipcodes 
+      WHERE place_normalized = ? AND LOWER(state_code) = LOWER(?)
+      ORDER BY zipcode
+      LIMIT 1
+    `);
+    
+    const result = await cachedLookup(
+      `ca:city:${normalizePlaceName(match.city)}:${String(match.state).toUpperCase()}`,
+      () => stmt.bind(normalizePlaceName(match.city), match.state).first()
+    );
+    
+    if (!result) {
+      return await cityNotFoundResponse(env.DB, 'ca_zipcodes', city, province);
+    }
     
     // Return successful result
     return new Response(
       JSON.stringify({
-        query: query,
-        results: results,
-        count: results.length
+        city: result.place,
+        province: result.state_code,
+        postal_code: result.zipcode,
+        ...(fuzzy && { confidence: match.confidence })
       }), 
       {
         status: 200,
@@ -395,6 +1185,7 @@ async function handleCAAutocomplete(request, env) {
     return new Response(
       JSON.stringify({ 
         error: 'Failed to query postal code data',
+        code: 'internal_error',
         details: error.message 
       }), 
       {
@@ -409,24 +1200,25 @@ async function handleCAAutocomplete(request, env) {
 }
 
 /**
- * Handle Mexico autocomplete for state names and postal codes
- * Expected query params: q, limit
- * Example: /api/autocomplete/mx?q=agu&limit=10
- * Example: /api/autocomplete/mx?q=Aguascalientes&limit=10
- * Example: /api/autocomplete/mx?q=20000&limit=10 (postal code search)
- * Supports state name search and postal code search
+ * Handle Mexico código postal lookup
+ * Expected query params: city (municipio or colonia), state (name or code)
+ * Example: /api/mx?city=Guadalajara&state=JAL
+ * Example: /api/mx?city=Guadalajara&state=Jalisco
+ * Returns every código postal for the municipio/colonia, each with its colonias
  */
-async function handleMXAutocomplete(request, env) {
+async function handleMXLookup(request, env) {
   const url = new URL(request.url);
-  const query = url.searchParams.get('q');
-  const limit = parseInt(url.searchParams.get('limit')) || 10;
+  const city = url.searchParams.get('city');
+  const state = resolveRegionCode('mx', url.searchParams.get('state'));
   
   // Validate required parameters
-  if (!query || query.length < 3) {
+  if (!city || !state) {
     return new Response(
       JSON.stringify({ 
-        error: 'Query parameter "q" is required and must be at least 3 characters',
-        example: '/api/autocomplete/mx?q=Agu&limit=10'
+        error: 'Missing required parameters', 
+        code: 'missing_parameter',
+        required: ['city', 'state'],
+        example: '/api/mx?city=Guadalajara&state=JAL'
       }), 
       {
         status: 400,
@@ -438,44 +1230,63 @@ async function handleMXAutocomplete(request, env) {
     );
   }
   
-  // Cap limit to prevent excessive processing
-  const cappedLimit = Math.min(limit, 25);
-  
-  // Load Mexico postal code data from R2 storage (unchanged - still using R2)
   try {
-    let zipcodesMX;
+    // Query D1 database for Mexico postal code data
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const stmt = env.DB.prepare(`
+      SELECT zipcode, place, municipality, state, state_code, latitude, longitude
+      FROM mx_zipcodes 
+      WHERE (municipality_normalized = ? OR place_normalized = ?)
+        AND LOWER(state_code) = LOWER(?)
+      ORDER BY zipcode, place
+    `);
+    
+    const normalizedCity = normalizePlaceName(city);
+    const { results } = await stmt.bind(normalizedCity, normalizedCity, state).all();
     
-    // Try R2 binding first
-    if (env.ZIP_DATA) {
-      try {
-        const object = await env.ZIP_DATA.get('zipcodes.mx.json');
-        if (object) {
-          zipcodesMX = await object.json();
+    if (results.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Not found', code: 'not_found' }), 
+        {
+          status: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            ...getCORSHeaders()
+          }
         }
-      } catch (error) {
-        console.log('R2 binding failed for Mexico data:', error.message);
-      }
+      );
     }
     
-    // Fallback to public URL if R2 binding failed or no data found
-    if (!zipcodesMX) {
-      console.log('Using public URL fallback for Mexico data');
-      const response = await fetch('https://pub-522895a2a41b453ab908b4e31d9e627a.r2.dev/zipcodes.mx.json');
-      if (!response.ok) {
-        throw new Error(`Failed to fetch Mexico data from public URL: ${response.status}`);
+    // Group colonias under their código postal
+    const postalCodes = new Map();
+    for (const item of results) {
+      if (!postalCodes.has(item.zipcode)) {
+        postalCodes.set(item.zipcode, {
+          postal_code: item.zipcode,
+          municipality: item.municipality,
+          colonias: [],
+          latitude: item.latitude,
+          longitude: item.longitude
+        });
       }
-      zipcodesMX = await response.json();
+      postalCodes.get(item.zipcode).colonias.push(item.place);
     }
     
-    // Perform autocomplete search with timeout protection
-    const results = await performAutocompleteWithTimeout(zipcodesMX, query, cappedLimit, false, true);
+    // Report the canonical municipio (or colonia) name rather than the raw input
+    const municipalityMatch = results.find(item => normalizePlaceName(item.municipality) === normalizedCity);
     
     // Return successful result
     return new Response(
       JSON.stringify({
-        query: query,
-        results: results,
-        count: results.length
+        city: municipalityMatch ? municipalityMatch.municipality : results[0].place,
+        state: results[0].state,
+        state_code: results[0].state_code,
+        primary: results[0].zipcode,
+        postal_codes: [...postalCodes.values()],
+        count: postalCodes.size
       }), 
       {
         status: 200,
@@ -489,7 +1300,8 @@ async function handleMXAutocomplete(request, env) {
   } catch (error) {
     return new Response(
       JSON.stringify({ 
-        error: 'Failed to load postal code data',
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
         details: error.message 
       }), 
       {
@@ -504,31 +1316,2231 @@ async function handleMXAutocomplete(request, env) {
 }
 
 /**
- * Perform US autocomplete using D1 database queries
+ * Return every US ZIP code for a city/state (all=true mode of handleUSLookup)
+ * ZIPs are sorted ascending; the lowest ZIP is reported as the primary pick
+ * @param {Object} match - City/state to look up, with confidence when resolved by fuzzy=true
+ * @param {string} city - City as requested, for suggestions on 404
+ * @param {string} state - State as requested, for suggestions on 404
  */
-async function performUSAutocompleteQuery(db, query, limit) {
-  const queryLower = query.toLowerCase().trim();
-  const isNumericQuery = /^\d+/.test(query);
+async function handleUSLookupAll(db, match, city, state) {
+  const stmt = db.prepare(`
+    SELECT place, state_code, county, zipcode, latitude, longitude
+    FROM us_zipcodes 
+    WHERE place_normalized = ? AND LOWER(state_code) = LOWER(?)
+    ORDER BY zipcode
+  `);
   
-  if (isNumericQuery) {
-    // ZIP code search
-    const stmt = db.prepare(`
-      SELECT DISTINCT zipcode, place, state_code
-      FROM us_zipcodes 
-      WHERE zipcode LIKE ?
-      ORDER BY zipcode
-      LIMIT ?
-    `);
-    
-    const results = await stmt.bind(`${query}%`, limit).all();
-    
-    return results.results.map(item => ({
-      type: 'zipcode',
-      display: `${item.zipcode} - ${item.place}, ${item.state_code}`,
-      value: item.zipcode,
-      city: item.place,
-      state: item.state_code,
-      zipcode: item.zipcode
+  const results = await cachedLookup(
+    `us:all:${normalizePlaceName(match.city)}:${String(match.state).toUpperCase()}`,
+    () => stmt.bind(normalizePlaceName(match.city), match.state).all().then(({ results }) => results)
+  );
+  
+  if (results.length === 0) {
+    return await cityNotFoundResponse(db, 'us_zipcodes', city, state);
+  }
+  
+  return new Response(
+    JSON.stringify({
+      city: results[0].place,
+      state: results[0].state_code,
+      county: results[0].county,
+      primary: results[0].zipcode,
+      zips: results.map(item => ({
+        zip: item.zipcode,
+        county: item.county,
+        latitude: item.latitude,
+        longitude: item.longitude
+      })),
+      count: results.length,
+      ...(match.confidence !== undefined && { confidence: match.confidence })
+    }), 
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        ...getCORSHeaders()
+      }
+    }
+  );
+}
+
+/**
+ * Return every Canadian FSA for a city/province (all=true mode of handleCALookup)
+ * FSAs are sorted ascending; the lowest FSA is reported as the primary pick
+ * @param {Object} match - City/province to look up, with confidence when resolved by fuzzy=true
+ * @param {string} city - City as requested, for suggestions on 404
+ * @param {string} province - Province as requested, for suggestions on 404
+ */
+async function handleCALookupAll(db, match, city, province) {
+  const stmt = db.prepare(`
+    SELECT place, state_code, zipcode, latitude, longitude
+    FROM ca_zipcodes 
+    WHERE place_normalized = ? AND LOWER(state_code) = LOWER(?)
+    ORDER BY zipcode
+  `);
+  
+  const results = await cachedLookup(
+    `ca:all:${normalizePlaceName(match.city)}:${String(match.state).toUpperCase()}`,
+    () => stmt.bind(normalizePlaceName(match.city), match.state).all().then(({ results }) => results)
+  );
+  
+  if (results.length === 0) {
+    return await cityNotFoundResponse(db, 'ca_zipcodes', city, province);
+  }
+  
+  return new Response(
+    JSON.stringify({
+      city: results[0].place,
+      province: results[0].state_code,
+      primary: results[0].zipcode,
+      postal_codes: results.map(item => ({
+        postal_code: item.zipcode,
+        latitude: item.latitude,
+        longitude: item.longitude
+      })),
+      count: results.length,
+      ...(match.confidence !== undefined && { confidence: match.confidence })
+    }), 
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        ...getCORSHeaders()
+      }
+    }
+  );
+}
+
+/**
+ * Handle US reverse lookup (ZIP code -> places)
+ * Path param: 5-digit ZIP code or ZIP+4 (reduced to the ZIP)
+ * Example: /api/us/zip/53105
+ * Example: /api/us/zip/53105-1234
+ * Returns every place sharing the ZIP code, with state and coordinates
+ */
+async function handleUSZipLookup(rawZipcode, env) {
+  const input = decodePathParam(rawZipcode).trim();
+  const validation = validatePostalCodeFormat('us', input);
+  const zipcode = validation.lookup;
+  
+  // Validate ZIP code format
+  if (!validation.valid) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Invalid ZIP code, expected 5 digits or ZIP+4',
+        code: 'invalid_postal_code',
+        example: '/api/us/zip/53105'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  try {
+    // Query D1 database for US zipcode data
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const stmt = env.DB.prepare(`
+      SELECT place, state, state_code, county, zipcode, latitude, longitude
+      FROM us_zipcodes 
+      WHERE zipcode = ?
+      ORDER BY place
+    `);
+    
+    const results = await cachedLookup(
+      `us:zip:${zipcode}`,
+      () => stmt.bind(zipcode).all().then(({ results }) => results)
+    );
+    
+    if (results.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Not found', code: 'not_found' }), 
+        {
+          status: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            ...getCORSHeaders()
+          }
+        }
+      );
+    }
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        zip: zipcode,
+        input: input,
+        normalized: validation.normalized,
+        places: results.map(item => ({
+          city: item.place,
+          state: item.state,
+          state_code: item.state_code,
+          county: item.county,
+          latitude: item.latitude,
+          longitude: item.longitude
+        })),
+        count: results.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query zipcode data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle US county lookup (county -> cities and ZIPs)
+ * Expected query params: state, county
+ * Example: /api/us/county?state=WI&county=Racine
+ * Example: /api/us/county?state=LA&county=Orleans%20Parish
+ * A trailing "County", "Parish" or "Borough" in the input is ignored
+ */
+async function handleUSCountyLookup(request, env) {
+  const url = new URL(request.url);
+  const state = resolveRegionCode('us', url.searchParams.get('state'));
+  const county = url.searchParams.get('county');
+  
+  // Validate required parameters
+  if (!state || !county) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Missing required parameters', 
+        code: 'missing_parameter',
+        required: ['state', 'county'],
+        example: '/api/us/county?state=WI&county=Racine'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  try {
+    // Query D1 database for US zipcode data
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    // Match the county as given and without its suffix, whichever form the data uses
+    const countyName = county.trim();
+    const countyBase = countyName.replace(/\s+(county|parish|borough)$/i, '');
+    
+    const stmt = env.DB.prepare(`
+      SELECT place, state_code, county, zipcode, latitude, longitude
+      FROM us_zipcodes 
+      WHERE LOWER(state_code) = LOWER(?) AND LOWER(county) IN (LOWER(?), LOWER(?))
+      ORDER BY place, zipcode
+    `);
+    
+    const { results } = await stmt.bind(state, countyName, countyBase).all();
+    
+    if (results.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Not found', code: 'not_found' }), 
+        {
+          status: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            ...getCORSHeaders()
+          }
+        }
+      );
+    }
+    
+    // Group ZIPs by city; rows are sorted by place, then ZIP
+    const cities = [];
+    for (const row of results) {
+      const last = cities[cities.length - 1];
+      const zip = { zip: row.zipcode, latitude: row.latitude, longitude: row.longitude };
+      if (last && last.city === row.place) {
+        last.zips.push(zip);
+        last.count++;
+      } else {
+        cities.push({ city: row.place, primary: row.zipcode, zips: [zip], count: 1 });
+      }
+    }
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        county: results[0].county,
+        state: results[0].state_code,
+        cities: cities,
+        city_count: cities.length,
+        zip_count: new Set(results.map(row => row.zipcode)).size
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query zipcode data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle US county list
+ * Expected query params: state
+ * Example: /api/us/counties?state=WI
+ * Returns every county in the state with its number of cities and ZIPs, sorted by name
+ */
+async function handleUSCounties(request, env) {
+  const url = new URL(request.url);
+  const state = resolveRegionCode('us', url.searchParams.get('state'));
+  
+  // Validate required parameters
+  if (!state) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Missing required parameters', 
+        code: 'missing_parameter',
+        required: ['state'],
+        example: '/api/us/counties?state=WI'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  try {
+    // Query D1 database for US zipcode data
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const stmt = env.DB.prepare(`
+      SELECT county, state_code, COUNT(DISTINCT place) as city_count, COUNT(DISTINCT zipcode) as zip_count
+      FROM us_zipcodes 
+      WHERE LOWER(state_code) = LOWER(?) AND county IS NOT NULL
+      GROUP BY county, state_code
+      ORDER BY county
+    `);
+    
+    const { results } = await stmt.bind(state).all();
+    
+    if (results.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Not found', code: 'not_found' }), 
+        {
+          status: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            ...getCORSHeaders()
+          }
+        }
+      );
+    }
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        state: results[0].state_code,
+        counties: results.map(item => ({
+          county: item.county,
+          city_count: item.city_count,
+          zip_count: item.zip_count
+        })),
+        count: results.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query zipcode data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle state/province listing
+ * Example: /api/us/states
+ * Example: /api/ca/provinces
+ * Example: /api/mx/states
+ * Returns every state/province code with its full name and the number of cities and codes,
+ * sorted by code (Mexico also counts colonias; its cities are municipios)
+ * @param {Object} region - Entry of REGION_LISTS
+ */
+async function handleRegionList(region, env) {
+  try {
+    // Query D1 database for the region's postal code data
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const coloniaCount = region.table === 'mx_zipcodes' ? ', COUNT(DISTINCT place) as colonia_count' : '';
+    
+    const stmt = env.DB.prepare(`
+      SELECT state_code, MAX(state) as state, COUNT(DISTINCT ${region.cityColumn}) as city_count,
+        COUNT(DISTINCT zipcode) as code_count${coloniaCount}
+      FROM ${region.table}
+      WHERE state_code IS NOT NULL
+      GROUP BY state_code
+      ORDER BY state_code
+    `);
+    
+    const { results } = await stmt.all();
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        [region.key]: results.map(item => ({
+          code: item.state_code,
+          name: item.state,
+          city_count: item.city_count,
+          ...(coloniaCount && { colonia_count: item.colonia_count }),
+          [region.codeCountKey]: item.code_count
+        })),
+        count: results.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle US state browse (state -> cities), paginated
+ * Path param: state code
+ * Expected query params: page (optional, default 1), limit (optional, default 100, max 500)
+ * Example: /api/us/states/WI/cities
+ * Example: /api/us/states/WI/cities?page=2&limit=50
+ * Cities are sorted by name, each with its primary (lowest) ZIP, that ZIP's county and its ZIP count
+ */
+async function handleUSStateCities(rawStateCode, request, env) {
+  const url = new URL(request.url);
+  const stateCode = resolveRegionCode('us', decodePathParam(rawStateCode).trim());
+  const page = Math.max(parseInt(url.searchParams.get('page')) || 1, 1);
+  const limit = parseInt(url.searchParams.get('limit')) || RESULT_LIMITS.stateCities.default;
+  const cappedLimit = Math.min(Math.max(limit, 1), RESULT_LIMITS.stateCities.max);
+  
+  try {
+    // Query D1 database for US zipcode data
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const [summary, cities] = await Promise.all([
+      env.DB.prepare(`
+        SELECT MAX(state_code) as state_code, MAX(state) as state, COUNT(DISTINCT place) as total
+        FROM us_zipcodes 
+        WHERE LOWER(state_code) = LOWER(?)
+      `).bind(stateCode).first(),
+      env.DB.prepare(`
+        SELECT place, county, MIN(zipcode) as zipcode, COUNT(*) as zip_count
+        FROM us_zipcodes 
+        WHERE LOWER(state_code) = LOWER(?)
+        GROUP BY place
+        ORDER BY place
+        LIMIT ? OFFSET ?
+      `).bind(stateCode, cappedLimit, (page - 1) * cappedLimit).all().then(({ results }) => results)
+    ]);
+    
+    if (!summary || !summary.total) {
+      return new Response(
+        JSON.stringify({ error: 'Not found', code: 'not_found' }), 
+        {
+          status: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            ...getCORSHeaders()
+          }
+        }
+      );
+    }
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        state: summary.state_code,
+        name: summary.state,
+        cities: cities.map(item => ({
+          city: item.place,
+          county: item.county,
+          primary: item.zipcode,
+          zip_count: item.zip_count
+        })),
+        count: cities.length,
+        total: summary.total,
+        page: page,
+        limit: cappedLimit,
+        pages: Math.ceil(summary.total / cappedLimit)
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query zipcode data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle Canada reverse lookup (postal code -> places)
+ * Path param: FSA (M5V) or full postal code (M5V 3L9, M5V3L9)
+ * Example: /api/ca/postal/M5V
+ * Example: /api/ca/postal/M5V%203L9
+ * Full postal codes are resolved to the FSA stored in ca_zipcodes
+ */
+async function handleCAPostalLookup(rawCode, env) {
+  const input = decodePathParam(rawCode).trim();
+  const validation = validatePostalCodeFormat('ca', input);
+  
+  // Validate postal code format: FSA (A1A) optionally followed by LDU (1A1)
+  if (!validation.valid) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Invalid postal code, expected FSA (A1A) or full postal code (A1A 1A1)',
+        code: 'invalid_postal_code',
+        details: validation.error,
+        example: '/api/ca/postal/M5V'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  const fsa = validation.lookup;
+  const normalized = validation.normalized;
+  
+  try {
+    // Query D1 database for Canada postal code data
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const stmt = env.DB.prepare(`
+      SELECT place, state, state_code, zipcode, latitude, longitude
+      FROM ca_zipcodes 
+      WHERE zipcode = ?
+      ORDER BY place
+    `);
+    
+    const results = await cachedLookup(
+      `ca:postal:${fsa}`,
+      () => stmt.bind(fsa).all().then(({ results }) => results)
+    );
+    
+    if (results.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Not found', code: 'not_found' }), 
+        {
+          status: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            ...getCORSHeaders()
+          }
+        }
+      );
+    }
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        postal_code: normalized,
+        fsa: fsa,
+        input: input,
+        normalized: normalized,
+        places: results.map(item => ({
+          city: item.place,
+          province: item.state,
+          province_code: item.state_code,
+          latitude: item.latitude,
+          longitude: item.longitude
+        })),
+        count: results.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle radius search across US and Canada
+ * Expected query params: zip OR lat+lon, distance, unit (mi|km, default mi), limit
+ * Example: /api/radius?zip=53105&distance=25&unit=mi
+ * Example: /api/radius?zip=M5V&distance=10&unit=km
+ * Example: /api/radius?lat=42.68&lon=-88.28&distance=25
+ * Uses a bounding-box prefilter in D1, then haversine distance to trim and sort
+ */
+async function handleRadiusSearch(request, env) {
+  const url = new URL(request.url);
+  const zip = url.searchParams.get('zip');
+  const lat = url.searchParams.get('lat');
+  const lon = url.searchParams.get('lon');
+  const distance = parseFloat(url.searchParams.get('distance'));
+  const unit = (url.searchParams.get('unit') || 'mi').toLowerCase();
+  const limit = parseInt(url.searchParams.get('limit')) || RESULT_LIMITS.radius.default;
+  
+  // Validate required parameters
+  const hasCoordinates = lat !== null && lon !== null;
+  if ((!zip && !hasCoordinates) || !(distance > 0) || !Object.hasOwn(EARTH_RADIUS, unit)) {
+    const missing = (!zip && !hasCoordinates) || !url.searchParams.get('distance');
+    return new Response(
+      JSON.stringify({ 
+        error: 'Missing or invalid parameters', 
+        code: missing ? 'missing_parameter' : 'invalid_parameter',
+        required: ['zip or lat+lon', 'distance'],
+        optional: ['unit (mi|km)', 'limit'],
+        example: '/api/radius?zip=53105&distance=25&unit=mi'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  if (distance > MAX_RADIUS[unit]) {
+    return new Response(
+      JSON.stringify({ 
+        error: `Distance must be ${MAX_RADIUS[unit]} ${unit} or less`,
+        code: 'invalid_parameter'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  // Cap limit to prevent excessive response sizes; limits below 1 only reach the unversioned alias
+  const cappedLimit = Math.min(Math.max(limit, 1), RESULT_LIMITS.radius.max);
+  
+  try {
+    // Query D1 database for center point and nearby codes
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    let center;
+    
+    if (zip) {
+      const parsed = parsePostalCode(zip);
+      if (!parsed) {
+        return new Response(
+          JSON.stringify({ 
+            error: 'Invalid postal code, expected US ZIP (53105) or Canadian FSA/postal code (M5V, M5V 3L9)',
+            code: 'invalid_postal_code'
+          }), 
+          {
+            status: 400,
+            headers: {
+              'Content-Type': 'application/json',
+              ...getCORSHeaders()
+            }
+          }
+        );
+      }
+      
+      const place = await resolvePostalCode(env.DB, parsed);
+      if (!place) {
+        return new Response(
+          JSON.stringify({ error: 'Not found', code: 'not_found', zip: parsed.code }), 
+          {
+            status: 404,
+            headers: {
+              'Content-Type': 'application/json',
+              ...getCORSHeaders()
+            }
+          }
+        );
+      }
+      
+      center = {
+        country: place.country,
+        zipcode: place.zipcode,
+        input: parsed.input,
+        normalized: parsed.normalized,
+        latitude: place.latitude,
+        longitude: place.longitude
+      };
+    } else {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lon);
+      
+      if (!isValidCoordinate(latitude, longitude)) {
+        return new Response(
+          JSON.stringify({ 
+            error: 'Invalid coordinates, lat must be between -90 and 90 and lon between -180 and 180',
+            code: 'invalid_parameter'
+          }), 
+          {
+            status: 400,
+            headers: {
+              'Content-Type': 'application/json',
+              ...getCORSHeaders()
+            }
+          }
+        );
+      }
+      
+      center = { latitude, longitude };
+    }
+    
+    const results = await findPostalCodesWithinRadius(env.DB, center.latitude, center.longitude, distance, unit);
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        center: center,
+        distance: distance,
+        unit: unit,
+        results: results.slice(0, cappedLimit),
+        count: Math.min(results.length, cappedLimit),
+        total: results.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle distance between two postal codes
+ * Expected query params: from, to (US ZIP or Canadian FSA/postal code, auto-detected)
+ * Example: /api/distance?from=53105&to=M5V
+ * Example: /api/distance?from=53105&to=60601
+ * Returns great-circle distance in miles and kilometres plus both resolved places
+ */
+async function handleDistance(request, env) {
+  const url = new URL(request.url);
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to');
+  
+  // Validate required parameters
+  if (!from || !to) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Missing required parameters', 
+        code: 'missing_parameter',
+        required: ['from', 'to'],
+        example: '/api/distance?from=53105&to=M5V'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  const parsed = { from: parsePostalCode(from), to: parsePostalCode(to) };
+  const invalid = Object.keys(parsed).filter(side => !parsed[side]);
+  
+  if (invalid.length > 0) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Invalid postal code, expected US ZIP (53105) or Canadian FSA/postal code (M5V, M5V 3L9)',
+        code: 'invalid_postal_code',
+        invalid: Object.fromEntries(invalid.map(side => [side, side === 'from' ? from : to]))
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  try {
+    // Query D1 database for both places
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const [origin, destination] = await Promise.all([
+      resolvePostalCode(env.DB, parsed.from),
+      resolvePostalCode(env.DB, parsed.to)
+    ]);
+    
+    const places = { from: origin, to: destination };
+    const missing = Object.keys(places).filter(side => !places[side]);
+    
+    if (missing.length > 0) {
+      return new Response(
+        JSON.stringify({ 
+          error: 'Not found',
+          code: 'not_found',
+          not_found: Object.fromEntries(missing.map(side => [side, parsed[side].code]))
+        }), 
+        {
+          status: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            ...getCORSHeaders()
+          }
+        }
+      );
+    }
+    
+    const formatPlace = (place, code) => ({
+      country: place.country,
+      zipcode: place.zipcode,
+      input: code.input,
+      normalized: code.normalized,
+      city: place.place,
+      state: place.state_code,
+      county: place.county,
+      latitude: place.latitude,
+      longitude: place.longitude
+    });
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        from: formatPlace(origin, parsed.from),
+        to: formatPlace(destination, parsed.to),
+        distance: {
+          mi: roundDistance(haversineDistance(origin.latitude, origin.longitude, destination.latitude, destination.longitude, 'mi')),
+          km: roundDistance(haversineDistance(origin.latitude, origin.longitude, destination.latitude, destination.longitude, 'km'))
+        }
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle nearest postal code (reverse geocoding) across US and Canada
+ * Expected query params: lat, lon, limit (default 5), unit (mi|km, default mi)
+ * Example: /api/nearest?lat=42.68&lon=-88.28
+ * Example: /api/nearest?lat=43.64&lon=-79.40&limit=3&unit=km
+ * Searches an expanding bounding box until enough codes are found within its radius
+ */
+async function handleNearest(request, env) {
+  const url = new URL(request.url);
+  const latitude = parseFloat(url.searchParams.get('lat'));
+  const longitude = parseFloat(url.searchParams.get('lon'));
+  const unit = (url.searchParams.get('unit') || 'mi').toLowerCase();
+  const limit = parseInt(url.searchParams.get('limit')) || RESULT_LIMITS.nearest.default;
+  
+  // Validate required parameters
+  if (!isValidCoordinate(latitude, longitude) || !Object.hasOwn(EARTH_RADIUS, unit)) {
+    const missing = !url.searchParams.get('lat') || !url.searchParams.get('lon');
+    return new Response(
+      JSON.stringify({ 
+        error: 'Missing or invalid parameters', 
+        code: missing ? 'missing_parameter' : 'invalid_parameter',
+        required: ['lat (-90 to 90)', 'lon (-180 to 180)'],
+        optional: ['limit', 'unit (mi|km)'],
+        example: '/api/nearest?lat=42.68&lon=-88.28&limit=5'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  // Cap limit to prevent excessive processing; limits below 1 only reach the unversioned alias
+  const cappedLimit = Math.min(Math.max(limit, 1), RESULT_LIMITS.nearest.max);
+  
+  try {
+    // Query D1 database for nearby codes
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    // Every code within the current radius is closer than any code outside it,
+    // so once the radius holds enough codes the nearest ones are among them
+    let radius = NEAREST_START_RADIUS;
+    let results = await findPostalCodesWithinRadius(env.DB, latitude, longitude, radius, 'mi');
+    
+    while (results.length < cappedLimit && radius < NEAREST_MAX_RADIUS) {
+      radius *= 2;
+      results = await findPostalCodesWithinRadius(env.DB, latitude, longitude, radius, 'mi');
+    }
+    
+    if (results.length === 0) {
+      return new Response(
+        JSON.stringify({ 
+          error: 'Not found',
+          code: 'not_found',
+          searched_radius: {
+            mi: NEAREST_MAX_RADIUS,
+            km: roundDistance(NEAREST_MAX_RADIUS * EARTH_RADIUS.km / EARTH_RADIUS.mi)
+          }
+        }), 
+        {
+          status: 404,
+          headers: {
+            'Content-Type': 'application/json',
+            ...getCORSHeaders()
+          }
+        }
+      );
+    }
+    
+    const nearest = results.slice(0, cappedLimit).map(item => ({
+      ...item,
+      distance: roundDistance(haversineDistance(latitude, longitude, item.latitude, item.longitude, unit))
+    }));
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        location: { latitude, longitude },
+        unit: unit,
+        results: nearest,
+        count: nearest.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle batch lookups
+ * Expected body: JSON array of {country, city, state} and/or {country, zip} items
+ * Example: POST /api/batch
+ *   [{"country": "us", "city": "Burlington", "state": "WI"}, {"country": "ca", "zip": "M5V 3L9"}]
+ * Results are returned in input order with a per-item status (200, 400 or 404)
+ * All lookups run as D1 batched statements instead of one round trip per item
+ */
+async function handleBatchLookup(request, env) {
+  const maxItems = parseInt(env.BATCH_MAX_ITEMS) || DEFAULT_BATCH_MAX_ITEMS;
+  
+  let items;
+  try {
+    items = await request.json();
+  } catch (error) {
+    items = null;
+  }
+  
+  // Validate request body
+  if (!Array.isArray(items) || items.length === 0) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Request body must be a non-empty JSON array',
+        code: 'invalid_request',
+        example: [
+          { country: 'us', city: 'Burlington', state: 'WI' },
+          { country: 'ca', zip: 'M5V 3L9' }
+        ]
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  if (items.length > maxItems) {
+    return new Response(
+      JSON.stringify({ 
+        error: `Too many items, maximum is ${maxItems} per request`,
+        code: 'too_many_items',
+        max_items: maxItems
+      }), 
+      {
+        status: 413,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  try {
+    // Query D1 database in batches
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const lookups = items.map(item => buildBatchLookup(env.DB, item));
+    const pending = lookups.filter(lookup => lookup.stmt);
+    
+    for (let i = 0; i < pending.length; i += BATCH_CHUNK_SIZE) {
+      const chunk = pending.slice(i, i + BATCH_CHUNK_SIZE);
+      const responses = await env.DB.batch(chunk.map(lookup => lookup.stmt));
+      chunk.forEach((lookup, j) => {
+        lookup.rows = responses[j].results;
+      });
+    }
+    
+    const results = lookups.map((lookup, index) => {
+      if (lookup.error) {
+        return { index, status: 400, error: lookup.error, code: lookup.code };
+      }
+      if (lookup.rows.length === 0) {
+        return { index, status: 404, error: 'Not found', code: 'not_found' };
+      }
+      return { index, status: 200, result: lookup.format(lookup.rows) };
+    });
+    
+    const succeeded = results.filter(result => result.status === 200).length;
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        results: results,
+        count: results.length,
+        succeeded: succeeded,
+        failed: results.length - succeeded
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Build the D1 statement and response formatter for one batch item
+ * City lookups mirror /api/us, /api/ca and /api/mx; code lookups mirror the reverse routes
+ * @param {D1Database} db - D1 database binding
+ * @param {Object} item - Batch item: {country, city, state} or {country, zip}
+ * @returns {{stmt: D1PreparedStatement, format: Function}|{error: string, code: string}} The error
+ *   comes with its /api/v1 error code
+ */
+function buildBatchLookup(db, item) {
+  if (!item || typeof item !== 'object') {
+    return { error: 'Item must be an object', code: 'invalid_request' };
+  }
+  
+  // Anything but a string would reach D1 as an unsupported bind type and fail the whole batch
+  const invalidField = ['city', 'state', 'province', 'zip', 'postal_code']
+    .find(field => item[field] != null && typeof item[field] !== 'string');
+  if (invalidField) {
+    return { error: `Invalid ${invalidField}, expected a string`, code: 'invalid_request' };
+  }
+  
+  const country = String(item.country || '').toLowerCase();
+  const city = item.city;
+  const state = resolveRegionCode(country, item.state || item.province);
+  const zip = item.zip || item.postal_code;
+  
+  if (!['us', 'ca', 'mx'].includes(country)) {
+    return { error: 'Invalid or missing country, expected us, ca or mx', code: 'invalid_request' };
+  }
+  
+  if (zip) {
+    const validation = validatePostalCodeFormat(country, zip);
+    
+    if (country === 'us') {
+      if (!validation.valid) {
+        return { error: 'Invalid ZIP code, expected 5 digits or ZIP+4', code: 'invalid_postal_code' };
+      }
+      return {
+        stmt: db.prepare(`
+          SELECT place, state, state_code, county, zipcode, latitude, longitude
+          FROM us_zipcodes 
+          WHERE zipcode = ?
+          ORDER BY place
+        `).bind(validation.lookup),
+        format: rows => ({
+          zip: validation.lookup,
+          input: zip,
+          normalized: validation.normalized,
+          places: rows.map(row => ({
+            city: row.place,
+            state: row.state,
+            state_code: row.state_code,
+            county: row.county,
+            latitude: row.latitude,
+            longitude: row.longitude
+          }))
+        })
+      };
+    }
+    
+    if (country === 'ca') {
+      if (!validation.valid) {
+        return { error: 'Invalid postal code, expected FSA (A1A) or full postal code (A1A 1A1)', code: 'invalid_postal_code' };
+      }
+      const fsa = validation.lookup;
+      const normalized = validation.normalized;
+      return {
+        stmt: db.prepare(`
+          SELECT place, state, state_code, zipcode, latitude, longitude
+          FROM ca_zipcodes 
+          WHERE zipcode = ?
+          ORDER BY place
+        `).bind(fsa),
+        format: rows => ({
+          postal_code: normalized,
+          fsa: fsa,
+          input: zip,
+          normalized: normalized,
+          places: rows.map(row => ({
+            city: row.place,
+            province: row.state,
+            province_code: row.state_code,
+            latitude: row.latitude,
+            longitude: row.longitude
+          }))
+        })
+      };
+    }
+    
+    if (!validation.valid) {
+      return { error: 'Invalid código postal, expected 5 digits', code: 'invalid_postal_code' };
+    }
+    const code = validation.lookup;
+    return {
+      stmt: db.prepare(`
+        SELECT place, municipality, state, state_code, zipcode, latitude, longitude
+        FROM mx_zipcodes 
+        WHERE zipcode = ?
+        ORDER BY place
+      `).bind(code),
+      format: rows => ({
+        postal_code: code,
+        input: zip,
+        normalized: code,
+        municipality: rows[0].municipality,
+        state: rows[0].state,
+        state_code: rows[0].state_code,
+        colonias: rows.map(row => row.place),
+        latitude: rows[0].latitude,
+        longitude: rows[0].longitude
+      })
+    };
+  }
+  
+  if (!city || !state) {
+    return { error: 'Item requires either zip, or city and state', code: 'missing_parameter' };
+  }
+  
+  if (country === 'us') {
+    return {
+      stmt: db.prepare(`
+        SELECT place, state_code, county, zipcode 
+        FROM us_zipcodes 
+        WHERE place_normalized = ? AND LOWER(state_code) = LOWER(?)
+        ORDER BY zipcode
+        LIMIT 1
+      `).bind(normalizePlaceName(city), state),
+      format: ([row]) => ({
+        city: row.place,
+        state: row.state_code,
+        county: row.county,
+        zip: row.zipcode
+      })
+    };
+  }
+  
+  if (country === 'ca') {
+    return {
+      stmt: db.prepare(`
+        SELECT place, state_code, zipcode 
+        FROM ca_zipcodes 
+        WHERE place_normalized = ? AND LOWER(state_code) = LOWER(?)
+        ORDER BY zipcode
+        LIMIT 1
+      `).bind(normalizePlaceName(city), state),
+      format: ([row]) => ({
+        city: row.place,
+        province: row.state_code,
+        postal_code: row.zipcode
+      })
+    };
+  }
+  
+  return {
+    stmt: db.prepare(`
+      SELECT zipcode, place, municipality, state, state_code
+      FROM mx_zipcodes 
+      WHERE (municipality_normalized = ? OR place_normalized = ?)
+        AND LOWER(state_code) = LOWER(?)
+      ORDER BY zipcode, place
+      LIMIT 1
+    `).bind(normalizePlaceName(city), normalizePlaceName(city), state),
+    format: ([row]) => ({
+      city: row.municipality,
+      state: row.state,
+      state_code: row.state_code,
+      postal_code: row.zipcode
+    })
+  };
+}
+
+/**
+ * Handle postal code validation
+ * Expected query params: country (us|ca|mx), code
+ * Example: /api/validate?country=us&code=53105-1234
+ * Example: /api/validate?country=ca&code=m5v3l9
+ * Example: /api/validate?country=mx&code=06000
+ * Checks the format, normalizes spacing/case, splits the code into its parts and
+ * reports whether the code (US ZIP, Canadian FSA, Mexican código postal) is in the database
+ */
+async function handleValidate(request, env) {
+  const url = new URL(request.url);
+  const country = (url.searchParams.get('country') || '').toLowerCase();
+  const code = url.searchParams.get('code');
+  
+  // Validate required parameters
+  if (!code || !['us', 'ca', 'mx'].includes(country)) {
+    const missing = !code || !country;
+    return new Response(
+      JSON.stringify({ 
+        error: 'Missing or invalid parameters', 
+        code: missing ? 'missing_parameter' : 'invalid_parameter',
+        required: ['country (us|ca|mx)', 'code'],
+        example: '/api/validate?country=ca&code=M5V 3L9'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  const validation = validatePostalCodeFormat(country, code);
+  
+  if (!validation.valid) {
+    return new Response(
+      JSON.stringify({
+        country: country.toUpperCase(),
+        input: code,
+        valid: false,
+        error: validation.error
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  try {
+    // Query D1 database for the stored code
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const table = { us: 'us_zipcodes', ca: 'ca_zipcodes', mx: 'mx_zipcodes' }[country];
+    const result = await env.DB.prepare(`
+      SELECT zipcode
+      FROM ${table}
+      WHERE zipcode = ?
+      LIMIT 1
+    `).bind(validation.lookup).first();
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        country: country.toUpperCase(),
+        input: code,
+        valid: true,
+        normalized: validation.normalized,
+        format: validation.format,
+        parts: validation.parts,
+        exists: Boolean(result),
+        checked: validation.lookup
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle address verification (city + state + ZIP consistency)
+ * Expected body: JSON object {country (us|ca), city, state, zip}
+ * Example: POST /api/verify {"country": "us", "city": "Burlingtn", "state": "WI", "zip": "53105"}
+ * Reports which fields agree with the database, the corrected values and a verdict:
+ * - valid: city, state and ZIP all match
+ * - correctable: two of the three agree, so the third can be corrected
+ * - invalid: no consistent correction could be found
+ * When the ZIP exists it is trusted, and city/state are corrected to its canonical place
+ */
+async function handleVerify(request, env) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    body = null;
+  }
+  
+  const country = String((body && body.country) || '').toLowerCase();
+  const { city, state, zip } = body || {};
+  
+  // Validate request body
+  const isText = value => typeof value === 'string' && value !== '';
+  if (!['us', 'ca'].includes(country) || !isText(city) || !isText(state) || !isText(zip)) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Request body must be a JSON object with country (us|ca) and string city, state and zip',
+        code: 'invalid_request',
+        example: { country: 'us', city: 'Burlington', state: 'WI', zip: '53105' }
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  try {
+    // Query D1 database for the ZIP and the city/state pair
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const table = country === 'ca' ? 'ca_zipcodes' : 'us_zipcodes';
+    const validation = validatePostalCodeFormat(country, String(zip));
+    const normalizedCity = normalizePlaceName(city);
+    const stateCode = resolveRegionCode(country, String(state));
+    const normalizedState = normalizePlaceName(state);
+    
+    const [zipRows, cityMatch] = await Promise.all([
+      validation.valid
+        ? env.DB.prepare(`
+            SELECT place, place_normalized, state, state_code
+            FROM ${table}
+            WHERE zipcode = ?
+            ORDER BY place
+          `).bind(validation.lookup).all().then(({ results }) => results)
+        : [],
+      env.DB.prepare(`
+        SELECT place, state_code, zipcode
+        FROM ${table}
+        WHERE place_normalized = ? AND (LOWER(state_code) = LOWER(?) OR LOWER(state) = LOWER(?))
+        ORDER BY zipcode
+        LIMIT 1
+      `).bind(normalizedCity, stateCode, state).first()
+    ]);
+    
+    const stateMatches = row => (row.state_code || '').toLowerCase() === stateCode.toLowerCase() ||
+      normalizePlaceName(row.state) === normalizedState;
+    
+    let verdict = 'invalid';
+    let corrected = null;
+    let fields = { city: false, state: false, zip: false };
+    
+    if (zipRows.length > 0) {
+      // ZIP exists: pick the place for this ZIP that best agrees with the input
+      const sameState = zipRows.filter(stateMatches);
+      const candidates = sameState.length > 0 ? sameState : zipRows;
+      const exactCity = candidates.find(row => row.place_normalized === normalizedCity);
+      const closest = exactCity || candidates
+        .map(row => ({ row, similarity: stringSimilarity(normalizedCity, row.place_normalized || '') }))
+        .sort((a, b) => b.similarity - a.similarity)[0].row;
+      
+      fields = { city: Boolean(exactCity), state: sameState.length > 0, zip: true };
+      
+      if (fields.city || fields.state) {
+        verdict = fields.city && fields.state ? 'valid' : 'correctable';
+        corrected = { city: closest.place, state: closest.state_code, zip: validation.normalized };
+      } else if (cityMatch) {
+        // City and state agree with each other, so the ZIP is the odd one out
+        fields = { city: true, state: true, zip: false };
+        verdict = 'correctable';
+        corrected = { city: cityMatch.place, state: cityMatch.state_code, zip: cityMatch.zipcode };
+      }
+    } else if (cityMatch) {
+      // Unknown or malformed ZIP, but the city/state pair exists
+      fields = { city: true, state: true, zip: false };
+      verdict = 'correctable';
+      corrected = { city: cityMatch.place, state: cityMatch.state_code, zip: cityMatch.zipcode };
+    }
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        country: country.toUpperCase(),
+        verdict: verdict,
+        fields: {
+          city: { input: city, match: fields.city, corrected: corrected && !fields.city ? corrected.city : null },
+          state: { input: state, match: fields.state, corrected: corrected && !fields.state ? corrected.state : null },
+          zip: {
+            input: zip,
+            match: fields.zip,
+            valid_format: validation.valid,
+            corrected: corrected && !fields.zip ? corrected.zip : null
+          }
+        },
+        corrected: corrected
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle cross-country autocomplete
+ * Expected query params: q, countries (comma-separated, default us,ca,mx), limit, mode
+ * Example: /api/autocomplete?q=burl
+ * Example: /api/autocomplete?q=M5V (Canadian FSA - searches Canada only)
+ * Example: /api/autocomplete?q=06000&countries=us,mx (5 digits - US ZIP or Mexican código postal)
+ * Fans out to the per-country autocomplete queries, then merges results by match quality,
+ * keeping each country's own ranking as the tie-break; every result is tagged with its country
+ */
+async function handleUnifiedAutocomplete(request, env) {
+  const url = new URL(request.url);
+  const query = url.searchParams.get('q');
+  const limit = parseInt(url.searchParams.get('limit')) || RESULT_LIMITS.autocomplete.default;
+  const mode = (url.searchParams.get('mode') || 'prefix').toLowerCase();
+  const requestedCountries = (url.searchParams.get('countries') || AUTOCOMPLETE_COUNTRIES.join(','))
+    .toLowerCase()
+    .split(',')
+    .map(country => country.trim())
+    .filter(Boolean);
+  
+  // Validate required parameters
+  if (!query || query.length < AUTOCOMPLETE_MIN_QUERY_LENGTH) {
+    return new Response(
+      JSON.stringify({ 
+        error: `Query parameter "q" is required and must be at least ${AUTOCOMPLETE_MIN_QUERY_LENGTH} characters`,
+        code: query ? 'invalid_parameter' : 'missing_parameter',
+        example: '/api/autocomplete?q=Burli&countries=us,ca,mx&limit=10'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  const invalidCountries = requestedCountries.filter(country => !AUTOCOMPLETE_COUNTRIES.includes(country));
+  if (requestedCountries.length === 0 || invalidCountries.length > 0 || !AUTOCOMPLETE_MODES.includes(mode)) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Invalid countries or mode',
+        code: 'invalid_parameter',
+        countries: AUTOCOMPLETE_COUNTRIES,
+        modes: AUTOCOMPLETE_MODES
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  // Cap limit to prevent excessive processing
+  const cappedLimit = Math.min(limit, RESULT_LIMITS.autocomplete.max);
+  
+  // Code-shaped queries only go to countries whose codes look like that:
+  // digits are US ZIPs or Mexican códigos postales, letter-digit is a Canadian FSA
+  const trimmed = query.trim();
+  let countries = requestedCountries;
+  if (/^\d/.test(trimmed)) {
+    countries = requestedCountries.filter(country => country !== 'ca');
+  } else if (/^[A-Za-z]\d/.test(trimmed)) {
+    countries = requestedCountries.filter(country => country === 'ca');
+  }
+  
+  try {
+    // Query D1 database for each country
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const searches = {
+      us: () => performUSAutocompleteQuery(env.DB, query, cappedLimit, mode),
+      ca: () => performCAAutocompleteQuery(env.DB, query, cappedLimit, mode),
+      mx: () => env.MX_DATA_SOURCE === 'r2'
+        ? performMXAutocompleteFromR2(env, query, cappedLimit)
+        : performMXAutocompleteQuery(env.DB, query, cappedLimit)
+    };
+    
+    const resultsByCountry = await Promise.all(countries.map(country => searches[country]()));
+    const normalizedQuery = normalizePlaceName(query.split(',')[0], { partial: true });
+    // ZIP+4 or full Canadian postal code, reduced to the stored code
+    const normalized = normalizeCodeQuery('us', trimmed) || normalizeCodeQuery('ca', trimmed);
+    
+    const results = resultsByCountry
+      .flatMap((countryResults, countryIndex) => countryResults.map((item, position) => ({
+        item: { ...item, country: countries[countryIndex].toUpperCase() },
+        rank: autocompleteMatchRank(item, normalized || trimmed, normalizedQuery),
+        position,
+        countryIndex
+      })))
+      .sort((a, b) => a.rank - b.rank || a.position - b.position || a.countryIndex - b.countryIndex)
+      .slice(0, cappedLimit)
+      .map(({ item }) => item);
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        query: query,
+        ...(normalized && { normalized }),
+        countries: countries,
+        results: results,
+        count: results.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle US autocomplete for city names and ZIP codes
+ * Expected query params: q, limit, mode (prefix|infix|fts, default prefix)
+ * Example: /api/autocomplete/us?q=bur&limit=10
+ * Example: /api/autocomplete/us?q=Burlington, WI&limit=10
+ * Example: /api/autocomplete/us?q=Burlington WI&limit=10
+ * Example: /api/autocomplete/us?q=Burlington W&limit=10 (partial state)
+ * Example: /api/autocomplete/us?q=lake&mode=fts (word match, finds "Clear Lake")
+ * Example: /api/autocomplete/us?q=53105-1234 (ZIP+4, searched as 53105)
+ * Supports city name search, city+state search (full/partial), and ZIP code search
+ */
+async function handleUSAutocomplete(request, env) {
+  const url = new URL(request.url);
+  const query = url.searchParams.get('q');
+  const limit = parseInt(url.searchParams.get('limit')) || RESULT_LIMITS.autocomplete.default;
+  const mode = (url.searchParams.get('mode') || 'prefix').toLowerCase();
+  
+  // Validate required parameters
+  if (!query || query.length < AUTOCOMPLETE_MIN_QUERY_LENGTH) {
+    return new Response(
+      JSON.stringify({ 
+        error: `Query parameter "q" is required and must be at least ${AUTOCOMPLETE_MIN_QUERY_LENGTH} characters`,
+        code: query ? 'invalid_parameter' : 'missing_parameter',
+        example: '/api/autocomplete/us?q=Burli&limit=10'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  if (!AUTOCOMPLETE_MODES.includes(mode)) {
+    return new Response(
+      JSON.stringify({ 
+        error: `Invalid mode, expected one of: ${AUTOCOMPLETE_MODES.join(', ')}`,
+        code: 'invalid_parameter'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  // Cap limit to prevent excessive processing
+  const cappedLimit = Math.min(limit, RESULT_LIMITS.autocomplete.max);
+  
+  try {
+    // Query D1 database for US autocomplete
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const results = await performUSAutocompleteQuery(env.DB, query, cappedLimit, mode);
+    const normalized = normalizeCodeQuery('us', query);
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        query: query,
+        ...(normalized && { normalized }),
+        results: results,
+        count: results.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query zipcode data',
+        code: 'internal_error',
+        details: error.message
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle Canada autocomplete for city names and postal codes
+ * Expected query params: q, limit, mode (prefix|infix|fts, default prefix)
+ * Example: /api/autocomplete/ca?q=tor&limit=10
+ * Example: /api/autocomplete/ca?q=Toronto, ON&limit=10
+ * Example: /api/autocomplete/ca?q=Toronto ON&limit=10
+ * Example: /api/autocomplete/ca?q=Toronto O&limit=10 (partial province)
+ * Example: /api/autocomplete/ca?q=toronto&mode=infix (finds "East Toronto (...)")
+ * Example: /api/autocomplete/ca?q=M5V 3L9 (full postal code, searched as M5V)
+ * Supports city name search, city+province search (full/partial), and postal code search
+ */
+async function handleCAAutocomplete(request, env) {
+  const url = new URL(request.url);
+  const query = url.searchParams.get('q');
+  const limit = parseInt(url.searchParams.get('limit')) || RESULT_LIMITS.autocomplete.default;
+  const mode = (url.searchParams.get('mode') || 'prefix').toLowerCase();
+  
+  // Validate required parameters
+  if (!query || query.length < AUTOCOMPLETE_MIN_QUERY_LENGTH) {
+    return new Response(
+      JSON.stringify({ 
+        error: `Query parameter "q" is required and must be at least ${AUTOCOMPLETE_MIN_QUERY_LENGTH} characters`,
+        code: query ? 'invalid_parameter' : 'missing_parameter',
+        example: '/api/autocomplete/ca?q=Toro&limit=10'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  if (!AUTOCOMPLETE_MODES.includes(mode)) {
+    return new Response(
+      JSON.stringify({ 
+        error: `Invalid mode, expected one of: ${AUTOCOMPLETE_MODES.join(', ')}`,
+        code: 'invalid_parameter'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  // Cap limit to prevent excessive processing
+  const cappedLimit = Math.min(limit, RESULT_LIMITS.autocomplete.max);
+  
+  try {
+    // Query D1 database for Canada autocomplete
+    if (!env.DB) {
+      throw new Error('Database binding not available');
+    }
+
+    const results = await performCAAutocompleteQuery(env.DB, query, cappedLimit, mode);
+    const normalized = normalizeCodeQuery('ca', query);
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        query: query,
+        ...(normalized && { normalized }),
+        results: results,
+        count: results.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handle Mexico autocomplete for states, municipios, colonias and postal codes
+ * Expected query params: q, limit
+ * Example: /api/autocomplete/mx?q=agu&limit=10
+ * Example: /api/autocomplete/mx?q=Aguascalientes&limit=10
+ * Example: /api/autocomplete/mx?q=Centro, Jal&limit=10 (colonia/municipio + state)
+ * Example: /api/autocomplete/mx?q=20000&limit=10 (postal code search)
+ * Supports state, municipio and colonia search, city+state search, and postal code search
+ */
+async function handleMXAutocomplete(request, env) {
+  const url = new URL(request.url);
+  const query = url.searchParams.get('q');
+  const limit = parseInt(url.searchParams.get('limit')) || RESULT_LIMITS.autocomplete.default;
+  
+  // Validate required parameters
+  if (!query || query.length < AUTOCOMPLETE_MIN_QUERY_LENGTH) {
+    return new Response(
+      JSON.stringify({ 
+        error: `Query parameter "q" is required and must be at least ${AUTOCOMPLETE_MIN_QUERY_LENGTH} characters`,
+        code: query ? 'invalid_parameter' : 'missing_parameter',
+        example: '/api/autocomplete/mx?q=Agu&limit=10'
+      }), 
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+  
+  // Cap limit to prevent excessive processing
+  const cappedLimit = Math.min(limit, RESULT_LIMITS.autocomplete.max);
+  
+  try {
+    let results;
+    
+    if (env.MX_DATA_SOURCE === 'r2') {
+      results = await performMXAutocompleteFromR2(env, query, cappedLimit);
+    } else {
+      // Query D1 database for Mexico autocomplete
+      if (!env.DB) {
+        throw new Error('Database binding not available');
+      }
+      
+      results = await performMXAutocompleteQuery(env.DB, query, cappedLimit);
+    }
+    
+    // Return successful result
+    return new Response(
+      JSON.stringify({
+        query: query,
+        results: results,
+        count: results.length
+      }), 
+      {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+    
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ 
+        error: 'Failed to query postal code data',
+        code: 'internal_error',
+        details: error.message 
+      }), 
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getCORSHeaders()
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Legacy Mexico autocomplete over the zipcodes.mx.json blob in R2
+ * Only used when MX_DATA_SOURCE = "r2", i.e. before mx_zipcodes is imported
+ * The dataset is downloaded and indexed once per isolate (see loadMXIndex)
+ */
+async function performMXAutocompleteFromR2(env, query, limit) {
+  const index = await loadMXIndex(env);
+  return searchMXIndex(index, query, limit);
+}
+
+/**
+ * Load the Mexico dataset and its index, once per isolate
+ * Concurrent requests share the same in-flight promise; a failed load is retried by the next request
+ * @returns {Promise<{data: Array, states: Array, codesByPrefix: Map<string, Array>}>}
+ */
+function loadMXIndex(env) {
+  if (!mxIndexPromise) {
+    mxIndexPromise = fetchMXDataset(env)
+      .then(buildMXIndex)
+      .catch(error => {
+        mxIndexPromise = null;
+        throw error;
+      });
+  }
+  return mxIndexPromise;
+}
+
+/**
+ * Download and parse zipcodes.mx.json from the R2 binding, or the public R2 URL as a fallback
+ */
+async function fetchMXDataset(env) {
+  let zipcodesMX;
+  
+  // Try R2 binding first
+  if (env.ZIP_DATA) {
+    try {
+      const object = await env.ZIP_DATA.get('zipcodes.mx.json');
+      if (object) {
+        zipcodesMX = await object.json();
+      }
+    } catch (error) {
+      console.log('R2 binding failed for Mexico data:', error.message);
+    }
+  }
+  
+  // Fallback to public URL if R2 binding failed or no data found
+  if (!zipcodesMX) {
+    console.log('Using public URL fallback for Mexico data');
+    const response = await fetch('https://pub-522895a2a41b453ab908b4e31d9e627a.r2.dev/zipcodes.mx.json');
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Mexico data from public URL: ${response.status}`);
+    }
+    zipcodesMX = await response.json();
+  }
+  
+  return zipcodesMX;
+}
+
+/**
+ * Build the Mexico search index
+ * - states: one entry per state, with its normalized name for matching (see normalizePlaceName)
+ * - codesByPrefix: one entry per código postal, bucketed by its 2-digit prefix and sorted by code
+ * @param {Array} data - Parsed zipcodes.mx.json
+ */
+function buildMXIndex(data) {
+  const states = new Map();
+  const codesByPrefix = new Map();
+  const seenCodes = new Set();
+  
+  for (const item of data) {
+    const stateKey = normalizePlaceName(item.state);
+    if (stateKey && !states.has(stateKey)) {
+      states.set(stateKey, { name: stateKey, state: item.state, state_code: item.state_code });
+    }
+    
+    const code = String(item.zipcode || '');
+    if (code && !seenCodes.has(code)) {
+      seenCodes.add(code);
+      const prefix = code.slice(0, 2);
+      if (!codesByPrefix.has(prefix)) {
+        codesByPrefix.set(prefix, []);
+      }
+      codesByPrefix.get(prefix).push(item);
+    }
+  }
+  
+  for (const bucket of codesByPrefix.values()) {
+    bucket.sort((a, b) => String(a.zipcode).localeCompare(String(b.zipcode)));
+  }
+  
+  return { data, states: [...states.values()], codesByPrefix };
+}
+
+/**
+ * Search the Mexico index: numeric queries match código postal prefixes (lowest codes first),
+ * text queries match state names anywhere; results starting with the query come first
+ */
+function searchMXIndex(index, query, limit) {
+  const queryLower = query.toLowerCase().trim();
+  const maxLimit = Math.min(limit, RESULT_LIMITS.autocomplete.max);
+  
+  // Early return for very short queries
+  if (queryLower.length < 2) {
+    return [];
+  }
+  
+  let matches;
+  
+  if (/^\d+/.test(queryLower)) {
+    matches = (index.codesByPrefix.get(queryLower.slice(0, 2)) || [])
+      .filter(item => String(item.zipcode).startsWith(queryLower))
+      .slice(0, maxLimit)
+      .map(item => ({
+        type: 'zipcode',
+        display: `${item.zipcode} - ${item.place}, ${item.state}`,
+        value: item.zipcode,
+        city: item.place,
+        state: item.state,
+        zipcode: item.zipcode
+      }));
+  } else {
+    const normalizedQuery = normalizePlaceName(queryLower, { partial: true });
+    matches = index.states
+      .filter(entry => normalizedQuery && entry.name.includes(normalizedQuery))
+      .slice(0, maxLimit)
+      .map(entry => ({
+        type: 'state',
+        display: entry.state,
+        value: entry.state,
+        state: entry.state,
+        state_code: entry.state_code
+      }));
+  }
+  
+  // Sort results by relevance (exact matches first, then alphabetical)
+  return matches.sort((a, b) => {
+    const aExact = a.display.toLowerCase().startsWith(queryLower);
+    const bExact = b.display.toLowerCase().startsWith(queryLower);
+    
+    if (aExact && !bExact) return -1;
+    if (!aExact && bExact) return 1;
+    
+    return a.display.localeCompare(b.display);
+  });
+}
+
+/**
+ * Perform US autocomplete using D1 database queries
+ * City results are ranked by match quality, then by number of ZIPs (see queryCityMatches)
+ */
+async function performUSAutocompleteQuery(db, query, limit, mode = 'prefix') {
+  const queryLower = query.toLowerCase().trim();
+  const isNumericQuery = /^\d+/.test(query);
+  
+  if (isNumericQuery) {
+    // ZIP code search
+    const stmt = db.prepare(`
+      SELECT DISTINCT zipcode, place, state_code, county
+      FROM us_zipcodes 
+      WHERE zipcode LIKE ?
+      ORDER BY zipcode
+      LIMIT ?
+    `);
+    
+    // ZIP+4 input is searched by its ZIP
+    const zipQuery = normalizeCodeQuery('us', query) || query;
+    const results = await stmt.bind(`${zipQuery}%`, limit).all();
+    
+    return results.results.map(item => ({
+      type: 'zipcode',
+      display: `${item.zipcode} - ${item.place}, ${item.state_code}`,
+      value: item.zipcode,
+      city: item.place,
+      state: item.state_code,
+      county: item.county,
+      zipcode: item.zipcode
     }));
   } else {
     // City name search - group by city/state to avoid duplicates
@@ -537,54 +3549,128 @@ async function performUSAutocompleteQuery(db, query, limit) {
     if (hasComma) {
       const [cityPart, statePart] = queryLower.split(',').map(s => s.trim());
       
-      const stmt = db.prepare(`
-        SELECT place, state_code, MIN(zipcode) as zipcode
-        FROM us_zipcodes 
-        WHERE LOWER(place) LIKE LOWER(?) AND LOWER(state_code) LIKE LOWER(?)
-        GROUP BY place, state_code
-        ORDER BY place, state_code
-        LIMIT ?
-      `);
-      
-      const results = await stmt.bind(`${cityPart}%`, `${statePart}%`, limit).all();
+      const results = await queryCityMatches(db, 'us_zipcodes', normalizePlaceName(cityPart), resolveRegionCode('us', statePart), mode, limit);
       
-      return results.results.map(item => ({
+      return results.map(item => ({
         type: 'city',
         display: `${item.place}, ${item.state_code}`,
         value: `${item.place}, ${item.state_code}`,
         city: item.place,
         state: item.state_code,
+        county: item.county,
         zipcode: item.zipcode
       }));
     } else {
       // Simple city search - group by city/state to avoid duplicates
-      const stmt = db.prepare(`
-        SELECT place, state_code, MIN(zipcode) as zipcode
-        FROM us_zipcodes 
-        WHERE LOWER(place) LIKE LOWER(?)
-        GROUP BY place, state_code
-        ORDER BY place, state_code
-        LIMIT ?
-      `);
+      const results = await queryCityMatches(db, 'us_zipcodes', normalizePlaceName(query, { partial: true }), null, mode, limit);
       
-      const results = await stmt.bind(`${queryLower}%`, limit).all();
-      
-      return results.results.map(item => ({
+      return results.map(item => ({
         type: 'city',
         display: `${item.place}, ${item.state_code}`,
         value: `${item.place}, ${item.state_code}`,
         city: item.place,
         state: item.state_code,
+        county: item.county,
         zipcode: item.zipcode
       }));
     }
   }
 }
 
+/**
+ * Match quality of an autocomplete result, used to merge results across countries
+ * 0 exact, 1 prefix, 2 word-prefix, 3 infix, 4 anything else (same scale as queryCityMatches)
+ * @param {Object} item - Autocomplete result
+ * @param {string} query - Trimmed raw query (compared against codes)
+ * @param {string} normalizedQuery - Normalized city part of the query
+ */
+function autocompleteMatchRank(item, query, normalizedQuery) {
+  if (item.type === 'zipcode') {
+    const code = item.zipcode.toUpperCase();
+    const compactQuery = query.toUpperCase().replace(/\s/g, '');
+    return code === compactQuery ? 0 : 1;
+  }
+  
+  const name = normalizePlaceName(item.type === 'state' ? item.state : item.colonia || item.city);
+  
+  if (name === normalizedQuery) return 0;
+  if (name.startsWith(normalizedQuery)) return 1;
+  if (name.includes(` ${normalizedQuery}`)) return 2;
+  if (name.includes(normalizedQuery)) return 3;
+  return 4;
+}
+
+/**
+ * Find city/state pairs for autocomplete, ranked by match quality and importance
+ * Match quality: exact > prefix > word-prefix > infix; importance: number of codes per city
+ * Modes:
+ * - prefix: city name starts with the query (LIKE 'q%')
+ * - infix: query appears anywhere in the city name (LIKE '%q%')
+ * - fts: word-prefix search on the <table>_fts index ("lake" finds "Clear Lake")
+ * @param {D1Database} db - D1 database binding
+ * @param {string} table - us_zipcodes or ca_zipcodes
+ * @param {string} name - Normalized city query (see normalizePlaceName)
+ * @param {string|null} statePart - Optional state/province code prefix (callers resolve full names to codes)
+ * @param {string} mode - prefix, infix or fts
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array<{place: string, state_code: string, zipcode: string, zip_count: number}>>}
+ *   US rows also carry the county of the lowest ZIP
+ */
+async function queryCityMatches(db, table, name, statePart, mode, limit) {
+  if (!name) {
+    return [];
+  }
+  
+  // Only us_zipcodes has a county; with MIN(zipcode) SQLite takes it from the lowest ZIP's row
+  const countyColumn = table === 'us_zipcodes' ? ', county' : '';
+  
+  const matchRank = `
+    CASE
+      WHEN place_normalized = ? THEN 0
+      WHEN place_normalized LIKE ? THEN 1
+      WHEN place_normalized LIKE ? THEN 2
+      ELSE 3
+    END
+  `;
+  const rankArgs = [name, `${name}%`, `% ${name}%`];
+  const stateFilter = statePart ? 'AND LOWER(state_code) LIKE LOWER(?)' : '';
+  const stateArgs = statePart ? [`${statePart}%`] : [];
+  
+  let stmt;
+  
+  if (mode === 'fts') {
+    // Quote each token; the last one may be incomplete, so match it as a prefix
+    const ftsQuery = name.split(' ').map(token => `"${token}"`).join(' ') + '*';
+    
+    stmt = db.prepare(`
+      SELECT place, state_code${countyColumn}, zipcode, zip_count, ${matchRank} as match_rank
+      FROM ${table}_fts 
+      WHERE ${table}_fts MATCH ? ${stateFilter}
+      ORDER BY match_rank, zip_count DESC, place, state_code
+      LIMIT ?
+    `).bind(...rankArgs, ftsQuery, ...stateArgs, limit);
+  } else {
+    const pattern = mode === 'infix' ? `%${name}%` : `${name}%`;
+    
+    stmt = db.prepare(`
+      SELECT place, state_code${countyColumn}, MIN(zipcode) as zipcode, COUNT(*) as zip_count, ${matchRank} as match_rank
+      FROM ${table} 
+      WHERE place_normalized LIKE ? ${stateFilter}
+      GROUP BY place, state_code
+      ORDER BY match_rank, zip_count DESC, place, state_code
+      LIMIT ?
+    `).bind(...rankArgs, pattern, ...stateArgs, limit);
+  }
+  
+  const { results } = await stmt.all();
+  return results;
+}
+
 /**
  * Perform Canada autocomplete using D1 database queries
+ * City results are ranked by match quality, then by number of FSAs (see queryCityMatches)
  */
-async function performCAAutocompleteQuery(db, query, limit) {
+async function performCAAutocompleteQuery(db, query, limit, mode = 'prefix') {
   const queryLower = query.toLowerCase().trim();
   // Canadian postal codes can be alphanumeric (e.g., T1Y, H3H, etc.)
   // They typically follow pattern: Letter+Digit+Letter (first 3 chars)
@@ -600,7 +3686,9 @@ async function performCAAutocompleteQuery(db, query, limit) {
       LIMIT ?
     `);
     
-    const results = await stmt.bind(`${query}%`, limit).all();
+    // Full postal codes are searched by their FSA
+    const postalQuery = normalizeCodeQuery('ca', query) || query;
+    const results = await stmt.bind(`${postalQuery}%`, limit).all();
     
     return results.results.map(item => ({
       type: 'zipcode',
@@ -617,18 +3705,9 @@ async function performCAAutocompleteQuery(db, query, limit) {
     if (hasComma) {
       const [cityPart, provincePart] = queryLower.split(',').map(s => s.trim());
       
-      const stmt = db.prepare(`
-        SELECT place, state_code, MIN(zipcode) as zipcode
-        FROM ca_zipcodes 
-        WHERE LOWER(place) LIKE LOWER(?) AND LOWER(state_code) LIKE LOWER(?)
-        GROUP BY place, state_code
-        ORDER BY place, state_code
-        LIMIT ?
-      `);
-      
-      const results = await stmt.bind(`${cityPart}%`, `${provincePart}%`, limit).all();
+      const results = await queryCityMatches(db, 'ca_zipcodes', normalizePlaceName(cityPart), resolveRegionCode('ca', provincePart), mode, limit);
       
-      return results.results.map(item => ({
+      return results.map(item => ({
         type: 'city',
         display: `${item.place}, ${item.state_code}`,
         value: `${item.place}, ${item.state_code}`,
@@ -637,19 +3716,10 @@ async function performCAAutocompleteQuery(db, query, limit) {
         zipcode: item.zipcode
       }));
     } else {
-      // Simple city search - group by city/state to avoid duplicates
-      const stmt = db.prepare(`
-        SELECT place, state_code, MIN(zipcode) as zipcode
-        FROM ca_zipcodes 
-        WHERE LOWER(place) LIKE LOWER(?)
-        GROUP BY place, state_code
-        ORDER BY place, state_code
-        LIMIT ?
-      `);
-      
-      const results = await stmt.bind(`${queryLower}%`, limit).all();
+      // Simple city search - group by city/state to avoid duplicates
+      const results = await queryCityMatches(db, 'ca_zipcodes', normalizePlaceName(query, { partial: true }), null, mode, limit);
       
-      return results.results.map(item => ({
+      return results.map(item => ({
         type: 'city',
         display: `${item.place}, ${item.state_code}`,
         value: `${item.place}, ${item.state_code}`,
@@ -661,6 +3731,130 @@ async function performCAAutocompleteQuery(db, query, limit) {
   }
 }
 
+/**
+ * Perform Mexico autocomplete using D1 database queries
+ * Text queries return states first, then municipios, then colonias, up to the limit
+ */
+async function performMXAutocompleteQuery(db, query, limit) {
+  const queryLower = query.toLowerCase().trim();
+  const isNumericQuery = /^\d+/.test(query);
+  
+  if (isNumericQuery) {
+    // Postal code search - one result per código postal
+    const stmt = db.prepare(`
+      SELECT zipcode, MIN(place) as place, municipality, state, state_code
+      FROM mx_zipcodes 
+      WHERE zipcode LIKE ?
+      GROUP BY zipcode
+      ORDER BY zipcode
+      LIMIT ?
+    `);
+    
+    const results = await stmt.bind(`${queryLower}%`, limit).all();
+    
+    return results.results.map(item => ({
+      type: 'zipcode',
+      display: `${item.zipcode} - ${item.municipality || item.place}, ${item.state}`,
+      value: item.zipcode,
+      city: item.municipality || item.place,
+      state: item.state,
+      state_code: item.state_code,
+      zipcode: item.zipcode
+    }));
+  }
+  
+  // "Municipio, State" / "Colonia, State" narrows the search to matching states;
+  // state names are matched in regions.mjs, which ignores accents ("Leon" finds "Nuevo León")
+  const hasComma = queryLower.includes(',');
+  const [namePart, statePart] = hasComma
+    ? queryLower.split(',').map(s => s.trim())
+    : [queryLower, null];
+  const stateArgs = statePart ? matchRegionCodes('mx', statePart, { prefix: true }) : [];
+  if (statePart && stateArgs.length === 0) {
+    return [];
+  }
+  const stateFilter = statePart
+    ? `AND state_code IN (${stateArgs.map(() => '?').join(', ')})`
+    : '';
+  const normalizedName = normalizePlaceName(namePart, { partial: !hasComma });
+  
+  let results = [];
+  
+  const matchingStates = hasComma ? [] : matchRegionCodes('mx', namePart);
+  if (matchingStates.length > 0) {
+    // State name search
+    const stateStmt = db.prepare(`
+      SELECT state, state_code
+      FROM mx_zipcodes 
+      WHERE state_code IN (${matchingStates.map(() => '?').join(', ')})
+      GROUP BY state, state_code
+      ORDER BY state
+      LIMIT ?
+    `);
+    
+    const states = await stateStmt.bind(...matchingStates, limit).all();
+    
+    results = states.results.map(item => ({
+      type: 'state',
+      display: item.state,
+      value: item.state,
+      state: item.state,
+      state_code: item.state_code
+    }));
+  }
+  
+  if (results.length < limit) {
+    // Municipio search - group by municipio/state to avoid duplicates
+    const cityStmt = db.prepare(`
+      SELECT municipality, state, state_code, MIN(zipcode) as zipcode
+      FROM mx_zipcodes 
+      WHERE municipality_normalized LIKE ? ${stateFilter}
+      GROUP BY municipality, state_code
+      ORDER BY municipality, state
+      LIMIT ?
+    `);
+    
+    const cities = await cityStmt.bind(`${normalizedName}%`, ...stateArgs, limit - results.length).all();
+    
+    results = results.concat(cities.results.map(item => ({
+      type: 'city',
+      display: `${item.municipality}, ${item.state}`,
+      value: `${item.municipality}, ${item.state}`,
+      city: item.municipality,
+      state: item.state,
+      state_code: item.state_code,
+      zipcode: item.zipcode
+    })));
+  }
+  
+  if (results.length < limit) {
+    // Colonia search - group by colonia/municipio to avoid duplicates
+    const coloniaStmt = db.prepare(`
+      SELECT place, municipality, state, state_code, MIN(zipcode) as zipcode
+      FROM mx_zipcodes 
+      WHERE place_normalized LIKE ? ${stateFilter}
+      GROUP BY place, municipality, state_code
+      ORDER BY place, municipality, state
+      LIMIT ?
+    `);
+    
+    const colonias = await coloniaStmt.bind(`${normalizedName}%`, ...stateArgs, limit - results.length).all();
+    
+    results = results.concat(colonias.results.map(item => ({
+      type: 'colonia',
+      display: `${item.place}, ${item.municipality}, ${item.state}`,
+      value: `${item.place}, ${item.municipality}, ${item.state}`,
+      colonia: item.place,
+      city: item.municipality,
+      state: item.state,
+      state_code: item.state_code,
+      zipcode: item.zipcode
+    })));
+  }
+  
+  return results;
+}
+
 /**
  * Handle CORS preflight requests
  */
@@ -677,181 +3871,666 @@ function handleCORS() {
 function getCORSHeaders() {
   return {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, X-API-Key',
+    'Access-Control-Expose-Headers': 'ETag, X-Cache, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, ' +
+      'X-RateLimit-Reset, X-RateLimit-Daily-Limit, X-RateLimit-Daily-Remaining, Deprecation, Link',
     'Access-Control-Max-Age': '86400'
   };
 }
 
 /**
- * Perform autocomplete search with timeout protection (for Mexico R2 data)
- * @param {Array} data - The zipcode/postal code data array
- * @param {string} query - The search query
- * @param {number} limit - Maximum number of results to return
- * @param {boolean} isCanada - Whether this is Canadian data
- * @param {boolean} isMexico - Whether this is Mexican data
- * @returns {Promise<Array>} Array of matching results
+ * Serve a GET (or HEAD) request through the Workers Cache API
+ * Successful responses are stored under a key built from the data version, the route and the
+ * sorted query parameters, with Cache-Control and an ETag; If-None-Match gets a 304.
+ * Other methods, routes with a TTL of 0 and non-200 responses bypass the cache.
+ * Bump the DATA_VERSION var after a reimport to invalidate every cached response.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings
+ * @param {ExecutionContext} ctx - Used to store the response without delaying it
+ * @param {Function} handler - Produces the response on a cache miss
  */
-async function performAutocompleteWithTimeout(data, query, limit, isCanada = false, isMexico = false) {
-  return new Promise((resolve) => {
-    // Set a timeout to prevent CPU limit exceeded
-    const timeout = setTimeout(() => {
-      resolve([]); // Return empty results if timeout
-    }, 8000); // 8 second timeout (well under 10s CPU limit)
-    
-    try {
-      const results = performAutocompleteOptimized(data, query, limit, isCanada, isMexico);
-      clearTimeout(timeout);
-      resolve(results);
-    } catch (error) {
-      clearTimeout(timeout);
-      resolve([]); // Return empty results on error
+async function handleCachedRequest(request, env, ctx, handler) {
+  const url = new URL(request.url);
+  const ttl = getCacheTTL(splitApiVersion(url.pathname).path, env);
+  
+  if (!['GET', 'HEAD'].includes(request.method) || !ttl) {
+    return handler();
+  }
+  
+  const cacheKey = buildCacheKey(url, env);
+  const cache = caches.default;
+  let response = await cache.match(cacheKey);
+  
+  if (response) {
+    response = new Response(response.body, response);
+    response.headers.set('X-Cache', 'HIT');
+  } else {
+    response = await handler();
+    if (response.status !== 200) {
+      return response;
     }
-  });
+    
+    const body = await response.text();
+    response = new Response(body, response);
+    response.headers.set('Cache-Control', `public, max-age=${ttl}`);
+    response.headers.set('ETag', await computeETag(body));
+    ctx.waitUntil(cache.put(cacheKey, response.clone()));
+    response.headers.set('X-Cache', 'MISS');
+  }
+  
+  if (etagMatches(request.headers.get('If-None-Match'), response.headers.get('ETag'))) {
+    return new Response(null, {
+      status: 304,
+      headers: {
+        'Cache-Control': response.headers.get('Cache-Control'),
+        'ETag': response.headers.get('ETag'),
+        'X-Cache': response.headers.get('X-Cache'),
+        ...getCORSHeaders()
+      }
+    });
+  }
+  
+  return response;
 }
 
 /**
- * Optimized autocomplete search with chunked processing (for Mexico R2 data)
- * @param {Array} data - The zipcode/postal code data array
- * @param {string} query - The search query
- * @param {number} limit - Maximum number of results to return
- * @param {boolean} isCanada - Whether this is Canadian data
- * @param {boolean} isMexico - Whether this is Mexican data
- * @returns {Array} Array of matching results
+ * Cache TTL in seconds for a path: the CACHE_TTLS var, then DEFAULT_CACHE_TTLS,
+ * using the longest route prefix that matches
  */
-function performAutocompleteOptimized(data, query, limit, isCanada = false, isMexico = false) {
-  const queryLower = query.toLowerCase().trim();
-  const isNumericQuery = /^\d+/.test(query);
-  
-  // Cap the limit and chunk size to prevent excessive processing
-  const maxLimit = Math.min(limit, 25);
-  const chunkSize = 1000; // Process in chunks of 1000 items
-  const maxItemsToProcess = 50000; // Limit total items processed
-  
-  let matches = [];
-  const seenItems = new Set();
-  let itemsProcessed = 0;
+function getCacheTTL(pathname, env) {
+  const ttls = { ...DEFAULT_CACHE_TTLS, ...parseObjectVar(env.CACHE_TTLS) };
+  const route = Object.keys(ttls)
+    .filter(prefix => pathname.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
   
-  // Early return for very short queries
-  if (queryLower.length < 2) {
-    return [];
+  return route ? Number(ttls[route]) || 0 : 0;
+}
+
+/**
+ * Read an object-valued var: a TOML table arrives as an object, a JSON string is parsed
+ * @returns {Object} The object, or {} if unset or malformed
+ */
+function parseObjectVar(value) {
+  if (typeof value !== 'string') {
+    return value || {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
   }
+}
+
+/**
+ * Cache key for a request: data version + path without trailing slash + sorted, non-empty query params
+ * so /api/us?state=WI&city=Burlington and /api/us?city=Burlington&state=WI share an entry
+ * The api_key param is left out so clients share entries and keys never end up in the cache
+ */
+function buildCacheKey(url, env) {
+  const params = [...url.searchParams.entries()]
+    .filter(([name, value]) => value !== '' && name !== 'api_key')
+    .sort(([a], [b]) => a.localeCompare(b));
+  const path = url.pathname.replace(/\/+$/, '') || '/';
+  const query = new URLSearchParams(params).toString();
+  const version = encodeURIComponent(env.DATA_VERSION || '0');
+  
+  return `${url.origin}/__cache/${version}${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Strong ETag from a SHA-1 of the given text
+ */
+async function computeETag(text) {
+  return `"${await digestHex('SHA-1', text)}"`;
+}
+
+/**
+ * Hex digest of a string
+ * @param {string} algorithm - SHA-1 or SHA-256
+ */
+async function digestHex(algorithm, text) {
+  const digest = await crypto.subtle.digest(algorithm, new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Identify the client and enforce its per-minute rate limit and daily quota
+ * The API key comes from the X-API-Key header or the api_key query param and is looked up by
+ * its SHA-256 in api_keys (through the isolate LRU, so a key change takes up to
+ * LOOKUP_CACHE_MAX_AGE_MS to apply); without a key the client is its IP address on the
+ * anonymous tier. Fixed-window counters live in the client's RateLimiter Durable Object.
+ * Runs before the edge cache, so every request, cached or not, costs one call to that object.
+ * If it (or D1, for keys) is unavailable the request is let through rather than failed.
+ * @returns {Promise<{response: Response}|{headers: Object}>} A 401/429 response to return as is,
+ *   or the X-RateLimit-* headers to add to the response
+ */
+async function checkRateLimit(request, env) {
+  const url = new URL(request.url);
+  const apiKey = request.headers.get('X-API-Key') || url.searchParams.get('api_key');
+  const tier = apiKey ? 'key' : 'anonymous';
+  let limits = { ...DEFAULT_RATE_LIMITS[tier], ...parseObjectVar(env.RATE_LIMITS)[tier] };
+  let client = `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
   
-  // Process data in chunks to prevent CPU timeout
-  for (let chunkStart = 0; chunkStart < data.length && chunkStart < maxItemsToProcess; chunkStart += chunkSize) {
-    const chunkEnd = Math.min(chunkStart + chunkSize, data.length, maxItemsToProcess);
-    const chunk = data.slice(chunkStart, chunkEnd);
+  try {
+    if (!env.RATE_LIMITER) {
+      throw new Error('RATE_LIMITER binding not available');
+    }
     
-    for (let i = 0; i < chunk.length && matches.length < maxLimit; i++) {
-      const item = chunk[i];
-      itemsProcessed++;
+    if (apiKey) {
+      if (!env.DB) {
+        throw new Error('Database binding not available');
+      }
+      
+      const keyHash = await digestHex('SHA-256', apiKey);
+      const key = await cachedLookup(`apikey:${keyHash}`, () => env.DB.prepare(`
+        SELECT id, rate_limit, daily_quota
+        FROM api_keys
+        WHERE key_hash = ? AND active = 1
+      `).bind(keyHash).first());
       
-      // Early termination if we've found enough matches
-      if (matches.length >= maxLimit) {
-        break;
+      if (!key) {
+        return {
+          response: new Response(
+            JSON.stringify({ error: 'Invalid API key', code: 'invalid_api_key' }), 
+            {
+              status: 401,
+              headers: {
+                'Content-Type': 'application/json',
+                ...getCORSHeaders()
+              }
+            }
+          )
+        };
       }
       
-      if (isNumericQuery) {
-        // ZIP/Postal code search
-        const code = item.zipcode || '';
-        if (code.toLowerCase().startsWith(queryLower)) {
-          const displayValue = isMexico 
-            ? `${item.zipcode} - ${item.place}, ${item.state}`
-            : isCanada 
-              ? `${item.zipcode} - ${item.place}, ${item.state_code}`
-              : `${item.zipcode} - ${item.place}, ${item.state_code}`;
-              
-          if (!seenItems.has(item.zipcode)) {
-            seenItems.add(item.zipcode);
-            matches.push({
-              type: 'zipcode',
-              display: displayValue,
-              value: item.zipcode,
-              city: item.place,
-              state: isMexico ? item.state : item.state_code,
-              zipcode: item.zipcode
-            });
-          }
-        }
-      } else if (isMexico) {
-        // Mexico state search
-        const stateName = item.state || '';
-        const stateKey = stateName.toLowerCase();
-        
-        if (stateName.toLowerCase().includes(queryLower) && !seenItems.has(stateKey)) {
-          seenItems.add(stateKey);
-          matches.push({
-            type: 'state',
-            display: item.state,
-            value: item.state,
-            state: item.state,
-            state_code: item.state_code
-          });
-        }
-      } else {
-        // City name search with optimized matching
-        const hasComma = queryLower.includes(',');
-        
-        if (hasComma) {
-          const [cityPart, statePart] = queryLower.split(',').map(s => s.trim());
-          
-          if (cityPart && statePart) {
-            const cityName = item.place || '';
-            const stateCode = item.state_code || '';
-            const cityKey = `${cityName.toLowerCase()},${stateCode.toLowerCase()}`;
-            
-            const cityMatches = cityName.toLowerCase().includes(cityPart);
-            const stateMatches = stateCode.toLowerCase().startsWith(statePart);
-            
-            if (cityMatches && stateMatches && !seenItems.has(cityKey)) {
-              seenItems.add(cityKey);
-              matches.push({
-                type: 'city',
-                display: `${item.place}, ${item.state_code}`,
-                value: `${item.place}, ${item.state_code}`,
-                city: item.place,
-                state: item.state_code,
-                zipcode: item.zipcode
-              });
+      client = `key:${key.id}`;
+      limits = {
+        per_minute: key.rate_limit ?? limits.per_minute,
+        per_day: key.daily_quota ?? limits.per_day
+      };
+    }
+    
+    // Count this request in the current minute and day windows
+    const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(client));
+    const windows = await limiter.hit();
+    const now = Math.floor(Date.now() / 1000);
+    
+    const [minute, day] = Object.keys(RATE_LIMIT_PERIODS).map(period => {
+      const window = windows.find(item => item.period === period);
+      return {
+        ...window,
+        limit: limits[`per_${period}`],
+        reset: window.start + window.seconds
+      };
+    });
+    
+    const headers = {
+      'X-RateLimit-Limit': String(minute.limit),
+      'X-RateLimit-Remaining': String(Math.max(minute.limit - minute.count, 0)),
+      'X-RateLimit-Reset': String(minute.reset),
+      'X-RateLimit-Daily-Limit': String(day.limit),
+      'X-RateLimit-Daily-Remaining': String(Math.max(day.limit - day.count, 0))
+    };
+    
+    const exceeded = [minute, day].find(window => window.count > window.limit);
+    if (exceeded) {
+      const retryAfter = exceeded.reset - now;
+      return {
+        response: new Response(
+          JSON.stringify({ 
+            error: exceeded.period === 'day' ? 'Daily quota exceeded' : 'Rate limit exceeded',
+            code: exceeded.period === 'day' ? 'quota_exceeded' : 'rate_limited',
+            limit: exceeded.limit,
+            period: exceeded.period,
+            retry_after: retryAfter
+          }), 
+          {
+            status: 429,
+            headers: {
+              'Content-Type': 'application/json',
+              'Retry-After': String(retryAfter),
+              ...headers,
+              ...getCORSHeaders()
             }
           }
-        } else {
-          // Simple city search with starts-with for better performance
-          const cityName = item.place || '';
-          const stateCode = item.state_code || '';
-          const cityKey = `${cityName.toLowerCase()},${stateCode.toLowerCase()}`;
-          
-          if (cityName.toLowerCase().startsWith(queryLower) && !seenItems.has(cityKey)) {
-            seenItems.add(cityKey);
-            matches.push({
-              type: 'city',
-              display: `${item.place}, ${item.state_code}`,
-              value: `${item.place}, ${item.state_code}`,
-              city: item.place,
-              state: item.state_code,
-              zipcode: item.zipcode
-            });
-          }
-        }
-      }
+        )
+      };
     }
     
-    // Break if we have enough results or processed too many items
-    if (matches.length >= maxLimit || itemsProcessed >= maxItemsToProcess) {
-      break;
+    return { headers };
+    
+  } catch (error) {
+    // Fail open: an outage of the counters should not take the API down with it
+    console.error('Rate limiting unavailable, request not counted:', error.message);
+    return { headers: {} };
+  }
+}
+
+/**
+ * Copy a response with extra headers
+ */
+function withHeaders(response, headers) {
+  if (Object.keys(headers).length === 0) {
+    return response;
+  }
+  const copy = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    copy.headers.set(name, value);
+  }
+  return copy;
+}
+
+/**
+ * Whether an If-None-Match header matches an ETag (weak comparison, "*" matches anything)
+ */
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) {
+    return false;
+  }
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(etag));
+}
+
+/**
+ * Build a 404 response for a city lookup, including "did you mean" suggestions
+ * @param {D1Database} db - D1 database binding
+ * @param {string} table - us_zipcodes or ca_zipcodes
+ * @param {string} city - City as requested
+ * @param {string} state - State/province code as requested
+ * @returns {Promise<Response>}
+ */
+async function cityNotFoundResponse(db, table, city, state) {
+  const stateKey = table === 'ca_zipcodes' ? 'province' : 'state';
+  const suggestions = await findCitySuggestions(db, table, city, state);
+  
+  return new Response(
+    JSON.stringify({ 
+      error: 'Not found',
+      code: 'not_found',
+      suggestions: suggestions.map(suggestion => ({
+        city: suggestion.city,
+        [stateKey]: suggestion.state,
+        confidence: suggestion.confidence
+      }))
+    }), 
+    {
+      status: 404,
+      headers: {
+        'Content-Type': 'application/json',
+        ...getCORSHeaders()
+      }
     }
+  );
+}
+
+/**
+ * Resolve a city/state for fuzzy=true lookups
+ * An exact (normalized) match has confidence 1; otherwise the best suggestion is used
+ * @returns {Promise<{city: string, state: string, confidence: number}|null>}
+ */
+async function resolveFuzzyCity(db, table, city, state) {
+  const exact = await db.prepare(`
+    SELECT place, state_code
+    FROM ${table}
+    WHERE place_normalized = ? AND LOWER(state_code) = LOWER(?)
+    LIMIT 1
+  `).bind(normalizePlaceName(city), state).first();
+  
+  if (exact) {
+    return { city: exact.place, state: exact.state_code, confidence: 1 };
   }
   
-  // Sort results by relevance (exact matches first, then alphabetical)
-  matches.sort((a, b) => {
-    const aExact = a.display.toLowerCase().startsWith(queryLower);
-    const bExact = b.display.toLowerCase().startsWith(queryLower);
-    
-    if (aExact && !bExact) return -1;
-    if (!aExact && bExact) return 1;
+  const [best] = await findCitySuggestions(db, table, city, state, 1);
+  return best || null;
+}
+
+/**
+ * Find the city/state pairs closest to a city name, ranked by edit distance
+ * Candidates are the cities in the requested state or, if the state is unknown, the cities
+ * in states whose name or code is close to it ("Wisconsinn"); there the confidence is the
+ * city's similarity times the state's, and a state like nothing known gives no suggestions.
+ * @param {D1Database} db - D1 database binding
+ * @param {string} table - us_zipcodes or ca_zipcodes
+ * @param {string} city - City as requested
+ * @param {string} state - State/province code as requested
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Promise<Array<{city: string, state: string, confidence: number}>>}
+ */
+async function findCitySuggestions(db, table, city, state, limit = MAX_CITY_SUGGESTIONS) {
+  const normalizedCity = normalizePlaceName(city);
+  if (!normalizedCity) {
+    return [];
+  }
+  
+  let { results } = await db.prepare(`
+    SELECT DISTINCT place, place_normalized, state_code
+    FROM ${table}
+    WHERE LOWER(state_code) = LOWER(?)
+  `).bind(state).all();
+  let states = new Map();
+  
+  if (results.length === 0) {
+    const country = POSTAL_TABLES.find(item => item.table === table).country.toLowerCase();
+    states = findSimilarRegions(country, state);
+    if (states.size === 0) {
+      return [];
+    }
     
-    return a.display.localeCompare(b.display);
-  });
+    const codes = [...states.keys()];
+    ({ results } = await db.prepare(`
+      SELECT DISTINCT place, place_normalized, state_code
+      FROM ${table}
+      WHERE state_code IN (${codes.map(() => '?').join(', ')})
+    `).bind(...codes).all());
+  }
+  
+  return results
+    .map(item => ({
+      city: item.place,
+      state: item.state_code,
+      confidence: Math.round(
+        stringSimilarity(normalizedCity, item.place_normalized || '') * (states.get(item.state_code) ?? 1) * 100
+      ) / 100
+    }))
+    .filter(item => item.confidence >= FUZZY_MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence || a.city.localeCompare(b.city) || a.state.localeCompare(b.state))
+    .slice(0, limit);
+}
+
+/**
+ * States/provinces whose code, name or abbreviation is close to an unrecognised input
+ * @param {string} country - us or ca
+ * @param {string} input - State/province as requested, e.g. "Wisconsinn"
+ * @returns {Map<string, number>} Code -> similarity of its closest name, for those reaching FUZZY_MIN_CONFIDENCE
+ */
+function findSimilarRegions(country, input) {
+  const key = regionKey(input || '');
+  const similar = new Map();
+  
+  for (const [name, code] of listRegionKeys(country)) {
+    const similarity = stringSimilarity(key, name);
+    if (similarity >= FUZZY_MIN_CONFIDENCE && similarity > (similar.get(code) || 0)) {
+      similar.set(code, similarity);
+    }
+  }
+  
+  return similar;
+}
+
+/**
+ * Similarity of two strings from 0 to 1, based on Levenshtein edit distance
+ */
+function stringSimilarity(a, b) {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) {
+    return 1;
+  }
+  return Math.round((1 - levenshteinDistance(a, b) / maxLength) * 100) / 100;
+}
+
+/**
+ * Levenshtein edit distance (insertions, deletions and substitutions)
+ */
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Find US and Canadian postal codes within a radius of a point
+ * Prefilters with a bounding box in D1, then applies haversine distance
+ * @param {D1Database} db - D1 database binding
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} distance - Search radius
+ * @param {string} unit - Distance unit ('mi' or 'km')
+ * @returns {Promise<Array>} Matching codes sorted by distance
+ */
+async function findPostalCodesWithinRadius(db, latitude, longitude, distance, unit) {
+  const box = getBoundingBox(latitude, longitude, distance, unit);
+  
+  // Only us_zipcodes has a county; CA rows leave it out
+  const queries = POSTAL_TABLES.map(({ country, table }) => 
+    db.prepare(`
+      SELECT zipcode, place, state_code${table === 'us_zipcodes' ? ', county' : ''}, latitude, longitude
+      FROM ${table}
+      WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+    `)
+      .bind(box.minLat, box.maxLat, box.minLon, box.maxLon)
+      .all()
+      .then(({ results }) => results.map(item => ({ ...item, country })))
+  );
+  
+  const rows = (await Promise.all(queries)).flat();
+  
+  return rows
+    .map(item => ({
+      country: item.country,
+      zipcode: item.zipcode,
+      city: item.place,
+      state: item.state_code,
+      county: item.county,
+      latitude: item.latitude,
+      longitude: item.longitude,
+      distance: roundDistance(haversineDistance(latitude, longitude, item.latitude, item.longitude, unit))
+    }))
+    .filter(item => item.distance <= distance)
+    .sort((a, b) => a.distance - b.distance || a.zipcode.localeCompare(b.zipcode));
+}
+
+/**
+ * Detect the country of a postal code from its format and normalize it with validatePostalCodeFormat()
+ * US: ZIP or ZIP+4, reduced to the ZIP. Canada: FSA (A1A) or full postal code (A1A 1A1), reduced to the FSA
+ * @param {string} code - User-supplied postal code
+ * @returns {{country: string, code: string, input: string, normalized: string}|null} Stored code
+ *   (code), the original input and its normalized full form, or null if unrecognized
+ */
+function parsePostalCode(code) {
+  for (const country of ['us', 'ca']) {
+    const validation = validatePostalCodeFormat(country, code || '');
+    if (validation.valid) {
+      return { country: country.toUpperCase(), code: validation.lookup, input: code, normalized: validation.normalized };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Resolve a parsed postal code to a place in the matching country table
+ * When several places share a code, the alphabetically first place is returned
+ * @param {D1Database} db - D1 database binding
+ * @param {{country: string, code: string}} parsed - Result of parsePostalCode()
+ * @returns {Promise<Object|null>} Place row with country, or null if not found
+ */
+async function resolvePostalCode(db, parsed) {
+  const { table } = POSTAL_TABLES.find(({ country }) => country === parsed.country);
+  
+  const result = await db.prepare(`
+    SELECT zipcode, place, state, state_code${table === 'us_zipcodes' ? ', county' : ''}, latitude, longitude
+    FROM ${table}
+    WHERE zipcode = ?
+    ORDER BY place
+    LIMIT 1
+  `).bind(parsed.code).first();
+  
+  return result ? { country: parsed.country, ...result } : null;
+}
+
+/**
+ * Validate and normalize a postal code for a country
+ * @param {string} country - us, ca or mx
+ * @param {string} code - User-entered code
+ * @returns {Object} {valid: false, error} or {valid: true, normalized, format, parts, lookup},
+ *   where lookup is the value stored in the zipcode column (ZIP5, FSA or código postal)
+ */
+function validatePostalCodeFormat(country, code) {
+  const compact = String(code).toUpperCase().replace(/\s/g, '');
+  
+  if (country === 'us') {
+    const match = compact.match(US_ZIP_REGEX);
+    if (!match) {
+      return { valid: false, error: 'Expected a 5-digit ZIP (53105) or ZIP+4 (53105-1234)' };
+    }
+    const [, zip5, plus4] = match;
+    return {
+      valid: true,
+      normalized: plus4 ? `${zip5}-${plus4}` : zip5,
+      format: plus4 ? 'zip+4' : 'zip',
+      parts: { zip5, plus4: plus4 || null, zip3: zip5.slice(0, 3) },
+      lookup: zip5
+    };
+  }
+  
+  if (country === 'ca') {
+    // Also accept the hyphenated form (M5V-3L9)
+    const postalCode = compact.replace(/-/g, '');
+    const match = postalCode.match(CA_POSTAL_REGEX);
+    if (!match) {
+      const error = /^[A-Z]\d[A-Z](\d[A-Z]\d)?$/.test(postalCode)
+        ? 'Contains letters not used in Canadian postal codes (D, F, I, O, Q, U anywhere; W, Z as first letter)'
+        : 'Expected a postal code (A1A 1A1) or FSA (A1A)';
+      return { valid: false, error };
+    }
+    const [, fsa, ldu] = match;
+    return {
+      valid: true,
+      normalized: ldu ? `${fsa} ${ldu}` : fsa,
+      format: ldu ? 'postal_code' : 'fsa',
+      parts: { fsa, ldu: ldu || null },
+      lookup: fsa
+    };
+  }
+  
+  if (!MX_POSTAL_REGEX.test(compact)) {
+    return { valid: false, error: 'Expected a 5-digit código postal (06000)' };
+  }
+  return {
+    valid: true,
+    normalized: compact,
+    format: 'codigo_postal',
+    parts: { prefix: compact.slice(0, 2) },
+    lookup: compact
+  };
+}
+
+/**
+ * Reduce a ZIP+4 or full Canadian postal code typed into autocomplete to the stored code
+ * Also matches partial codes past the stored length ("53105-12", "M5V 3L")
+ * @param {string} country - us or ca
+ * @param {string} query - Autocomplete query
+ * @returns {string|null} ZIP5 or FSA, or null when the query is not longer than a stored code
+ */
+function normalizeCodeQuery(country, query) {
+  const compact = String(query).toUpperCase().replace(/[\s-]/g, '');
+  const match = country === 'us'
+    ? compact.match(/^(\d{5})\d{1,4}$/)
+    : compact.match(/^([A-Z]\d[A-Z])\d(?:[A-Z]\d?)?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check that a latitude/longitude pair is a valid coordinate
+ */
+function isValidCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @param {string} unit - Distance unit ('mi' or 'km')
+ * @returns {number} Distance in the requested unit
+ */
+function haversineDistance(lat1, lon1, lat2, lon2, unit = 'mi') {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  
+  return 2 * EARTH_RADIUS[unit] * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Compute a latitude/longitude bounding box around a point
+ * The box fully contains the circle of the given radius, so it can be used as a prefilter
+ * @returns {{minLat: number, maxLat: number, minLon: number, maxLon: number}}
+ */
+function getBoundingBox(latitude, longitude, distance, unit = 'mi') {
+  const latDelta = (distance / EARTH_RADIUS[unit]) * 180 / Math.PI;
+  const cosLat = Math.cos(latitude * Math.PI / 180);
+  // Near the poles the longitude span degenerates; search all longitudes
+  const lonDelta = cosLat > 0.01 ? latDelta / cosLat : 180;
+  
+  return {
+    minLat: Math.max(latitude - latDelta, -90),
+    maxLat: Math.min(latitude + latDelta, 90),
+    minLon: Math.max(longitude - lonDelta, -180),
+    maxLon: Math.min(longitude + lonDelta, 180)
+  };
+}
+
+/**
+ * Return a lookup result from the isolate's LRU, or load and remember it
+ * Complements the edge cache: different URLs for the same lookup (state name vs code,
+ * ZIP vs ZIP+4, fuzzy vs exact spelling) share an entry, and repeat hits skip D1 within an isolate
+ * @param {string} key - Normalized lookup key, e.g. "us:city:burlington:WI"
+ * @param {Function} load - Runs the query when the key is missing or older than LOOKUP_CACHE_MAX_AGE_MS
+ */
+async function cachedLookup(key, load) {
+  const entry = lookupCache.get(key);
+  if (entry && Date.now() - entry.time < LOOKUP_CACHE_MAX_AGE_MS) {
+    // Move to the most recently used end
+    lookupCache.delete(key);
+    lookupCache.set(key, entry);
+    return entry.value;
+  }
+  
+  const value = await load();
+  lookupCache.delete(key);
+  lookupCache.set(key, { value, time: Date.now() });
+  
+  // Evict the least recently used entry
+  if (lookupCache.size > LOOKUP_CACHE_SIZE) {
+    lookupCache.delete(lookupCache.keys().next().value);
+  }
   
-  return matches;
+  return value;
+}
+
+/**
+ * Round a distance to two decimal places for responses
+ */
+function roundDistance(distance) {
+  return Math.round(distance * 100) / 100;
+}
+
+/**
+ * Decode a URL path parameter, returning an empty string if it is malformed
+ * @param {string} value - Raw path segment
+ * @returns {string} Decoded value
+ */
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return '';
+  }
 }
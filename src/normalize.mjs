@@ -0,0 +1,58 @@
+/**
+ * Place name normalization shared by the Worker and the import scripts
+ *
+ * The import scripts store normalizePlaceName(place) in the *_normalized columns,
+ * and the Worker normalizes user input the same way before querying, so that
+ * "St Louis" / "Saint Louis", "Ste-Foy" / "Sainte-Foy", "Montreal" / "Montréal"
+ * and "Ft Worth" / "Fort Worth" all compare equal.
+ */
+
+// Abbreviations expanded to their full form (whole tokens only)
+const PLACE_ABBREVIATIONS = {
+  st: 'saint',
+  ste: 'sainte',
+  ft: 'fort',
+  mt: 'mount',
+  mtn: 'mountain',
+  pt: 'point',
+  pte: 'pointe',
+  hts: 'heights',
+  spgs: 'springs',
+  spg: 'spring',
+  jct: 'junction',
+  vlg: 'village'
+};
+
+/**
+ * Normalize a place name for comparison
+ * Strips accents, drops apostrophes, turns other punctuation into spaces,
+ * lowercases and expands common abbreviations.
+ * @param {string} name - Place name or user input
+ * @param {Object} options
+ * @param {boolean} options.partial - Input is an autocomplete prefix: leave the last,
+ *   possibly incomplete, token unexpanded so "Ste" can still match "Sterling"
+ * @returns {string} Normalized name
+ */
+export function normalizePlaceName(name, { partial = false } = {}) {
+  const tokens = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  // A trailing separator means the last token is complete
+  const lastIsComplete = !partial || /[^\p{L}\p{N}'’`]$/u.test(String(name || ''));
+
+  return tokens
+    .map((token, i) => {
+      if (i === tokens.length - 1 && !lastIsComplete) {
+        return token;
+      }
+      return Object.hasOwn(PLACE_ABBREVIATIONS, token) ? PLACE_ABBREVIATIONS[token] : token;
+    })
+    .join(' ');
+}
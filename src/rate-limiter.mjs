@@ -0,0 +1,46 @@
+/**
+ * Per-client request counters for the rate limits and daily quotas
+ *
+ * One RateLimiter Durable Object per client (API key or anonymous IP), addressed by
+ * idFromName(client). It keeps fixed one-minute and one-day windows in its own storage,
+ * so counting a request is a single call to the object rather than a write to D1's primary.
+ * The limits themselves are applied by the Worker (see checkRateLimit in index.js).
+ */
+
+import { DurableObject } from 'cloudflare:workers';
+
+// Rate limit windows and their length in seconds
+export const RATE_LIMIT_PERIODS = { minute: 60, day: 86400 };
+
+export class RateLimiter extends DurableObject {
+  /**
+   * Count a request in the current minute and day windows
+   * @returns {Promise<Array<{period: string, start: number, seconds: number, count: number}>>}
+   *   One entry per RATE_LIMIT_PERIODS window, count including this request
+   */
+  async hit() {
+    const now = Math.floor(Date.now() / 1000);
+    const windows = [];
+
+    for (const [period, seconds] of Object.entries(RATE_LIMIT_PERIODS)) {
+      const start = now - (now % seconds);
+      const stored = await this.ctx.storage.get(period);
+      const count = stored && stored.start === start ? stored.count + 1 : 1;
+      await this.ctx.storage.put(period, { start, count });
+      windows.push({ period, start, seconds, count });
+    }
+
+    // First request of the day: clear the counters once the day is over, so clients
+    // that stop calling leave nothing behind
+    const day = windows.find(window => window.period === 'day');
+    if (day.count === 1) {
+      await this.ctx.storage.setAlarm((day.start + day.seconds) * 1000);
+    }
+
+    return windows;
+  }
+
+  async alarm() {
+    await this.ctx.storage.deleteAll();
+  }
+}
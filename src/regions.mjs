@@ -0,0 +1,236 @@
+/**
+ * State and province name resolution
+ *
+ * Lookups query by state_code, so the Worker resolves the state/province a user
+ * typed to its code first: "WI", "Wisconsin", "Wis." and "wisc" all become "WI",
+ * and "Ontario", "Ont.", "Québec", "Que." or "Nouvelle-Écosse" their province code.
+ * Mexican states resolve the same way, so "Nuevo Leon" finds rows stored as "Nuevo León".
+ */
+
+// Names and common abbreviations per code (the code itself is always accepted)
+const US_STATES = {
+  AL: ['Alabama', 'Ala.'],
+  AK: ['Alaska'],
+  AZ: ['Arizona', 'Ariz.'],
+  AR: ['Arkansas', 'Ark.'],
+  CA: ['California', 'Calif.', 'Cal.'],
+  CO: ['Colorado', 'Colo.', 'Col.'],
+  CT: ['Connecticut', 'Conn.'],
+  DE: ['Delaware', 'Del.'],
+  DC: ['District of Columbia', 'D.C.', 'Washington D.C.'],
+  FL: ['Florida', 'Fla.'],
+  GA: ['Georgia'],
+  HI: ['Hawaii'],
+  ID: ['Idaho'],
+  IL: ['Illinois', 'Ill.'],
+  IN: ['Indiana', 'Ind.'],
+  IA: ['Iowa'],
+  KS: ['Kansas', 'Kan.', 'Kans.'],
+  KY: ['Kentucky', 'Ky.'],
+  LA: ['Louisiana'],
+  ME: ['Maine'],
+  MD: ['Maryland'],
+  MA: ['Massachusetts', 'Mass.'],
+  MI: ['Michigan', 'Mich.'],
+  MN: ['Minnesota', 'Minn.'],
+  MS: ['Mississippi', 'Miss.'],
+  MO: ['Missouri'],
+  MT: ['Montana', 'Mont.'],
+  NE: ['Nebraska', 'Neb.', 'Nebr.'],
+  NV: ['Nevada', 'Nev.'],
+  NH: ['New Hampshire'],
+  NJ: ['New Jersey'],
+  NM: ['New Mexico'],
+  NY: ['New York'],
+  NC: ['North Carolina'],
+  ND: ['North Dakota'],
+  OH: ['Ohio'],
+  OK: ['Oklahoma', 'Okla.'],
+  OR: ['Oregon', 'Ore.', 'Oreg.'],
+  PA: ['Pennsylvania', 'Penn.', 'Penna.'],
+  RI: ['Rhode Island'],
+  SC: ['South Carolina'],
+  SD: ['South Dakota'],
+  TN: ['Tennessee', 'Tenn.'],
+  TX: ['Texas', 'Tex.'],
+  UT: ['Utah'],
+  VT: ['Vermont'],
+  VA: ['Virginia'],
+  WA: ['Washington', 'Wash.'],
+  WV: ['West Virginia', 'W.Va.'],
+  WI: ['Wisconsin', 'Wis.', 'Wisc.'],
+  WY: ['Wyoming', 'Wyo.'],
+  AS: ['American Samoa'],
+  FM: ['Federated States of Micronesia', 'Micronesia'],
+  GU: ['Guam'],
+  MH: ['Marshall Islands'],
+  MP: ['Northern Mariana Islands'],
+  PR: ['Puerto Rico'],
+  PW: ['Palau'],
+  VI: ['Virgin Islands', 'U.S. Virgin Islands']
+};
+
+// English and French names, plus former and postal abbreviations
+const CA_PROVINCES = {
+  AB: ['Alberta', 'Alta.'],
+  BC: ['British Columbia', 'Colombie-Britannique', 'C.-B.'],
+  MB: ['Manitoba', 'Man.'],
+  NB: ['New Brunswick', 'Nouveau-Brunswick', 'N.-B.'],
+  NL: ['Newfoundland and Labrador', 'Terre-Neuve-et-Labrador', 'Newfoundland', 'Nfld.', 'NF', 'T.-N.-L.'],
+  NS: ['Nova Scotia', 'Nouvelle-Écosse', 'N.-É.'],
+  NT: ['Northwest Territories', 'Northwest Territory', 'Territoires du Nord-Ouest', 'N.W.T.', 'T.N.-O.'],
+  NU: ['Nunavut', 'Nunavut Territory', 'Nvt.'],
+  ON: ['Ontario', 'Ont.'],
+  PE: ['Prince Edward Island', 'Île-du-Prince-Édouard', 'P.E.I.', 'Î.-P.-É.'],
+  QC: ['Quebec', 'Québec', 'Que.', 'Qué.', 'P.Q.'],
+  SK: ['Saskatchewan', 'Sask.'],
+  YT: ['Yukon', 'Yukon Territory', 'Y.T.', 'Yuk.']
+};
+
+// ISO 3166-2:MX codes (as in mx_zipcodes.state_code), official and common names
+const MX_STATES = {
+  AGU: ['Aguascalientes', 'Ags.'],
+  BCN: ['Baja California', 'B.C.'],
+  BCS: ['Baja California Sur', 'B.C.S.'],
+  CAM: ['Campeche', 'Camp.'],
+  CHP: ['Chiapas', 'Chis.'],
+  CHH: ['Chihuahua', 'Chih.'],
+  CMX: ['Ciudad de México', 'CDMX', 'Distrito Federal', 'D.F.'],
+  COA: ['Coahuila', 'Coahuila de Zaragoza', 'Coah.'],
+  COL: ['Colima', 'Col.'],
+  DUR: ['Durango', 'Dgo.'],
+  GUA: ['Guanajuato', 'Gto.'],
+  GRO: ['Guerrero', 'Gro.'],
+  HID: ['Hidalgo', 'Hgo.'],
+  JAL: ['Jalisco', 'Jal.'],
+  MEX: ['México', 'Estado de México', 'Edomex', 'Méx.'],
+  MIC: ['Michoacán', 'Michoacán de Ocampo', 'Mich.'],
+  MOR: ['Morelos', 'Mor.'],
+  NAY: ['Nayarit', 'Nay.'],
+  NLE: ['Nuevo León', 'N.L.'],
+  OAX: ['Oaxaca', 'Oax.'],
+  PUE: ['Puebla', 'Pue.'],
+  QUE: ['Querétaro', 'Querétaro de Arteaga', 'Qro.'],
+  ROO: ['Quintana Roo', 'Q. Roo'],
+  SLP: ['San Luis Potosí', 'S.L.P.'],
+  SIN: ['Sinaloa', 'Sin.'],
+  SON: ['Sonora', 'Son.'],
+  TAB: ['Tabasco', 'Tab.'],
+  TAM: ['Tamaulipas', 'Tamps.'],
+  TLA: ['Tlaxcala', 'Tlax.'],
+  VER: ['Veracruz', 'Veracruz de Ignacio de la Llave', 'Ver.'],
+  YUC: ['Yucatán', 'Yuc.'],
+  ZAC: ['Zacatecas', 'Zac.']
+};
+
+/**
+ * Reduce a state/province name to a lookup key: no accents, case, spaces or punctuation
+ * @param {string} name
+ * @returns {string}
+ */
+export function regionKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Build a lookup key -> code map from a code -> names table
+ * @param {Object<string, string[]>} regions
+ * @returns {Map<string, string>}
+ */
+function buildRegionIndex(regions) {
+  const index = new Map();
+  for (const [code, names] of Object.entries(regions)) {
+    for (const name of [code, ...names]) {
+      index.set(regionKey(name), code);
+    }
+  }
+  return index;
+}
+
+const REGION_TABLES = {
+  us: US_STATES,
+  ca: CA_PROVINCES,
+  mx: MX_STATES
+};
+
+const REGION_INDEXES = Object.fromEntries(
+  Object.entries(REGION_TABLES).map(([country, regions]) => [country, buildRegionIndex(regions)])
+);
+
+/**
+ * Resolve a state/province code, name or abbreviation to its code
+ * @param {string} country - us, ca or mx (other countries are returned unchanged)
+ * @param {string} input - State/province as given by the user
+ * @returns {string} The code (e.g. "WI", "QC") if recognised, otherwise the input unchanged,
+ *   so unknown values still reach the query and produce the usual 404
+ */
+export function resolveRegionCode(country, input) {
+  const index = REGION_INDEXES[country];
+  if (!index || !input) {
+    return input;
+  }
+  return index.get(regionKey(input)) || input;
+}
+
+/**
+ * Resolve a state/province code, name or abbreviation to both its code and its name
+ * @param {string|null} country - us, ca or mx; null tries each in turn (their codes don't overlap)
+ * @param {string} input - e.g. "WI", "Wisconsin", "QC" or "Jalisco"
+ * @returns {{code: string, name: string}|null} e.g. {code: 'WI', name: 'Wisconsin'}, or null if not recognised
+ */
+export function describeRegion(country, input) {
+  const countries = country ? [country] : Object.keys(REGION_TABLES);
+
+  // Codes first: an abbreviation in one country can be a code in another ("Col." / COL)
+  const upper = String(input).toUpperCase();
+  const byCode = countries.find(candidate => REGION_TABLES[candidate] && Object.hasOwn(REGION_TABLES[candidate], upper));
+  if (byCode) {
+    return { code: upper, name: REGION_TABLES[byCode][upper][0] };
+  }
+
+  for (const candidate of countries) {
+    const code = REGION_INDEXES[candidate] && REGION_INDEXES[candidate].get(regionKey(input));
+    if (code) {
+      return { code, name: REGION_TABLES[candidate][code][0] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Every lookup key of a country's states/provinces with its code, for fuzzy matching
+ * @param {string} country - us, ca or mx
+ * @returns {Array<[string, string]>} [key, code] pairs, e.g. ['wisconsin', 'WI'] and ['wis', 'WI']
+ */
+export function listRegionKeys(country) {
+  return [...(REGION_INDEXES[country] || [])];
+}
+
+/**
+ * Find the codes of every state/province whose code, name or abbreviation contains the input,
+ * for autocomplete, where the input is partial
+ * @param {string} country - us, ca or mx
+ * @param {string} input - Partial state/province as typed, e.g. "leon" or "nuevo le"
+ * @param {Object} options
+ * @param {boolean} options.prefix - Only match names that start with the input
+ * @returns {string[]} Matching codes, empty when nothing (or an empty input) matches
+ */
+export function matchRegionCodes(country, input, { prefix = false } = {}) {
+  const index = REGION_INDEXES[country];
+  const key = regionKey(input || '');
+  if (!index || !key) {
+    return [];
+  }
+
+  const codes = new Set();
+  for (const [name, code] of index) {
+    if (prefix ? name.startsWith(key) : name.includes(key)) {
+      codes.add(code);
+    }
+  }
+  return [...codes];
+}
@@ -0,0 +1,4 @@
+import { applyD1Migrations, env } from 'cloudflare:test';
+
+// Seed the local D1 database before each test file (migrations are listed in vitest.config.mjs)
+await applyD1Migrations(env.DB, env.TEST_MIGRATIONS);
@@ -0,0 +1,123 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fetchWorker } from './helpers.js';
+import zipcodesMX from './fixtures/zipcodes.mx.json';
+
+async function autocomplete(path, bindings) {
+  const response = await fetchWorker(path, {}, bindings);
+  expect(response.status).toBe(200);
+  return response.json();
+}
+
+describe('GET /api/autocomplete/us', () => {
+  it('matches ZIP prefixes for numeric queries', async () => {
+    const body = await autocomplete('/api/autocomplete/us?q=531');
+    
+    expect(body.results.map(result => result.type)).toEqual(['zipcode', 'zipcode', 'zipcode']);
+    expect(body.results.map(result => result.value)).toEqual(['53105', '53139', '53140']);
+  });
+  
+  it('searches ZIP+4 queries by their ZIP', async () => {
+    const body = await autocomplete('/api/autocomplete/us?q=53105-1234');
+    
+    expect(body.normalized).toBe('53105');
+    expect(body.results).toHaveLength(1);
+    expect(body.results[0]).toMatchObject({ city: 'Burlington', state: 'WI', zipcode: '53105' });
+  });
+  
+  it('narrows "City, State" queries to the state', async () => {
+    const body = await autocomplete('/api/autocomplete/us?q=Burlington,%20Wisconsin');
+    
+    expect(body.results).toHaveLength(1);
+    expect(body.results[0]).toMatchObject({ type: 'city', display: 'Burlington, WI', zipcode: '53105' });
+  });
+  
+  it('matches city name prefixes for plain queries', async () => {
+    const body = await autocomplete('/api/autocomplete/us?q=burl');
+    
+    expect(body.results.map(result => result.display)).toEqual(['Burlington, NC', 'Burlington, VT', 'Burlington, WI']);
+  });
+  
+  it('returns 400 for short queries and unknown modes', async () => {
+    expect((await fetchWorker('/api/autocomplete/us?q=bu')).status).toBe(400);
+    expect((await fetchWorker('/api/autocomplete/us?q=burl&mode=bogus')).status).toBe(400);
+  });
+});
+
+describe('GET /api/autocomplete/ca', () => {
+  it('matches FSAs for postal code queries, including full postal codes', async () => {
+    const fsa = await autocomplete('/api/autocomplete/ca?q=L4N');
+    const full = await autocomplete('/api/autocomplete/ca?q=M5A%201A1');
+    
+    expect(fsa.results).toEqual([expect.objectContaining({ type: 'zipcode', value: 'L4N', city: 'Barrie' })]);
+    expect(full.normalized).toBe('M5A');
+    expect(full.results[0]).toMatchObject({ value: 'M5A', city: 'Toronto' });
+  });
+  
+  it('narrows "City, Province" queries to the province', async () => {
+    const body = await autocomplete('/api/autocomplete/ca?q=Toronto,%20Ontario');
+    
+    expect(body.results).toEqual([expect.objectContaining({ type: 'city', display: 'Toronto, ON' })]);
+  });
+  
+  it('matches city name prefixes for plain queries', async () => {
+    const body = await autocomplete('/api/autocomplete/ca?q=bar');
+    
+    expect(body.results).toEqual([expect.objectContaining({ type: 'city', display: 'Barrie, ON', zipcode: 'L4M' })]);
+  });
+});
+
+describe('GET /api/autocomplete/mx', () => {
+  it('matches postal codes and municipios from D1', async () => {
+    const codes = await autocomplete('/api/autocomplete/mx?q=200');
+    const names = await autocomplete('/api/autocomplete/mx?q=guad');
+    
+    expect(codes.results.map(result => result.value)).toEqual(['20000', '20010']);
+    expect(names.results.map(result => result.type)).toEqual(['city', 'colonia']);
+  });
+  
+  it('matches state names without their accents', async () => {
+    const states = await autocomplete('/api/autocomplete/mx?q=leon');
+    const narrowed = await autocomplete('/api/autocomplete/mx?q=monterrey,%20nuevo%20le');
+    
+    expect(states.results).toEqual([expect.objectContaining({ type: 'state', state: 'Nuevo León', state_code: 'NLE' })]);
+    expect(narrowed.results.map(result => result.display)).toEqual(['Monterrey, Nuevo León', 'Monterrey Centro, Monterrey, Nuevo León']);
+  });
+  
+  it('serves the legacy R2 dataset with MX_DATA_SOURCE = "r2"', async () => {
+    const bucket = {
+      get: vi.fn(async () => ({ json: async () => zipcodesMX }))
+    };
+    const bindings = { MX_DATA_SOURCE: 'r2', ZIP_DATA: bucket };
+    
+    const codes = await autocomplete('/api/autocomplete/mx?q=441', bindings);
+    const states = await autocomplete('/api/autocomplete/mx?q=leon', bindings);
+    
+    expect(codes.results).toEqual([expect.objectContaining({ type: 'zipcode', value: '44100', state: 'Jalisco' })]);
+    expect(states.results).toEqual([expect.objectContaining({ type: 'state', state: 'Nuevo León', state_code: 'NLE' })]);
+    // The dataset is downloaded once and kept in isolate memory
+    expect(bucket.get).toHaveBeenCalledTimes(1);
+    expect(bucket.get).toHaveBeenCalledWith('zipcodes.mx.json');
+  });
+});
+
+describe('GET /api/autocomplete', () => {
+  it('merges results across countries', async () => {
+    const body = await autocomplete('/api/autocomplete?q=burl');
+    
+    expect(body.countries).toEqual(['us', 'ca', 'mx']);
+    expect(body.results.map(result => result.country)).toEqual(['US', 'CA', 'US', 'US']);
+  });
+  
+  it('only searches the requested countries', async () => {
+    const body = await autocomplete('/api/autocomplete?q=burl&countries=ca');
+    
+    expect(body.results).toEqual([expect.objectContaining({ display: 'Burlington, ON', country: 'CA' })]);
+  });
+  
+  it('returns 400 for unknown countries', async () => {
+    const response = await fetchWorker('/api/autocomplete?q=burl&countries=zz');
+    
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ error: 'Invalid countries or mode' });
+  });
+});
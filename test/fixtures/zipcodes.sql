@@ -0,0 +1,30 @@
+-- Fixture rows for the test suite, loaded after schema.sql and before search_index.sql
+-- (see vitest.config.mjs). place_normalized / municipality_normalized are src/normalize.mjs output.
+
+INSERT INTO us_zipcodes (zipcode, place, state, state_code, county, latitude, longitude, place_normalized) VALUES
+  ('53105', 'Burlington', 'Wisconsin', 'WI', 'Racine', 42.6780, -88.2760, 'burlington'),
+  ('53139', 'Kansasville', 'Wisconsin', 'WI', 'Racine', 42.6887, -88.1168, 'kansasville'),
+  ('53402', 'Racine', 'Wisconsin', 'WI', 'Racine', 42.7726, -87.7960, 'racine'),
+  ('53403', 'Racine', 'Wisconsin', 'WI', 'Racine', 42.7062, -87.8011, 'racine'),
+  ('53140', 'Kenosha', 'Wisconsin', 'WI', 'Kenosha', 42.6222, -87.8301, 'kenosha'),
+  ('05401', 'Burlington', 'Vermont', 'VT', 'Chittenden', 44.4840, -73.2199, 'burlington'),
+  ('27215', 'Burlington', 'North Carolina', 'NC', 'Alamance', 36.0307, -79.4851, 'burlington'),
+  ('60601', 'Chicago', 'Illinois', 'IL', 'Cook', 41.8858, -87.6181, 'chicago'),
+  ('60602', 'Chicago', 'Illinois', 'IL', 'Cook', 41.8829, -87.6321, 'chicago'),
+  ('60603', 'Chicago', 'Illinois', 'IL', 'Cook', 41.8798, -87.6285, 'chicago'),
+  ('63101', 'Saint Louis', 'Missouri', 'MO', 'Saint Louis City', 38.6345, -90.1914, 'saint louis');
+
+INSERT INTO ca_zipcodes (zipcode, place, state, state_code, latitude, longitude, place_normalized) VALUES
+  ('M5A', 'Toronto', 'Ontario', 'ON', 43.6555, -79.3626, 'toronto'),
+  ('M5B', 'Toronto', 'Ontario', 'ON', 43.6572, -79.3783, 'toronto'),
+  ('L4M', 'Barrie', 'Ontario', 'ON', 44.4001, -79.6663, 'barrie'),
+  ('L4N', 'Barrie', 'Ontario', 'ON', 44.3559, -79.6934, 'barrie'),
+  ('L7N', 'Burlington', 'Ontario', 'ON', 43.3524, -79.7981, 'burlington'),
+  ('H2X', 'Montréal', 'Quebec', 'QC', 45.5118, -73.5667, 'montreal');
+
+INSERT INTO mx_zipcodes (zipcode, place, municipality, state, state_code, latitude, longitude, place_normalized, municipality_normalized) VALUES
+  ('06000', 'Centro', 'Cuauhtémoc', 'Ciudad de México', 'CMX', 19.4326, -99.1332, 'centro', 'cuauhtemoc'),
+  ('20000', 'Zona Centro', 'Aguascalientes', 'Aguascalientes', 'AGU', 21.8823, -102.2960, 'zona centro', 'aguascalientes'),
+  ('20010', 'Colinas del Rio', 'Aguascalientes', 'Aguascalientes', 'AGU', 21.8853, -102.3232, 'colinas del rio', 'aguascalientes'),
+  ('44100', 'Guadalajara Centro', 'Guadalajara', 'Jalisco', 'JAL', 20.6767, -103.3475, 'guadalajara centro', 'guadalajara'),
+  ('64000', 'Monterrey Centro', 'Monterrey', 'Nuevo León', 'NLE', 25.6714, -100.3089, 'monterrey centro', 'monterrey');
@@ -0,0 +1,24 @@
+import { createExecutionContext, env, waitOnExecutionContext } from 'cloudflare:test';
+import worker from '../src/index.js';
+
+// D1 stand-in whose queries all fail, for the 500 paths
+export const failingDB = {
+  prepare() {
+    throw new Error('D1_ERROR: database unavailable');
+  }
+};
+
+/**
+ * Send a request through the Worker's fetch handler and wait for its waitUntil() work
+ * @param {string} path - Path and query, e.g. /api/us?city=Burlington&state=WI
+ * @param {RequestInit} init - Request options (method, headers, body)
+ * @param {Object} bindings - Bindings added to or replacing the test env, e.g. { DB: failingDB }
+ * @returns {Promise<Response>}
+ */
+export async function fetchWorker(path, init = {}, bindings = {}) {
+  const ctx = createExecutionContext();
+  const request = new Request(`https://zipcity.iwpi.com${path}`, init);
+  const response = await worker.fetch(request, { ...env, ...bindings }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
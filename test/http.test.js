@@ -0,0 +1,259 @@
+import { describe, expect, it, vi } from 'vitest';
+import { failingDB, fetchWorker } from './helpers.js';
+
+describe('CORS', () => {
+  it('answers preflight requests', async () => {
+    const response = await fetchWorker('/api/us', { method: 'OPTIONS' });
+    
+    expect(response.status).toBe(204);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    expect(response.headers.get('Access-Control-Allow-Methods')).toBe('GET, POST, OPTIONS');
+    expect(response.headers.get('Access-Control-Allow-Headers')).toContain('X-API-Key');
+  });
+  
+  it('adds CORS headers to successful and error responses', async () => {
+    const ok = await fetchWorker('/api/us?city=Burlington&state=WI');
+    const notFound = await fetchWorker('/api/nope');
+    
+    expect(ok.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    expect(notFound.headers.get('Access-Control-Allow-Origin')).toBe('*');
+  });
+});
+
+describe('routing', () => {
+  it('returns 404 with the available endpoints for unknown paths', async () => {
+    const response = await fetchWorker('/api/usa?city=Burlington&state=WI');
+    const body = await response.json();
+    
+    expect(response.status).toBe(404);
+    expect(body.error).toBe('Not found');
+    expect(body.available_endpoints).toContain('/api/us/zip/<zipcode>');
+    expect(body.available_endpoints).toContain('POST /api/batch');
+  });
+  
+  it('returns 405 with an Allow header for the wrong method', async () => {
+    const response = await fetchWorker('/api/us?city=Burlington&state=WI', { method: 'POST' });
+    
+    expect(response.status).toBe(405);
+    expect(response.headers.get('Allow')).toBe('GET, HEAD, OPTIONS');
+    expect(await response.json()).toEqual({ error: 'Method not allowed', allowed: ['GET', 'HEAD'] });
+  });
+  
+  it('answers HEAD like GET, without a body', async () => {
+    const response = await fetchWorker('/api/us/zip/53105', { method: 'HEAD' });
+    
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('application/json');
+    expect(await response.text()).toBe('');
+  });
+  
+  it('marks unversioned routes as deprecated aliases of /api/v1', async () => {
+    const response = await fetchWorker('/api/us/zip/53105');
+    
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Deprecation')).toBe('true');
+    expect(response.headers.get('Link')).toBe('</api/v1/us/zip/53105>; rel="successor-version"');
+  });
+});
+
+describe('/api/v1 envelope', () => {
+  it('wraps results with country-neutral field names', async () => {
+    const response = await fetchWorker('/api/v1/ca?city=Toronto&province=ON');
+    
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      data: { city: 'Toronto', region: 'Ontario', region_code: 'ON', postal_code: 'M5A' },
+      meta: { api_version: 'v1' },
+      error: null
+    });
+  });
+  
+  it('always returns the region name with its code', async () => {
+    const city = await (await fetchWorker('/api/v1/us?city=Burlington&state=WI')).json();
+    const zip = await (await fetchWorker('/api/v1/us/zip/53105')).json();
+    
+    expect(city.data).toMatchObject({ region: 'Wisconsin', region_code: 'WI' });
+    expect(zip.data.places[0]).toMatchObject({ region: 'Wisconsin', region_code: 'WI' });
+  });
+  
+  it('returns stable error codes', async () => {
+    const missing = await fetchWorker('/api/v1/us?city=Burlington');
+    const notFound = await fetchWorker('/api/v1/us/zip/00000');
+    
+    expect(missing.status).toBe(400);
+    expect((await missing.json()).error).toEqual({ code: 'missing_parameter', message: 'Missing required parameters' });
+    expect(notFound.status).toBe(404);
+    expect((await notFound.json()).error.code).toBe('not_found');
+  });
+  
+  it('tells missing parameters from invalid ones', async () => {
+    const missing = await (await fetchWorker('/api/v1/radius?zip=53105')).json();
+    const invalid = await (await fetchWorker('/api/v1/radius?zip=53105&distance=-1')).json();
+    
+    expect(missing.error.code).toBe('missing_parameter');
+    expect(invalid.error.code).toBe('invalid_parameter');
+  });
+  
+  it('validates query parameters against the route table', async () => {
+    const unit = await fetchWorker('/api/v1/radius?zip=53105&distance=25&unit=furlongs');
+    const lat = await fetchWorker('/api/v1/nearest?lat=abc&lon=-88.276');
+    
+    expect(unit.status).toBe(400);
+    expect((await unit.json()).error).toMatchObject({ code: 'invalid_parameter', message: expect.stringContaining('"unit"') });
+    expect(lat.status).toBe(400);
+    expect((await lat.json()).error).toMatchObject({ code: 'invalid_parameter', message: expect.stringContaining('"lat"') });
+  });
+  
+  it('matches allowed values case-insensitively, as the handlers do', async () => {
+    const response = await fetchWorker('/api/v1/autocomplete/us?q=burl&mode=FTS');
+    
+    expect(response.status).toBe(200);
+  });
+  
+  it('keeps the lenient parsing of the unversioned aliases', async () => {
+    const text = await fetchWorker('/api/autocomplete/us?q=burl&limit=abc');
+    const zero = await fetchWorker('/api/autocomplete/us?q=burl&limit=0');
+    const all = await fetchWorker('/api/us?city=Burlington&state=WI&all=1');
+    
+    expect(text.status).toBe(200);
+    expect(zero.status).toBe(200);
+    expect(all.status).toBe(200);
+    expect((await text.json()).results).toHaveLength(3);
+  });
+  
+  it('leaves the code out of unversioned error responses', async () => {
+    const response = await fetchWorker('/api/radius?zip=53105&distance=-1');
+    
+    expect(response.status).toBe(400);
+    expect(await response.json()).not.toHaveProperty('code');
+  });
+  
+  it('keeps error for failures, returning why a code is invalid as reason', async () => {
+    const response = await fetchWorker('/api/v1/validate?country=ca&code=W5V3L9');
+    const body = await response.json();
+    
+    expect(response.status).toBe(200);
+    expect(body.error).toBeNull();
+    expect(body.data).toMatchObject({ valid: false, reason: expect.any(String) });
+    expect(body.data).not.toHaveProperty('error');
+  });
+  
+  it('does not expose internal error details', async () => {
+    const response = await fetchWorker('/api/v1/us?city=Racine&state=WI', {}, { DB: failingDB });
+    const body = await response.json();
+    
+    expect(response.status).toBe(500);
+    expect(body).toEqual({
+      data: null,
+      meta: { api_version: 'v1' },
+      error: { code: 'internal_error', message: 'Failed to query zipcode data' }
+    });
+  });
+});
+
+describe('edge cache', () => {
+  // A DATA_VERSION of its own gives each test empty cache entries
+  it('misses, then hits, with the same ETag', async () => {
+    const bindings = { DATA_VERSION: 'cache-hit' };
+    const miss = await fetchWorker('/api/us/zip/53105', {}, bindings);
+    const hit = await fetchWorker('/api/us/zip/53105', {}, bindings);
+    
+    expect(miss.headers.get('X-Cache')).toBe('MISS');
+    expect(miss.headers.get('Cache-Control')).toBe('public, max-age=86400');
+    expect(miss.headers.get('ETag')).toMatch(/^"[0-9a-f]{40}"$/);
+    expect(hit.headers.get('X-Cache')).toBe('HIT');
+    expect(hit.headers.get('ETag')).toBe(miss.headers.get('ETag'));
+    expect(await hit.json()).toEqual(await miss.json());
+  });
+  
+  it('answers a matching If-None-Match with 304', async () => {
+    const bindings = { DATA_VERSION: 'cache-304' };
+    const { headers } = await fetchWorker('/api/us/zip/53105', {}, bindings);
+    const response = await fetchWorker('/api/us/zip/53105', { headers: { 'If-None-Match': headers.get('ETag') } }, bindings);
+    const changed = await fetchWorker('/api/us/zip/53105', { headers: { 'If-None-Match': '"stale"' } }, bindings);
+    
+    expect(response.status).toBe(304);
+    expect(response.headers.get('ETag')).toBe(headers.get('ETag'));
+    expect(await response.text()).toBe('');
+    expect(changed.status).toBe(200);
+  });
+  
+  it('does not cache error responses', async () => {
+    const bindings = { DATA_VERSION: 'cache-errors' };
+    await fetchWorker('/api/us/zip/00000', {}, bindings);
+    const response = await fetchWorker('/api/us/zip/00000', {}, bindings);
+    
+    expect(response.status).toBe(404);
+    expect(response.headers.has('X-Cache')).toBe(false);
+    expect(response.headers.has('ETag')).toBe(false);
+  });
+  
+  it('tags /api/v1 and unversioned responses with the ETag of their own body', async () => {
+    const bindings = { DATA_VERSION: 'cache-v1' };
+    const legacy = await fetchWorker('/api/us/zip/53105', {}, bindings);
+    const v1 = await fetchWorker('/api/v1/us/zip/53105', {}, bindings);
+    const v1Hit = await fetchWorker('/api/v1/us/zip/53105', { headers: { 'If-None-Match': legacy.headers.get('ETag') } }, bindings);
+    
+    expect(v1.headers.get('ETag')).not.toBe(legacy.headers.get('ETag'));
+    expect(v1Hit.status).toBe(200);
+    expect(v1Hit.headers.get('X-Cache')).toBe('HIT');
+    expect(v1Hit.headers.get('ETag')).toBe(v1.headers.get('ETag'));
+    expect((await v1Hit.json()).meta).toMatchObject({ api_version: 'v1' });
+  });
+});
+
+describe('rate limits', () => {
+  it('count cached responses and answer 429 over the limit', async () => {
+    const init = { headers: { 'CF-Connecting-IP': '192.0.2.1' } };
+    const bindings = { RATE_LIMITS: { anonymous: { per_minute: 2, per_day: 100 } } };
+    
+    const first = await fetchWorker('/api/us/zip/53105', init, bindings);
+    const second = await fetchWorker('/api/us/zip/53105', init, bindings);
+    const third = await fetchWorker('/api/us/zip/53105', init, bindings);
+    
+    expect(first.headers.get('X-RateLimit-Remaining')).toBe('1');
+    expect(second.headers.get('X-RateLimit-Remaining')).toBe('0');
+    expect(third.status).toBe(429);
+    expect(await third.json()).toMatchObject({ error: 'Rate limit exceeded', limit: 2, period: 'minute' });
+  });
+  
+  it('let requests through when the counters are unavailable, logging the failure', async () => {
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const failingLimiter = {
+      idFromName: name => name,
+      get: () => ({ hit: async () => { throw new Error('Durable Object reset'); } })
+    };
+    
+    const unbound = await fetchWorker('/api/us/zip/53105', {}, { RATE_LIMITER: undefined });
+    const failing = await fetchWorker('/api/us/zip/53105', {}, { RATE_LIMITER: failingLimiter });
+    
+    expect(unbound.status).toBe(200);
+    expect(unbound.headers.has('X-RateLimit-Limit')).toBe(false);
+    expect(failing.status).toBe(200);
+    expect(failing.headers.has('X-RateLimit-Limit')).toBe(false);
+    expect(logged).toHaveBeenCalledWith('Rate limiting unavailable, request not counted:', 'Durable Object reset');
+    logged.mockRestore();
+  });
+});
+
+describe('GET /api/openapi.json', () => {
+  it('describes the /api/v1 routes', async () => {
+    const response = await fetchWorker('/api/openapi.json');
+    const spec = await response.json();
+    
+    expect(response.status).toBe(200);
+    expect(spec.openapi).toBe('3.1.0');
+    expect(spec.paths['/api/v1/us/zip/{zipcode}'].get.parameters[0]).toMatchObject({ name: 'zipcode', in: 'path' });
+    expect(spec.paths['/api/us'].get.deprecated).toBe(true);
+  });
+});
+
+describe('GET /api/docs', () => {
+  it('serves the docs page under /api/, where the custom domain routes to the Worker', async () => {
+    const response = await fetchWorker('/api/docs');
+    
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('text/html');
+    expect(await response.text()).toContain('/api/openapi.json');
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, expect, it } from 'vitest';
+import { failingDB, fetchWorker } from './helpers.js';
+
+describe('GET /api/us', () => {
+  it('returns the ZIP for a city and state', async () => {
+    const response = await fetchWorker('/api/us?city=Burlington&state=WI');
+    
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ city: 'Burlington', state: 'WI', county: 'Racine', zip: '53105' });
+  });
+  
+  it('accepts state names and abbreviated city names', async () => {
+    const response = await fetchWorker('/api/us?city=St%20Louis&state=Missouri');
+    
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ city: 'Saint Louis', state: 'MO', zip: '63101' });
+  });
+  
+  it('returns every ZIP for the city with all=true', async () => {
+    const response = await fetchWorker('/api/us?city=Chicago&state=IL&all=true');
+    const body = await response.json();
+    
+    expect(response.status).toBe(200);
+    expect(body.primary).toBe('60601');
+    expect(body.zips.map(item => item.zip)).toEqual(['60601', '60602', '60603']);
+    expect(body.count).toBe(3);
+  });
+  
+  it('returns 400 when a parameter is missing', async () => {
+    const response = await fetchWorker('/api/us?city=Burlington');
+    
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ error: 'Missing required parameters', required: ['city', 'state'] });
+  });
+  
+  it('returns 404 with suggestions for an unknown city', async () => {
+    const response = await fetchWorker('/api/us?city=Burlingtn&state=WI');
+    const body = await response.json();
+    
+    expect(response.status).toBe(404);
+    expect(body.error).toBe('Not found');
+    expect(body.suggestions[0]).toMatchObject({ city: 'Burlington', state: 'WI' });
+  });
+  
+  it('suggests cities from states close to an unknown one, scored by both', async () => {
+    const typo = await (await fetchWorker('/api/us?city=Burlington&state=Wisconsinn')).json();
+    const unknown = await (await fetchWorker('/api/us?city=Burlington&state=Atlantis')).json();
+    
+    expect(typo.suggestions).toEqual([{ city: 'Burlington', state: 'WI', confidence: 0.9 }]);
+    expect(unknown.suggestions).toEqual([]);
+  });
+  
+  it('returns 500 when the database binding is missing', async () => {
+    const response = await fetchWorker('/api/us?city=Kenosha&state=WI', {}, { DB: undefined });
+    
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({
+      error: 'Failed to query zipcode data',
+      details: 'Database binding not available'
+    });
+  });
+});
+
+describe('GET /api/ca', () => {
+  it('returns the postal code for a city and province', async () => {
+    const response = await fetchWorker('/api/ca?city=Toronto&province=ON');
+    
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ city: 'Toronto', province: 'ON', postal_code: 'M5A' });
+  });
+  
+  it('accepts province names and unaccented city names', async () => {
+    const response = await fetchWorker('/api/ca?city=Montreal&province=Quebec');
+    
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ city: 'Montréal', province: 'QC', postal_code: 'H2X' });
+  });
+  
+  it('returns every postal code for the city with all=true', async () => {
+    const response = await fetchWorker('/api/ca?city=Barrie&province=ON&all=true');
+    const body = await response.json();
+    
+    expect(response.status).toBe(200);
+    expect(body.primary).toBe('L4M');
+    expect(body.postal_codes.map(item => item.postal_code)).toEqual(['L4M', 'L4N']);
+  });
+  
+  it('returns 400 when a parameter is missing', async () => {
+    const response = await fetchWorker('/api/ca?city=Toronto');
+    
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ required: ['city', 'province'] });
+  });
+  
+  it('returns 404 for an unknown city', async () => {
+    const response = await fetchWorker('/api/ca?city=Nowhere&province=ON');
+    
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ error: 'Not found', suggestions: [] });
+  });
+  
+  it('returns 500 when the database query fails', async () => {
+    const response = await fetchWorker('/api/ca?city=Barrie&province=ON', {}, { DB: failingDB });
+    
+    expect(response.status).toBe(500);
+    expect(await response.json()).toMatchObject({ error: 'Failed to query postal code data' });
+  });
+});
+
+describe('GET /api/mx', () => {
+  it('accepts unaccented state names and abbreviations', async () => {
+    const name = await fetchWorker('/api/mx?city=Monterrey&state=Nuevo%20Leon');
+    const abbreviation = await fetchWorker('/api/mx?city=Monterrey&state=N.L.');
+    
+    expect(name.status).toBe(200);
+    expect(await name.json()).toMatchObject({ city: 'Monterrey', state: 'Nuevo León', state_code: 'NLE', primary: '64000' });
+    expect(abbreviation.status).toBe(200);
+  });
+  
+  it('returns 404 for a city in another state', async () => {
+    const response = await fetchWorker('/api/mx?city=Monterrey&state=Jalisco');
+    
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('POST /api/batch', () => {
+  it('reports invalid items individually', async () => {
+    const response = await fetchWorker('/api/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify([
+        { country: 'us', city: 'Burlington', state: 'WI' },
+        { country: 'us', city: 'Burlington', state: { a: 1 } }
+      ])
+    });
+    const body = await response.json();
+    
+    expect(response.status).toBe(200);
+    expect(body.results[0]).toMatchObject({ index: 0, status: 200, result: { zip: '53105' } });
+    expect(body.results[1]).toEqual({ index: 1, status: 400, error: 'Invalid state, expected a string' });
+  });
+});
+
+describe('POST /api/verify', () => {
+  it('returns 400 for non-string fields', async () => {
+    const response = await fetchWorker('/api/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ country: 'us', city: 'Burlington', state: { a: 1 }, zip: '53105' })
+    });
+    
+    expect(response.status).toBe(400);
+    expect(await response.json()).not.toHaveProperty('details');
+  });
+});
+
+describe('radius, nearest and distance', () => {
+  it('include the county of US codes', async () => {
+    const radius = await (await fetchWorker('/api/radius?zip=53105&distance=1')).json();
+    const nearest = await (await fetchWorker('/api/nearest?lat=42.678&lon=-88.276&limit=1')).json();
+    const distance = await (await fetchWorker('/api/distance?from=53105&to=M5A')).json();
+    
+    expect(radius.results[0]).toMatchObject({ zipcode: '53105', county: 'Racine' });
+    expect(nearest.results[0]).toMatchObject({ zipcode: '53105', county: 'Racine' });
+    expect(distance.from).toMatchObject({ zipcode: '53105', county: 'Racine' });
+    expect(distance.to).not.toHaveProperty('county');
+  });
+  
+  it('rejects radius and nearest limits below 1', async () => {
+    const radius = await fetchWorker('/api/v1/radius?zip=53105&distance=50&limit=-5');
+    const nearest = await fetchWorker('/api/v1/nearest?lat=42.678&lon=-88.276&limit=0');
+    
+    expect(radius.status).toBe(400);
+    expect((await radius.json()).error).toEqual({
+      code: 'invalid_parameter',
+      message: 'Invalid parameter "limit", expected an integer of at least 1'
+    });
+    expect(nearest.status).toBe(400);
+    expect((await nearest.json()).error.code).toBe('invalid_parameter');
+  });
+  
+  it('clamps limits below 1 to 1 on the unversioned aliases', async () => {
+    const radius = await fetchWorker('/api/radius?zip=53105&distance=50&limit=-5');
+    const nearest = await fetchWorker('/api/nearest?lat=42.678&lon=-88.276&limit=-3');
+    
+    expect(radius.status).toBe(200);
+    expect((await radius.json()).results).toHaveLength(1);
+    expect(nearest.status).toBe(200);
+    expect((await nearest.json()).results).toHaveLength(1);
+  });
+  
+  it('caps radius and nearest limits at their maximum', async () => {
+    const radius = await fetchWorker('/api/radius?zip=53105&distance=50&limit=100000');
+    const nearest = await fetchWorker('/api/nearest?lat=42.678&lon=-88.276&limit=100000');
+    
+    expect(radius.status).toBe(200);
+    expect(nearest.status).toBe(200);
+  });
+});
+
+describe('postal code parsing', () => {
+  it('rejects the same Canadian codes on every endpoint', async () => {
+    const validate = await (await fetchWorker('/api/validate?country=ca&code=W5V3L9')).json();
+    const reverse = await fetchWorker('/api/ca/postal/W5V3L9');
+    const distance = await fetchWorker('/api/distance?from=53105&to=W5V3L9');
+    const batch = await (await fetchWorker('/api/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify([{ country: 'ca', zip: 'W5V3L9' }])
+    })).json();
+    
+    expect(validate.valid).toBe(false);
+    expect(reverse.status).toBe(400);
+    expect(distance.status).toBe(400);
+    expect(batch.results[0].status).toBe(400);
+  });
+  
+  it('accepts hyphenated Canadian codes', async () => {
+    const validate = await (await fetchWorker('/api/validate?country=ca&code=M5A-1A1')).json();
+    const reverse = await fetchWorker('/api/ca/postal/M5A-1A1');
+    
+    expect(validate).toMatchObject({ valid: true, normalized: 'M5A 1A1' });
+    expect(reverse.status).toBe(200);
+  });
+});
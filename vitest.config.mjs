@@ -0,0 +1,34 @@
+import { fileURLToPath } from 'node:url';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
+
+const root = fileURLToPath(new URL('.', import.meta.url));
+
+export default defineWorkersConfig(async () => {
+  // The local D1 database is seeded with schema.sql, the fixture rows in test/fixtures,
+  // then search_index.sql, in that order (see test/apply-migrations.js)
+  const rootMigrations = await readD1Migrations(root);
+  const rootMigration = name => rootMigrations.find(migration => migration.name === name);
+  const migrations = [
+    rootMigration('schema.sql'),
+    ...await readD1Migrations(`${root}test/fixtures`),
+    rootMigration('search_index.sql')
+  ];
+  
+  return {
+    test: {
+      setupFiles: ['./test/apply-migrations.js'],
+      poolOptions: {
+        workers: {
+          wrangler: { configPath: './wrangler.toml' },
+          miniflare: {
+            bindings: {
+              TEST_MIGRATIONS: migrations,
+              // Every request comes from the same anonymous client; keep it under its limits
+              RATE_LIMITS: { anonymous: { per_minute: 10000, per_day: 100000 } }
+            }
+          }
+        }
+      }
+    }
+  };
+});